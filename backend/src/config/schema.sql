@@ -47,7 +47,75 @@ ALTER TABLE users ADD COLUMN IF NOT EXISTS reset_token_expiry TIMESTAMP;
 -- MIGRATION: Add active session flag to tournaments
 ALTER TABLE tournaments ADD COLUMN IF NOT EXISTS is_active_session BOOLEAN DEFAULT FALSE;
 
--- MIGRATION: Ensure only one active session per user (partial unique index)
-CREATE UNIQUE INDEX IF NOT EXISTS idx_tournaments_active_session_per_user
+-- MIGRATION: Several sessions can be open at once (one active row per open session)
+DROP INDEX IF EXISTS idx_tournaments_active_session_per_user;
+CREATE INDEX IF NOT EXISTS idx_tournaments_open_sessions
   ON tournaments (user_id)
   WHERE is_active_session = TRUE;
+
+-- MIGRATION: Finished sessions are kept as an archive instead of being overwritten
+ALTER TABLE tournaments ADD COLUMN IF NOT EXISTS ended_at TIMESTAMP;
+CREATE INDEX IF NOT EXISTS idx_tournaments_ended_at ON tournaments(user_id, ended_at) WHERE ended_at IS NOT NULL;
+
+-- MIGRATION: Revision of an open session, bumped on every save (stale saves from another device are rejected)
+ALTER TABLE tournaments ADD COLUMN IF NOT EXISTS revision INTEGER NOT NULL DEFAULT 0;
+
+-- MIGRATION: Unguessable token for the public live scoreboard of a session (/live/:token)
+ALTER TABLE tournaments ADD COLUMN IF NOT EXISTS share_token VARCHAR(64) UNIQUE;
+
+-- MIGRATION: Separate token for player self check-in and score reports (/checkin/:token),
+-- never shown on the read-only scoreboard or court board
+ALTER TABLE tournaments ADD COLUMN IF NOT EXISTS checkin_token VARCHAR(64) UNIQUE;
+
+-- MIGRATION: Internal rating learned from match results (starts from the entered DUPR)
+ALTER TABLE players ADD COLUMN IF NOT EXISTS internal_rating DECIMAL(5, 3);
+ALTER TABLE players ADD COLUMN IF NOT EXISTS rated_matches INTEGER DEFAULT 0;
+
+-- Rating history: one row per player per rated match
+CREATE TABLE IF NOT EXISTS player_rating_history (
+  id SERIAL PRIMARY KEY,
+  player_id INTEGER REFERENCES players(id) ON DELETE CASCADE,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  match_id VARCHAR(100) NOT NULL,
+  tournament_name VARCHAR(255),
+  rating_before DECIMAL(5, 3) NOT NULL,
+  rating_after DECIMAL(5, 3) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (player_id, match_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_rating_history_player_id ON player_rating_history(player_id);
+
+-- Match history: one row per completed match, written when a session ends
+CREATE TABLE IF NOT EXISTS matches (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  match_uid VARCHAR(100) NOT NULL,
+  session_uid VARCHAR(100) NOT NULL,
+  tournament_name VARCHAR(255),
+  tournament_type VARCHAR(50),
+  round_number INTEGER,
+  court INTEGER,
+  game_format VARCHAR(30),
+  match_format VARCHAR(30),
+  score1 INTEGER,
+  score2 INTEGER,
+  games JSONB,
+  winner SMALLINT NOT NULL,
+  played_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (user_id, match_uid)
+);
+
+-- Who played on each side of a match (player_id is NULL for players not saved in the roster)
+CREATE TABLE IF NOT EXISTS match_players (
+  id SERIAL PRIMARY KEY,
+  match_id INTEGER REFERENCES matches(id) ON DELETE CASCADE,
+  player_id INTEGER REFERENCES players(id) ON DELETE SET NULL,
+  player_name VARCHAR(255) NOT NULL,
+  side SMALLINT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_matches_user_id ON matches(user_id);
+CREATE INDEX IF NOT EXISTS idx_match_players_match_id ON match_players(match_id);
+CREATE INDEX IF NOT EXISTS idx_match_players_player_id ON match_players(player_id);
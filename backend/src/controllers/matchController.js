@@ -0,0 +1,34 @@
+const { validationResult } = require('express-validator');
+const Match = require('../models/Match');
+
+// Record the completed matches of a session (called when a session ends)
+exports.recordMatches = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { session_uid, tournament_name, tournament_type, matches } = req.body;
+
+    if (!Array.isArray(matches) || matches.length === 0) {
+      return res.status(400).json({ error: 'Matches array is required' });
+    }
+
+    const recorded = await Match.recordSession(req.user.id, {
+      session_uid,
+      tournament_name,
+      tournament_type,
+      matches
+    });
+
+    res.status(201).json({
+      message: `${recorded} matches recorded`,
+      recorded,
+      skipped: matches.length - recorded
+    });
+  } catch (error) {
+    console.error('Record matches error:', error);
+    res.status(500).json({ error: 'Failed to record matches' });
+  }
+};
@@ -1,5 +1,6 @@
 const { validationResult } = require('express-validator');
 const Player = require('../models/Player');
+const Match = require('../models/Match');
 
 // Create player
 exports.createPlayer = async (req, res) => {
@@ -116,3 +117,80 @@ exports.bulkCreatePlayers = async (req, res) => {
     res.status(500).json({ error: 'Failed to create players' });
   }
 };
+
+// Apply internal rating changes from a finished session
+exports.updateRatings = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { changes, tournament_name } = req.body;
+
+    if (!Array.isArray(changes) || changes.length === 0) {
+      return res.status(400).json({ error: 'Changes array is required' });
+    }
+
+    const players = await Player.applyRatingChanges(req.user.id, changes, tournament_name);
+
+    res.json({
+      message: `Ratings updated for ${players.length} players`,
+      players
+    });
+  } catch (error) {
+    console.error('Update ratings error:', error);
+    res.status(500).json({ error: 'Failed to update ratings' });
+  }
+};
+
+// Get rating history for a player
+exports.getRatingHistory = async (req, res) => {
+  try {
+    const player = await Player.findById(req.params.id, req.user.id);
+
+    if (!player) {
+      return res.status(404).json({ error: 'Player not found' });
+    }
+
+    const history = await Player.getRatingHistory(req.params.id, req.user.id);
+    res.json({ player, history });
+  } catch (error) {
+    console.error('Get rating history error:', error);
+    res.status(500).json({ error: 'Failed to get rating history' });
+  }
+};
+
+// Get every recorded match for a player, newest first
+exports.getPlayerHistory = async (req, res) => {
+  try {
+    const player = await Player.findById(req.params.id, req.user.id);
+
+    if (!player) {
+      return res.status(404).json({ error: 'Player not found' });
+    }
+
+    const matches = await Match.findByPlayer(req.params.id, req.user.id);
+    res.json({ player, matches });
+  } catch (error) {
+    console.error('Get player history error:', error);
+    res.status(500).json({ error: 'Failed to get player history' });
+  }
+};
+
+// Get lifetime stats for a player across all sessions
+exports.getPlayerStats = async (req, res) => {
+  try {
+    const player = await Player.findById(req.params.id, req.user.id);
+
+    if (!player) {
+      return res.status(404).json({ error: 'Player not found' });
+    }
+
+    const stats = await Match.getPlayerStats(req.params.id, req.user.id);
+    res.json({ player, stats });
+  } catch (error) {
+    console.error('Get player stats error:', error);
+    res.status(500).json({ error: 'Failed to get player stats' });
+  }
+};
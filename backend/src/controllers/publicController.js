@@ -0,0 +1,70 @@
+const Tournament = require('../models/Tournament');
+
+// Spectators see names only — ratings, genders and contact details stay private
+const publicPlayer = (p) => (p ? { id: p.id, name: p.name, present: p.present, pendingApproval: p.pendingApproval } : p);
+const publicTeam = (t) => (t ? { id: t.id, player1: publicPlayer(t.player1), player2: publicPlayer(t.player2) } : t);
+const publicMatch = (m) => (m ? {
+  ...m,
+  team1: m.team1?.map(publicPlayer),
+  team2: m.team2?.map(publicPlayer),
+  player1: publicPlayer(m.player1),
+  player2: publicPlayer(m.player2)
+} : m);
+
+// What the public pages see of a session — names only, as above
+const publicSession = (tournament) => {
+  const data = tournament.tournament_data || {};
+  const meta = data.meta || {};
+
+  return {
+    name: tournament.tournament_name,
+    tournamentType: tournament.tournament_type,
+    numCourts: tournament.num_courts,
+    updatedAt: tournament.updated_at,
+    ended: !!tournament.ended_at,
+    currentRound: data.currentRound || 0,
+    meta: {
+      tournamentType: meta.tournamentType,
+      gameFormat: meta.gameFormat,
+      matchFormat: meta.matchFormat,
+      tiebreakOrder: meta.tiebreakOrder
+    },
+    players: (data.players || []).map(publicPlayer),
+    teams: (data.teams || []).map(publicTeam),
+    rounds: (data.rounds || []).map(round => round.map(publicMatch)),
+    courtStates: (data.courtStates || []).map(c => ({ ...c, currentMatch: publicMatch(c.currentMatch) })),
+    kotStats: data.kotStats || {}
+  };
+};
+
+// Read-only live scoreboard of a shared session (no login)
+exports.getScoreboard = async (req, res) => {
+  try {
+    const tournament = await Tournament.findByShareToken(req.params.token);
+
+    if (!tournament) {
+      return res.status(404).json({ error: 'Scoreboard not found' });
+    }
+
+    res.json({ scoreboard: publicSession(tournament) });
+  } catch (error) {
+    console.error('Get scoreboard error:', error);
+    res.status(500).json({ error: 'Failed to load scoreboard' });
+  }
+};
+
+// The session behind a self check-in QR code (no login) — same view as the scoreboard
+exports.getCheckIn = async (req, res) => {
+  try {
+    const tournament = await Tournament.findByCheckInToken(req.params.token);
+
+    if (!tournament) {
+      return res.status(404).json({ error: 'Check-in link not found' });
+    }
+
+    res.json({ scoreboard: publicSession(tournament) });
+  } catch (error) {
+    console.error('Get check-in error:', error);
+    res.status(500).json({ error: 'Failed to load check-in' });
+  }
+};
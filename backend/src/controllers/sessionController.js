@@ -1,33 +1,124 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
 const pool = require('../config/database');
 
+// Live-channel tokens: good for opening one session's stream, for one minute, and nothing else
+const STREAM_SCOPE = 'session-stream';
+const STREAM_TOKEN_TTL = '60s';
+
+// Split a session blob from the client into its columns and the JSONB data
+// (baseRevision / clientId describe the save itself; id, revision and savedAt come from the row)
+const sessionFields = (body) => {
+    const {
+        tournamentName = 'Active Session', tournamentType = 'roundRobin', numCourts = 1,
+        baseRevision, clientId, id, revision, savedAt,
+        ...sessionData
+    } = body;
+    return { tournamentName, tournamentType, numCourts, sessionData };
+};
+
+// The blob a device works on: the stored data plus its columns
+const sessionBlob = (row) => ({
+    ...row.tournament_data,
+    id: row.id,
+    tournamentName: row.tournament_name,
+    tournamentType: row.tournament_type,
+    numCourts: row.num_courts,
+    revision: row.revision,
+    savedAt: row.updated_at
+});
+
+const findOpenSession = async (id, userId) => {
+    const result = await pool.query(
+        `SELECT id, tournament_data, tournament_name, tournament_type, num_courts, revision, updated_at
+       FROM tournaments
+       WHERE id = $1 AND user_id = $2 AND is_active_session = TRUE`,
+        [id, userId]
+    );
+    return result.rows.length ? sessionBlob(result.rows[0]) : null;
+};
+
+// Devices watching each open session (GET /api/session/:id/events), by session id.
+// Kept in memory, so every device of a session has to reach the same server instance
+// (run one instance, or route by session id — see backend/README.md).
+const watchers = new Map();
+
+const broadcast = (id, event) => {
+    const streams = watchers.get(String(id));
+    if (!streams) return;
+    const message = `data: ${JSON.stringify(event)}\n\n`;
+    streams.forEach(stream => stream.write(message));
+};
+
 /**
  * GET /api/session
- * Returns the active session blob for the logged-in user, or null.
+ * Lists the open sessions for the logged-in user, most recently saved first.
  */
-exports.getSession = async (req, res) => {
+exports.listSessions = async (req, res) => {
     try {
         const result = await pool.query(
-            `SELECT tournament_data, tournament_name, tournament_type, num_courts, updated_at
+            `SELECT id, tournament_name, tournament_type, num_courts, updated_at,
+              COALESCE(jsonb_array_length(tournament_data->'rounds'), 0) AS round_count,
+              (SELECT COUNT(*)::int FROM jsonb_array_elements(tournament_data->'players') p
+               WHERE COALESCE((p->>'present')::boolean, TRUE)) AS player_count
        FROM tournaments
        WHERE user_id = $1 AND is_active_session = TRUE
-       LIMIT 1`,
+       ORDER BY updated_at DESC`,
             [req.user.id]
         );
 
-        if (result.rows.length === 0) {
-            return res.json({ session: null });
-        }
-
-        const row = result.rows[0];
         res.json({
-            session: {
-                ...row.tournament_data,
+            sessions: result.rows.map(row => ({
+                id: row.id,
                 tournamentName: row.tournament_name,
                 tournamentType: row.tournament_type,
                 numCourts: row.num_courts,
+                roundCount: row.round_count,
+                playerCount: row.player_count,
                 savedAt: row.updated_at
-            }
+            }))
         });
+    } catch (error) {
+        console.error('listSessions error:', error);
+        res.status(500).json({ error: 'Failed to list sessions' });
+    }
+};
+
+/**
+ * POST /api/session
+ * Opens a new session and returns its id. Other open sessions are untouched.
+ */
+exports.createSession = async (req, res) => {
+    try {
+        const { tournamentName, tournamentType, numCourts, sessionData } = sessionFields(req.body);
+
+        const result = await pool.query(
+            `INSERT INTO tournaments (user_id, tournament_name, tournament_type, num_courts, tournament_data, is_active_session)
+             VALUES ($1, $2, $3, $4, $5, TRUE)
+             RETURNING id`,
+            [req.user.id, tournamentName, tournamentType, numCourts, sessionData]
+        );
+
+        res.status(201).json({ success: true, id: result.rows[0].id, revision: 0 });
+    } catch (error) {
+        console.error('createSession error:', error);
+        res.status(500).json({ error: 'Failed to create session' });
+    }
+};
+
+/**
+ * GET /api/session/:id
+ * Returns the blob of one open session, or 404 once it has ended or been discarded.
+ */
+exports.getSession = async (req, res) => {
+    try {
+        const session = await findOpenSession(req.params.id, req.user.id);
+
+        if (!session) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        res.json({ session });
     } catch (error) {
         console.error('getSession error:', error);
         res.status(500).json({ error: 'Failed to load session' });
@@ -35,44 +126,125 @@ exports.getSession = async (req, res) => {
 };
 
 /**
- * PUT /api/session
- * Upserts the active session for the logged-in user.
- * One active-session row per user — reuses the most-recent row rather than
- * creating duplicates, which was causing is_active_session to always end up FALSE.
+ * POST /api/session/:id/stream-token
+ * Short-lived token for opening the session's live channel. EventSource can't send an
+ * Authorization header, so the channel takes its token in the URL — where it may be
+ * logged — and gets this one instead of the login token.
+ */
+exports.issueStreamToken = async (req, res) => {
+    try {
+        const session = await findOpenSession(req.params.id, req.user.id);
+
+        if (!session) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        const token = jwt.sign(
+            { id: req.user.id, sessionId: String(session.id), scope: STREAM_SCOPE },
+            process.env.JWT_SECRET,
+            { expiresIn: STREAM_TOKEN_TTL }
+        );
+        res.json({ token });
+    } catch (error) {
+        console.error('issueStreamToken error:', error);
+        res.status(500).json({ error: 'Failed to open live session' });
+    }
+};
+
+/**
+ * Authenticates GET /api/session/:id/events from its ?token= (see issueStreamToken).
+ * Only a stream token for this session is accepted — never a login token.
+ */
+exports.streamAuth = (req, res, next) => {
+    try {
+        const decoded = jwt.verify(req.query.token || '', process.env.JWT_SECRET);
+        if (decoded.scope !== STREAM_SCOPE || decoded.sessionId !== String(req.params.id)) {
+            return res.status(401).json({ error: 'Invalid token' });
+        }
+        req.user = { id: decoded.id };
+        next();
+    } catch (error) {
+        res.status(401).json({ error: error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token' });
+    }
+};
+
+/**
+ * GET /api/session/:id/events
+ * Live channel (Server-Sent Events) for one open session. Sends the current session,
+ * then every save from any device ({ type: 'saved', clientId, session }) and
+ * { type: 'ended' } once the session is archived or discarded.
+ */
+exports.streamSession = async (req, res) => {
+    try {
+        const session = await findOpenSession(req.params.id, req.user.id);
+
+        if (!session) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive'
+        });
+        res.write(`data: ${JSON.stringify({ type: 'saved', clientId: null, session })}\n\n`);
+
+        const key = String(session.id);
+        if (!watchers.has(key)) watchers.set(key, new Set());
+        watchers.get(key).add(res);
+
+        // Comment lines keep proxies from closing an idle stream
+        const heartbeat = setInterval(() => res.write(': ping\n\n'), 25000);
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            const streams = watchers.get(key);
+            streams.delete(res);
+            if (streams.size === 0) watchers.delete(key);
+        });
+    } catch (error) {
+        console.error('streamSession error:', error);
+        res.status(500).json({ error: 'Failed to open live session' });
+    }
+};
+
+/**
+ * PUT /api/session/:id
+ * Autosaves one open session and bumps its revision. A save made against an older
+ * revision (`baseRevision`) than the stored one gets a 409 with the current session,
+ * so the device can merge instead of overwriting another device's changes. A save
+ * that lands after the session ended gets a 404, so a slow autosave can't overwrite
+ * the archived state.
  */
 exports.saveSession = async (req, res) => {
     try {
-        const { tournamentName = 'Active Session', tournamentType = 'roundRobin', numCourts = 1, ...sessionData } = req.body;
+        const { tournamentName, tournamentType, numCourts, sessionData } = sessionFields(req.body);
+        const baseRevision = Number.isInteger(req.body.baseRevision) ? req.body.baseRevision : null;
 
-        // Find the most-recent session row for this user (active OR stale — we reuse it)
-        const existing = await pool.query(
-            `SELECT id FROM tournaments WHERE user_id = $1 ORDER BY updated_at DESC LIMIT 1`,
-            [req.user.id]
+        const result = await pool.query(
+            `UPDATE tournaments
+             SET tournament_data    = $1,
+                 tournament_name    = $2,
+                 tournament_type    = $3,
+                 num_courts         = $4,
+                 revision           = revision + 1,
+                 updated_at         = NOW()
+             WHERE id = $5 AND user_id = $6 AND is_active_session = TRUE
+               AND ($7::int IS NULL OR revision = $7)
+             RETURNING id, tournament_data, tournament_name, tournament_type, num_courts, revision, updated_at`,
+            [sessionData, tournamentName, tournamentType, numCourts, req.params.id, req.user.id, baseRevision]
         );
 
-        if (existing.rows.length > 0) {
-            // Update the existing row and mark it as the active session
-            await pool.query(
-                `UPDATE tournaments
-                 SET tournament_data    = $1,
-                     tournament_name    = $2,
-                     tournament_type    = $3,
-                     num_courts         = $4,
-                     is_active_session  = TRUE,
-                     updated_at         = NOW()
-                 WHERE id = $5`,
-                [sessionData, tournamentName, tournamentType, numCourts, existing.rows[0].id]
-            );
-        } else {
-            // First-ever save for this user — insert a new row
-            await pool.query(
-                `INSERT INTO tournaments (user_id, tournament_name, tournament_type, num_courts, tournament_data, is_active_session)
-                 VALUES ($1, $2, $3, $4, $5, TRUE)`,
-                [req.user.id, tournamentName, tournamentType, numCourts, sessionData]
-            );
+        if (result.rows.length === 0) {
+            const current = await findOpenSession(req.params.id, req.user.id);
+            if (!current) {
+                return res.status(404).json({ error: 'Session not found' });
+            }
+            return res.status(409).json({ error: 'Session was changed on another device', session: current });
         }
 
-        res.json({ success: true });
+        const session = sessionBlob(result.rows[0]);
+        broadcast(session.id, { type: 'saved', clientId: req.body.clientId || null, session });
+        res.json({ success: true, revision: session.revision });
     } catch (error) {
         console.error('saveSession error:', error);
         res.status(500).json({ error: 'Failed to save session' });
@@ -80,15 +252,366 @@ exports.saveSession = async (req, res) => {
 };
 
 /**
- * DELETE /api/session
- * Clears the active session flag — called on "End Session".
+ * POST /api/session/:id/share
+ * Returns the token of the session's public live scoreboard, creating it on first use.
+ */
+exports.shareSession = async (req, res) => {
+    try {
+        const result = await pool.query(
+            `UPDATE tournaments
+             SET share_token = COALESCE(share_token, $1)
+             WHERE id = $2 AND user_id = $3 AND is_active_session = TRUE
+             RETURNING share_token`,
+            [crypto.randomBytes(16).toString('hex'), req.params.id, req.user.id]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        res.json({ success: true, token: result.rows[0].share_token });
+    } catch (error) {
+        console.error('shareSession error:', error);
+        res.status(500).json({ error: 'Failed to share session' });
+    }
+};
+
+/**
+ * POST /api/session/:id/checkin-link
+ * Returns the token of the session's self check-in page (the QR code), creating it on first use.
+ * It is not the share token: anyone with the scoreboard or court board link can watch, but
+ * only someone who scanned the QR code can check players in or report scores.
+ */
+exports.checkInLink = async (req, res) => {
+    try {
+        const result = await pool.query(
+            `UPDATE tournaments
+             SET checkin_token = COALESCE(checkin_token, $1)
+             WHERE id = $2 AND user_id = $3 AND is_active_session = TRUE
+             RETURNING checkin_token`,
+            [crypto.randomBytes(16).toString('hex'), req.params.id, req.user.id]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        res.json({ success: true, token: result.rows[0].checkin_token });
+    } catch (error) {
+        console.error('checkInLink error:', error);
+        res.status(500).json({ error: 'Failed to create check-in link' });
+    }
+};
+
+// Player ids are on every public page, so the phone that checks a player in gets a secret
+// key (player.reportKey, never sent to the public pages). Later check-ins and score reports
+// for that player have to carry it; the organizer can unlink the phone from the roster.
+const newPlayerKey = () => crypto.randomBytes(16).toString('hex');
+
+const keyMatches = (player, key) => (
+    typeof key === 'string' && !!player.reportKey && key.length === player.reportKey.length &&
+    crypto.timingSafeEqual(Buffer.from(key), Buffer.from(player.reportKey))
+);
+
+// Self check-in changes to the roster (POST /api/public/checkin/:token). Returns the new
+// roster and the player it touched, or { error } for a request the roster can't take.
+const applyCheckIn = (players, body, meta = {}) => {
+    const now = new Date().toISOString();
+
+    if (body.guest) {
+        const name = String(body.guest.name || '').trim().slice(0, 60);
+        const rating = Number(body.guest.rating);
+        const gender = body.guest.gender === 'female' ? 'female' : 'male';
+        if (!name) return { error: 'Name is required' };
+        if (Number.isNaN(rating) || rating < 2.0 || rating > 5.5) return { error: 'Enter DUPR 2.0 – 5.5' };
+        if (players.some(p => p.name.trim().toLowerCase() === name.toLowerCase())) {
+            return { error: `${name} is already on the list — pick your name instead` };
+        }
+        // Walk-ins wait for the organizer unless the session lets them straight in
+        const approve = meta.approveWalkIns !== false;
+        const player = {
+            id: `guest-${crypto.randomBytes(6).toString('hex')}`,
+            name, rating, gender,
+            present: !approve,
+            pendingApproval: approve,
+            guest: true,
+            checkedInAt: now,
+            reportKey: newPlayerKey()
+        };
+        return { players: [...players, player], player };
+    }
+
+    const player = players.find(p => String(p.id) === String(body.playerId));
+    if (!player) return { error: 'Player not found' };
+    if (player.reportKey && !keyMatches(player, body.playerKey)) {
+        return { error: `${player.name} is checked in on another phone — ask the organizer to unlink it` };
+    }
+    const reportKey = player.reportKey || newPlayerKey();
+
+    let updated;
+    if (body.status === 'leaving') {
+        // A walk-in still waiting for approval just drops off the list
+        if (player.pendingApproval) {
+            return { players: players.filter(p => p !== player), player: { ...player, present: false, leftAt: now } };
+        }
+        updated = { ...player, present: false, leftAt: now, reportKey };
+    } else if (body.status === 'present') {
+        if (player.pendingApproval) return { error: 'The organizer has not approved you yet' };
+        const { leftAt, ...rest } = player;
+        updated = { ...rest, present: true, checkedInAt: now, reportKey };
+    } else {
+        return { error: 'Status must be present or leaving' };
+    }
+    return { players: players.map(p => (p === player ? updated : p)), player: updated };
+};
+
+// Read-modify-write of a session by its check-in token for the no-login endpoints
+// (check-in, score reports). `change(data)` returns { data, result } or { error }. Retried when an
+// organizer save lands between the read and the write; the save reaches the
+// organizer's devices like any other.
+const updateSharedSession = async (token, change) => {
+    for (let attempt = 0; attempt < 3; attempt++) {
+        const found = await pool.query(
+            `SELECT id, tournament_data, revision
+       FROM tournaments
+       WHERE checkin_token = $1 AND is_active_session = TRUE`,
+            [token]
+        );
+        if (found.rows.length === 0) {
+            return { status: 404, error: 'Session not found' };
+        }
+
+        const { id, tournament_data: data, revision } = found.rows[0];
+        const outcome = change(data || {});
+        if (outcome.error) {
+            return { status: 400, error: outcome.error };
+        }
+
+        const result = await pool.query(
+            `UPDATE tournaments
+             SET tournament_data = $1,
+                 revision        = revision + 1,
+                 updated_at      = NOW()
+             WHERE id = $2 AND revision = $3 AND is_active_session = TRUE
+             RETURNING id, tournament_data, tournament_name, tournament_type, num_courts, revision, updated_at`,
+            [outcome.data, id, revision]
+        );
+        if (result.rows.length) {
+            const session = sessionBlob(result.rows[0]);
+            broadcast(session.id, { type: 'saved', clientId: 'public', session });
+            return { result: outcome.result };
+        }
+    }
+    return { status: 409, error: 'The organizer is saving right now — try again' };
+};
+
+// Which side (1 or 2) of a match a player is on, or null
+const sideOf = (match, playerId) => {
+    const has = (list) => list.some(p => p && String(p.id) === String(playerId));
+    if (match.gameFormat === 'singles') {
+        return has([match.player1]) ? 1 : has([match.player2]) ? 2 : null;
+    }
+    return has(match.team1 || []) ? 1 : has(match.team2 || []) ? 2 : null;
+};
+
+// Games in each multi-game match format — the same formats as the app's utils/matchGames.js.
+// playAll formats count every game, and a level result (games or total points) is a draw.
+const MATCH_FORMATS = {
+    best_of_3: { games: 3 },
+    best_of_5: { games: 5 },
+    two_games: { games: 2, playAll: true },
+    total_points: { games: 2, playAll: true, byPoints: true }
+};
+
+// Score fields and winner from a player's report — the same rules as the organizer's
+// quick win: no tied games, best of N needs games until one side has a majority, and
+// formats that play every game need them all (a draw has winner null)
+const reportedScore = (match, body) => {
+    const points = (v) => (Number.isInteger(Number(v)) && v !== '' && v !== null && Number(v) >= 0 ? Number(v) : null);
+
+    const format = MATCH_FORMATS[match.matchFormat];
+    if (format) {
+        const entered = (Array.isArray(body.games) ? body.games : []).map(g => (Array.isArray(g) ? g.map(points) : [null, null]));
+        const needed = Math.ceil(format.games / 2);
+        const games = [];
+        const wins = [0, 0];
+        const totals = [0, 0];
+        for (let g = 0; g < format.games; g++) {
+            if (!format.playAll && (wins[0] === needed || wins[1] === needed)) break;
+            const [a, b] = entered[g] || [null, null];
+            if (a === null || b === null) return { error: `Enter the score of game ${g + 1}` };
+            if (a === b) return { error: `Game ${g + 1} cannot be tied` };
+            games.push([a, b]);
+            wins[a > b ? 0 : 1] += 1;
+            totals[0] += a;
+            totals[1] += b;
+        }
+        const [side1, side2] = format.byPoints ? totals : wins;
+        if (side1 === side2) return { fields: { games, draw: true }, winner: null };
+        return { fields: { games }, winner: side1 > side2 ? 'team1' : 'team2' };
+    }
+
+    const score1 = points(body.score1);
+    const score2 = points(body.score2);
+    if (score1 === null || score2 === null) return { error: 'Enter both scores' };
+    if (score1 === score2) return { error: 'Scores cannot be tied' };
+    return { fields: { score1, score2 }, winner: score1 > score2 ? 'team1' : 'team2' };
+};
+
+// A player's report, confirmation or dispute of their match score (POST /api/public/report/:token).
+// A confirmed report completes the match like the organizer's quick win and frees its court.
+const applyScoreReport = (data, body) => {
+    const rounds = data.rounds || [];
+    const match = rounds.flat().find(m => String(m.id) === String(body.matchId));
+    if (!match) return { error: 'Match not found — ask the organizer to enter the score' };
+    if (match.status === 'completed') return { error: 'This match already has a score' };
+    if (match.status === 'removed') return { error: 'This match was taken off the schedule' };
+
+    const side = sideOf(match, body.playerId);
+    if (!side) return { error: 'Only players in this match can report its score' };
+    const player = (data.players || []).find(p => String(p.id) === String(body.playerId));
+    if (!player || !keyMatches(player, body.playerKey)) {
+        return { error: 'Check in on this phone to report scores' };
+    }
+
+    const now = new Date().toISOString();
+    const report = match.report;
+    let updated;
+
+    if (body.action === 'report') {
+        // Only the match being played — or one already reported — takes a score from a phone
+        const onCourt = (data.courtStates || []).some(c => c.currentMatch && String(c.currentMatch.id) === String(match.id));
+        if (!onCourt && !report) return { error: 'This match is not on a court yet' };
+        const score = reportedScore(match, body);
+        if (score.error) return score;
+        updated = { ...match, report: { status: 'reported', side, reportedBy: body.playerId, reportedAt: now, ...score } };
+    } else if (body.action === 'confirm' || body.action === 'dispute') {
+        if (!report || report.status !== 'reported') return { error: 'There is no reported score to answer' };
+        if (report.side === side) return { error: 'An opponent has to confirm the score' };
+
+        if (body.action === 'dispute') {
+            updated = { ...match, report: { ...report, status: 'disputed', disputedBy: body.playerId, disputedAt: now } };
+        } else {
+            updated = {
+                ...match,
+                ...report.fields,
+                winner: report.winner,
+                status: 'completed',
+                endTime: now,
+                report: { ...report, status: 'confirmed', confirmedBy: body.playerId, confirmedAt: now }
+            };
+            if (match.startTime) {
+                updated.durationMinutes = Math.round((new Date(now) - new Date(match.startTime)) / 1000 / 60);
+            }
+        }
+    } else {
+        return { error: 'Action must be report, confirm or dispute' };
+    }
+
+    const courtStates = updated.status === 'completed'
+        ? (data.courtStates || []).map(c => (c.currentMatch && String(c.currentMatch.id) === String(match.id)
+            ? { ...c, status: 'ready', currentMatch: null }
+            : c))
+        : data.courtStates;
+
+    return {
+        data: { ...data, rounds: rounds.map(round => round.map(m => (m === match ? updated : m))), courtStates },
+        result: updated
+    };
+};
+
+/**
+ * POST /api/public/checkin/:token
+ * Player self check-in from the session QR code — no login, the check-in token is the key.
+ * Body is { playerId, playerKey, status: 'present' | 'leaving' } for someone on the roster, or
+ * { guest: { name, rating, gender } } for a walk-in. The response carries the player's key
+ * (playerKey) for this phone; playerKey can be left out until a phone has one.
+ */
+exports.checkIn = async (req, res) => {
+    try {
+        const outcome = await updateSharedSession(req.params.token, (data) => {
+            const change = applyCheckIn(data.players || [], req.body || {}, data.meta || {});
+            return change.error ? change : { data: { ...data, players: change.players }, result: change.player };
+        });
+        if (outcome.error) {
+            return res.status(outcome.status).json({ error: outcome.error });
+        }
+
+        const { id, name, present, pendingApproval = false, checkedInAt, leftAt, reportKey } = outcome.result;
+        res.json({ success: true, player: { id, name, present, pendingApproval, checkedInAt, leftAt }, playerKey: reportKey });
+    } catch (error) {
+        console.error('checkIn error:', error);
+        res.status(500).json({ error: 'Failed to check in' });
+    }
+};
+
+/**
+ * POST /api/public/report/:token
+ * Score reporting by the players on court — no login. Body is { matchId, playerId, playerKey, action }
+ * (playerKey from the player's check-in on this phone) with action 'report' (plus score1/score2, or games: [[11, 7], ...] for best of 3),
+ * 'confirm' or 'dispute'; confirm and dispute have to come from the other side.
+ * Disputed scores are left for the organizer.
+ */
+exports.reportScore = async (req, res) => {
+    try {
+        const outcome = await updateSharedSession(req.params.token, (data) => applyScoreReport(data, req.body || {}));
+        if (outcome.error) {
+            return res.status(outcome.status).json({ error: outcome.error });
+        }
+
+        const { id, status, winner, report } = outcome.result;
+        res.json({ success: true, match: { id, status, winner, report } });
+    } catch (error) {
+        console.error('reportScore error:', error);
+        res.status(500).json({ error: 'Failed to report score' });
+    }
+};
+
+/**
+ * POST /api/session/:id/end
+ * Saves the final state of a session and moves it to the archive — called on "End & Clear".
+ */
+exports.endSession = async (req, res) => {
+    try {
+        const { tournamentName, tournamentType, numCourts, sessionData } = sessionFields(req.body);
+
+        const result = await pool.query(
+            `UPDATE tournaments
+             SET tournament_data    = $1,
+                 tournament_name    = $2,
+                 tournament_type    = $3,
+                 num_courts         = $4,
+                 is_active_session  = FALSE,
+                 ended_at           = NOW(),
+                 updated_at         = NOW()
+             WHERE id = $5 AND user_id = $6 AND is_active_session = TRUE
+             RETURNING id`,
+            [sessionData, tournamentName, tournamentType, numCourts, req.params.id, req.user.id]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        broadcast(result.rows[0].id, { type: 'ended' });
+        res.json({ success: true, tournamentId: result.rows[0].id });
+    } catch (error) {
+        console.error('endSession error:', error);
+        res.status(500).json({ error: 'Failed to end session' });
+    }
+};
+
+/**
+ * DELETE /api/session/:id
+ * Discards an open session without archiving it.
  */
 exports.clearSession = async (req, res) => {
     try {
-        await pool.query(
-            `UPDATE tournaments SET is_active_session = FALSE WHERE user_id = $1 AND is_active_session = TRUE`,
-            [req.user.id]
+        const result = await pool.query(
+            `DELETE FROM tournaments WHERE id = $1 AND user_id = $2 AND is_active_session = TRUE AND ended_at IS NULL`,
+            [req.params.id, req.user.id]
         );
+        if (result.rowCount > 0) broadcast(req.params.id, { type: 'ended' });
         res.json({ success: true });
     } catch (error) {
         console.error('clearSession error:', error);
@@ -0,0 +1,53 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+// One shared session in place of the database
+const stored = {};
+require.cache[require.resolve('../config/database')] = {
+    exports: {
+        query: async (sql, args) => {
+            if (/WHERE checkin_token = \$1/.test(sql)) return { rows: args[0] === 'C' ? [stored.row] : [] };
+            if (/SET tournament_data = \$1/.test(sql)) {
+                stored.row = { ...stored.row, tournament_data: args[0], revision: stored.row.revision + 1 };
+                return { rows: [stored.row] };
+            }
+            throw new Error(`Unexpected query: ${sql}`);
+        }
+    }
+};
+const { reportScore } = require('./sessionController');
+
+const ann = { id: 'p1', name: 'Ann', present: true, reportKey: 'a'.repeat(32) };
+const bob = { id: 'p2', name: 'Bob', present: true, reportKey: 'b'.repeat(32) };
+const singles = (id, status) => ({ id, gameFormat: 'singles', player1: ann, player2: bob, status });
+
+beforeEach(() => {
+    stored.row = {
+        id: 7, revision: 1,
+        tournament_data: { players: [ann, bob], rounds: [[singles('m1', 'removed'), singles('m2', 'pending')]], courtStates: [] }
+    };
+});
+
+const report = async (matchId) => {
+    const res = { status(code) { this.code = code; return this; }, json(body) { this.body = body; return this; } };
+    const body = { matchId, playerId: 'p1', playerKey: ann.reportKey, action: 'report', score1: 11, score2: 7 };
+    await reportScore({ params: { token: 'C' }, body }, res);
+    return res;
+};
+
+test('a removed match takes no score', async () => {
+    const res = await report('m1');
+    assert.strictEqual(res.code, 400);
+    assert.strictEqual(stored.row.revision, 1);
+});
+
+test('a match takes a score only once it is on a court', async () => {
+    const waiting = await report('m2');
+    assert.strictEqual(waiting.code, 400);
+    assert.strictEqual(waiting.body.error, 'This match is not on a court yet');
+
+    stored.row.tournament_data.courtStates = [{ courtNumber: 1, status: 'in_use', currentMatch: singles('m2', 'in_progress') }];
+    const playing = await report('m2');
+    assert.strictEqual(playing.body.success, true);
+    assert.strictEqual(playing.body.match.report.status, 'reported');
+});
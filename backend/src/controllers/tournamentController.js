@@ -40,6 +40,17 @@ exports.getTournaments = async (req, res) => {
   }
 };
 
+// Get finished sessions (archive) for current user
+exports.getArchive = async (req, res) => {
+  try {
+    const tournaments = await Tournament.findArchived(req.user.id);
+    res.json({ tournaments });
+  } catch (error) {
+    console.error('Get archive error:', error);
+    res.status(500).json({ error: 'Failed to get archive' });
+  }
+};
+
 // Get single tournament
 exports.getTournament = async (req, res) => {
   try {
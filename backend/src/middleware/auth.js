@@ -12,6 +12,11 @@ const authMiddleware = (req, res, next) => {
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+    // Scoped tokens (e.g. a session's live-channel token) only open what they were issued for
+    if (decoded.scope) {
+      return res.status(401).json({ error: 'Invalid token' });
+    }
+
     // Add user info to request
     req.user = decoded;
     next();
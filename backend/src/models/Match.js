@@ -0,0 +1,134 @@
+const pool = require('../config/database');
+
+// Points scored by the player's side / the other side
+const POINTS_FOR = 'CASE WHEN mp.side = 1 THEN m.score1 ELSE m.score2 END';
+const POINTS_AGAINST = 'CASE WHEN mp.side = 1 THEN m.score2 ELSE m.score1 END';
+
+class Match {
+  // Record the completed matches of a session. A match already recorded for this
+  // user is skipped, so ending the same session twice never duplicates results.
+  static async recordSession(user_id, { session_uid, tournament_name, tournament_type, matches }) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      let recorded = 0;
+      for (const match of matches) {
+        const inserted = await client.query(
+          `INSERT INTO matches (user_id, match_uid, session_uid, tournament_name, tournament_type, round_number,
+                                court, game_format, match_format, score1, score2, games, winner, played_at)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, COALESCE($14, CURRENT_TIMESTAMP))
+           ON CONFLICT (user_id, match_uid) DO NOTHING
+           RETURNING id`,
+          [
+            user_id, match.match_uid, session_uid, tournament_name, tournament_type, match.round_number,
+            match.court, match.game_format, match.match_format, match.score1, match.score2,
+            match.games ? JSON.stringify(match.games) : null, match.winner, match.played_at
+          ]
+        );
+        if (inserted.rows.length === 0) continue;
+
+        const matchId = inserted.rows[0].id;
+        for (const player of match.players) {
+          // Only link roster players that belong to this user; anyone else is kept by name
+          await client.query(
+            `INSERT INTO match_players (match_id, player_id, player_name, side)
+             VALUES ($1, (SELECT id FROM players WHERE id = $2 AND user_id = $3), $4, $5)`,
+            [matchId, player.player_id, user_id, player.player_name, player.side]
+          );
+        }
+        recorded += 1;
+      }
+
+      await client.query('COMMIT');
+      return recorded;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Every recorded match for one player, newest first, with partners and opponents
+  static async findByPlayer(player_id, user_id, limit = 100) {
+    const result = await pool.query(
+      `SELECT m.id, m.session_uid, m.tournament_name, m.tournament_type, m.round_number, m.court,
+              m.game_format, m.match_format, m.games, m.played_at,
+              ${POINTS_FOR} AS points_for,
+              ${POINTS_AGAINST} AS points_against,
+              (mp.side = m.winner) AS won,
+              COALESCE(json_agg(other.player_name ORDER BY other.player_name)
+                FILTER (WHERE other.side = mp.side), '[]') AS partners,
+              COALESCE(json_agg(other.player_name ORDER BY other.player_name)
+                FILTER (WHERE other.side <> mp.side), '[]') AS opponents
+       FROM match_players mp
+       JOIN matches m ON m.id = mp.match_id
+       LEFT JOIN match_players other ON other.match_id = m.id AND other.id <> mp.id
+       WHERE mp.player_id = $1 AND m.user_id = $2
+       GROUP BY m.id, mp.id
+       ORDER BY m.played_at DESC, m.id DESC
+       LIMIT $3`,
+      [player_id, user_id, limit]
+    );
+    return result.rows;
+  }
+
+  // Lifetime totals, partners, opponents and attendance for one player
+  static async getPlayerStats(player_id, user_id) {
+    const totals = await pool.query(
+      `SELECT COUNT(*)::int AS played,
+              COUNT(*) FILTER (WHERE mp.side = m.winner)::int AS wins,
+              COUNT(*) FILTER (WHERE mp.side <> m.winner)::int AS losses,
+              COALESCE(SUM(${POINTS_FOR}), 0)::int AS points_for,
+              COALESCE(SUM(${POINTS_AGAINST}), 0)::int AS points_against,
+              COUNT(DISTINCT m.session_uid)::int AS sessions,
+              MIN(m.played_at) AS first_played,
+              MAX(m.played_at) AS last_played
+       FROM match_players mp
+       JOIN matches m ON m.id = mp.match_id
+       WHERE mp.player_id = $1 AND m.user_id = $2`,
+      [player_id, user_id]
+    );
+
+    // Everyone who shared a court with the player, split by side
+    const companions = await pool.query(
+      `SELECT (other.side = mp.side) AS partner,
+              other.player_id,
+              other.player_name,
+              COUNT(*)::int AS played,
+              COUNT(*) FILTER (WHERE mp.side = m.winner)::int AS wins
+       FROM match_players mp
+       JOIN matches m ON m.id = mp.match_id
+       JOIN match_players other ON other.match_id = m.id AND other.id <> mp.id
+       WHERE mp.player_id = $1 AND m.user_id = $2
+       GROUP BY (other.side = mp.side), other.player_id, other.player_name
+       ORDER BY played DESC, wins DESC, other.player_name ASC`,
+      [player_id, user_id]
+    );
+
+    const attendance = await pool.query(
+      `SELECT m.session_uid,
+              MAX(m.tournament_name) AS tournament_name,
+              MIN(m.played_at) AS played_at,
+              COUNT(*)::int AS played,
+              COUNT(*) FILTER (WHERE mp.side = m.winner)::int AS wins
+       FROM match_players mp
+       JOIN matches m ON m.id = mp.match_id
+       WHERE mp.player_id = $1 AND m.user_id = $2
+       GROUP BY m.session_uid
+       ORDER BY played_at DESC`,
+      [player_id, user_id]
+    );
+
+    const strip = ({ partner, ...row }) => row;
+    return {
+      ...totals.rows[0],
+      partners: companions.rows.filter(row => row.partner).map(strip),
+      opponents: companions.rows.filter(row => !row.partner).map(strip),
+      attendance: attendance.rows
+    };
+  }
+}
+
+module.exports = Match;
@@ -81,6 +81,57 @@ class Player {
       client.release();
     }
   }
+
+  // Apply internal rating changes (in match order). A match already rated for a
+  // player is skipped, so re-sending a session never counts a result twice.
+  static async applyRatingChanges(user_id, changes, tournament_name = null) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const updated = {};
+      for (const change of changes) {
+        const inserted = await client.query(
+          `INSERT INTO player_rating_history (player_id, user_id, match_id, tournament_name, rating_before, rating_after)
+           SELECT id, user_id, $3, $4, $5, $6 FROM players WHERE id = $1 AND user_id = $2
+           ON CONFLICT (player_id, match_id) DO NOTHING
+           RETURNING id`,
+          [change.player_id, user_id, change.match_id, tournament_name, change.rating_before, change.rating_after]
+        );
+        if (inserted.rows.length === 0) continue;
+
+        const result = await client.query(
+          `UPDATE players
+           SET internal_rating = $1,
+               rated_matches = COALESCE(rated_matches, 0) + 1
+           WHERE id = $2 AND user_id = $3
+           RETURNING *`,
+          [change.rating_after, change.player_id, user_id]
+        );
+        updated[change.player_id] = result.rows[0];
+      }
+
+      await client.query('COMMIT');
+      return Object.values(updated);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Rating history for one player, newest first
+  static async getRatingHistory(id, user_id) {
+    const result = await pool.query(
+      `SELECT match_id, tournament_name, rating_before, rating_after, created_at
+       FROM player_rating_history
+       WHERE player_id = $1 AND user_id = $2
+       ORDER BY created_at DESC, id DESC`,
+      [id, user_id]
+    );
+    return result.rows;
+  }
 }
 
 module.exports = Player;
@@ -21,6 +21,22 @@ class Tournament {
     return result.rows;
   }
 
+  // Finished sessions, newest first — a summary row each, without the full blob
+  static async findArchived(user_id) {
+    const result = await pool.query(
+      `SELECT id, tournament_name, tournament_type, num_courts, created_at, ended_at,
+              tournament_data->'meta'->>'gameFormat' AS game_format,
+              COALESCE(jsonb_array_length(tournament_data->'rounds'), 0) AS round_count,
+              (SELECT COUNT(*)::int FROM jsonb_array_elements(tournament_data->'players') p
+               WHERE COALESCE((p->>'present')::boolean, TRUE)) AS player_count
+       FROM tournaments
+       WHERE user_id = $1 AND ended_at IS NOT NULL
+       ORDER BY ended_at DESC`,
+      [user_id]
+    );
+    return result.rows;
+  }
+
   // Get tournament by ID
   static async findById(id, user_id) {
     const result = await pool.query(
@@ -30,6 +46,28 @@ class Tournament {
     return result.rows[0];
   }
 
+  // Session behind a public live scoreboard link (no owner check — the token is the key)
+  static async findByShareToken(share_token) {
+    const result = await pool.query(
+      `SELECT id, tournament_name, tournament_type, num_courts, tournament_data, updated_at, ended_at
+       FROM tournaments
+       WHERE share_token = $1`,
+      [share_token]
+    );
+    return result.rows[0];
+  }
+
+  // Session behind a self check-in link (no owner check — the check-in token is the key)
+  static async findByCheckInToken(checkin_token) {
+    const result = await pool.query(
+      `SELECT id, tournament_name, tournament_type, num_courts, tournament_data, updated_at, ended_at
+       FROM tournaments
+       WHERE checkin_token = $1`,
+      [checkin_token]
+    );
+    return result.rows[0];
+  }
+
   // Update tournament
   static async update(id, user_id, updates) {
     const { tournament_name, tournament_type, num_courts, tournament_data } = updates;
@@ -0,0 +1,37 @@
+const express = require('express');
+const { body } = require('express-validator');
+const matchController = require('../controllers/matchController');
+const authMiddleware = require('../middleware/auth');
+
+const router = express.Router();
+
+// All match routes require authentication
+router.use(authMiddleware);
+
+// Validation rules
+const matchValidation = [
+  body('session_uid')
+    .trim()
+    .notEmpty()
+    .withMessage('Session id is required'),
+  body('matches.*.match_uid')
+    .notEmpty()
+    .withMessage('Match id is required'),
+  body('matches.*.winner')
+    .isIn([1, 2])
+    .withMessage('Winner must be side 1 or 2'),
+  body('matches.*.players')
+    .isArray({ min: 2 })
+    .withMessage('Each match needs its players'),
+  body('matches.*.players.*.player_name')
+    .notEmpty()
+    .withMessage('Player name is required'),
+  body('matches.*.players.*.side')
+    .isIn([1, 2])
+    .withMessage('Side must be 1 or 2')
+];
+
+// Routes
+router.post('/', matchValidation, matchController.recordMatches);
+
+module.exports = router;
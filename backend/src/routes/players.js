@@ -24,11 +24,27 @@ const playerValidation = [
     .withMessage('Invalid gender value')
 ];
 
+const ratingValidation = [
+  body('changes.*.player_id')
+    .isInt()
+    .withMessage('Player id must be an integer'),
+  body('changes.*.match_id')
+    .notEmpty()
+    .withMessage('Match id is required'),
+  body(['changes.*.rating_before', 'changes.*.rating_after'])
+    .isFloat({ min: 0, max: 10 })
+    .withMessage('Rating must be between 0 and 10')
+];
+
 // Routes
 router.post('/', playerValidation, playerController.createPlayer);
 router.post('/bulk', playerController.bulkCreatePlayers);
+router.post('/ratings', ratingValidation, playerController.updateRatings);
 router.get('/', playerController.getPlayers);
 router.get('/:id', playerController.getPlayer);
+router.get('/:id/ratings', playerController.getRatingHistory);
+router.get('/:id/history', playerController.getPlayerHistory);
+router.get('/:id/stats', playerController.getPlayerStats);
 router.put('/:id', playerController.updatePlayer);
 router.delete('/:id', playerController.deletePlayer);
 
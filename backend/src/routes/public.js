@@ -0,0 +1,14 @@
+const express = require('express');
+const publicController = require('../controllers/publicController');
+const sessionController = require('../controllers/sessionController');
+
+const router = express.Router();
+
+// No authentication — the unguessable tokens are the only keys. The share token only
+// reads; checking in and reporting scores take the check-in token from the QR code.
+router.get('/scoreboard/:token', publicController.getScoreboard);
+router.get('/checkin/:token', publicController.getCheckIn);
+router.post('/checkin/:token', sessionController.checkIn);
+router.post('/report/:token', sessionController.reportScore);
+
+module.exports = router;
@@ -4,11 +4,21 @@ const authMiddleware = require('../middleware/auth');
 
 const router = express.Router();
 
-// All session routes require authentication
+// EventSource can't send headers, so the live channel passes a short-lived stream token
+// (POST /:id/stream-token) as ?token= — never the login token
+router.get('/:id/events', sessionController.streamAuth, sessionController.streamSession);
+
+// All other session routes require authentication
 router.use(authMiddleware);
 
-router.get('/', sessionController.getSession);
-router.put('/', sessionController.saveSession);
-router.delete('/', sessionController.clearSession);
+router.get('/', sessionController.listSessions);
+router.post('/', sessionController.createSession);
+router.get('/:id', sessionController.getSession);
+router.put('/:id', sessionController.saveSession);
+router.post('/:id/stream-token', sessionController.issueStreamToken);
+router.post('/:id/share', sessionController.shareSession);
+router.post('/:id/checkin-link', sessionController.checkInLink);
+router.post('/:id/end', sessionController.endSession);
+router.delete('/:id', sessionController.clearSession);
 
 module.exports = router;
@@ -27,6 +27,7 @@ const tournamentValidation = [
 // Routes
 router.post('/', tournamentValidation, tournamentController.createTournament);
 router.get('/', tournamentController.getTournaments);
+router.get('/archive', tournamentController.getArchive);
 router.get('/:id', tournamentController.getTournament);
 router.put('/:id', tournamentController.updateTournament);
 router.delete('/:id', tournamentController.deleteTournament);
@@ -7,6 +7,8 @@ const authRoutes = require('./routes/auth');
 const tournamentRoutes = require('./routes/tournaments');
 const playerRoutes = require('./routes/players');
 const sessionRoutes = require('./routes/session');
+const matchRoutes = require('./routes/matches');
+const publicRoutes = require('./routes/public');
 
 const migrate = require('./config/migrate');
 
@@ -47,11 +49,22 @@ const authLimiter = rateLimit({
   legacyHeaders: false, // Disable the `X-RateLimit-*` headers
 });
 
+// Public live scoreboards are polled by every phone at the venue, often behind one IP
+const publicLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 600,
+  message: { error: 'Too many requests from this IP, please try again in a minute' },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 // API Routes
 app.use('/api/auth', authLimiter, authRoutes);
 app.use('/api/tournaments', tournamentRoutes);
 app.use('/api/players', playerRoutes);
 app.use('/api/session', sessionRoutes);
+app.use('/api/matches', matchRoutes);
+app.use('/api/public', publicLimiter, publicRoutes);
 
 // 404 handler
 app.use((req, res) => {
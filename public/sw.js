@@ -1,8 +1,12 @@
-const CACHE = "smashboard-v1";
+const CACHE = "smashboard-v2";
+const API_CACHE = "smashboard-api-v1";
 
 // Precache core shell (add more files if you want)
 const PRECACHE = ["/", "/index.html", "/manifest.json"];
 
+// Background Sync tag of the offline outbox in src/utils/outbox.js
+const SYNC_TAG = "smashboard-outbox";
+
 // Install: cache app shell
 self.addEventListener("install", (event) => {
   event.waitUntil(
@@ -15,15 +19,39 @@ self.addEventListener("install", (event) => {
 self.addEventListener("activate", (event) => {
   event.waitUntil(
     caches.keys().then((keys) =>
-      Promise.all(keys.filter(k => k !== CACHE).map(k => caches.delete(k)))
+      Promise.all(keys.filter(k => k !== CACHE && k !== API_CACHE).map(k => caches.delete(k)))
     )
   );
   self.clients.claim();
 });
 
-// Fetch: network-first for HTML, cache-first for others
+// Roster and session reads, so the app opens with the last copy when offline.
+// They belong to the signed-in organizer, so the page clears them on logout.
+const isCachedApi = (url) =>
+  /\/api\/(players|session)(\/|$)/.test(url.pathname) && !url.pathname.endsWith("/events");
+
+// Fetch: network-first for HTML and API reads, cache-first for others
 self.addEventListener("fetch", (event) => {
   const req = event.request;
+  if (req.method !== "GET") return; // writes go to the network (or the outbox) as they are
+
+  const url = new URL(req.url);
+  if (isCachedApi(url)) {
+    event.respondWith(
+      fetch(req)
+        .then((res) => {
+          if (res.ok) {
+            const copy = res.clone();
+            caches.open(API_CACHE).then((cache) => cache.put(req, copy));
+          }
+          return res;
+        })
+        .catch(() => caches.match(req, { cacheName: API_CACHE }).then((hit) => hit || Response.error()))
+    );
+    return;
+  }
+  if (url.origin !== self.location.origin) return;
+
   const isHTML = req.headers.get("accept")?.includes("text/html");
   if (isHTML) {
     event.respondWith(
@@ -32,6 +60,28 @@ self.addEventListener("fetch", (event) => {
     return;
   }
   event.respondWith(
-    caches.match(req).then((hit) => hit || fetch(req))
+    caches.match(req).then((hit) => hit || fetch(req).then((res) => {
+      if (res.ok) {
+        const copy = res.clone();
+        caches.open(CACHE).then((cache) => cache.put(req, copy));
+      }
+      return res;
+    }))
   );
 });
+
+// Background Sync: the open app replays the outbox (it adds the current login token, which
+// queued saves don't keep, and can merge). With the app closed they wait for its next start.
+self.addEventListener("sync", (event) => {
+  if (event.tag !== SYNC_TAG) return;
+  event.waitUntil(
+    self.clients.matchAll({ type: "window" }).then((clients) => {
+      clients.forEach((client) => client.postMessage({ type: "outbox-replay" }));
+    })
+  );
+});
+
+// Logout: drop the cached roster and session reads of the organizer who signed out
+self.addEventListener("message", (event) => {
+  if (event.data?.type === "clear-api-cache") event.waitUntil(caches.delete(API_CACHE));
+});
@@ -0,0 +1,79 @@
+import { EMPTY_HISTORY, MAX_HISTORY, recordAction, redoAction, undoAction, withPresenceFrom } from './utils/actionHistory';
+
+// A session state is just a label here — the history never looks inside it
+const run = (states) => states.slice(1).reduce(
+    (h, _, i) => recordAction(h, `to ${states[i + 1]}`, states[i], null, 1000 * i),
+    EMPTY_HISTORY
+);
+
+describe('action history', () => {
+    test('undoes and redoes any number of steps, landing on the state between actions', () => {
+        let h = run(['a', 'b', 'c', 'd']); // now at d
+
+        let step = undoAction(h, 'd');
+        expect(step.snapshot).toBe('c');
+        h = step.history;
+
+        step = undoAction(h, 'c', 2);
+        expect(step.snapshot).toBe('a');
+        expect(step.history.past).toHaveLength(0);
+        expect(step.history.future.map(e => e.label)).toEqual(['to b', 'to c', 'to d']);
+        h = step.history;
+        expect(undoAction(h, 'a')).toBeNull();
+
+        step = redoAction(h, 'a', 2);
+        expect(step.snapshot).toBe('c');
+        h = step.history;
+        expect(redoAction(h, 'c').snapshot).toBe('d');
+        expect(undoAction(h, 'c', 2).snapshot).toBe('a');
+    });
+
+    test('a new action after undoing drops the undone ones', () => {
+        const { history } = undoAction(run(['a', 'b', 'c']), 'c');
+        const h = recordAction(history, 'to x', 'b');
+        expect(h.future).toHaveLength(0);
+        expect(h.past.map(e => e.label)).toEqual(['to b', 'to x']);
+    });
+
+    test('repeated edits to the same score are one action', () => {
+        let h = recordAction(EMPTY_HISTORY, 'Score entered', 'blank', 'score:m1', 0);
+        h = recordAction(h, 'Score entered', '11-', 'score:m1', 5000);
+        h = recordAction(h, 'Score entered', '11-7', 'score:m2', 6000);
+        expect(h.past).toHaveLength(2);
+        expect(h.past[0].before).toBe('blank');
+        expect(undoAction(h, 'now', 2).snapshot).toBe('blank');
+    });
+
+    test('a snapshot passed as a function is only taken for a new entry', () => {
+        const before = jest.fn(() => 'blank');
+        let h = recordAction(EMPTY_HISTORY, 'Score entered', before, 'score:m1', 0);
+        h = recordAction(h, 'Score entered', before, 'score:m1', 5000);
+        expect(before).toHaveBeenCalledTimes(1);
+        expect(h.past[0].before).toBe('blank');
+    });
+
+    test('keeps only the last MAX_HISTORY actions', () => {
+        const states = Array.from({ length: MAX_HISTORY + 6 }, (_, i) => `s${i}`);
+        const h = run(states);
+        expect(h.past).toHaveLength(MAX_HISTORY);
+        expect(h.past[0].before).toBe('s5');
+    });
+
+    test('undo moves presence only — roster edits, additions and deletions stay', () => {
+        const then = [
+            { id: 1, name: 'Ann', rating: 3, present: false },
+            { id: 2, name: 'Bob', rating: 3, present: true, checkedInAt: '10:00' },
+            { id: 3, name: 'Cat', rating: 3, present: true }
+        ];
+        const now = [
+            { id: 1, name: 'Ann B', rating: 3.5, present: true, checkedInAt: '10:05' },
+            { id: 2, name: 'Bob', rating: 3, present: false, leftAt: '11:00' },
+            { id: 4, name: 'Dan', rating: 4, present: true }
+        ];
+        expect(withPresenceFrom(now, then)).toEqual([
+            { id: 1, name: 'Ann B', rating: 3.5, present: false },
+            { id: 2, name: 'Bob', rating: 3, present: true, checkedInAt: '10:00' },
+            { id: 4, name: 'Dan', rating: 4, present: true }
+        ]);
+    });
+});
@@ -5,10 +5,21 @@ import AuthPage from './components/AuthPage';
 import MigrationPrompt from './components/MigrationPrompt';
 
 import ResetPassword from './components/ResetPassword';
+import PublicScoreboard from './components/PublicScoreboard';
+import CourtBoard from './components/CourtBoard';
+import CheckIn from './components/CheckIn';
+import { pendingCount } from './utils/outbox';
 
 function AppContent() {
   const { isAuthenticated, loading, user, logout } = useAuth();
 
+  // Logging out drops changes still waiting in the offline outbox — ask first
+  const confirmLogout = async () => {
+    const waiting = await pendingCount();
+    if (waiting > 0 && !window.confirm(`${waiting} change${waiting === 1 ? '' : 's'} made offline ${waiting === 1 ? 'has' : 'have'} not been saved yet. Log out anyway and discard ${waiting === 1 ? 'it' : 'them'}?`)) return;
+    logout();
+  };
+
   // Check if we are on the reset password route
   const path = window.location.pathname;
   if (path.startsWith('/reset-password/')) {
@@ -18,6 +29,30 @@ function AppContent() {
     }
   }
 
+  // Public live scoreboard shared by the organizer — no login
+  if (path.startsWith('/live/')) {
+    const token = path.split('/live/')[1];
+    if (token) {
+      return <PublicScoreboard token={token} />;
+    }
+  }
+
+  // Full-screen TV court board for the same share link
+  if (path.startsWith('/board/')) {
+    const token = path.split('/board/')[1];
+    if (token) {
+      return <CourtBoard token={token} />;
+    }
+  }
+
+  // Player self check-in from the session QR code
+  if (path.startsWith('/checkin/')) {
+    const token = path.split('/checkin/')[1];
+    if (token) {
+      return <CheckIn token={token} />;
+    }
+  }
+
   if (loading) {
     return (
       <div className="min-h-screen bg-black flex items-center justify-center">
@@ -45,7 +80,7 @@ function AppContent() {
           </span>
         </div>
         <button
-          onClick={logout}
+          onClick={confirmLogout}
           className="text-gray hover:text-lime text-sm transition-colors"
         >
           Logout
@@ -0,0 +1,96 @@
+import {
+    BYE,
+    createBracket,
+    getPlayableBracketMatches,
+    recordBracketResult,
+    buildBracketCourtMatch,
+} from './schedulers/bracketScheduler';
+
+const makeTeams = (n) => Array.from({ length: n }, (_, i) => ({
+    id: `t${i + 1}`,
+    player1: { id: `p${i * 2 + 1}`, name: `P${i * 2 + 1}`, rating: 4 - i * 0.1 },
+    player2: { id: `p${i * 2 + 2}`, name: `P${i * 2 + 2}`, rating: 4 - i * 0.1 },
+    gender: 'mixed',
+    avgRating: 4 - i * 0.1,
+}));
+
+// Play every ready match, always letting the better seed (entrant1) win unless told otherwise
+const playOut = (bracket, pickWinner = () => 1) => {
+    let b = bracket;
+    let guard = 0;
+    while (!b.complete && guard++ < 100) {
+        const ready = getPlayableBracketMatches(b);
+        if (ready.length === 0) break;
+        for (const m of ready) b = recordBracketResult(b, m.id, pickWinner(m, b));
+    }
+    return b;
+};
+
+describe('bracketScheduler', () => {
+    test('top seeds receive byes in a non-power-of-two field', () => {
+        const bracket = createBracket(makeTeams(6), { format: 'single_elimination' });
+        expect(bracket.size).toBe(8);
+        const byes = Object.values(bracket.matches).filter(m => m.status === 'bye');
+        expect(byes).toHaveLength(2);
+        expect(byes.map(m => m.winnerId).sort()).toEqual(['t1', 't2']);
+        // Seeds 1 and 2 are waiting in round 2; only the 3v6 and 4v5 matches are playable
+        expect(getPlayableBracketMatches(bracket)).toHaveLength(2);
+    });
+
+    test('manual seeding keeps the Team Builder order', () => {
+        const teams = makeTeams(4).reverse();
+        const bracket = createBracket(teams, { seeding: 'manual' });
+        expect(bracket.entrants[0].id).toBe('t4');
+        const rated = createBracket(teams, { seeding: 'rating' });
+        expect(rated.entrants[0].id).toBe('t1');
+    });
+
+    test('single elimination crowns the winner of the final', () => {
+        const bracket = playOut(createBracket(makeTeams(5)));
+        expect(bracket.complete).toBe(true);
+        expect(bracket.championId).toBe('t1');
+    });
+
+    test('double elimination drops losers and resets the grand final', () => {
+        let bracket = createBracket(makeTeams(4), { format: 'double_elimination' });
+        // Seed 1 loses its first match, then wins out through the losers bracket and GF twice
+        bracket = playOut(bracket, (m, b) => {
+            if (m.id === 'W1-1') return 2;
+            if (m.bracket === 'GF') return m.entrant1Id === 't1' ? 1 : 2;
+            return m.entrant1Id === 't1' ? 1 : m.entrant2Id === 't1' ? 2 : 1;
+        });
+        expect(bracket.matches.GF2.status).toBe('completed');
+        expect(bracket.championId).toBe('t1');
+    });
+
+    test('double elimination skips the reset when the winners champion wins', () => {
+        const bracket = playOut(createBracket(makeTeams(3), { format: 'double_elimination' }));
+        expect(bracket.championId).toBe('t1');
+        expect(bracket.matches.GF2.status).toBe('skipped');
+        expect(Object.values(bracket.matches).some(m => m.entrant1Id === BYE || m.entrant2Id === BYE)).toBe(true);
+    });
+
+    test('double elimination eliminates every other team after two losses', () => {
+        const bracket = playOut(createBracket(makeTeams(12), { format: 'double_elimination' }), () => 2);
+        expect(bracket.complete).toBe(true);
+        const losses = {};
+        Object.values(bracket.matches)
+            .filter(m => m.status === 'completed')
+            .forEach(m => { losses[m.loserId] = (losses[m.loserId] || 0) + 1; });
+        Object.entries(losses).forEach(([id, count]) => {
+            expect(count).toBeLessThanOrEqual(id === bracket.championId ? 1 : 2);
+        });
+        expect(Object.keys(losses)).toHaveLength(12);
+    });
+
+    test('builds a teamed doubles court match tagged with the bracket match id', () => {
+        const bracket = createBracket(makeTeams(2));
+        const [ready] = getPlayableBracketMatches(bracket);
+        const match = buildBracketCourtMatch(bracket, ready.id, 3, 'best_of_3');
+        expect(match.court).toBe(3);
+        expect(match.bracketMatchId).toBe(ready.id);
+        expect(match.team1Id).toBe('t1');
+        expect(match.gameFormat).toBe('teamed_doubles');
+        expect(match.matchFormat).toBe('best_of_3');
+    });
+});
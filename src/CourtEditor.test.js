@@ -0,0 +1,36 @@
+import { manualMatchWarnings, pairingCounts } from './utils/courtEditor';
+
+const [ann, bob, cat, dan] = ['Ann', 'Bob', 'Cat', 'Dan'].map((name, i) => ({ id: `p${i}`, name, rating: 3.5 }));
+
+describe('court editor warnings', () => {
+    const played = [[
+        { status: 'completed', gameFormat: 'doubles', team1: [ann, bob], team2: [cat, dan] },
+        { status: 'removed', gameFormat: 'doubles', team1: [ann, cat], team2: [bob, dan] }
+    ]];
+
+    test('counts partners and matchups, leaving removed matches out', () => {
+        const { partners, matchups } = pairingCounts(played);
+        expect(partners['p0|p1']).toBe(1);
+        expect(partners['p0|p2']).toBeUndefined();
+        expect(Object.values(matchups)).toEqual([1]);
+    });
+
+    test('warns about repeat partners, a repeat matchup and a rating gap', () => {
+        expect(manualMatchWarnings([[ann, cat], [bob, dan]], played)).toEqual([]);
+
+        const again = manualMatchWarnings([[bob, ann], [dan, cat]], played);
+        expect(again).toEqual([
+            'Bob and Ann have already partnered 1 time',
+            'Dan and Cat have already partnered 1 time',
+            'Bob & Ann have already played Dan & Cat 1 time'
+        ]);
+
+        const strong = { ...dan, rating: 5 };
+        expect(manualMatchWarnings([[ann, cat], [bob, strong]], played)[0]).toBe('Rating gap of 0.75 between the sides (3.50 vs 4.25)');
+    });
+
+    test('fixed teams are not warned about partnering again', () => {
+        const warnings = manualMatchWarnings([[ann, bob], [cat, dan]], played, { fixedPartners: true });
+        expect(warnings).toEqual(['Ann & Bob have already played Cat & Dan 1 time']);
+    });
+});
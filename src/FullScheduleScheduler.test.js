@@ -0,0 +1,50 @@
+import { generateFullSchedule, getScheduledWave } from './schedulers/fullScheduleScheduler';
+
+const makeTeams = (n) => Array.from({ length: n }, (_, i) => ({
+    id: `t${i + 1}`,
+    player1: { id: `p${i * 2 + 1}`, name: `P${i * 2 + 1}`, rating: 4 },
+    player2: { id: `p${i * 2 + 2}`, name: `P${i * 2 + 2}`, rating: 4 },
+    gender: 'mixed',
+    avgRating: 4,
+}));
+
+const pairsOf = (schedule) => schedule.waves.flatMap(w => w.matches.map(m => [m.team1Id, m.team2Id].sort().join('|')));
+
+describe('fullScheduleScheduler', () => {
+    test('every team meets every other team exactly once in N-1 rounds', () => {
+        const schedule = generateFullSchedule(makeTeams(8), 4);
+        const pairs = pairsOf(schedule);
+        expect(schedule.bergerRounds).toBe(7);
+        expect(pairs).toHaveLength(28);
+        expect(new Set(pairs).size).toBe(28);
+    });
+
+    test('odd team counts give each team exactly one bye', () => {
+        const schedule = generateFullSchedule(makeTeams(7), 4);
+        expect(schedule.bergerRounds).toBe(7);
+        expect(new Set(pairsOf(schedule)).size).toBe(21);
+        const byes = schedule.waves.filter(w => w.wave === 1).flatMap(w => w.byes);
+        expect(byes).toHaveLength(7);
+        expect(new Set(byes).size).toBe(7);
+    });
+
+    test('splits rounds into waves that fit the courts without double-booking', () => {
+        const schedule = generateFullSchedule(makeTeams(10), 2);
+        expect(schedule.waves).toHaveLength(9 * 3);
+        schedule.waves.forEach(w => {
+            expect(w.matches.length).toBeLessThanOrEqual(2);
+            const ids = w.matches.flatMap(m => [m.team1Id, m.team2Id]);
+            expect(new Set(ids).size).toBe(ids.length);
+        });
+    });
+
+    test('hands out fresh match copies and stops after the last wave', () => {
+        const schedule = generateFullSchedule(makeTeams(4), 2, { matchFormat: 'single_match' });
+        const wave = getScheduledWave(schedule, 0, 'best_of_3');
+        expect(wave).toHaveLength(2);
+        expect(wave[0].id).not.toBe(schedule.waves[0].matches[0].id);
+        expect(wave[0].matchFormat).toBe('best_of_3');
+        expect(wave[0].scheduleLabel).toBe('Rd 1');
+        expect(getScheduledWave(schedule, schedule.waves.length)).toBeNull();
+    });
+});
@@ -0,0 +1,55 @@
+import { generateKingOfCourtRound, generateKingOfCourtTeamedRound, getCourtPointsTable } from './schedulers/kingOfCourtScheduler';
+
+const makePlayers = (n) => Array.from({ length: n }, (_, i) => ({ id: `p${i + 1}`, name: `P${i + 1}`, rating: 3.5, gender: 'male' }));
+const makeTeams = (n) => Array.from({ length: n }, (_, i) => ({
+    id: `t${i + 1}`,
+    player1: { id: `p${i * 2 + 1}`, name: `P${i * 2 + 1}`, rating: 3.5 },
+    player2: { id: `p${i * 2 + 2}`, name: `P${i * 2 + 2}`, rating: 3.5 },
+    gender: 'male_male',
+    avgRating: 3.5,
+}));
+
+// Team 1 wins every court
+const completeAll = (round) => round.map(m => ({ ...m, status: 'completed', winner: 'team1', score1: 11, score2: 5 }));
+const idsOf = (team) => team.map(p => p.id).sort();
+
+describe('kingOfCourtScheduler', () => {
+    test('uses configured points per court and falls back to the default for blanks', () => {
+        expect(getCourtPointsTable(3)).toEqual([6, 4, 2]);
+        expect(getCourtPointsTable(3, [10, '', 1])).toEqual([10, 4, 1]);
+
+        const round = generateKingOfCourtRound(makePlayers(12), 3, {}, 0, [], false, { courtPoints: [10, 5, 1] });
+        expect(round.map(m => m.pointsForWin)).toEqual([10, 5, 1]);
+        expect(round[0].courtLevel).toBe('KING');
+    });
+
+    test('individual movement sends winners up, losers down and splits last round partners', () => {
+        const kotStats = {};
+        const round1 = completeAll(generateKingOfCourtRound(makePlayers(12), 3, kotStats, 0, [], false));
+        const round2 = generateKingOfCourtRound(makePlayers(12), 3, kotStats, 1, [round1], false);
+        const onCourt = (round, court) => round.find(m => m.court === court);
+
+        // Court 1 = court 1 winners + court 2 winners
+        expect([...onCourt(round2, 1).team1, ...onCourt(round2, 1).team2].map(p => p.id).sort())
+            .toEqual([...onCourt(round1, 1).team1, ...onCourt(round1, 2).team1].map(p => p.id).sort());
+        // Bottom court = court 2 losers + court 3 losers
+        expect([...onCourt(round2, 3).team1, ...onCourt(round2, 3).team2].map(p => p.id).sort())
+            .toEqual([...onCourt(round1, 2).team2, ...onCourt(round1, 3).team2].map(p => p.id).sort());
+
+        const lastPairs = new Set(round1.flatMap(m => [idsOf(m.team1).join('|'), idsOf(m.team2).join('|')]));
+        round2.forEach(m => {
+            expect(lastPairs.has(idsOf(m.team1).join('|'))).toBe(false);
+            expect(lastPairs.has(idsOf(m.team2).join('|'))).toBe(false);
+        });
+    });
+
+    test('fixed teams move up and down as a unit', () => {
+        const kotTeamStats = {};
+        const teams = makeTeams(6);
+        const round1 = completeAll(generateKingOfCourtTeamedRound(teams, 3, kotTeamStats, 0, [], false, { courtPoints: [9, 6, 3] }));
+        const round2 = generateKingOfCourtTeamedRound(teams, 3, kotTeamStats, 1, [round1], false, { courtPoints: [9, 6, 3] });
+        const king = round2.find(m => m.court === 1);
+        expect([king.team1Id, king.team2Id].sort()).toEqual([round1[0].team1Id, round1[1].team1Id].sort());
+        expect(king.pointsForWin).toBe(9);
+    });
+});
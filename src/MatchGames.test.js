@@ -0,0 +1,53 @@
+import { gamesOf, gamesText, matchOutcome, unfinishedReason, withGameScore } from './utils/matchGames';
+import { computeStandings } from './utils/standings';
+import { matchScoreProblem } from './utils/scoringRules';
+
+describe('match games', () => {
+    test('reads the games array, older best-of-3 fields and single games alike', () => {
+        expect(gamesOf({ matchFormat: 'single_match', score1: 11, score2: 7 })).toEqual([[11, 7]]);
+        expect(gamesOf({ matchFormat: 'best_of_3', game1Score1: 11, game1Score2: 4, game2Score1: '', game2Score2: '' }))
+            .toEqual([[11, 4], ['', ''], ['', '']]);
+        expect(gamesOf({ matchFormat: 'best_of_5', games: [[11, 9]] })).toHaveLength(5);
+
+        const m = withGameScore(withGameScore({ matchFormat: 'best_of_5' }, 3, 1, 11), 3, 2, 6);
+        expect(m.games[3]).toEqual([11, 6]);
+        expect(gamesText(m)).toBe('11-6');
+    });
+
+    test('best of 5 is decided by the third game won', () => {
+        const m = { matchFormat: 'best_of_5', games: [[11, 6], [8, 11], [11, 9], ['', ''], ['', '']] };
+        expect(matchOutcome(m)).toMatchObject({ decided: false, gamesWon: [2, 1] });
+        expect(unfinishedReason(m)).toMatch(/needs 3 game wins/);
+
+        m.games[3] = [11, 2];
+        expect(matchOutcome(m)).toMatchObject({ decided: true, winner: 1, draw: false, points: [41, 28] });
+        expect(unfinishedReason(m)).toBeNull();
+    });
+
+    test('play-every-game formats count both games and can end level', () => {
+        const split = { matchFormat: 'two_games', games: [[11, 5], [9, 11]] };
+        expect(matchOutcome(split)).toMatchObject({ decided: true, winner: null, draw: true });
+        expect(matchOutcome({ ...split, games: [[11, 5], ['', '']] }).decided).toBe(false);
+
+        // Total points: 20–16 over the two games, even though the games were split
+        expect(matchOutcome({ ...split, matchFormat: 'total_points' })).toMatchObject({ winner: 1, points: [20, 16] });
+        expect(matchOutcome({ matchFormat: 'total_points', games: [[11, 7], [7, 11]] }).draw).toBe(true);
+    });
+
+    test('checks every game against the scoring rules', () => {
+        const m = { matchFormat: 'best_of_5', games: [[11, 6], [11, 9], [6, 4], ['', ''], ['', '']] };
+        expect(matchScoreProblem(m, {})).toMatch(/^Game 3/);
+    });
+
+    test('standings record draws as half a win', () => {
+        const ann = { id: 'a', name: 'Ann' };
+        const bob = { id: 'b', name: 'Bob' };
+        const draw = {
+            status: 'completed', winner: null, draw: true, gameFormat: 'singles', matchFormat: 'two_games',
+            player1: ann, player2: bob, games: [[11, 5], [9, 11]],
+        };
+        const [first, second] = computeStandings([[draw]], [ann, bob]);
+        expect(first).toMatchObject({ played: 1, wins: 0, losses: 0, draws: 1, winPct: 0.5, gamesWon: 1, gamesLost: 1 });
+        expect([first.label, first.pointsFor, second.pointsFor]).toEqual(['Ann', 20, 16]);
+    });
+});
@@ -0,0 +1,39 @@
+import { buildMatchHistoryPayload } from './utils/matchHistory';
+
+const player = (id) => ({ id, name: `Player ${id}`, rating: 3.5 });
+
+describe('match history payload', () => {
+    test('records completed doubles matches with both sides and database ids only', () => {
+        const done = {
+            id: 'm1', court: 2, gameFormat: 'doubles', matchFormat: 'single_match',
+            team1: [player(1), player('local-x')], team2: [player(3), player(4)],
+            score1: 11, score2: 7, status: 'completed', winner: 'team1', endTime: '2026-01-01T10:00:00.000Z',
+        };
+        const pending = { ...done, id: 'm2', status: 'pending', winner: null };
+        const payload = buildMatchHistoryPayload([[done], [pending]], { tournamentName: 'Tuesday', tournamentType: 'round_robin' });
+
+        // Not saved to the cloud yet: grouped under the first match's id
+        expect(payload).toMatchObject({ session_uid: 'm1', tournament_name: 'Tuesday', tournament_type: 'round_robin' });
+        expect(payload.matches).toHaveLength(1);
+        // Grouped under the cloud session's id once the session has one
+        expect(buildMatchHistoryPayload([[done]], { sessionId: 42 }).session_uid).toBe('42');
+        expect(payload.matches[0]).toMatchObject({ match_uid: 'm1', round_number: 1, court: 2, score1: 11, score2: 7, winner: 1, games: [[11, 7]] });
+        expect(payload.matches[0].players).toEqual([
+            { player_id: 1, player_name: 'Player 1', side: 1 },
+            { player_id: null, player_name: 'Player local-x', side: 1 },
+            { player_id: 3, player_name: 'Player 3', side: 2 },
+            { player_id: 4, player_name: 'Player 4', side: 2 },
+        ]);
+    });
+
+    test('keeps the games of a best-of-3 singles match and totals its points', () => {
+        const match = {
+            id: 'b1', court: 1, gameFormat: 'singles', matchFormat: 'best_of_3',
+            player1: player(1), player2: player(2),
+            game1Score1: 11, game1Score2: 8, game2Score1: 6, game2Score2: 11, game3Score1: '', game3Score2: '',
+            status: 'completed', winner: 'team2',
+        };
+        const [recorded] = buildMatchHistoryPayload([[], [match]]).matches;
+        expect(recorded).toMatchObject({ round_number: 2, games: [[11, 8], [6, 11]], score1: 17, score2: 19, winner: 2, played_at: null });
+    });
+});
@@ -0,0 +1,68 @@
+import { clearOutbox, enqueue, onRequestSynced, pendingCount, replayOutbox } from './utils/outbox';
+
+// jsdom has no IndexedDB, so this runs against the in-memory queue
+describe('offline outbox', () => {
+    const ok = { ok: true, status: 200 };
+
+    beforeEach(async () => {
+        global.fetch = jest.fn().mockResolvedValue(ok);
+        await replayOutbox({ sendSession: async () => true });
+        global.fetch.mockClear();
+    });
+
+    test('keeps only the newest save of a session', async () => {
+        await enqueue({ key: 'session:1', kind: 'session', sessionId: '1', snapshot: { currentRound: 1 } });
+        await enqueue({ key: 'session:2', kind: 'session', sessionId: '2', snapshot: { currentRound: 1 } });
+        await enqueue({ key: 'session:1', kind: 'session', sessionId: '1', snapshot: { currentRound: 2 } });
+        expect(await pendingCount()).toBe(2);
+
+        const sent = [];
+        await replayOutbox({ sendSession: async (entry) => sent.push([entry.sessionId, entry.snapshot.currentRound]) > 0 });
+        expect(sent).toEqual([['2', 1], ['1', 2]]);
+        expect(await pendingCount()).toBe(0);
+    });
+
+    test('replays in order with the current token and stops at the first failure', async () => {
+        await enqueue({ kind: 'request', url: '/api/players', method: 'POST', headers: { Authorization: 'Bearer old' }, body: '{"player_name":"Ann"}' });
+        await enqueue({ key: 'session:1', kind: 'session', sessionId: '1', snapshot: {} });
+        await enqueue({ kind: 'request', url: '/api/players/7', method: 'DELETE', headers: {} });
+
+        const sendSession = jest.fn().mockResolvedValue(false);
+        expect(await replayOutbox({ sendSession, token: 'new' })).toBe(false);
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+        expect(global.fetch.mock.calls[0][1].headers.Authorization).toBe('Bearer new');
+        expect(await pendingCount()).toBe(2);
+
+        // Back online: the rest goes out; a rejected change is dropped rather than retried
+        global.fetch.mockResolvedValueOnce({ ok: false, status: 404 });
+        sendSession.mockResolvedValue(true);
+        expect(await replayOutbox({ sendSession, token: 'new' })).toBe(true);
+        expect(global.fetch.mock.calls[1][0]).toBe('/api/players/7');
+        expect(await pendingCount()).toBe(0);
+    });
+
+    test('reports the response of a keyed request once it goes through', async () => {
+        const synced = jest.fn();
+        const unsubscribe = onRequestSynced(synced);
+        global.fetch.mockResolvedValueOnce({ ok: true, status: 201, json: async () => ({ player: { id: 12 } }) });
+        await enqueue({ kind: 'request', key: 'player:local-1', url: '/api/players', method: 'POST', headers: {}, body: '{}' });
+        await enqueue({ kind: 'request', url: '/api/players/7', method: 'DELETE', headers: {} });
+        await replayOutbox({ sendSession: async () => true });
+        unsubscribe();
+        expect(synced.mock.calls).toEqual([['player:local-1', { player: { id: 12 } }]]);
+    });
+
+    test('logout empties the queue', async () => {
+        await enqueue({ key: 'session:1', kind: 'session', sessionId: '1', snapshot: {} });
+        await enqueue({ kind: 'request', url: '/api/players', method: 'POST', headers: {}, body: '{}' });
+        await clearOutbox();
+        expect(await pendingCount()).toBe(0);
+    });
+
+    test('keeps a request queued while the network is down', async () => {
+        global.fetch.mockRejectedValueOnce(new TypeError('Failed to fetch'));
+        await enqueue({ kind: 'request', url: '/api/players', method: 'POST', headers: {}, body: '{}' });
+        expect(await replayOutbox({ sendSession: async () => true })).toBe(false);
+        expect(await pendingCount()).toBe(1);
+    });
+});
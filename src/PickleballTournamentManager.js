@@ -3,17 +3,58 @@ import { createPortal } from 'react-dom';
 import InstallPrompt from './InstallPrompt';
 import ScoreModal from './components/ScoreModal';
 import DebugPanel, { useDebugLog } from './components/DebugPanel';
+import BracketView from './components/BracketView';
+import PoolStandings from './components/PoolStandings';
+import SwissStandings from './components/SwissStandings';
+import StandingsTable from './components/StandingsTable';
+import RatingChanges from './components/RatingChanges';
+import PlayerProfile from './components/PlayerProfile';
+import SessionArchive from './components/SessionArchive';
+import SessionSwitcher from './components/SessionSwitcher';
+import SyncIndicator from './components/SyncIndicator';
+import SessionConflictDialog from './components/SessionConflictDialog';
+import CheckInQRCode from './components/CheckInQRCode';
+import ScoreDisputes from './components/ScoreDisputes';
+import RoundClock from './components/RoundClock';
+import CourtTimer from './components/CourtTimer';
+import ActionHistory from './components/ActionHistory';
+import CourtEditor from './components/CourtEditor';
+import { computeStandings, DEFAULT_TIEBREAK_ORDER } from './utils/standings';
+import { rateRounds, internalRatingOf } from './utils/ratings';
+import { buildMatchHistoryPayload } from './utils/matchHistory';
+import { derivePlayerStats, deriveTeamStats, nextUpQueue } from './utils/scoreboard';
+import { parseWarnings, timeCapWinner } from './utils/roundClock';
+import { DEFAULT_SCORING_RULES, GAME_TO_OPTIONS, describeScoringRules, matchScoreProblem, scoringRulesOf } from './utils/scoringRules';
+import { EMPTY_HISTORY, recordAction, redoAction, undoAction, withPresenceFrom } from './utils/actionHistory';
+import { MATCH_FORMATS, allowsDraws, entered, gamesOf, gamesText, matchOutcome, matchPoints, playedGames, unfinishedReason, withGameScore } from './utils/matchGames';
+import FullScheduleGrid from './components/FullScheduleGrid';
+import PartnerCoverage from './components/PartnerCoverage';
+import KingOfCourtLadder from './components/KingOfCourtLadder';
 import { useAuth } from './contexts/AuthContext';
 import { useAPI } from './hooks/useAPI';
 import { useSessionSync } from './hooks/useSessionSync';
+import { discard, onRequestSynced } from './utils/outbox';
+import { isDatabaseId, renamePlayerId } from './utils/playerIds';
 import { generateSinglesRound } from './schedulers/singlesScheduler';
 import { generateRoundRobinRound, selectBestGroupOfFour, findBestTeamSplit } from './schedulers/doublesScheduler';
 import { generateTeamedDoublesRound } from './schedulers/teamedDoublesScheduler';
+import { generateFullSchedule, getScheduledWave } from './schedulers/fullScheduleScheduler';
+import { generateRotatingPartnerSchedule, getPartnerCoverage, supportsRotatingPartners } from './schedulers/rotatingPartnerScheduler';
+import { generateRiverRound } from './schedulers/riverScheduler';
+import { pairSwissRound, takeSwissWave, isSwissRoundComplete, getSwissStandings } from './schedulers/swissScheduler';
 import {
   generateKingOfCourtRound, initializeKingOfCourtStats, updateKOTStats,
-  generateKingOfCourtTeamedRound, initializeKingOfCourtTeamStats, updateKOTTeamStats,
+  generateKingOfCourtTeamedRound, initializeKingOfCourtTeamStats, updateKOTTeamStats, getCourtPointsTable,
   generateBalancedKOTTeams
 } from './schedulers/kingOfCourtScheduler';
+import {
+  createBracket, getPlayableBracketMatches, markBracketMatchScheduled, unscheduleBracketMatch,
+  recordBracketResult, buildBracketCourtMatch
+} from './schedulers/bracketScheduler';
+import {
+  createPoolPlay, getNextPoolMatches, markPoolMatchScheduled, unschedulePoolMatch,
+  buildPoolCourtMatch, getPoolStandings, isPoolPlayComplete, getPoolQualifiers
+} from './schedulers/poolPlayScheduler';
 
 // Version 3.2 - King of Court implementation + Round Robin
 
@@ -36,10 +77,12 @@ const Field = ({ label, children, hint }) => (
 );
 
 /* =====================  HELPERS  ===================== */
-const ENABLE_KOT_V2 = false; // Set to true to enable King of Court (V2 feature)
 const uid = () => `${Date.now()}-${Math.random().toString(16).slice(2)}`;
 const avg = (t) => (t[0].rating + t[1].rating) / 2;
 
+/* ---- Short score text for a completed match, e.g. "11-7" or "11-7, 9-11, 11-5" ---- */
+const matchScoreText = (m) => gamesText(m);
+
 /* ---- Build export payload ---- */
 const buildResults = (players, rounds, meta, kotStats = null) => {
   const matches = [];
@@ -48,12 +91,11 @@ const buildResults = (players, rounds, meta, kotStats = null) => {
       // Only export completed matches — skip pending and removed
       if (m.status !== 'completed') return;
 
-      // For best-of-3, sum game scores into score1/score2 if not already set
+      // For multi-game formats, sum game scores into score1/score2 if not already set
       let rawScore1 = m.score1;
       let rawScore2 = m.score2;
-      if (m.matchFormat === 'best_of_3' && (rawScore1 === '' || rawScore1 == null) && (rawScore2 === '' || rawScore2 == null)) {
-        rawScore1 = (Number(m.game1Score1) || 0) + (Number(m.game2Score1) || 0) + (Number(m.game3Score1) || 0);
-        rawScore2 = (Number(m.game1Score2) || 0) + (Number(m.game2Score2) || 0) + (Number(m.game3Score2) || 0);
+      if (gamesOf(m).length > 1 && (rawScore1 === '' || rawScore1 == null) && (rawScore2 === '' || rawScore2 == null)) {
+        [rawScore1, rawScore2] = matchPoints(m);
       }
 
       const s1 = typeof rawScore1 === 'number' || (typeof rawScore1 === 'string' && rawScore1.trim() !== '') ? Number(rawScore1) : null;
@@ -71,11 +113,13 @@ const buildResults = (players, rounds, meta, kotStats = null) => {
         team2Data = m.team2?.map((p) => ({ id: p.id, name: p.name, rating: p.rating })) || [];
       }
 
-      // For best of 3, use the match winner directly
+      // For multi-game formats, use the match winner directly
       let winner = null;
       if (m.status === 'completed') {
         if (m.winner) {
           winner = m.winner; // Use pre-calculated winner
+        } else if (m.draw) {
+          winner = 'draw';
         } else {
           // Fallback for single match format
           winner = s1 > s2 ? 'team1' : 'team2';
@@ -91,20 +135,16 @@ const buildResults = (players, rounds, meta, kotStats = null) => {
         team2: team2Data,
         score1: s1,
         score2: s2,
-        // Include individual game scores for best of 3
-        game1Score1: m.game1Score1 ?? '',
-        game1Score2: m.game1Score2 ?? '',
-        game2Score1: m.game2Score1 ?? '',
-        game2Score2: m.game2Score2 ?? '',
-        game3Score1: m.game3Score1 ?? '',
-        game3Score2: m.game3Score2 ?? '',
+        // Every game entered, as [score1, score2] pairs — one pair for a single game
+        games: playedGames(m),
         matchFormat: m.matchFormat || 'single_match',
         status: m.status,
         winner: winner,
         pointsAwarded: m.pointsAwarded || null,
         startTime: m.startTime || '',
         endTime: m.endTime || '',
-        durationMinutes: m.durationMinutes || ''
+        durationMinutes: m.durationMinutes || '',
+        timeCapped: !!m.timeCapped
       });
     })
   );
@@ -119,34 +159,21 @@ const buildResults = (players, rounds, meta, kotStats = null) => {
 
 /* ---- CSV + download ---- */
 const toCSV = (results) => {
+  // A pair of columns per game, for the longest match format exported (at least 3)
+  const gameCount = Math.max(3, ...results.matches.map((m) => MATCH_FORMATS[m.matchFormat]?.games || 1));
   const header = [
     'round', 'court', 'court_level', 'game_format',
     't1_p1', 't1_p1_rating', 't1_p2', 't1_p2_rating',
     't2_p1', 't2_p1_rating', 't2_p2', 't2_p2_rating',
     'match_format', 'score1', 'score2', 'games_won_t1', 'games_won_t2',
-    'game1_t1', 'game1_t2', 'game2_t1', 'game2_t2', 'game3_t1', 'game3_t2',
-    'winner', 'points_awarded', 'start_time', 'end_time', 'duration_minutes'
+    ...Array.from({ length: gameCount }, (_, g) => [`game${g + 1}_t1`, `game${g + 1}_t2`]).flat(),
+    'winner', 'points_awarded', 'start_time', 'end_time', 'duration_minutes', 'time_capped', 'scoring'
   ];
   const rows = results.matches.map((m) => {
-    // Calculate games won for best of 3
-    let gamesWonT1 = 0;
-    let gamesWonT2 = 0;
-    if (m.matchFormat === 'best_of_3') {
-      const g1s1 = Number(m.game1Score1) || 0;
-      const g1s2 = Number(m.game1Score2) || 0;
-      if (g1s1 > g1s2) gamesWonT1++;
-      else if (g1s2 > g1s1) gamesWonT2++;
-
-      const g2s1 = Number(m.game2Score1) || 0;
-      const g2s2 = Number(m.game2Score2) || 0;
-      if (g2s1 > g2s2) gamesWonT1++;
-      else if (g2s2 > g2s1) gamesWonT2++;
-
-      const g3s1 = Number(m.game3Score1) || 0;
-      const g3s2 = Number(m.game3Score2) || 0;
-      if (g3s1 > g3s2) gamesWonT1++;
-      else if (g3s2 > g3s1) gamesWonT2++;
-    }
+    // Game columns and games won only for multi-game formats
+    const games = (MATCH_FORMATS[m.matchFormat]?.games || 1) > 1 ? m.games || [] : [];
+    const gamesWonT1 = games.filter(([a, b]) => a > b).length;
+    const gamesWonT2 = games.filter(([a, b]) => b > a).length;
 
     return [
       m.round, m.court, m.courtLevel || '', m.gameFormat || '',
@@ -161,12 +188,12 @@ const toCSV = (results) => {
       m.matchFormat || 'single_match',
       m.score1 ?? '', m.score2 ?? '',
       gamesWonT1, gamesWonT2,
-      m.game1Score1 ?? '', m.game1Score2 ?? '',
-      m.game2Score1 ?? '', m.game2Score2 ?? '',
-      m.game3Score1 ?? '', m.game3Score2 ?? '',
+      ...Array.from({ length: gameCount }, (_, g) => games[g] || ['', '']).flat(),
       m.winner || '',
       m.pointsAwarded || '',
-      m.startTime || '', m.endTime || '', m.durationMinutes || ''
+      m.startTime || '', m.endTime || '', m.durationMinutes || '',
+      m.timeCapped ? 'yes' : '',
+      results.meta?.scoring || ''
     ].map((v) => `"${String(v).replace(/"/g, '""')}"`).join(',');
   });
   return [header.join(','), ...rows].join('\n');
@@ -377,7 +404,28 @@ const canPlayTogether = (player1, player2) => {
 const PickleballTournamentManager = () => {
   const { user } = useAuth();
   const api = useAPI();
-  const { loadSession, saveSession, clearSession } = useSessionSync();
+  const {
+    sessionId, setSessionId, listSessions, loadSession, createSession, saveSession, flushSession, endSession, clearSession,
+    shareSession, checkInLink, conflict, resolveConflict, syncStatus
+  } = useSessionSync({
+    // Another device saved this session (live channel, or a merge after a stale save)
+    // (undo history is dropped — stepping back would overwrite the other device's changes)
+    onRemoteChange: (snap) => {
+      applyLiveSnapshot(snap);
+      setHistory(EMPTY_HISTORY);
+    },
+    onRemoteEnd: () => {
+      isClearingSession.current = true;
+      resetSessionState();
+      setTournamentName('');
+      setTab('setup');
+      localStorage.removeItem('pb_session');
+      refreshSessions();
+      setTimeout(() => { isClearingSession.current = false; }, 500);
+      alert('This session was ended on another device.');
+    }
+  });
+  const [openSessions, setOpenSessions] = useState([]); // Other sessions open on this account (header switcher)
   const isClearingSession = useRef(false); // prevents autosave race during End & Clear
   const sessionRestoredRef = useRef(false); // prevents autosave from firing before restore
   const [players, setPlayers] = useState([]);
@@ -389,13 +437,26 @@ const PickleballTournamentManager = () => {
   const [courts, setCourts] = useState(4);
   const [sessionMinutes, setSessionMinutes] = useState(120);
   const [minutesPerRound, setMinutesPerRound] = useState(20);
+  const [clockWarnings, setClockWarnings] = useState('5, 2'); // Minutes left at which the round clock warns
+  const [autoEndRounds, setAutoEndRounds] = useState(false); // End timed rounds with time-capped scores
+  const [roundStartedAt, setRoundStartedAt] = useState(null); // When the current round went on court (round clock)
 
   const [tournamentType, setTournamentType] = useState('round_robin');
   const [gameFormat, setGameFormat] = useState('doubles'); // doubles, teamed_doubles, singles
-  const [matchFormat, setMatchFormat] = useState('single_match'); // single_match, best_of_3
+  const [matchFormat, setMatchFormat] = useState('single_match'); // a MATCH_FORMATS key (utils/matchGames.js)
+  const [scoringRules, setScoringRules] = useState(DEFAULT_SCORING_RULES); // Checked on every score entered (see utils/scoringRules.js)
+  const [scheduleMode, setScheduleMode] = useState('rolling'); // rolling (one round at a time), full (Berger, all rounds up front) or swiss
+  const [fullSchedule, setFullSchedule] = useState(null); // Pre-generated round robin (see fullScheduleScheduler.js)
+  const [swiss, setSwiss] = useState(null); // Current Swiss round pairings + byes (see swissScheduler.js)
   const [teams, setTeams] = useState([]); // For teamed doubles: [{id, player1, player2, gender}]
   const [teamBuilderSelected, setTeamBuilderSelected] = useState(null); // player id pending pair in Team Builder
   const [kotAutoTeams, setKotAutoTeams] = useState([]); // For King of Court auto-generated fixed teams
+  const [kotVariant, setKotVariant] = useState('individual'); // individual (partners split as players move) or fixed_teams
+  const [kotCourtPoints, setKotCourtPoints] = useState([]); // Points per win by court level, King first; blank = default
+  const [tiebreakOrder, setTiebreakOrder] = useState(DEFAULT_TIEBREAK_ORDER); // Standings ranking criteria, most important first
+  const [balanceRating, setBalanceRating] = useState('dupr'); // 'dupr' (entered) or 'internal' (learned from results, see utils/ratings.js)
+  const [ratedMatchIds, setRatedMatchIds] = useState([]); // Matches of this session already applied to internal ratings
+  const [approveWalkIns, setApproveWalkIns] = useState(true); // Guests who check in from the QR code wait for the organizer
   const [separateBySkill, setSeparateBySkill] = useState(true);
   const [preferMixedDoubles, setPreferMixedDoubles] = useState(true);  // Gender-aware pairing for doubles
   const [femaleRestInterval, setFemaleRestInterval] = useState(2);     // Rest after N consecutive rounds
@@ -407,6 +468,12 @@ const PickleballTournamentManager = () => {
   const [kotTeamStats, setKotTeamStats] = useState({}); // For King of Court with teams
   const [teamStats, setTeamStats] = useState({}); // For teamed doubles
   const [courtStates, setCourtStates] = useState([]); // Court flow management: [{courtNumber, status, currentMatch}]
+  const [bracket, setBracket] = useState(null); // Elimination bracket state (see bracketScheduler.js)
+  const [bracketFormat, setBracketFormat] = useState('single_elimination'); // single_elimination, double_elimination
+  const [bracketSeeding, setBracketSeeding] = useState('rating'); // rating (avgRating) or manual (Team Builder order)
+  const [poolPlay, setPoolPlay] = useState(null); // Pool stage state for pool_play (see poolPlayScheduler.js)
+  const [numPools, setNumPools] = useState(2);
+  const [advancePerPool, setAdvancePerPool] = useState(2); // Top K per pool seeded into the playoff bracket
 
   const [tab, setTab] = useState('setup');
   const [endOpen, setEndOpen] = useState(false);
@@ -414,6 +481,8 @@ const PickleballTournamentManager = () => {
   const [locked, setLocked] = useState(false);
   const [tournamentName, setTournamentName] = useState('');
   const [scoreSheet, setScoreSheet] = useState(null); // { courtNumber } | null
+  const [courtEditorOpen, setCourtEditorOpen] = useState(false); // Hand-built matches on the Courts view
+  const [history, setHistory] = useState(EMPTY_HISTORY); // Undo/redo log of this device's actions (utils/actionHistory.js)
   // Schedule sub-tab: 'courts' | 'rounds'
   const [scheduleView, setScheduleView] = useState('rounds');
   // Help sheet
@@ -421,44 +490,104 @@ const PickleballTournamentManager = () => {
 
   const [debugLog, addDebug] = useDebugLog();
 
+  // Settings saved in a snapshot's `meta` (restore, and duplicating an archived session)
+  const applySessionMeta = (meta) => {
+    if (meta.courts) setCourts(meta.courts);
+    if (meta.sessionMinutes) setSessionMinutes(meta.sessionMinutes);
+    if (typeof meta.minutesPerRound === 'number') setMinutesPerRound(meta.minutesPerRound);
+    if (typeof meta.clockWarnings === 'string') setClockWarnings(meta.clockWarnings);
+    if (typeof meta.autoEndRounds === 'boolean') setAutoEndRounds(meta.autoEndRounds);
+    if (meta.tournamentType) setTournamentType(meta.tournamentType);
+    if (meta.gameFormat) setGameFormat(meta.gameFormat);
+    if (meta.matchFormat) setMatchFormat(meta.matchFormat);
+    if (meta.scoringRules) setScoringRules(scoringRulesOf(meta.scoringRules));
+    if (meta.scheduleMode) setScheduleMode(meta.scheduleMode);
+    if (typeof meta.separateBySkill === 'boolean') setSeparateBySkill(meta.separateBySkill);
+    if (meta.bracketFormat) setBracketFormat(meta.bracketFormat);
+    if (meta.bracketSeeding) setBracketSeeding(meta.bracketSeeding);
+    if (meta.numPools) setNumPools(meta.numPools);
+    if (meta.advancePerPool) setAdvancePerPool(meta.advancePerPool);
+    if (meta.kotVariant) setKotVariant(meta.kotVariant);
+    if (Array.isArray(meta.kotCourtPoints)) setKotCourtPoints(meta.kotCourtPoints);
+    if (Array.isArray(meta.tiebreakOrder) && meta.tiebreakOrder.length) setTiebreakOrder(meta.tiebreakOrder);
+    if (meta.balanceRating) setBalanceRating(meta.balanceRating);
+    if (typeof meta.approveWalkIns === 'boolean') setApproveWalkIns(meta.approveWalkIns);
+  };
+
+  // Apply a session saved in the cloud (restore on mount, switching sessions)
+  const restoreSnapshot = (snap) => {
+    // Always restore players, config, and tournament name if present
+    if (snap.players?.length) setPlayers(snap.players);
+    if (snap.tournamentName) setTournamentName(snap.tournamentName);
+    if (snap.teams?.length) setTeams(snap.teams);
+    if (snap.fullSchedule) setFullSchedule(snap.fullSchedule);
+    if (snap.swiss) setSwiss(snap.swiss);
+    if (Array.isArray(snap.ratedMatchIds)) setRatedMatchIds(snap.ratedMatchIds);
+    if (snap.meta) applySessionMeta(snap.meta);
+    // Restore round-specific state only when there are actual rounds
+    if (snap.rounds?.length) {
+      setRounds(snap.rounds);
+      if (snap.playerStats) setPlayerStats(snap.playerStats);
+      if (snap.kotStats) setKotStats(snap.kotStats);
+      if (snap.kotTeamStats) setKotTeamStats(snap.kotTeamStats);
+      if (snap.kotAutoTeams) setKotAutoTeams(snap.kotAutoTeams);
+      if (snap.teamStats) setTeamStats(snap.teamStats);
+      if (snap.bracket) setBracket(snap.bracket);
+      if (snap.poolPlay) setPoolPlay(snap.poolPlay);
+      if (typeof snap.currentRound === 'number') setCurrentRound(snap.currentRound);
+      if (snap.roundStartedAt) setRoundStartedAt(snap.roundStartedAt);
+      if (snap.locked) setLocked(snap.locked);
+      // Only restore actively-playing courts
+      if (snap.courtStates) {
+        const activeCourts = snap.courtStates.filter(c => c.status === 'playing' && c.currentMatch);
+        if (activeCourts.length > 0) setCourtStates(snap.courtStates);
+      }
+      setTab('schedule');
+      console.log('[Session] Restored session from cloud:', snap.rounds.length, 'rounds');
+    } else {
+      console.log('[Session] Restored players/config from cloud (no rounds yet)');
+    }
+  };
+
+  // Apply a save from another device as-is — unlike a restore, cleared rounds and freed courts come across too
+  const applyLiveSnapshot = (snap) => {
+    setPlayers(snap.players || []);
+    setTeams(snap.teams || []);
+    setKotAutoTeams(snap.kotAutoTeams || []);
+    setRounds(snap.rounds || []);
+    setPlayerStats(snap.playerStats || {});
+    setTeamStats(snap.teamStats || {});
+    setKotStats(snap.kotStats || {});
+    setKotTeamStats(snap.kotTeamStats || {});
+    setBracket(snap.bracket || null);
+    setPoolPlay(snap.poolPlay || null);
+    setFullSchedule(snap.fullSchedule || null);
+    setSwiss(snap.swiss || null);
+    setRatedMatchIds(snap.ratedMatchIds || []);
+    setCurrentRound(snap.currentRound || 0);
+    setRoundStartedAt(snap.roundStartedAt || null);
+    setLocked(!!snap.locked);
+    if (snap.courtStates?.length) setCourtStates(snap.courtStates);
+    if (snap.tournamentName) setTournamentName(snap.tournamentName);
+    if (snap.meta) applySessionMeta(snap.meta);
+    console.log('[Session] Applied live update:', snap.revision);
+  };
+
+  const refreshSessions = async () => setOpenSessions(await listSessions());
+
   // Restore session on mount — backend first, localStorage as fallback
   useEffect(() => {
     const restoreSession = async () => {
 
-      // 1. Try backend first (cloud session — survives refresh & works across devices)
-      const cloudSnap = await loadSession();
+      // 1. Try backend first (cloud session — survives refresh & works across devices):
+      //    this device's session if it is still open, otherwise the most recently saved one
+      const open = await listSessions();
+      setOpenSessions(open);
+      let cloudSnap = await loadSession();
+      if (!cloudSnap && open.length > 0) cloudSnap = await loadSession(open[0].id);
+      if (cloudSnap) setSessionId(cloudSnap.id);
       if (cloudSnap && (cloudSnap.players?.length || cloudSnap.rounds?.length)) {
-        // Always restore players, config, and tournament name if present
-        if (cloudSnap.players?.length) setPlayers(cloudSnap.players);
-        if (cloudSnap.tournamentName) setTournamentName(cloudSnap.tournamentName);
-        if (cloudSnap.teams?.length) setTeams(cloudSnap.teams);
-        if (cloudSnap.meta) {
-          if (cloudSnap.meta.courts) setCourts(cloudSnap.meta.courts);
-          if (cloudSnap.meta.sessionMinutes) setSessionMinutes(cloudSnap.meta.sessionMinutes);
-          if (cloudSnap.meta.minutesPerRound) setMinutesPerRound(cloudSnap.meta.minutesPerRound);
-          if (cloudSnap.meta.tournamentType) setTournamentType(cloudSnap.meta.tournamentType);
-          if (cloudSnap.meta.gameFormat) setGameFormat(cloudSnap.meta.gameFormat);
-          if (cloudSnap.meta.matchFormat) setMatchFormat(cloudSnap.meta.matchFormat);
-          if (typeof cloudSnap.meta.separateBySkill === 'boolean') setSeparateBySkill(cloudSnap.meta.separateBySkill);
-        }
-        // Restore round-specific state only when there are actual rounds
-        if (cloudSnap.rounds?.length) {
-          setRounds(cloudSnap.rounds);
-          if (cloudSnap.playerStats) setPlayerStats(cloudSnap.playerStats);
-          if (cloudSnap.kotStats) setKotStats(cloudSnap.kotStats);
-          if (cloudSnap.teamStats) setTeamStats(cloudSnap.teamStats);
-          if (typeof cloudSnap.currentRound === 'number') setCurrentRound(cloudSnap.currentRound);
-          if (cloudSnap.locked) setLocked(cloudSnap.locked);
-          // Only restore actively-playing courts
-          if (cloudSnap.courtStates) {
-            const activeCourts = cloudSnap.courtStates.filter(c => c.status === 'playing' && c.currentMatch);
-            if (activeCourts.length > 0) setCourtStates(cloudSnap.courtStates);
-          }
-          setTab('schedule');
-          console.log('[Session] Restored session from cloud:', cloudSnap.rounds.length, 'rounds');
-        } else {
-          console.log('[Session] Restored players/config from cloud (no rounds yet)');
-        }
+        restoreSnapshot(cloudSnap);
         return; // Cloud wins — skip localStorage
       }
 
@@ -472,22 +601,22 @@ const PickleballTournamentManager = () => {
           if (snap.players?.length) setPlayers(snap.players);
           if (snap.tournamentName) setTournamentName(snap.tournamentName);
           if (snap.teams?.length) setTeams(snap.teams);
-          if (snap.meta) {
-            if (snap.meta.courts) setCourts(snap.meta.courts);
-            if (snap.meta.sessionMinutes) setSessionMinutes(snap.meta.sessionMinutes);
-            if (snap.meta.minutesPerRound) setMinutesPerRound(snap.meta.minutesPerRound);
-            if (snap.meta.tournamentType) setTournamentType(snap.meta.tournamentType);
-            if (snap.meta.gameFormat) setGameFormat(snap.meta.gameFormat);
-            if (snap.meta.matchFormat) setMatchFormat(snap.meta.matchFormat);
-            if (typeof snap.meta.separateBySkill === 'boolean') setSeparateBySkill(snap.meta.separateBySkill);
-          }
+          if (snap.fullSchedule) setFullSchedule(snap.fullSchedule);
+          if (snap.swiss) setSwiss(snap.swiss);
+          if (Array.isArray(snap.ratedMatchIds)) setRatedMatchIds(snap.ratedMatchIds);
+          if (snap.meta) applySessionMeta(snap.meta);
           // Restore round state only when rounds exist
           if (snap.rounds?.length) {
             setRounds(snap.rounds);
             if (snap.playerStats) setPlayerStats(snap.playerStats);
             if (snap.kotStats) setKotStats(snap.kotStats);
+            if (snap.kotTeamStats) setKotTeamStats(snap.kotTeamStats);
+            if (snap.kotAutoTeams) setKotAutoTeams(snap.kotAutoTeams);
             if (snap.teamStats) setTeamStats(snap.teamStats);
+            if (snap.bracket) setBracket(snap.bracket);
+            if (snap.poolPlay) setPoolPlay(snap.poolPlay);
             if (typeof snap.currentRound === 'number') setCurrentRound(snap.currentRound);
+            if (snap.roundStartedAt) setRoundStartedAt(snap.roundStartedAt);
             if (snap.locked) setLocked(snap.locked);
             if (snap.courtStates) setCourtStates(snap.courtStates);
             setTab('schedule');
@@ -517,11 +646,16 @@ const PickleballTournamentManager = () => {
               name: p.player_name,
               rating: Number(p.dupr_rating) || 2.5,
               gender: p.gender || 'male',
-              present: true
+              present: true,
+              ...(p.internal_rating != null && { internalRating: Number(p.internal_rating), ratedMatches: p.rated_matches || 0 })
             }));
             // Only overwrite players from DB if the session had no players
-            // (avoids resetting presence states set during roll call)
-            setPlayers(prev => prev.length === 0 ? dbPlayers : prev);
+            // (avoids resetting presence states set during roll call) — but always pick up internal ratings
+            const dbById = new Map(dbPlayers.map(p => [p.id, p]));
+            setPlayers(prev => prev.length === 0 ? dbPlayers : prev.map(p => {
+              const db = dbById.get(p.id);
+              return db?.internalRating !== undefined ? { ...p, internalRating: db.internalRating, ratedMatches: db.ratedMatches } : p;
+            }));
             localStorage.setItem('migration_completed', 'true');
           }
         } catch (error) {
@@ -572,29 +706,35 @@ const PickleballTournamentManager = () => {
     });
   }, [courts]); // eslint-disable-line
 
+  // Everything needed to restore the session — or to archive it when it ends
+  const sessionSnapshot = () => ({
+    players, rounds, playerStats, kotStats, kotTeamStats, kotAutoTeams, teamStats, currentRound, roundStartedAt, teams, courtStates, bracket, poolPlay, fullSchedule, swiss, ratedMatchIds,
+    tournamentName,
+    meta: { courts, sessionMinutes, minutesPerRound, clockWarnings, autoEndRounds, tournamentType, gameFormat, matchFormat, scoringRules, scheduleMode, separateBySkill, bracketFormat, bracketSeeding, numPools, advancePerPool, kotVariant, kotCourtPoints, tiebreakOrder, balanceRating, approveWalkIns, ts: Date.now() },
+    locked
+  });
+  // What the backend stores: the snapshot plus the columns shown in the session lists
+  const cloudSnapshot = () => ({
+    ...sessionSnapshot(),
+    tournamentName: tournamentName || 'Active Session',
+    tournamentType: tournamentType || 'round_robin',
+    numCourts: courts
+  });
+
   useEffect(() => {
     // Guard 1: don't save before session has been restored (prevents blank-state overwrite on mount)
     if (!sessionRestoredRef.current) return;
     // Guard 2: skip autosave while End & Clear is in progress
     if (isClearingSession.current) return;
 
-    const snapshot = {
-      players, rounds, playerStats, kotStats, teamStats, currentRound, teams, courtStates,
-      tournamentName,
-      meta: { courts, sessionMinutes, minutesPerRound, tournamentType, gameFormat, matchFormat, separateBySkill, ts: Date.now() },
-      locked
-    };
+    const snapshot = sessionSnapshot();
     localStorage.setItem('pb_session', JSON.stringify(snapshot));
-    // Also save to cloud (debounced 3s) so other devices / refreshes pick it up
-    if (rounds.length > 0) {
-      saveSession({
-        ...snapshot,
-        tournamentName: tournamentName || 'Active Session',
-        tournamentType: tournamentType || 'round_robin',
-        numCourts: courts
-      });
+    // Also save to cloud (debounced 3s) so other devices / refreshes pick it up.
+    // A session is opened in the cloud by its first round (or by "+ New session").
+    if (rounds.length > 0 || sessionId) {
+      saveSession(cloudSnapshot());
     }
-  }, [players, rounds, playerStats, kotStats, teamStats, currentRound, teams, courtStates, courts, sessionMinutes, minutesPerRound, tournamentType, gameFormat, matchFormat, separateBySkill, locked, tournamentName]); // eslint-disable-line
+  }, [players, rounds, playerStats, kotStats, kotTeamStats, kotAutoTeams, teamStats, currentRound, roundStartedAt, teams, courtStates, bracket, poolPlay, fullSchedule, swiss, ratedMatchIds, courts, sessionMinutes, minutesPerRound, clockWarnings, autoEndRounds, tournamentType, gameFormat, matchFormat, scoringRules, scheduleMode, separateBySkill, bracketFormat, bracketSeeding, numPools, advancePerPool, kotVariant, kotCourtPoints, tiebreakOrder, balanceRating, approveWalkIns, locked, tournamentName]); // eslint-disable-line
 
   useEffect(() => {
     const handler = (e) => {
@@ -608,6 +748,83 @@ const PickleballTournamentManager = () => {
 
 
   const presentPlayers = useMemo(() => players.filter((p) => p.present !== false), [players]);
+  // What the schedulers balance on: entered DUPR, or the internal rating once a player has results
+  const schedulingPlayers = useMemo(
+    () => (balanceRating === 'internal'
+      ? presentPlayers.map(p => ({ ...p, rating: internalRatingOf(p) }))
+      : presentPlayers),
+    [balanceRating, presentPlayers]
+  );
+
+  // Bracket and pool play queue their matches and send them to free courts automatically
+  const isQueuedFormat = tournamentType === 'bracket' || tournamentType === 'pool_play';
+  // The round clock runs while the latest round of a round-based format still has matches on
+  const roundClockLive = !isQueuedFormat && !!rounds[rounds.length - 1]?.some(m => m.status === 'pending');
+  // King of Court tracks teams (Team Builder or auto-balanced fixed partners) unless players move individually
+  const kotUsesTeams = gameFormat === 'teamed_doubles' || kotVariant === 'fixed_teams';
+  // Who is waiting out the current King of Court round (shown under the ladder)
+  const kotSittingOut = useMemo(() => {
+    if (tournamentType !== 'king_of_court' || rounds.length === 0) return [];
+    const onCourt = new Set(rounds[rounds.length - 1].flatMap(m => [m.team1Id, m.team2Id, ...(m.team1 || []).map(p => p.id), ...(m.team2 || []).map(p => p.id)]));
+    return kotUsesTeams
+      ? (gameFormat === 'teamed_doubles' ? teams : kotAutoTeams).filter(t => !onCourt.has(t.id)).map(t => `${t.player1.name} / ${t.player2.name}`)
+      : presentPlayers.filter(p => !onCourt.has(p.id)).map(p => p.name);
+  }, [tournamentType, rounds, kotUsesTeams, gameFormat, teams, kotAutoTeams, presentPlayers]);
+  // Full round robin: every wave is pre-generated — Berger for teams / singles, rotating partners for doubles
+  const usesFullSchedule = tournamentType === 'round_robin' && scheduleMode === 'full';
+  // Rotating partners only has tables for 4k / 4k+1 players; other counts keep the heuristic pairing
+  const rotatingFallback = usesFullSchedule && gameFormat === 'doubles' && !supportsRotatingPartners(presentPlayers.length);
+  const partnerCoverage = useMemo(
+    () => (usesFullSchedule && gameFormat === 'doubles' ? getPartnerCoverage(presentPlayers, rounds) : null),
+    [usesFullSchedule, gameFormat, presentPlayers, rounds]
+  );
+  // Swiss: pair by record each round — singles or fixed teams only
+  const usesSwiss = tournamentType === 'round_robin' && scheduleMode === 'swiss' && gameFormat !== 'doubles';
+  const swissStandings = useMemo(
+    () => (usesSwiss ? getSwissStandings(gameFormat === 'singles' ? players : teams, rounds, swiss) : []),
+    [usesSwiss, gameFormat, players, teams, rounds, swiss]
+  );
+  // Win/loss standings for round robin and the river (see utils/standings.js)
+  const showsStandings = (tournamentType === 'round_robin' && !usesSwiss) || tournamentType === 'river';
+  const standings = useMemo(
+    () => (showsStandings
+      ? computeStandings(rounds, gameFormat === 'teamed_doubles' ? teams : players, { by: gameFormat === 'teamed_doubles' ? 'team' : 'player', tiebreakOrder })
+      : []),
+    [showsStandings, rounds, gameFormat, teams, players, tiebreakOrder]
+  );
+  // Internal rating changes from this session's results that have not been saved yet
+  const ratingPreview = useMemo(() => rateRounds(players, rounds, ratedMatchIds), [players, rounds, ratedMatchIds]);
+  const ratingRows = useMemo(() => {
+    const byPlayer = {};
+    ratingPreview.changes.forEach(c => {
+      if (!byPlayer[c.playerId]) byPlayer[c.playerId] = { before: c.before, after: c.after, matches: 0 };
+      byPlayer[c.playerId].after = c.after;
+      byPlayer[c.playerId].matches += 1;
+    });
+    return players
+      .filter(p => byPlayer[p.id])
+      .map(p => ({ id: p.id, name: p.name, dupr: p.rating, ...byPlayer[p.id], delta: byPlayer[p.id].after - byPlayer[p.id].before }));
+  }, [ratingPreview, players]);
+  const [savingRatings, setSavingRatings] = useState(false);
+  const [profilePlayer, setProfilePlayer] = useState(null); // Roster player whose lifetime profile is open
+  const [checkInUrl, setCheckInUrl] = useState(null); // Self check-in page shown as a QR code
+
+  // Pool play standings are always derived from rounds (wins, then point differential)
+  const poolStandings = useMemo(() => getPoolStandings(poolPlay, rounds), [poolPlay, rounds]);
+  const poolsComplete = useMemo(() => isPoolPlayComplete(poolPlay, rounds), [poolPlay, rounds]);
+
+  // Label + availability of the start button for bracket / pool play
+  const queuedStart = (() => {
+    const notEnough = gameFormat === 'singles' ? presentPlayers.length < 2 : teams.length < 2;
+    if (tournamentType === 'bracket') {
+      return bracket
+        ? { label: 'Bracket in Progress', disabled: true }
+        : { label: 'Start Bracket', disabled: notEnough };
+    }
+    if (!poolPlay) return { label: 'Start Pool Play', disabled: notEnough };
+    if (!bracket) return { label: poolsComplete ? 'Start Playoffs' : 'Pool Play in Progress', disabled: !poolsComplete };
+    return { label: 'Playoffs in Progress', disabled: true };
+  })();
 
   // Get players/teams currently playing on courts
   const getPlayersOnCourt = useMemo(() => {
@@ -652,94 +869,12 @@ const PickleballTournamentManager = () => {
     return teams.filter(t => !getTeamsOnCourt.has(t.id));
   }, [teams, getTeamsOnCourt]);
 
-  // Derive accurate player stats directly from rounds history
-  // This is immune to double-counting bugs in the imperative playerStats accumulator
-  const derivedPlayerStats = useMemo(() => {
-    const stats = {};
-    // Count matches played per player — ONLY from completed matches
-    rounds.forEach(round => {
-      round.forEach(match => {
-        if (match.status !== 'completed') return; // skip pending / removed
-        const playerIds = [];
-        if (match.gameFormat === 'singles') {
-          if (match.player1) playerIds.push(match.player1.id);
-          if (match.player2) playerIds.push(match.player2.id);
-        } else {
-          match.team1?.forEach(p => playerIds.push(p.id));
-          match.team2?.forEach(p => playerIds.push(p.id));
-        }
-        playerIds.forEach(id => {
-          if (!stats[id]) stats[id] = { matchesPlayed: 0, roundsSatOut: 0 };
-          stats[id].matchesPlayed += 1;
-        });
-      });
-    });
-    // Derive sat-out: only for players who have played at least one completed match,
-    // and only for rounds that had at least one completed match (i.e. real rounds).
-    const everPlayedIds = new Set(Object.keys(stats));
-    rounds.forEach(round => {
-      const completedInRound = round.filter(m => m.status === 'completed');
-      if (completedInRound.length === 0) return; // skip purely pending/removed rounds
-      const playersInRound = new Set();
-      completedInRound.forEach(match => {
-        if (match.gameFormat === 'singles') {
-          if (match.player1) playersInRound.add(match.player1.id);
-          if (match.player2) playersInRound.add(match.player2.id);
-        } else {
-          match.team1?.forEach(p => playersInRound.add(p.id));
-          match.team2?.forEach(p => playersInRound.add(p.id));
-        }
-      });
-      everPlayedIds.forEach(id => {
-        if (!stats[id]) stats[id] = { matchesPlayed: 0, roundsSatOut: 0 };
-        if (!playersInRound.has(id)) {
-          stats[id].roundsSatOut += 1;
-        }
-      });
-    });
-    return stats;
-  }, [rounds]); // removed presentPlayers dependency — sat-out universe is now match-history only
+  // Derive accurate player stats directly from rounds history (see utils/scoreboard.js)
+  const derivedPlayerStats = useMemo(() => derivePlayerStats(rounds), [rounds]);
 
 
   // Derive accurate team stats from rounds history (ground-truth, like derivedPlayerStats)
-  const derivedTeamStats = useMemo(() => {
-    const stats = {};
-
-    // Pass 1: count matches played per team
-    const everPlayedTeamIds = new Set();
-    rounds.forEach(round => {
-      round.forEach(match => {
-        if (match.team1Id) {
-          if (!stats[match.team1Id]) stats[match.team1Id] = { matchesPlayed: 0, roundsSatOut: 0 };
-          stats[match.team1Id].matchesPlayed += 1;
-          everPlayedTeamIds.add(match.team1Id);
-        }
-        if (match.team2Id) {
-          if (!stats[match.team2Id]) stats[match.team2Id] = { matchesPlayed: 0, roundsSatOut: 0 };
-          stats[match.team2Id].matchesPlayed += 1;
-          everPlayedTeamIds.add(match.team2Id);
-        }
-      });
-    });
-
-    // Pass 2: count sat-out rounds for teams that have appeared at least once
-    rounds.forEach(round => {
-      if (round.length === 0) return;
-      const teamsInRound = new Set();
-      round.forEach(match => {
-        if (match.team1Id) teamsInRound.add(match.team1Id);
-        if (match.team2Id) teamsInRound.add(match.team2Id);
-      });
-      everPlayedTeamIds.forEach(id => {
-        if (!stats[id]) stats[id] = { matchesPlayed: 0, roundsSatOut: 0 };
-        if (!teamsInRound.has(id)) {
-          stats[id].roundsSatOut += 1;
-        }
-      });
-    });
-
-    return stats;
-  }, [rounds]);
+  const derivedTeamStats = useMemo(() => deriveTeamStats(rounds), [rounds]);
 
   // \u2500\u2500 Dev lifecycle watchers (placed after all useMemos so deps are in scope) \u2500\u2500
   useEffect(() => {
@@ -775,42 +910,24 @@ const PickleballTournamentManager = () => {
     });
   }, [courtStates]); // eslint-disable-line
 
-  // Get next-up queue based on fairness
-  const getNextUpQueue = useMemo(() => {
-    if (tournamentType === 'round_robin') {
-      if (gameFormat === 'singles') {
-        return availablePlayers
-          .map(p => {
-            const stats = derivedPlayerStats[p.id] || { matchesPlayed: 0, roundsSatOut: 0 };
-            return { ...p, roundsPlayed: stats.matchesPlayed, roundsSatOut: stats.roundsSatOut, priority: stats.roundsSatOut * 100 + (10 - stats.matchesPlayed) };
-          })
-          .sort((a, b) => b.priority - a.priority);
-      } else if (gameFormat === 'teamed_doubles') {
-        return availableTeams
-          .map(t => {
-            const stats = derivedTeamStats[t.id] || { matchesPlayed: 0, roundsSatOut: 0 };
-            return { ...t, roundsPlayed: stats.matchesPlayed, roundsSatOut: stats.roundsSatOut, priority: stats.roundsSatOut * 100 + (10 - stats.matchesPlayed) };
-          })
-          .sort((a, b) => b.priority - a.priority);
-      } else {
-        // Regular doubles: prioritize players by sat-out rounds, then fewer matches
-        return availablePlayers
-          .map(p => {
-            const stats = derivedPlayerStats[p.id] || { matchesPlayed: 0, roundsSatOut: 0 };
-            return { ...p, roundsPlayed: stats.matchesPlayed, roundsSatOut: stats.roundsSatOut, priority: stats.roundsSatOut * 100 + (10 - stats.matchesPlayed) };
-          })
-          .sort((a, b) => b.priority - a.priority);
-      }
-    } else if (tournamentType === 'king_of_court') {
-      return availablePlayers
-        .map(p => {
-          const stats = kotStats[p.id] || { roundsPlayed: 0, roundsSatOut: 0, totalPoints: 0 };
-          return { ...p, roundsPlayed: stats.roundsPlayed || 0, roundsSatOut: stats.roundsSatOut || 0 };
-        })
-        .sort((a, b) => b.roundsSatOut - a.roundsSatOut || a.roundsPlayed - b.roundsPlayed);
-    }
-    return [];
-  }, [tournamentType, gameFormat, availablePlayers, availableTeams, derivedPlayerStats, derivedTeamStats, kotStats]);
+  // Get next-up queue based on fairness (shared with the public scoreboard)
+  const getNextUpQueue = useMemo(
+    () => nextUpQueue({ tournamentType, gameFormat, availablePlayers, availableTeams, derivedPlayerStats, derivedTeamStats, kotStats }),
+    [tournamentType, gameFormat, availablePlayers, availableTeams, derivedPlayerStats, derivedTeamStats, kotStats]
+  );
+
+  // A player added offline plays under a local id until their roster save goes out; then the
+  // database id replaces it everywhere in the session (utils/playerIds.js)
+  const linkRosterPlayer = (localId, dbId) => {
+    const rename = (value) => renamePlayerId(value, localId, dbId);
+    [setPlayers, setTeams, setRounds, setCourtStates, setPlayerStats, setKotStats, setKotAutoTeams,
+      setBracket, setPoolPlay, setFullSchedule, setSwiss, setHistory].forEach(set => set(rename));
+    console.log('[Roster] Linked', localId, 'to player', dbId);
+  };
+
+  useEffect(() => onRequestSynced((key, data) => {
+    if (key.startsWith('player:') && data?.player) linkRosterPlayer(key.slice('player:'.length), data.player.id);
+  }), []); // eslint-disable-line
 
   const addPlayer = async () => {
     const name = form.name.trim();
@@ -820,13 +937,20 @@ const PickleballTournamentManager = () => {
 
     try {
       // Call API
-      const { success, data, error } = await api.players.create({
+      const localId = uid();
+      const { success, data, error, queued } = await api.players.create({
         player_name: name,
         dupr_rating: rating,
         gender: form.gender
-      });
+      }, { localId });
 
-      if (success && data.player) {
+      if (queued) {
+        // Offline: play them now, the roster save goes out once the connection is back
+        setPlayers((prev) => [...prev, { id: localId, name, rating, gender: form.gender, present: true }]);
+        setForm({ name: '', rating: '', gender: 'male' });
+        setAddNote(`Added ${name} – saves to your roster when back online`);
+        setTimeout(() => setAddNote(null), 2000);
+      } else if (success && data.player) {
         const newPlayer = {
           id: data.player.id,
           name: data.player.player_name,
@@ -857,10 +981,18 @@ const PickleballTournamentManager = () => {
       if (!confirmRemove) return;
     }
 
+    // Walk-ins from the check-in page live in this session only, and so does a player added
+    // offline until their roster save goes out — which is dropped from the outbox instead
+    if (player?.guest || !isDatabaseId(id)) {
+      if (!player?.guest) discard(`player:${id}`);
+      setPlayers((prev) => prev.filter((p) => p.id !== id));
+      return;
+    }
+
     // Call API
     try {
-      const { success, error } = await api.players.delete(id);
-      if (success) {
+      const { success, error, queued } = await api.players.delete(id);
+      if (success || queued) {
         setPlayers((prev) => prev.filter((p) => p.id !== id));
       } else {
         alert(`Failed to delete player: ${error}`);
@@ -871,8 +1003,26 @@ const PickleballTournamentManager = () => {
     }
   };
 
+  // Let a walk-in who checked in from the QR code into the rotation
+  const approveWalkIn = (id) => {
+    logAction(`${players.find(p => p.id === id)?.name || 'Walk-in'} approved`);
+    setPlayers((prev) => prev.map((p) => (p.id === id ? { ...p, present: true, pendingApproval: false } : p)));
+  };
+
+  // Frees a player checked in from a phone (player.reportKey) so they can check in and report on another one
+  const unlinkPhone = (id) => {
+    const player = players.find(p => p.id === id);
+    if (!player || !window.confirm(`Unlink ${player.name}'s phone? They can then check in and report scores from another phone.`)) return;
+    setPlayers((prev) => prev.map((p) => {
+      if (p.id !== id) return p;
+      const { reportKey, ...rest } = p;
+      return rest;
+    }));
+  };
+
   const togglePresent = (id) => {
     const player = players.find(p => p.id === id);
+    if (player?.pendingApproval) return approveWalkIn(id);
     if (rounds.length > 0 && player) {
       const action = player.present ? 'mark as absent' : 'mark as present';
       const confirmToggle = window.confirm(
@@ -880,6 +1030,7 @@ const PickleballTournamentManager = () => {
       );
       if (!confirmToggle) return;
     }
+    if (player) logAction(`${player.name} marked ${player.present ? 'absent' : 'present'}`);
     setPlayers((prev) => prev.map((p) => (p.id === id ? { ...p, present: !p.present } : p)));
   };
 
@@ -925,9 +1076,15 @@ const PickleballTournamentManager = () => {
         }));
         setPlayers((prev) => [...prev, ...dbPlayers]);
       } else {
-        // Fallback to local IDs if API fails
+        // Fallback to local IDs if API fails; each one's roster save is tried on its own (and
+        // queued when offline), taking the database id once it is through
         console.warn('Bulk create API failed, proceeding with local players');
-        setPlayers((prev) => [...prev, ...add.map(p => ({ ...p, id: uid() }))]);
+        const local = add.map(p => ({ ...p, id: uid() }));
+        setPlayers((prev) => [...prev, ...local]);
+        if (user) {
+          local.forEach(p => api.players.create({ player_name: p.name, dupr_rating: p.rating, gender: p.gender }, { localId: p.id })
+            .then(({ success: saved, data: created }) => saved && created.player && linkRosterPlayer(p.id, created.player.id)));
+        }
       }
     } catch (err) {
       console.warn('Bulk create error, proceeding with local players', err);
@@ -937,6 +1094,124 @@ const PickleballTournamentManager = () => {
     setBulkText('');
   };
 
+  // Bracket Flow: take ready bracket matches and turn them into court matches for the given courts
+  const placeBracketMatches = (bracketState, courtNumbers) => {
+    let next = bracketState;
+    const matches = [];
+    const playable = getPlayableBracketMatches(bracketState);
+    courtNumbers.forEach((courtNumber, idx) => {
+      const bm = playable[idx];
+      if (!bm) return;
+      const match = buildBracketCourtMatch(next, bm.id, courtNumber, matchFormat);
+      next = markBracketMatchScheduled(next, bm.id, match.id);
+      matches.push(match);
+    });
+    return { bracket: next, matches };
+  };
+
+  // Pool Flow: next pool matches for the given courts, never putting an entrant on two courts
+  const placePoolMatches = (poolState, courtNumbers, busyIds) => {
+    let next = poolState;
+    const matches = [];
+    getNextPoolMatches(poolState, courtNumbers.length, busyIds).forEach((pm, idx) => {
+      const match = buildPoolCourtMatch(next, pm.id, courtNumbers[idx], matchFormat);
+      next = markPoolMatchScheduled(next, pm.id, match.id);
+      matches.push(match);
+    });
+    return { poolPlay: next, matches };
+  };
+
+  // Matches going on court start their clock now (court timers, match durations). The same
+  // objects are then logged in rounds, so both copies carry it.
+  const stampStartTimes = (matches) => {
+    const now = new Date().toISOString();
+    matches.forEach(m => { if (!m.startTime) m.startTime = now; });
+  };
+
+  const sendQueuedMatchesToCourts = (matches) => {
+    stampStartTimes(matches);
+    setCourtStates(prev => prev.map(c => {
+      const match = matches.find(m => m.court === c.courtNumber);
+      return match ? { ...c, status: 'playing', currentMatch: match } : c;
+    }));
+  };
+
+  // King of Court: ladder points for matches the players confirmed from their phones — the
+  // server completes those like a quick win, but the points table lives on this device
+  useEffect(() => {
+    if (tournamentType !== 'king_of_court') return;
+    const settled = rounds.flat().filter(m => m.report?.status === 'confirmed' && !m.report.credited);
+    if (settled.length === 0) return;
+
+    const nextKotStats = JSON.parse(JSON.stringify(kotStats));
+    const nextKotTeamStats = JSON.parse(JSON.stringify(kotTeamStats));
+    settled.forEach(m => {
+      if (!m.pointsForWin) return;
+      if (m.gameFormat === 'teamed_doubles') updateKOTTeamStats(nextKotTeamStats, m);
+      else updateKOTStats(nextKotStats, m);
+    });
+    setKotStats(nextKotStats);
+    setKotTeamStats(nextKotTeamStats);
+
+    const ids = new Set(settled.map(m => m.id));
+    setRounds(prev => prev.map(round => round.map(m => (ids.has(m.id) ? { ...m, report: { ...m.report, credited: true } } : m))));
+    console.log('[Report] Credited ladder points for', settled.length, 'confirmed match(es)');
+  }, [rounds]); // eslint-disable-line
+
+  // Bracket / pool play: feed completed court matches back into the bracket (advancing winners,
+  // dropping losers), then send the next queued matches to any free courts
+  useEffect(() => {
+    if (!isQueuedFormat) return;
+    if (!bracket && !(tournamentType === 'pool_play' && poolPlay)) return;
+
+    const freeCourts = courtStates
+      .filter(c => c.status === 'ready' && !c.currentMatch)
+      .map(c => c.courtNumber);
+    let matches = [];
+
+    if (bracket) {
+      let next = bracket;
+      rounds.forEach(round => round.forEach(m => {
+        if (!m.bracketMatchId) return;
+        const bm = next.matches[m.bracketMatchId];
+        if (!bm || bm.status !== 'ready' || bm.scheduledMatchId !== m.id) return;
+        if (m.status === 'completed' && m.winner) {
+          next = recordBracketResult(next, m.bracketMatchId, m.winner === 'team1' ? 1 : 2, matchScoreText(m));
+        } else if (m.status === 'removed') {
+          // Match was pulled off its court — release it so it gets placed again
+          next = unscheduleBracketMatch(next, m.bracketMatchId);
+        }
+      }));
+      const placement = placeBracketMatches(next, freeCourts);
+      matches = placement.matches;
+      if (placement.bracket !== bracket) setBracket(placement.bracket);
+    } else {
+      let next = poolPlay;
+      rounds.forEach(round => round.forEach(m => {
+        if (!m.poolMatchId || m.status !== 'removed') return;
+        const pm = next.matches.find(x => x.id === m.poolMatchId);
+        if (pm && pm.scheduledMatchId === m.id) next = unschedulePoolMatch(next, m.poolMatchId);
+      }));
+      const busyIds = poolPlay.kind === 'player' ? getPlayersOnCourt : getTeamsOnCourt;
+      const placement = placePoolMatches(next, freeCourts, busyIds);
+      matches = placement.matches;
+      if (placement.poolPlay !== poolPlay) setPoolPlay(placement.poolPlay);
+    }
+
+    if (matches.length > 0) {
+      console.log(`[Queue] Sending ${matches.length} match(es) to courts:`, matches.map(m => `${m.bracketLabel || m.poolLabel} → Court ${m.court}`));
+      sendQueuedMatchesToCourts(matches);
+      // Log them in the current round — a new round starts once every match in the last one is completed
+      const lastRound = rounds[rounds.length - 1];
+      if (!lastRound || lastRound.every(m => m.status !== 'pending')) {
+        setRounds(prev => [...prev, matches]);
+        setCurrentRound(rounds.length + 1);
+      } else {
+        setRounds(prev => [...prev.slice(0, -1), [...prev[prev.length - 1], ...matches]]);
+      }
+    }
+  }, [tournamentType, bracket, poolPlay, rounds, courtStates]); // eslint-disable-line
+
   // Court Flow Management Functions
   const assignMatchToCourt = (courtNumber, isManual = false) => {
     // Guard against auto-assignment
@@ -971,6 +1246,12 @@ const PickleballTournamentManager = () => {
       } else {
         alert('Complete all current matches before starting the next King of Court round.');
       }
+    } else if (tournamentType === 'river') {
+      alert('Up and Down the River moves everyone at once — finish every court, then start the next round.');
+    } else if (isQueuedFormat) {
+      alert(bracket || poolPlay
+        ? 'Matches are sent to free courts automatically as soon as both sides are ready.'
+        : 'Start the event first — the opening matches fill the free courts.');
     }
   };
 
@@ -1038,6 +1319,7 @@ const PickleballTournamentManager = () => {
       startTime: new Date().toISOString()
     };
 
+    logAction(`Match assigned to Court ${courtNumber}`);
     // Update court state
     setCourtStates(prev => prev.map(c =>
       c.courtNumber === courtNumber
@@ -1164,6 +1446,7 @@ const PickleballTournamentManager = () => {
       startTime: new Date().toISOString()
     };
 
+    logAction(`Match assigned to Court ${courtNumber}`);
     // Update court state
     setCourtStates(prev => prev.map(c =>
       c.courtNumber === courtNumber
@@ -1319,6 +1602,7 @@ const PickleballTournamentManager = () => {
       startTime: new Date().toISOString()
     };
 
+    logAction(`Match assigned to Court ${courtNumber}`);
     // Update court state
     setCourtStates(prev => prev.map(c =>
       c.courtNumber === courtNumber
@@ -1357,6 +1641,105 @@ const PickleballTournamentManager = () => {
     });
   };
 
+  // Put a hand-built match on a free court (court editor). `sides` are the ids of the players
+  // on each side — or of one team each for teamed doubles.
+  const placeManualMatch = (courtNumber, sides) => {
+    const court = courtStates.find(c => c.courtNumber === courtNumber);
+    if (!court || court.currentMatch || court.status !== 'ready') {
+      return alert(`Court ${courtNumber} is not free — finish or move its match first.`);
+    }
+    const pool = gameFormat === 'teamed_doubles' ? availableTeams : availablePlayers;
+    const [side1, side2] = sides.map(ids => ids.map(id => pool.find(e => String(e.id) === String(id))));
+    if ([...side1, ...side2].some(e => !e)) {
+      return alert('Someone in this match is no longer off court. Check the Next Up list and try again.');
+    }
+
+    const sideRating = (side) => side.reduce((sum, p) => sum + (Number(p.rating) || 0), 0) / side.length;
+    const base = {
+      id: uid(),
+      court: courtNumber,
+      score1: '',
+      score2: '',
+      status: 'pending',
+      winner: null,
+      gameFormat,
+      matchFormat,
+      startTime: new Date().toISOString()
+    };
+    let match;
+    if (gameFormat === 'singles') {
+      match = { ...base, player1: side1[0], player2: side2[0], diff: Math.abs(side1[0].rating - side2[0].rating) };
+    } else if (gameFormat === 'teamed_doubles') {
+      const [team1, team2] = [side1[0], side2[0]];
+      match = {
+        ...base,
+        team1: [team1.player1, team1.player2],
+        team2: [team2.player1, team2.player2],
+        team1Id: team1.id,
+        team2Id: team2.id,
+        diff: Math.abs(team1.avgRating - team2.avgRating)
+      };
+    } else {
+      match = { ...base, team1: side1, team2: side2, diff: Math.abs(sideRating(side1) - sideRating(side2)) };
+    }
+
+    logAction(`Match built by hand — Court ${courtNumber}`);
+    setCourtStates(prev => prev.map(c =>
+      c.courtNumber === courtNumber
+        ? { ...c, status: 'playing', currentMatch: match }
+        : c
+    ));
+    // Same round bucketing as the assign buttons: a new round once the last one is done
+    setRounds(prev => {
+      const lastRound = prev[prev.length - 1];
+      if (!lastRound || lastRound.every(m => m.status === 'completed')) return [...prev, [match]];
+      return [...prev.slice(0, -1), [...lastRound, match]];
+    });
+    setCurrentRound(rounds.length > 0 && rounds[rounds.length - 1].every(m => m.status === 'completed') ? rounds.length : currentRound);
+
+    // Stats are only counted for entries that have them (see completeCourtMatch)
+    const blank = { roundsPlayed: 0, roundsSatOut: 0, lastPlayedRound: -1, opponents: {}, totalPlayMinutes: 0 };
+    if (gameFormat === 'teamed_doubles') {
+      setTeamStats(prev => ({ ...Object.fromEntries([side1[0], side2[0]].map(t => [t.id, { ...blank }])), ...prev }));
+    } else {
+      setPlayerStats(prev => ({ ...Object.fromEntries([...side1, ...side2].map(p => [p.id, { ...blank, teammates: {} }])), ...prev }));
+    }
+    console.log(`[Manual] Built match on Court ${courtNumber}:`, match);
+  };
+
+  // Swap the matches on two courts (or move one to a free court) — only while neither has
+  // a score: no game entered, no finished result and no score reported from a phone
+  const swapCourtMatches = (fromCourt, toCourt) => {
+    const from = courtStates.find(c => c.courtNumber === fromCourt);
+    const to = courtStates.find(c => c.courtNumber === toCourt);
+    if (!from?.currentMatch || !to) return;
+    if (!to.currentMatch && to.status !== 'ready') {
+      return alert(`Court ${toCourt} is ${to.status} — mark it ready before moving a match there.`);
+    }
+    // Scores are typed into the rounds, so check the match there rather than the court's copy
+    const scored = [from, to].find(c => {
+      if (!c.currentMatch) return false;
+      const m = rounds.flat().find(x => x.id === c.currentMatch.id) || c.currentMatch;
+      return !unfinishedReason(m) || gamesOf(m).flat().some(entered) || !!m.report;
+    });
+    if (scored) {
+      return alert(`The match on Court ${scored.courtNumber} already has a score — finish or clear it before moving it.`);
+    }
+
+    logAction(to.currentMatch ? `Courts ${fromCourt} and ${toCourt} swapped` : `Match moved — Court ${fromCourt} to ${toCourt}`);
+    const moved = { [from.currentMatch.id]: toCourt, ...(to.currentMatch ? { [to.currentMatch.id]: fromCourt } : {}) };
+    setCourtStates(prev => prev.map(c => {
+      if (c.courtNumber === fromCourt) {
+        return to.currentMatch
+          ? { ...c, currentMatch: { ...to.currentMatch, court: fromCourt } }
+          : { ...c, status: 'ready', currentMatch: null };
+      }
+      if (c.courtNumber === toCourt) return { ...c, status: 'playing', currentMatch: { ...from.currentMatch, court: toCourt } };
+      return c;
+    }));
+    setRounds(prev => prev.map(round => round.map(m => (moved[m.id] ? { ...m, court: moved[m.id] } : m))));
+  };
+
   const completeCourtMatch = (courtNumber, nextStatus = 'ready') => {
     const court = courtStates.find(c => c.courtNumber === courtNumber);
     if (!court || !court.currentMatch) {
@@ -1366,6 +1749,7 @@ const PickleballTournamentManager = () => {
 
     const match = court.currentMatch;
     console.log(`[Complete] Completing match on court ${courtNumber} -> ${nextStatus}:`, match);
+    logAction(`Match completed — Court ${courtNumber}`);
 
     // Free up the court and set next status (atomic update)
     setCourtStates(prev => prev.map(c =>
@@ -1394,7 +1778,13 @@ const PickleballTournamentManager = () => {
           return prev.map(round =>
             round.map(m =>
               m.id === match.id
-                ? { ...m, status: 'completed', endTime: m.endTime || new Date().toISOString() }
+                ? {
+                  ...m,
+                  status: 'completed',
+                  endTime: m.endTime || new Date().toISOString(),
+                  // A level score in a format that allows draws is saved as a draw
+                  ...(!m.winner && matchOutcome(m).draw ? { draw: true } : {})
+                }
                 : m
             )
           );
@@ -1576,76 +1966,71 @@ const PickleballTournamentManager = () => {
     ));
   };
 
-  // Undo the most recently completed OR removed match
-  const undoLastMatch = () => {
-    if (!window.confirm('Undo the last match action? This will revert scores and put the match back on its court.')) return;
-
-    // Find the most recently *actioned* match across all rounds by endTime
-    let targetMatch = null;
-    let targetRoundIdx = -1;
-    let targetMatchIdx = -1;
-
-    for (let r = rounds.length - 1; r >= 0; r--) {
-      for (let m = rounds[r].length - 1; m >= 0; m--) {
-        const match = rounds[r][m];
-        if (match.status !== 'completed' && match.status !== 'removed') continue;
-        if (
-          !targetMatch ||
-          new Date(match.endTime) > new Date(targetMatch.endTime)
-        ) {
-          targetMatch = match;
-          targetRoundIdx = r;
-          targetMatchIdx = m;
-        }
+  // Undo/redo history (utils/actionHistory.js): every action keeps a copy of the session
+  // from just before it, so stepping back restores every stat it touched
+  const snapshotCopy = () => JSON.parse(JSON.stringify(sessionSnapshot()));
+  // Call before the action changes anything — pass `before` when it mutates stats in place.
+  // Keyed actions (typing a score) mostly land on the entry already on top and never mutate
+  // in place, so their copy is only taken when a new entry is pushed.
+  const logAction = (label, { key = null, before = key ? snapshotCopy : snapshotCopy() } = {}) => {
+    setHistory(h => recordAction(h, label, before, key));
+  };
+  // Settings (meta, name) and the roster are left as they are — only who is present moves
+  // with the session's play state
+  const applyHistoryStep = (step) => {
+    if (!step) return;
+    setHistory(step.history);
+    applyLiveSnapshot({
+      ...step.snapshot,
+      players: withPresenceFrom(players, step.snapshot.players),
+      meta: null,
+      tournamentName: null,
+      revision: 'history'
+    });
+  };
+  const undoActions = (steps = 1) => applyHistoryStep(undoAction(history, snapshotCopy(), steps));
+  const redoActions = (steps = 1) => applyHistoryStep(redoAction(history, snapshotCopy(), steps));
+
+  // Berger schedule for the current teams (Team Builder order) or present players,
+  // or the rotating-partner table for doubles (null when the player count has no table)
+  const buildFullSchedule = () => (gameFormat === 'doubles'
+    ? generateRotatingPartnerSchedule(presentPlayers, courts, { matchFormat })
+    : generateFullSchedule(gameFormat === 'singles' ? presentPlayers : teams, courts, {
+      kind: gameFormat === 'singles' ? 'player' : 'team',
+      matchFormat
+    }));
+
+  const previewFullSchedule = () => {
+    try {
+      const schedule = buildFullSchedule();
+      if (!schedule) {
+        alert(`There is no rotating-partner table for ${presentPlayers.length} players (it needs a multiple of 4, or one more). Rounds will use the usual partner pairing and the coverage report shows who has partnered.`);
       }
+      setFullSchedule(schedule);
+    } catch (err) {
+      console.error('Full schedule error:', err);
+      alert(err.message);
     }
+  };
 
-    if (!targetMatch) return alert('No completed or removed matches to undo.');
-
-    // Revert the match back to pending
-    const revertedMatch = {
-      ...targetMatch,
-      status: 'pending',
-      winner: null,
-      score1: '',
-      score2: '',
-      game1Score1: '',
-      game1Score2: '',
-      game2Score1: '',
-      game2Score2: '',
-      game3Score1: '',
-      game3Score2: '',
-      endTime: null,
-      durationMinutes: null
-    };
-
-    // Restore in rounds
-    setRounds(prev => {
-      const updated = prev.map(r => [...r]);
-      updated[targetRoundIdx][targetMatchIdx] = revertedMatch;
-      return updated;
-    });
-
-    // Put the match back on its court as 'playing'
-    setCourtStates(prev => prev.map(c =>
-      c.courtNumber === revertedMatch.court
-        ? { ...c, status: 'playing', currentMatch: revertedMatch }
-        : c
-    ));
-
-    // Decrement roundsPlayed for each player in the match
-    setPlayerStats(prev => {
-      const updated = { ...prev };
-      const playerIds = revertedMatch.gameFormat === 'singles'
-        ? [revertedMatch.player1?.id, revertedMatch.player2?.id].filter(Boolean)
-        : [...(revertedMatch.team1 || []), ...(revertedMatch.team2 || [])].map(p => p.id);
-      playerIds.forEach(id => {
-        if (updated[id]) {
-          updated[id] = {
-            ...updated[id],
-            roundsPlayed: Math.max(0, (updated[id].roundsPlayed || 1) - 1)
-          };
+  // Put a freshly generated round on its courts (round robin, King of Court, river)
+  const putRoundOnCourts = (newRound) => {
+    stampStartTimes(newRound);
+    setCourtStates(prev => {
+      const updated = prev.map(c => ({ ...c })); // Deep copy to be safe
+      newRound.forEach((match) => {
+        let courtIdx = updated.findIndex(c => c.courtNumber === match.court);
+        if (courtIdx === -1) {
+          // This court doesn't exist in courtStates yet (e.g. courts were
+          // increased but courtStates wasn't synced in time). Create it.
+          updated.push({ courtNumber: match.court, status: 'ready', currentMatch: null });
+          courtIdx = updated.length - 1;
         }
+        updated[courtIdx] = {
+          ...updated[courtIdx],
+          status: 'playing',
+          currentMatch: match
+        };
       });
       return updated;
     });
@@ -1655,6 +2040,8 @@ const PickleballTournamentManager = () => {
     try {
       console.log('generateNextRound called');
       let newRound;
+      // Taken up front — King of Court and the schedulers update stats in place
+      const before = snapshotCopy();
 
       // Safety check for matchFormat
       // Validate matchFormat is present
@@ -1667,7 +2054,32 @@ const PickleballTournamentManager = () => {
 
       if (tournamentType === 'round_robin') {
         // Check game format
-        if (gameFormat === 'singles') {
+        if (usesFullSchedule && !rotatingFallback) {
+          // Pre-generated schedule: play the next wave exactly as printed
+          const schedule = fullSchedule || buildFullSchedule();
+          const waveIdx = schedule.nextWave || 0;
+          newRound = getScheduledWave(schedule, waveIdx, effectiveMatchFormat);
+          if (!newRound) {
+            return alert(`Every round of the full schedule has been played — everyone has ${gameFormat === 'doubles' ? 'partnered' : 'met'} everyone once.`);
+          }
+          setFullSchedule({ ...schedule, nextWave: waveIdx + 1 });
+        } else if (usesSwiss) {
+          // Swiss: finish sending the current round's pairings, then pair the next round by record
+          const entrants = gameFormat === 'singles' ? schedulingPlayers : teams;
+          let wave = swiss ? takeSwissWave(swiss, entrants, rounds, courts, effectiveMatchFormat) : null;
+          if (!wave || wave.matches.length === 0) {
+            if (!isSwissRoundComplete(swiss, rounds)) {
+              return alert(`Finish every Swiss round ${swiss.round} match before pairing the next round.`);
+            }
+            const stats = gameFormat === 'singles' ? playerStats : teamStats;
+            const opponents = Object.fromEntries(entrants.map(e => [e.id, stats[e.id]?.opponents || {}]));
+            const paired = pairSwissRound(entrants, rounds, swiss, { kind: gameFormat === 'singles' ? 'player' : 'team', opponents });
+            if (!paired) return alert(`Need at least 2 ${gameFormat === 'singles' ? 'present players' : 'teams'} for Swiss pairing`);
+            wave = takeSwissWave(paired, entrants, rounds, courts, effectiveMatchFormat);
+          }
+          newRound = wave.matches;
+          setSwiss(wave.swiss);
+        } else if (gameFormat === 'singles') {
           if (presentPlayers.length < 2) return alert('Need at least 2 present players for singles');
           // Build merged stats: use derivedPlayerStats for accurate played/satOut counts,
           // keep playerStats for opponent history (which derivedPlayerStats doesn't track).
@@ -1682,7 +2094,7 @@ const PickleballTournamentManager = () => {
               roundsSatOut: derived.roundsSatOut,
             };
           });
-          newRound = generateSinglesRound(presentPlayers, courts, singlesStats, currentRound, effectiveMatchFormat);
+          newRound = generateSinglesRound(schedulingPlayers, courts, singlesStats, currentRound, effectiveMatchFormat);
         } else if (gameFormat === 'teamed_doubles') {
           if (teams.length < 2) return alert('Need at least 2 teams for teamed doubles');
           // Build merged stats: use derivedTeamStats for accurate played/satOut counts,
@@ -1716,7 +2128,7 @@ const PickleballTournamentManager = () => {
               roundsSatOut: derived.roundsSatOut,
             };
           });
-          newRound = generateRoundRobinRound(presentPlayers, courts, schedulingStats, currentRound, separateBySkill, effectiveMatchFormat, preferMixedDoubles, femaleRestInterval, rounds);
+          newRound = generateRoundRobinRound(schedulingPlayers, courts, schedulingStats, currentRound, separateBySkill, effectiveMatchFormat, preferMixedDoubles, femaleRestInterval, rounds);
         }
 
         if (!newRound || newRound.length === 0) {
@@ -1730,28 +2142,7 @@ const PickleballTournamentManager = () => {
 
         if (newRound && newRound.length > 0) {
           // Auto-assign Round Robin matches to courts
-          setCourtStates(prev => {
-            const updated = prev.map(c => ({ ...c })); // Deep copy to be safe
-            newRound.forEach((match) => {
-              let courtIdx = updated.findIndex(c => c.courtNumber === match.court);
-              if (courtIdx === -1) {
-                // This court doesn't exist in courtStates yet (e.g. courts were
-                // increased but courtStates wasn't synced in time). Create it.
-                updated.push({
-                  courtNumber: match.court,
-                  status: 'ready',
-                  currentMatch: null
-                });
-                courtIdx = updated.length - 1;
-              }
-              updated[courtIdx] = {
-                ...updated[courtIdx],
-                status: 'playing',
-                currentMatch: match
-              };
-            });
-            return updated;
-          });
+          putRoundOnCourts(newRound);
 
           // Update roundsSatOut for players NOT in this round
           const playersInRound = new Set();
@@ -1807,59 +2198,119 @@ const PickleballTournamentManager = () => {
           return alert('Complete all current matches before generating the next King of Court round.');
         }
 
-        newRound = generateKingOfCourtRound(presentPlayers, courts, kotStats, currentRound, rounds, separateBySkill);
-
-        // Assign King of Court matches to courts immediately
-        setCourtStates(prev => {
-          const updated = [...prev];
-          newRound.forEach((match) => {
-            let courtIdx = updated.findIndex(c => c.courtNumber === match.court);
-            if (courtIdx === -1) {
-              // Court missing from courtStates — create it
-              updated.push({ courtNumber: match.court, status: 'ready', currentMatch: null });
-              courtIdx = updated.length - 1;
-            }
-            updated[courtIdx] = {
-              ...updated[courtIdx],
-              status: 'playing',
-              currentMatch: match
-            };
-          });
-          return updated;
-        });
+        const kotOptions = { courtPoints: kotCourtPoints };
         if (gameFormat === 'teamed_doubles') {
           if (teams.length < 2) return alert('Need at least 2 teams for King of Court');
-          newRound = generateKingOfCourtTeamedRound(teams, courts, kotTeamStats, currentRound, rounds, separateBySkill);
+          newRound = generateKingOfCourtTeamedRound(teams, courts, kotTeamStats, currentRound, rounds, separateBySkill, kotOptions);
+          setKotTeamStats({ ...kotTeamStats });
+        } else if (kotVariant === 'individual') {
+          // Individual movement: players climb and drop on their own, partners split every round
+          newRound = generateKingOfCourtRound(schedulingPlayers, courts, kotStats, currentRound, rounds, separateBySkill, kotOptions);
+          setKotStats({ ...kotStats });
         } else {
           // Doubles with fixed partnerships (auto-generated on first round)
-          if (presentPlayers.length < 4) return alert('Need at least 4 present players');
-
-          // If first round, generate balanced teams
+          let kotTeams = kotAutoTeams;
           if (currentRound === 0 && kotAutoTeams.length === 0) {
-            const autoTeams = generateBalancedKOTTeams(presentPlayers);
-            if (autoTeams.length < 2) {
+            kotTeams = generateBalancedKOTTeams(schedulingPlayers);
+            if (kotTeams.length < 2) {
               return alert('Need at least 4 players (2 teams) for King of Court');
             }
-            setKotAutoTeams(autoTeams);
-            console.log(`Generated ${autoTeams.length} balanced teams for King of Court:`,
-              autoTeams.map(t => `${t.player1.name}/${t.player2.name} (${t.avgRating.toFixed(1)})`));
+            setKotAutoTeams(kotTeams);
+            console.log(`Generated ${kotTeams.length} balanced teams for King of Court:`,
+              kotTeams.map(t => `${t.player1.name}/${t.player2.name} (${t.avgRating.toFixed(1)})`));
+          } else if (kotAutoTeams.length < 2) {
+            return alert('King of Court teams not found. Please restart the tournament.');
+          }
+          newRound = generateKingOfCourtTeamedRound(kotTeams, courts, kotTeamStats, currentRound, rounds, separateBySkill, kotOptions);
+          setKotTeamStats({ ...kotTeamStats });
+        }
 
-            // Generate first round with these teams
-            newRound = generateKingOfCourtTeamedRound(autoTeams, courts, kotTeamStats, currentRound, rounds, separateBySkill);
-          } else {
-            // Use existing auto-generated teams
-            if (kotAutoTeams.length < 2) {
-              return alert('King of Court teams not found. Please restart the tournament.');
-            }
-            newRound = generateKingOfCourtTeamedRound(kotAutoTeams, courts, kotTeamStats, currentRound, rounds, separateBySkill);
+        if (!newRound || newRound.length === 0) {
+          return alert('Could not fill a King of Court court. Check that enough players or teams are present.');
+        }
+
+        // Assign King of Court matches to courts immediately
+        putRoundOnCourts(newRound);
+      } else if (tournamentType === 'river') {
+        if (presentPlayers.length < 4) return alert('Need at least 4 present players');
+
+        // Players only move once every court has a result
+        const allCourtsReady = courtStates.every(c => c.status === 'ready');
+        if (!allCourtsReady) {
+          return alert('Complete all current matches before moving players up and down the river.');
+        }
+
+        newRound = generateRiverRound(schedulingPlayers, courts, rounds);
+        if (!newRound || newRound.length === 0) {
+          return alert('Could not fill a court. Check that at least 4 players are present.');
+        }
+
+        putRoundOnCourts(newRound);
+      } else if (tournamentType === 'bracket') {
+        if (bracket) {
+          return alert('The bracket is already running — matches go to free courts automatically as soon as both sides are decided.');
+        }
+        const entrants = gameFormat === 'singles' ? presentPlayers : teams;
+        if (gameFormat === 'doubles') return alert('Brackets need fixed partners. Choose Teamed Doubles or Singles in Setup.');
+        if (entrants.length < 2) return alert(`Need at least 2 ${gameFormat === 'singles' ? 'present players' : 'teams'} for a bracket`);
+
+        const created = createBracket(entrants, {
+          format: bracketFormat,
+          seeding: bracketSeeding,
+          kind: gameFormat === 'singles' ? 'player' : 'team'
+        });
+        const freeCourts = courtStates
+          .filter(c => c.status === 'ready' && !c.currentMatch)
+          .map(c => c.courtNumber);
+        const { bracket: placed, matches } = placeBracketMatches(created, freeCourts);
+        if (matches.length === 0) return alert('No free courts — clear a court before starting the bracket.');
+
+        newRound = matches;
+        sendQueuedMatchesToCourts(matches);
+        setBracket(placed);
+      } else if (tournamentType === 'pool_play') {
+        if (gameFormat === 'doubles') return alert('Pool play needs fixed partners. Choose Teamed Doubles or Singles in Setup.');
+        const freeCourts = courtStates
+          .filter(c => c.status === 'ready' && !c.currentMatch)
+          .map(c => c.courtNumber);
+
+        if (!poolPlay) {
+          // Stage 1: snake-seed the pools and send the first pool matches out
+          const entrants = gameFormat === 'singles' ? presentPlayers : teams;
+          const created = createPoolPlay(entrants, { numPools, kind: gameFormat === 'singles' ? 'player' : 'team' });
+          const smallestPool = Math.min(...created.pools.map(p => p.entrants.length));
+          if (advancePerPool > smallestPool) {
+            return alert(`Only ${smallestPool} per pool — lower "Advance per pool" or use fewer pools.`);
+          }
+          const { poolPlay: placed, matches } = placePoolMatches(created, freeCourts, new Set());
+          if (matches.length === 0) return alert('No free courts — clear a court before starting pool play.');
+          newRound = matches;
+          sendQueuedMatchesToCourts(matches);
+          setPoolPlay(placed);
+        } else if (!bracket) {
+          // Stage 2: seed the top finishers of each pool into the crossover bracket
+          if (!isPoolPlayComplete(poolPlay, rounds)) {
+            return alert('Finish every pool match before starting the playoffs.');
           }
+          const qualifiers = getPoolQualifiers(poolPlay, rounds, advancePerPool);
+          if (qualifiers.length < 2) return alert('Need at least 2 qualifiers for the playoffs.');
+          const created = createBracket(qualifiers, { format: bracketFormat, seeding: 'manual', kind: poolPlay.kind });
+          const { bracket: placed, matches } = placeBracketMatches(created, freeCourts);
+          if (matches.length === 0) return alert('No free courts — clear a court before starting the playoffs.');
+          newRound = matches;
+          sendQueuedMatchesToCourts(matches);
+          setBracket(placed);
+        } else {
+          return alert('The playoffs are already running — matches go to free courts automatically as soon as both sides are decided.');
         }
       } else {
         return alert('Invalid tournament type');
       }
 
+      logAction(`Round ${rounds.length + 1} generated`, { before });
       setRounds(prev => [...prev, newRound]);
       setCurrentRound(prev => prev + 1);
+      setRoundStartedAt(new Date().toISOString());
       setLocked(true);
       setTab('schedule');
     } catch (error) {
@@ -1868,44 +2319,254 @@ const PickleballTournamentManager = () => {
     }
   };
 
-  const clearAllRounds = () => {
-    const confirmClear = window.confirm(
-      'Clear all rounds and statistics? This cannot be undone.'
-    );
-    if (!confirmClear) return;
+  // Save this session's unrated results to the internal ratings (roster + backend history)
+  const saveRatings = async () => {
+    const { ratings, changes, matchIds } = ratingPreview;
+    if (matchIds.length === 0) return;
+    setSavingRatings(true);
+    try {
+      // Only roster players saved in the database have a backend history
+      const dbChanges = changes
+        .filter(c => isDatabaseId(c.playerId))
+        .map(c => ({ player_id: Number(c.playerId), match_id: String(c.matchId), rating_before: c.before, rating_after: c.after }));
+      if (user && dbChanges.length > 0) {
+        const { success, error } = await api.players.updateRatings(dbChanges, tournamentName || 'Session');
+        if (!success) {
+          console.error('Save ratings error:', error);
+          return alert(`Could not save ratings: ${error}`);
+        }
+      }
+      setPlayers(prev => prev.map(p => (ratings[p.id] && ratings[p.id].ratedMatches !== (Number(p.ratedMatches) || 0)
+        ? { ...p, internalRating: ratings[p.id].rating, ratedMatches: ratings[p.id].ratedMatches }
+        : p)));
+      setRatedMatchIds(prev => [...prev, ...matchIds]);
+      console.log(`[Ratings] Applied ${matchIds.length} match(es), ${changes.length} player update(s)`);
+    } finally {
+      setSavingRatings(false);
+    }
+  };
+
+  // Record the session's completed matches in the backend match history before they are cleared.
+  // Returns false if the organizer chose to keep the session after a failed save.
+  const recordMatchHistory = async () => {
+    if (!user) return true;
+    const payload = buildMatchHistoryPayload(rounds, { sessionId, tournamentName, tournamentType });
+    if (payload.matches.length === 0) return true;
+    const { success, data, error } = await api.matches.record(payload);
+    if (success) {
+      console.log(`[MatchHistory] Recorded ${data.recorded} match(es), ${data.skipped} already saved`);
+      return true;
+    }
+    console.error('Record match history error:', error);
+    return window.confirm(`Could not save match history: ${error}\n\nClear the session anyway? These results will not appear in player profiles.`);
+  };
+
+  // Save the final state of the session to the archive. Nothing to archive before the first
+  // round; returns false if the organizer chose to keep the session after a failed save.
+  const archiveSession = async () => {
+    if (!user) return true;
+    if (rounds.length === 0) {
+      clearSession();
+      return true;
+    }
+    const archived = await endSession(cloudSnapshot());
+    if (archived) {
+      refreshSessions();
+      return true;
+    }
+    return window.confirm('Could not save this session to the archive.\n\nClear it anyway? It will not appear in the Archive tab.');
+  };
 
+  // Clear everything that belongs to one session (End & Clear, switching sessions)
+  const resetSessionState = () => {
+    setPlayers([]);
+    setTeams([]);
+    setKotAutoTeams([]);
     setRounds([]);
-    setCurrentRound(0);
     setPlayerStats({});
+    setTeamStats({});
     setKotStats({});
     setKotTeamStats({});
-    setKotAutoTeams([]);
-    setTeamStats({});
+    setBracket(null);
+    setPoolPlay(null);
+    setFullSchedule(null);
+    setSwiss(null);
+    setRatedMatchIds([]);
+    setCurrentRound(0);
+    setRoundStartedAt(null);
+    setExportedThisSession(false);
     setLocked(false);
-    // Clear from cloud so a refresh or other device starts fresh
-    clearSession();
-    localStorage.removeItem('pb_session');
+    setTeamBuilderSelected(null);
+    setHistory(EMPTY_HISTORY);
+    const resetCourts = Array.from({ length: courts }, (_, i) => ({
+      courtNumber: i + 1,
+      status: 'ready',
+      currentMatch: null
+    }));
+    setCourtStates(resetCourts);
   };
 
-  const updateScore = (rIdx, mIdx, which, raw) => {
-    setRounds((prev) =>
-      prev.map((round, i) =>
-        i === rIdx
-          ? round.map((m, j) => {
-            if (j !== mIdx) return m;
-            if (raw === '') return { ...m, [which]: '' };
-            const n = Number(raw);
-            return { ...m, [which]: Number.isNaN(n) ? '' : Math.max(0, n) };
-          })
-          : round
-      )
-    );
+  // Make sure the session on screen is in the cloud before leaving it
+  const saveBeforeLeaving = async () => {
+    await flushSession();
+    if (!sessionId && (players.length > 0 || rounds.length > 0)) await createSession(cloudSnapshot());
   };
 
+  // Open another of this account's sessions on this device
+  const switchSession = async (id) => {
+    if (String(id) === String(sessionId)) return;
+    await saveBeforeLeaving();
+    const snap = await loadSession(id);
+    if (!snap) {
+      refreshSessions();
+      return alert('Could not open that session — it may have been ended on another device.');
+    }
+    isClearingSession.current = true;
+    resetSessionState();
+    setTournamentName('');
+    setTab('setup');
+    setSessionId(snap.id);
+    restoreSnapshot(snap);
+    localStorage.setItem('pb_session', JSON.stringify(snap));
+    refreshSessions();
+    setTimeout(() => { isClearingSession.current = false; }, 500);
+    console.log('[Session] Switched to session', snap.id);
+  };
 
-
-  const setWinner = (m, side) => {
-    m.winner = side === 1 ? 'team1' : 'team2';
+  // Open a new session next to the current one (e.g. a clinic on another block of courts).
+  // Settings carry over; `roster` defaults to the current players, all marked absent.
+  const startNewSession = async ({ name, roster = players.map(p => ({ ...p, present: false })), teams: newTeams = [], meta = null }) => {
+    await saveBeforeLeaving();
+    isClearingSession.current = true;
+    resetSessionState();
+    setSessionId(null);
+    setPlayers(roster);
+    setTeams(newTeams);
+    if (meta) applySessionMeta(meta);
+    setTournamentName(name);
+    setTab('setup');
+    localStorage.removeItem('pb_session');
+    await createSession({
+      players: roster,
+      teams: newTeams,
+      rounds: [],
+      tournamentName: name || 'New Session',
+      tournamentType: meta?.tournamentType || tournamentType,
+      numCourts: meta?.courts || courts,
+      meta: { ...sessionSnapshot().meta, ...meta }
+    });
+    refreshSessions();
+    setTimeout(() => { isClearingSession.current = false; }, 500);
+    console.log('[Session] Started new session', name);
+  };
+
+  // Public read-only scoreboard for players and spectators (/live/:token, no login)
+  const shareScoreboard = async () => {
+    if (!sessionId) await createSession(cloudSnapshot());
+    else await flushSession();
+    const token = await shareSession();
+    if (!token) return alert('Could not create a scoreboard link. Check your connection and try again.');
+    const url = `${window.location.origin}/live/${token}`;
+    try {
+      await navigator.clipboard.writeText(url);
+    } catch (e) {
+      console.log('[Session] Clipboard unavailable:', e);
+    }
+    window.prompt(`Live scoreboard link (copied) — share it with players.\nFor the full-screen TV court board, open ${window.location.origin}/board/${token}`, url);
+  };
+
+  // Self check-in page for the current session, shown as a QR code (/checkin/:token, no login)
+  const showCheckInQR = async () => {
+    if (!sessionId) await createSession(cloudSnapshot());
+    else await flushSession();
+    const token = await checkInLink();
+    if (!token) return alert('Could not create a check-in link. Check your connection and try again.');
+    setCheckInUrl(`${window.location.origin}/checkin/${token}`);
+  };
+
+  const newSession = () => {
+    const name = window.prompt('Name for the new session (e.g. Beginner Clinic)', '');
+    if (name === null) return;
+    startNewSession({ name: name.trim() });
+  };
+
+  // Start a new session from an archived one: same settings and roster, no rounds
+  const duplicateSession = (summary) => {
+    if (!user && rounds.length > 0) {
+      return alert('End the current session (🏁 End) before starting a copy of an archived one.');
+    }
+    startNewSession({
+      name: `${summary.name} (copy)`,
+      roster: (summary.data.players || []).map(p => ({ ...p, present: true })),
+      teams: summary.data.teams || [],
+      meta: summary.meta
+    });
+    console.log('[Archive] Duplicated session', summary.id, 'with', (summary.data.players || []).length, 'players');
+  };
+
+  const clearAllRounds = () => {
+    const confirmClear = window.confirm(
+      'Clear all rounds and statistics? This cannot be undone.'
+    );
+    if (!confirmClear) return;
+
+    setRounds([]);
+    setCurrentRound(0);
+    setRoundStartedAt(null);
+    setPlayerStats({});
+    setKotStats({});
+    setKotTeamStats({});
+    setKotAutoTeams([]);
+    setTeamStats({});
+    setBracket(null);
+    setPoolPlay(null);
+    setFullSchedule(null);
+    setSwiss(null);
+    setRatedMatchIds([]);
+    setLocked(false);
+    setHistory(EMPTY_HISTORY);
+    // The session stays open — autosave overwrites it (cloud and local) with the cleared rounds
+  };
+
+  // "Court 3", or the match's place in the rounds when it has no court — for history labels
+  const matchPlace = (rIdx, mIdx) => {
+    const court = rounds[rIdx]?.[mIdx]?.court;
+    return court ? `Court ${court}` : `Round ${rIdx + 1}, match ${mIdx + 1}`;
+  };
+
+  const updateScore = (rIdx, mIdx, which, raw) => {
+    // Typing a score is one history entry per match, not one per keystroke
+    logAction(`Score entered — ${matchPlace(rIdx, mIdx)}`, { key: `score:${rounds[rIdx]?.[mIdx]?.id}` });
+    setRounds((prev) =>
+      prev.map((round, i) =>
+        i === rIdx
+          ? round.map((m, j) => {
+            if (j !== mIdx) return m;
+            if (raw === '') return { ...m, [which]: '' };
+            const n = Number(raw);
+            return { ...m, [which]: Number.isNaN(n) ? '' : Math.max(0, n) };
+          })
+          : round
+      )
+    );
+  };
+
+  // Score of one side of one game (g is 0-based) — multi-game formats keep them in m.games
+  const updateGameScore = (rIdx, mIdx, g, side, raw) => {
+    const n = Number(raw);
+    const value = raw === '' || Number.isNaN(n) ? '' : Math.max(0, n);
+    logAction(`Score entered — ${matchPlace(rIdx, mIdx)}`, { key: `score:${rounds[rIdx]?.[mIdx]?.id}` });
+    setRounds((prev) =>
+      prev.map((round, i) =>
+        i === rIdx ? round.map((m, j) => (j === mIdx ? withGameScore(m, g, side, value) : m)) : round
+      )
+    );
+  };
+
+  // side 1 or 2 wins; 0 records a draw (formats that play every game)
+  const setWinner = (m, side) => {
+    m.winner = side === 1 ? 'team1' : side === 2 ? 'team2' : null;
+    if (!side) m.draw = true;
     m.status = 'completed';
     m.endTime = new Date().toISOString();
 
@@ -1928,120 +2589,33 @@ const PickleballTournamentManager = () => {
   };
 
   const quickWin = (rIdx, mIdx, side) => {
+    const match = rounds[rIdx]?.[mIdx];
+    if (!match) return;
     // Read court number before setRounds so we can clear the court state after
-    const courtNumForMatch = rounds[rIdx]?.[mIdx]?.court;
+    const courtNumForMatch = match.court;
+
+    // A score that can't happen under this session's scoring rules (e.g. 3-2 in a game to 11)
+    const problem = matchScoreProblem(match, scoringRules);
+    if (problem) return alert(`${problem}\n\nScoring: ${describeScoringRules(scoringRules)}`);
+
+    // Every format needs its scores entered — the result comes from them (0 is a valid score)
+    const unfinished = unfinishedReason(match);
+    if (unfinished) return alert(unfinished);
+
+    // Validate the selected result (side 0: a draw) matches the actual scores
+    const outcome = matchOutcome(match);
+    const actual = outcome.draw ? 0 : outcome.winner;
+    if (actual !== side) {
+      return alert(outcome.draw
+        ? `Score validation failed: ${gamesText(match)} is a draw in this format. Please verify the scores or record a draw.`
+        : `Score validation failed: The score ${gamesText(match)} indicates Team ${actual} won. Please verify the scores or select the correct winner.`);
+    }
 
+    // Before setWinner — it adds King of Court points to the stats in place
+    logAction(side ? `Result — ${matchPlace(rIdx, mIdx)}: Team ${side} win` : `Draw — ${matchPlace(rIdx, mIdx)}`);
     setRounds((prev) => {
       const newRounds = prev.map((r) => r.map((m) => ({ ...m })));
-      const m = newRounds[rIdx][mIdx];
-
-      // Best of 3 format - require all game scores to be entered manually
-      if (m.matchFormat === 'best_of_3') {
-        // Check if Game 1 and Game 2 scores are entered (accept 0 as a valid score)
-        const g1s1 = m.game1Score1 === '' ? null : Number(m.game1Score1);
-        const g1s2 = m.game1Score2 === '' ? null : Number(m.game1Score2);
-        const g2s1 = m.game2Score1 === '' ? null : Number(m.game2Score1);
-        const g2s2 = m.game2Score2 === '' ? null : Number(m.game2Score2);
-
-        if (g1s1 === null || g1s2 === null || g2s1 === null || g2s2 === null) {
-          alert('Please enter scores for Game 1 and Game 2 before selecting a winner.');
-          return prev;
-        }
-
-        // Calculate games won by each team from Game 1 and Game 2
-        let team1Games = 0;
-        let team2Games = 0;
-
-        if (g1s1 > g1s2) team1Games++;
-        else if (g1s2 > g1s1) team2Games++;
-        else {
-          alert('Game 1 cannot be tied. Please enter valid scores.');
-          return prev;
-        }
-
-        if (g2s1 > g2s2) team1Games++;
-        else if (g2s2 > g2s1) team2Games++;
-        else {
-          alert('Game 2 cannot be tied. Please enter valid scores.');
-          return prev;
-        }
-
-        // Check if Game 3 is needed (1-1 split) or not (2-0)
-        if (team1Games === 2 || team2Games === 2) {
-          // 2-0 win — leave Game 3 scores as-is (don't erase anything entered)
-          // Determine actual winner from scores
-          const actualWinner = team1Games === 2 ? 1 : 2;
-
-          // Validate selected winner matches actual scores
-          if (actualWinner !== side) {
-            const winnerName = actualWinner === 1 ? 'Team 1' : 'Team 2';
-            alert(`Score validation failed: The scores indicate ${winnerName} won 2-0. Please verify the scores or select the correct winner.`);
-            return prev;
-          }
-
-          setWinner(m, side);
-          return newRounds;
-        } else if (team1Games === 1 && team2Games === 1) {
-          // 1-1 split - Game 3 IS required
-          const g3s1 = Number(m.game3Score1);
-          const g3s2 = Number(m.game3Score2);
-
-          if (!g3s1 || !g3s2) {
-            alert('Match is tied 1-1. Please enter Game 3 scores before selecting a winner.');
-            return prev;
-          }
-
-          if (g3s1 === g3s2) {
-            alert('Game 3 cannot be tied. Please enter valid scores.');
-            return prev;
-          }
-
-          // Count Game 3 winner
-          if (g3s1 > g3s2) team1Games++;
-          else if (g3s2 > g3s1) team2Games++;
-
-          // Determine actual winner from all 3 games
-          const actualWinner = team1Games > team2Games ? 1 : 2;
-
-          // Validate selected winner matches actual scores
-          if (actualWinner !== side) {
-            const winnerName = actualWinner === 1 ? 'Team 1' : 'Team 2';
-            const scoreDisplay = actualWinner === 1 ? `${team1Games}-${team2Games}` : `${team2Games}-${team1Games}`;
-            alert(`Score validation failed: The scores indicate ${winnerName} won ${scoreDisplay}. Please verify the scores or select the correct winner.`);
-            return prev;
-          }
-
-          setWinner(m, side);
-          return newRounds;
-        }
-
-        alert('Cannot determine match outcome. Please check the entered scores.');
-        return prev;
-      }
-
-      // Single match format — require score to be entered manually (0 is a valid score)
-      const s1 = m.score1 === '' ? null : Number(m.score1);
-      const s2 = m.score2 === '' ? null : Number(m.score2);
-
-      if (s1 === null || s2 === null) {
-        alert('Please enter scores before selecting a winner.');
-        return prev;
-      }
-
-      if (s1 === s2) {
-        alert('Scores cannot be tied. Please enter valid scores.');
-        return prev;
-      }
-
-      // Validate selected winner matches actual scores
-      const actualWinner = s1 > s2 ? 1 : 2;
-      if (actualWinner !== side) {
-        const winnerName = actualWinner === 1 ? 'Team 1' : 'Team 2';
-        alert(`Score validation failed: The score ${s1}-${s2} indicates ${winnerName} won. Please verify the scores or select the correct winner.`);
-        return prev;
-      }
-
-      setWinner(m, side);
+      setWinner(newRounds[rIdx][mIdx], side);
       return newRounds;
     });
 
@@ -2055,6 +2629,72 @@ const PickleballTournamentManager = () => {
     }
   };
 
+  // Round clock ran out: matches still on court go to the side ahead, marked time-capped.
+  // End time is the scheduled end of the round, so devices ending it together agree.
+  const endRoundOnTime = () => {
+    const rIdx = rounds.length - 1;
+    if (rIdx < 0 || !roundStartedAt) return;
+    const endTime = new Date(new Date(roundStartedAt).getTime() + minutesPerRound * 60000).toISOString();
+    const nextKotStats = JSON.parse(JSON.stringify(kotStats));
+    const nextKotTeamStats = JSON.parse(JSON.stringify(kotTeamStats));
+    const capped = new Set();
+    const level = [];
+
+    const round = rounds[rIdx].map(m => {
+      if (m.status !== 'pending') return m;
+      const side = timeCapWinner(m, scoringRules);
+      // Formats that allow draws end level matches as one, once a game has a score
+      const draw = !side && allowsDraws(m.matchFormat) && gamesText(m) !== '';
+      if (!side && !draw) {
+        level.push(m.court);
+        return m;
+      }
+      const done = {
+        ...m,
+        winner: side === 1 ? 'team1' : side === 2 ? 'team2' : null,
+        ...(draw ? { draw: true } : {}),
+        status: 'completed',
+        timeCapped: true,
+        endTime,
+        durationMinutes: m.startTime ? Math.round((new Date(endTime) - new Date(m.startTime)) / 1000 / 60) : minutesPerRound
+      };
+      if (tournamentType === 'king_of_court' && done.pointsForWin) {
+        if (done.gameFormat === 'teamed_doubles') updateKOTTeamStats(nextKotTeamStats, done);
+        else updateKOTStats(nextKotStats, done);
+      }
+      capped.add(m.id);
+      return done;
+    });
+
+    if (capped.size > 0) {
+      logAction(`Round ${rIdx + 1} ended on time`);
+      setRounds(prev => prev.map((r, i) => (i === rIdx ? round : r)));
+      setKotStats(nextKotStats);
+      setKotTeamStats(nextKotTeamStats);
+      setCourtStates(prev => prev.map(c => (
+        capped.has(c.currentMatch?.id) ? { ...c, status: 'ready', currentMatch: null } : c
+      )));
+      console.log('[RoundClock] Time-capped', capped.size, 'match(es) in round', rIdx + 1);
+    }
+    if (level.length > 0) {
+      alert(`Time! ${level.map(c => `Court ${c}`).join(', ')} ${level.length === 1 ? 'is' : 'are'} level — play one deciding point, then enter the score.`);
+    }
+  };
+
+  // Disputed player reports: open score entry on the match's court, or the rounds list
+  const openReportedMatch = (m) => {
+    const court = courtStates.find(c => c.currentMatch?.id === m.id);
+    if (court) setScoreSheet({ courtNumber: court.courtNumber });
+    else setScheduleView('rounds');
+  };
+
+  const dismissReport = (matchId) =>
+    setRounds(prev => prev.map(round => round.map(m => {
+      if (m.id !== matchId) return m;
+      const { report, ...rest } = m;
+      return rest;
+    })));
+
   const getPlayerStatsDisplay = () => {
     if (tournamentType === 'king_of_court') {
       if (gameFormat === 'teamed_doubles') {
@@ -2074,6 +2714,20 @@ const PickleballTournamentManager = () => {
         }).sort((a, b) => b.totalPoints - a.totalPoints || b.court1Wins - a.court1Wins);
 
         return stats;
+      } else if (kotVariant === 'individual') {
+        // Individual King of Court: every player carries their own points
+        if (Object.keys(kotStats).length === 0) return null;
+
+        return players
+          .filter(p => kotStats[p.id])
+          .map(p => ({
+            ...p,
+            totalPoints: kotStats[p.id].totalPoints,
+            court1Wins: kotStats[p.id].court1Wins,
+            currentCourt: kotStats[p.id].currentCourt,
+            roundsPlayed: kotStats[p.id].roundsPlayed,
+          }))
+          .sort((a, b) => b.totalPoints - a.totalPoints || b.court1Wins - a.court1Wins);
       } else {
         // Show team stats for King of Court with auto-generated fixed doubles teams
         if (Object.keys(kotTeamStats).length === 0) return null;
@@ -2163,9 +2817,21 @@ const PickleballTournamentManager = () => {
               <span><span className="text-white">D</span><span className="text-brand-secondary">S</span></span>
             </div>
             <div>
-              <div className="text-sm font-bold text-brand-primary leading-tight">
-                {tournamentName || 'DinkSync'}
-              </div>
+              {user ? (
+                <SessionSwitcher
+                  sessions={openSessions}
+                  currentId={sessionId}
+                  currentName={tournamentName || 'DinkSync'}
+                  onOpen={refreshSessions}
+                  onSwitch={switchSession}
+                  onNew={newSession}
+                  onShare={shareScoreboard}
+                />
+              ) : (
+                <div className="text-sm font-bold text-brand-primary leading-tight">
+                  {tournamentName || 'DinkSync'}
+                </div>
+              )}
               <div className="text-[10px] text-brand-primary/50 leading-none">
                 Round {currentRound} · {presentPlayers.length} players · {courts} courts
               </div>
@@ -2173,6 +2839,16 @@ const PickleballTournamentManager = () => {
           </div>
           {/* Right-side: pills (desktop) + always-visible ? help button */}
           <div className="flex items-center gap-2">
+            <RoundClock
+              startedAt={roundClockLive ? roundStartedAt : null}
+              minutesPerRound={Number(minutesPerRound) || 0}
+              warnings={parseWarnings(clockWarnings)}
+              round={currentRound}
+              autoEnd={autoEndRounds}
+              onTimeUp={() => autoEndRounds && endRoundOnTime()}
+              onEndOnTime={endRoundOnTime}
+            />
+            {user && <SyncIndicator online={syncStatus.online} pending={syncStatus.pending} error={syncStatus.error} />}
             <div className="hidden sm:flex items-center gap-1.5 text-[11px]">
               <span className="rounded-full bg-brand-secondary/20 px-2.5 py-0.5 text-brand-primary font-semibold">
                 {presentPlayers.length} present
@@ -2235,7 +2911,49 @@ const PickleballTournamentManager = () => {
                     className="w-full h-11 rounded-lg border border-brand-gray px-3 focus:border-brand-secondary focus:ring-brand-secondary"
                   />
                 </Field>
-                <Field label="Tournament style">
+                <Field label="Session length (minutes)" hint={minutesPerRound > 0 && sessionMinutes > 0 ? `About ${Math.floor(sessionMinutes / minutesPerRound)} rounds of ${minutesPerRound} minutes` : undefined}>
+                  <input
+                    type="number"
+                    min={0}
+                    step={15}
+                    value={sessionMinutes}
+                    onChange={(e) => setSessionMinutes(e.target.value === '' ? '' : Math.max(0, Number(e.target.value) || 0))}
+                    className="w-full h-11 rounded-lg border border-brand-gray px-3 focus:border-brand-secondary focus:ring-brand-secondary"
+                  />
+                </Field>
+                {!isQueuedFormat && (
+                  <Field label="Round clock (minutes per round)" hint={minutesPerRound > 0 ? 'Counts down from the start of each round — the horn sounds when time is up' : 'Off — set the minutes to time each round'}>
+                    <input
+                      type="number"
+                      min={0}
+                      max={120}
+                      value={minutesPerRound}
+                      onChange={(e) => setMinutesPerRound(e.target.value === '' ? '' : Math.max(0, Math.min(120, Number(e.target.value) || 0)))}
+                      className="w-full h-11 rounded-lg border border-brand-gray px-3 focus:border-brand-secondary focus:ring-brand-secondary"
+                    />
+                    {minutesPerRound > 0 && (
+                      <div className="mt-2 space-y-2">
+                        <label className="flex items-center gap-2 text-sm font-normal">
+                          <span className="shrink-0">Warn at</span>
+                          <input
+                            type="text"
+                            inputMode="numeric"
+                            value={clockWarnings}
+                            onChange={(e) => setClockWarnings(e.target.value)}
+                            placeholder="5, 2"
+                            className="w-24 h-9 rounded-lg border border-brand-gray px-2 focus:border-brand-secondary focus:ring-brand-secondary"
+                          />
+                          <span className="text-xs text-brand-primary/70">minutes left</span>
+                        </label>
+                        <label className="flex items-center gap-2 text-sm font-normal">
+                          <input type="checkbox" checked={autoEndRounds} onChange={(e) => setAutoEndRounds(e.target.checked)} />
+                          <span>End rounds on time — the side ahead wins (time-capped)</span>
+                        </label>
+                      </div>
+                    )}
+                  </Field>
+                )}
+                <Field label="Tournament style" hint={tournamentType === 'river' ? 'Courts are a ladder: winners move up one court, losers move down one, partners split every round' : undefined}>
                   <select
                     value={tournamentType}
                     onChange={(e) => {
@@ -2245,15 +2963,102 @@ const PickleballTournamentManager = () => {
                         if (!window.confirm('Changing tournament type will clear all rounds. Continue?')) return;
                         clearAllRounds();
                       }
+                      // Brackets need fixed partners — random-pairing doubles becomes Team Builder teams
+                      const queued = newVal === 'bracket' || newVal === 'pool_play';
+                      if (queued && gameFormat === 'doubles') setGameFormat('teamed_doubles');
+                      if (newVal !== 'round_robin' && !queued && gameFormat === 'singles') setGameFormat('doubles');
+                      // The river splits partners every round, so it is always random-pairing doubles
+                      if (newVal === 'river' && gameFormat !== 'doubles') setGameFormat('doubles');
+                      // Brackets, ladders and pools advance on a winner, so no formats that can end level
+                      if (newVal !== 'round_robin' && allowsDraws(matchFormat)) setMatchFormat('single_match');
                       setTournamentType(newVal);
                     }}
                     className="w-full h-11 rounded-lg border border-brand-gray px-3 focus:border-brand-secondary focus:ring-brand-secondary"
                   >
                     <option value="round_robin">Round Robin</option>
-                    {ENABLE_KOT_V2 && <option value="king_of_court">King of Court</option>}
+                    <option value="bracket">Elimination Bracket</option>
+                    <option value="pool_play">Pool Play → Playoffs</option>
+                    <option value="king_of_court">King of Court</option>
+                    <option value="river">Up & Down the River</option>
                   </select>
                 </Field>
 
+                {tournamentType === 'pool_play' && (
+                  <>
+                    <Field label="Number of pools" hint="Teams are snake-seeded by rating: 1→A, 2→B, … then back up">
+                      <select
+                        value={numPools}
+                        onChange={(e) => {
+                          const newVal = Number(e.target.value);
+                          console.log('SETTING CHANGE: Number of Pools ->', newVal);
+                          if (poolPlay) {
+                            if (!window.confirm('Changing the pools will clear all rounds. Continue?')) return;
+                            clearAllRounds();
+                          }
+                          setNumPools(newVal);
+                        }}
+                        className="w-full h-11 rounded-lg border border-brand-gray px-3 focus:border-brand-secondary focus:ring-brand-secondary"
+                      >
+                        {[1, 2, 3, 4, 5, 6, 7, 8].map(n => (
+                          <option key={n} value={n}>{n} {n === 1 ? 'pool' : 'pools'}</option>
+                        ))}
+                      </select>
+                    </Field>
+                    <Field label="Advance per pool" hint="Ranked by wins, then point differential">
+                      <select
+                        value={advancePerPool}
+                        onChange={(e) => {
+                          console.log('SETTING CHANGE: Advance per Pool ->', e.target.value);
+                          setAdvancePerPool(Number(e.target.value));
+                        }}
+                        className="w-full h-11 rounded-lg border border-brand-gray px-3 focus:border-brand-secondary focus:ring-brand-secondary"
+                      >
+                        {[1, 2, 3, 4].map(n => (
+                          <option key={n} value={n}>Top {n}</option>
+                        ))}
+                      </select>
+                    </Field>
+                  </>
+                )}
+
+                {isQueuedFormat && (
+                  <>
+                    <Field label={tournamentType === 'pool_play' ? 'Playoff format' : 'Bracket format'} hint={bracketFormat === 'double_elimination' ? 'Teams drop to the losers bracket after one loss; the grand final resets if the losers-bracket team wins' : 'One loss and you are out'}>
+                      <select
+                        value={bracketFormat}
+                        onChange={(e) => {
+                          const newVal = e.target.value;
+                          console.log('SETTING CHANGE: Bracket Format ->', newVal);
+                          if (bracket) {
+                            if (!window.confirm('Changing bracket format will clear all rounds. Continue?')) return;
+                            clearAllRounds();
+                          }
+                          setBracketFormat(newVal);
+                        }}
+                        className="w-full h-11 rounded-lg border border-brand-gray px-3 focus:border-brand-secondary focus:ring-brand-secondary"
+                      >
+                        <option value="single_elimination">Single Elimination</option>
+                        <option value="double_elimination">Double Elimination</option>
+                      </select>
+                    </Field>
+                    {tournamentType === 'bracket' && (
+                      <Field label="Seeding" hint="Top seeds get the byes when the field isn't a power of two">
+                        <select
+                          value={bracketSeeding}
+                          onChange={(e) => {
+                            console.log('SETTING CHANGE: Bracket Seeding ->', e.target.value);
+                            setBracketSeeding(e.target.value);
+                          }}
+                          className="w-full h-11 rounded-lg border border-brand-gray px-3 focus:border-brand-secondary focus:ring-brand-secondary"
+                        >
+                          <option value="rating">By rating (highest first)</option>
+                          <option value="manual">Manual (Team Builder / roster order)</option>
+                        </select>
+                      </Field>
+                    )}
+                  </>
+                )}
+
                 <Field label="Game format">
                   <select
                     value={gameFormat}
@@ -2268,20 +3073,24 @@ const PickleballTournamentManager = () => {
                         setTeams([]);
                         setTeamBuilderSelected(null);
                       }
+                      setFullSchedule(null);
+                      setSwiss(null);
+                      // Swiss needs fixed sides — random-pairing doubles goes back to one round at a time
+                      if (newVal === 'doubles' && scheduleMode === 'swiss') setScheduleMode('rolling');
                       setGameFormat(newVal);
                     }}
                     className="w-full h-11 rounded-lg border border-brand-gray px-3 focus:border-brand-secondary focus:ring-brand-secondary"
                   >
-                    <option value="doubles">Doubles (Random Pairing)</option>
-                    <option value="teamed_doubles">Teamed Doubles (Pre-formed Teams)</option>
-                    {tournamentType === 'round_robin' && <option value="singles">Singles (1v1)</option>}
+                    {!isQueuedFormat && <option value="doubles">Doubles (Random Pairing)</option>}
+                    {tournamentType !== 'river' && <option value="teamed_doubles">Teamed Doubles (Pre-formed Teams)</option>}
+                    {(tournamentType === 'round_robin' || isQueuedFormat) && <option value="singles">Singles (1v1)</option>}
                   </select>
                 </Field>
 
 
 
-                {tournamentType === 'round_robin' && (
-                  <Field label="Match format">
+                {(tournamentType === 'round_robin' || isQueuedFormat) && (
+                  <Field label="Match format" hint={allowsDraws(matchFormat) ? 'Every game is played and counts — a level result is recorded as a draw' : undefined}>
                     <select
                       value={matchFormat}
                       onChange={(e) => {
@@ -2291,35 +3100,174 @@ const PickleballTournamentManager = () => {
                       }}
                       className="w-full h-11 rounded-lg border border-brand-gray px-3 focus:border-brand-secondary focus:ring-brand-secondary"
                     >
-                      <option value="single_match">1 Match per Round</option>
-                      <option value="best_of_3">Best of 3</option>
+                      {Object.entries(MATCH_FORMATS)
+                        .filter(([key]) => !allowsDraws(key) || (tournamentType === 'round_robin' && !usesSwiss))
+                        .map(([key, format]) => <option key={key} value={key}>{format.label}</option>)}
                     </select>
                   </Field>
                 )}
 
-                <Field label="Skill separation">
-                  <label className="flex items-center gap-2">
+                <Field label="Scoring" hint={`${describeScoringRules(scoringRules)} — scores that can't happen under these rules are rejected`}>
+                  <div className="grid grid-cols-2 gap-2">
+                    <select
+                      value={scoringRules.scoring}
+                      onChange={(e) => setScoringRules({ ...scoringRules, scoring: e.target.value })}
+                      className="h-11 rounded-lg border border-brand-gray px-3 focus:border-brand-secondary focus:ring-brand-secondary"
+                      aria-label="Scoring system"
+                    >
+                      <option value="side_out">Side-out</option>
+                      <option value="rally">Rally</option>
+                    </select>
+                    <select
+                      value={scoringRules.gameTo}
+                      onChange={(e) => setScoringRules({ ...scoringRules, gameTo: Number(e.target.value) })}
+                      className="h-11 rounded-lg border border-brand-gray px-3 focus:border-brand-secondary focus:ring-brand-secondary"
+                      aria-label="Game to"
+                    >
+                      {GAME_TO_OPTIONS.map(n => <option key={n} value={n}>Game to {n}</option>)}
+                    </select>
+                    <select
+                      value={scoringRules.winBy}
+                      onChange={(e) => setScoringRules({ ...scoringRules, winBy: Number(e.target.value) })}
+                      className="h-11 rounded-lg border border-brand-gray px-3 focus:border-brand-secondary focus:ring-brand-secondary"
+                      aria-label="Win by"
+                    >
+                      <option value={2}>Win by 2</option>
+                      <option value={1}>Win by 1</option>
+                    </select>
+                    <input
+                      type="number"
+                      min={scoringRules.gameTo}
+                      value={scoringRules.cap ?? ''}
+                      onChange={(e) => setScoringRules({ ...scoringRules, cap: e.target.value === '' ? null : Math.max(0, Number(e.target.value) || 0) })}
+                      onBlur={() => scoringRules.cap && scoringRules.cap < scoringRules.gameTo && setScoringRules({ ...scoringRules, cap: scoringRules.gameTo })}
+                      placeholder="No cap"
+                      className="h-11 rounded-lg border border-brand-gray px-3 focus:border-brand-secondary focus:ring-brand-secondary"
+                      aria-label="Cap at"
+                    />
+                  </div>
+                  <label className="mt-2 flex items-center gap-2 text-sm font-normal">
                     <input
                       type="checkbox"
-                      checked={separateBySkill}
-                      onChange={(e) => {
-                        console.log('SETTING CHANGE: Separate by Skill ->', e.target.checked);
-                        setSeparateBySkill(e.target.checked);
-                      }}
+                      checked={scoringRules.timeCap}
+                      onChange={(e) => setScoringRules({ ...scoringRules, timeCap: e.target.checked })}
                     />
-                    <span className="text-sm">Separate by skill levels</span>
+                    <span>Games can end at a time cap (any lead wins)</span>
                   </label>
-                  <div className="mt-2 text-xs text-brand-primary/70">
-                    {tournamentType === 'king_of_court' ? (
-                      <p className="italic">Creates separate King hierarchies per skill group</p>
-                    ) : (
-                      <p className="italic">Players auto-balance across skill groups</p>
-                    )}
-                  </div>
                 </Field>
 
+                {tournamentType === 'round_robin' && (
+                  <Field label="Schedule" hint={scheduleMode === 'swiss' ? 'Each round pairs equal records without rematches; the odd one out gets a bye. Big rounds go out in waves of courts.'
+                    : scheduleMode !== 'full' ? undefined
+                    : gameFormat === 'doubles' ? `Needs a multiple of 4 players, or one more (${presentPlayers.length} present${supportsRotatingPartners(presentPlayers.length) ? '' : ' — partners will be paired as usual and coverage reported'})`
+                      : 'All rounds are generated up front — preview and print them on the Schedule tab'}>
+                    <select
+                      value={scheduleMode}
+                      onChange={(e) => {
+                        console.log('SETTING CHANGE: Schedule Mode ->', e.target.value);
+                        setScheduleMode(e.target.value);
+                        setFullSchedule(null);
+                        setSwiss(null);
+                        // Swiss pairs by wins, so every match needs a winner
+                        if (e.target.value === 'swiss' && allowsDraws(matchFormat)) setMatchFormat('single_match');
+                      }}
+                      disabled={rounds.length > 0}
+                      className="w-full h-11 rounded-lg border border-brand-gray px-3 focus:border-brand-secondary focus:ring-brand-secondary disabled:opacity-60"
+                    >
+                      <option value="rolling">One round at a time</option>
+                      {gameFormat === 'doubles'
+                        ? <option value="full">Rotating partners (everyone partners everyone once)</option>
+                        : <option value="full">Full schedule (everyone plays everyone)</option>}
+                      {gameFormat !== 'doubles' && <option value="swiss">Swiss (pair by record)</option>}
+                    </select>
+                  </Field>
+                )}
+
+                {tournamentType === 'king_of_court' && gameFormat === 'doubles' && (
+                  <Field label="Movement" hint={kotVariant === 'individual' ? 'Winners move up and losers move down one at a time — partners split every round' : 'Balanced partnerships are drawn once and move up and down together'}>
+                    <select
+                      value={kotVariant}
+                      onChange={(e) => {
+                        console.log('SETTING CHANGE: KOT Variant ->', e.target.value);
+                        setKotVariant(e.target.value);
+                      }}
+                      disabled={rounds.length > 0}
+                      className="w-full h-11 rounded-lg border border-brand-gray px-3 focus:border-brand-secondary focus:ring-brand-secondary disabled:opacity-60"
+                    >
+                      <option value="individual">Individual (split partners)</option>
+                      <option value="fixed_teams">Fixed partners</option>
+                    </select>
+                  </Field>
+                )}
+
+                {tournamentType === 'king_of_court' && (
+                  <Field label="Points per win" hint="King court first. Leave blank for the default (2 × levels from the bottom).">
+                    <div className="grid grid-cols-3 sm:grid-cols-4 gap-2">
+                      {getCourtPointsTable(courts).map((defaultPoints, idx) => (
+                        <label key={idx} className="text-xs text-brand-primary/70">
+                          {idx === 0 ? '👑 Court 1' : `Court ${idx + 1}`}
+                          <input
+                            type="number"
+                            min="0"
+                            value={kotCourtPoints[idx] ?? ''}
+                            placeholder={String(defaultPoints)}
+                            onChange={(e) => {
+                              const raw = e.target.value;
+                              setKotCourtPoints(prev => {
+                                const next = [...prev];
+                                next[idx] = raw === '' ? '' : Math.max(0, Number(raw));
+                                return next;
+                              });
+                            }}
+                            className="mt-1 w-full h-9 rounded-lg border border-brand-gray px-2 text-sm text-brand-primary focus:border-brand-secondary focus:ring-brand-secondary"
+                          />
+                        </label>
+                      ))}
+                    </div>
+                  </Field>
+                )}
+
+                {!isQueuedFormat && gameFormat !== 'teamed_doubles' && (
+                  <Field label="Balance on" hint={balanceRating === 'internal' ? 'Players without results yet use their entered DUPR. Match cards show the rating used.' : undefined}>
+                    <select
+                      value={balanceRating}
+                      onChange={(e) => {
+                        console.log('SETTING CHANGE: Balance Rating ->', e.target.value);
+                        setBalanceRating(e.target.value);
+                      }}
+                      className="w-full h-11 rounded-lg border border-brand-gray px-3 focus:border-brand-secondary focus:ring-brand-secondary"
+                    >
+                      <option value="dupr">Entered DUPR</option>
+                      <option value="internal">SmashBoard rating (learned from results)</option>
+                    </select>
+                  </Field>
+                )}
+
+                {tournamentType !== 'river' && (
+                  <Field label="Skill separation">
+                    <label className="flex items-center gap-2">
+                      <input
+                        type="checkbox"
+                        checked={separateBySkill}
+                        onChange={(e) => {
+                          console.log('SETTING CHANGE: Separate by Skill ->', e.target.checked);
+                          setSeparateBySkill(e.target.checked);
+                        }}
+                      />
+                      <span className="text-sm">Separate by skill levels</span>
+                    </label>
+                    <div className="mt-2 text-xs text-brand-primary/70">
+                      {tournamentType === 'king_of_court' ? (
+                        <p className="italic">Creates separate King hierarchies per skill group</p>
+                      ) : (
+                        <p className="italic">Players auto-balance across skill groups</p>
+                      )}
+                    </div>
+                  </Field>
+                )}
+
                 {/* Mixed Doubles Preferences — only for regular doubles */}
-                {gameFormat === 'doubles' && (
+                {gameFormat === 'doubles' && tournamentType !== 'river' && (
                   <>
                     <Field label="Mixed doubles">
                       <label className="flex items-center gap-2">
@@ -2366,12 +3314,32 @@ const PickleballTournamentManager = () => {
                 <div className="mt-3 p-3 bg-purple-50 border border-purple-200 rounded-lg">
                   <div className="text-xs text-purple-800">
                     👑 <strong>King of Court Active!</strong><br />
-                    Winners advance up courts, losers drop down. Court 1 = King Court!
+                    Winners advance up courts, losers drop down{kotUsesTeams ? '' : ' and partners split'}. Court 1 = King Court!
+                  </div>
+                </div>
+              )}
+
+              {rounds.length > 0 && tournamentType === 'river' && (
+                <div className="mt-3 p-3 bg-sky-50 border border-sky-200 rounded-lg">
+                  <div className="text-xs text-sky-800">
+                    🌊 <strong>Up & Down the River!</strong><br />
+                    After each round winners move up a court and losers move down, and partners always split. Players waiting come in on the bottom court.
                   </div>
                 </div>
               )}
 
-              {tournamentType === 'king_of_court' && gameFormat === 'doubles' && kotAutoTeams.length > 0 && (
+              {rounds.length > 0 && isQueuedFormat && (
+                <div className="mt-3 p-3 bg-yellow-50 border border-yellow-200 rounded-lg">
+                  <div className="text-xs text-yellow-800">
+                    🏆 <strong>{bracket ? 'Bracket in progress!' : 'Pool play in progress!'}</strong><br />
+                    {bracket
+                      ? 'Winners advance automatically and the next matches go to free courts as they open up.'
+                      : 'Pool matches go to free courts as they open up. Start the playoffs once every pool match is done.'}
+                  </div>
+                </div>
+              )}
+
+              {tournamentType === 'king_of_court' && gameFormat === 'doubles' && kotVariant === 'fixed_teams' && kotAutoTeams.length > 0 && (
                 <div className="mt-3 p-3 bg-blue-50 border border-blue-200 rounded-lg">
                   <div className="text-xs text-blue-800 font-semibold mb-2">
                     🤝 Fixed Partnerships for King of Court
@@ -2466,6 +3434,13 @@ const PickleballTournamentManager = () => {
           </div>
         )}
 
+        {tab === 'archive' && (
+          <Card>
+            <h3 className="text-sm font-semibold text-brand-primary mb-3">Archive</h3>
+            <SessionArchive signedIn={!!user} onDuplicate={duplicateSession} />
+          </Card>
+        )}
+
         {tab === 'roster' && (
           <Card>
             <div className="flex items-center justify-between">
@@ -2473,6 +3448,25 @@ const PickleballTournamentManager = () => {
               <div className="text-xs text-brand-primary/70">Present: {presentPlayers.length}</div>
             </div>
 
+            {user && (
+              <div className="mt-2 flex flex-wrap items-center justify-between gap-2">
+                <Button
+                  className="bg-brand-primary text-brand-white hover:bg-brand-primary/90"
+                  onClick={showCheckInQR}
+                >
+                  📱 Check-in QR code
+                </Button>
+                <label className="flex items-center gap-2 text-xs text-brand-primary/80">
+                  <input
+                    type="checkbox"
+                    checked={approveWalkIns}
+                    onChange={(e) => setApproveWalkIns(e.target.checked)}
+                  />
+                  Approve walk-ins before they play
+                </label>
+              </div>
+            )}
+
             {rounds.length > 0 && (
               <div className="mt-2 p-3 bg-yellow-50 border border-yellow-200 rounded-lg">
                 <div className="text-sm text-yellow-800">
@@ -2523,7 +3517,7 @@ const PickleballTournamentManager = () => {
                     value={p.name}
                     onChange={(e) => updatePlayerField(p.id, 'name', e.target.value)}
                     onBlur={() => {
-                      if (user) {
+                      if (user && isDatabaseId(p.id)) {
                         api.players.update(p.id, {
                           player_name: p.name,
                           dupr_rating: p.rating,
@@ -2543,7 +3537,7 @@ const PickleballTournamentManager = () => {
                     value={p.rating}
                     onChange={(e) => updatePlayerField(p.id, 'rating', Number(e.target.value))}
                     onBlur={() => {
-                      if (user) {
+                      if (user && isDatabaseId(p.id)) {
                         api.players.update(p.id, {
                           player_name: p.name,
                           dupr_rating: p.rating,
@@ -2554,6 +3548,48 @@ const PickleballTournamentManager = () => {
                     className="w-14 text-center bg-brand-gray/30 rounded-lg px-1 py-1 text-sm font-semibold text-brand-primary focus:outline-none focus:ring-2 focus:ring-brand-secondary"
                   />
 
+                  {/* Self check-in from the QR code */}
+                  {p.pendingApproval ? (
+                    <button
+                      onClick={() => approveWalkIn(p.id)}
+                      className="flex-shrink-0 text-[11px] px-2 py-1 rounded-full bg-brand-secondary text-brand-primary font-semibold"
+                    >
+                      Walk-in · Approve
+                    </button>
+                  ) : (p.present ? p.checkedInAt : p.leftAt) && (
+                    <span className="flex-shrink-0 text-[10px] text-brand-primary/60" title="Self check-in">
+                      {p.present ? 'In' : 'Left'} {new Date(p.present ? p.checkedInAt : p.leftAt).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}
+                    </span>
+                  )}
+                  {p.reportKey && !p.pendingApproval && (
+                    <button
+                      onClick={() => unlinkPhone(p.id)}
+                      className="flex-shrink-0 text-[10px] px-1.5 py-0.5 rounded-full border border-brand-gray text-brand-primary/70"
+                      title="Checked in from a phone — only that phone can report their scores"
+                    >
+                      📱 Unlink
+                    </button>
+                  )}
+
+                  {/* Internal rating learned from results */}
+                  {p.internalRating !== undefined && (
+                    <span
+                      className="flex-shrink-0 text-[10px] px-1.5 py-0.5 rounded-full bg-brand-secondary/10 text-brand-primary font-semibold"
+                      title={`SmashBoard rating after ${p.ratedMatches || 0} rated matches`}
+                    >
+                      SB {p.internalRating.toFixed(2)}
+                    </span>
+                  )}
+
+                  {/* Lifetime profile */}
+                  <button
+                    onClick={() => setProfilePlayer(p)}
+                    className="flex-shrink-0 w-8 h-8 rounded-full flex items-center justify-center text-brand-primary/60 hover:bg-brand-gray/40 hover:text-brand-primary transition-colors"
+                    aria-label={`View ${p.name}'s profile`}
+                  >
+                    📊
+                  </button>
+
                   {/* Remove */}
                   <button
                     onClick={() => removePlayer(p.id)}
@@ -2710,9 +3746,13 @@ const PickleballTournamentManager = () => {
             <Button
               className="bg-brand-primary text-brand-white hover:bg-brand-primary/90 w-full"
               onClick={generateNextRound}
-              disabled={gameFormat === 'teamed_doubles' ? teams.length < 2 : presentPlayers.length < 4}
+              disabled={isQueuedFormat
+                ? queuedStart.disabled
+                : gameFormat === 'teamed_doubles' ? teams.length < 2 : presentPlayers.length < 4}
             >
-              {currentRound === 0 ? 'Start Tournament (Generate Round 1)' : 'Generate Next Round'}
+              {isQueuedFormat
+                ? queuedStart.label
+                : currentRound === 0 ? 'Start Tournament (Generate Round 1)' : 'Generate Next Round'}
             </Button>
             {rounds.length > 0 && (
               <Button
@@ -2725,14 +3765,57 @@ const PickleballTournamentManager = () => {
           </div>
         )}
 
+        {tab === 'stats' && tournamentType === 'pool_play' && poolPlay && (
+          <Card className="mb-3">
+            <h3 className="text-sm font-semibold text-brand-primary mb-3">Pool Standings</h3>
+            <PoolStandings standings={poolStandings} advancePerPool={advancePerPool} playoffsStarted={!!bracket} />
+          </Card>
+        )}
+
+        {tab === 'stats' && usesSwiss && (
+          <Card className="mb-3">
+            <h3 className="text-sm font-semibold text-brand-primary mb-3">Swiss Standings</h3>
+            <SwissStandings rows={swissStandings} swiss={swiss} noun={gameFormat === 'singles' ? 'Player' : 'Team'} />
+          </Card>
+        )}
+
+        {tab === 'stats' && showsStandings && rounds.length > 0 && (
+          <Card className="mb-3">
+            <h3 className="text-sm font-semibold text-brand-primary mb-3">🏅 Standings</h3>
+            <StandingsTable
+              rows={standings}
+              noun={gameFormat === 'teamed_doubles' ? 'Team' : 'Player'}
+              showGames={MATCH_FORMATS[matchFormat]?.games > 1}
+              tiebreakOrder={tiebreakOrder}
+              onTiebreakOrderChange={(order) => {
+                console.log('SETTING CHANGE: Tiebreak order ->', order.join(', '));
+                setTiebreakOrder(order);
+              }}
+            />
+          </Card>
+        )}
+
+        {tab === 'stats' && rounds.length > 0 && (
+          <Card className="mb-3">
+            <h3 className="text-sm font-semibold text-brand-primary mb-3">📈 Ratings</h3>
+            <RatingChanges
+              rows={ratingRows}
+              matchCount={ratingPreview.matchIds.length}
+              ratedCount={ratedMatchIds.length}
+              saving={savingRatings}
+              onSave={saveRatings}
+            />
+          </Card>
+        )}
+
         {tab === 'stats' && (
           <Card>
             <h3 className="text-sm font-semibold text-brand-primary mb-3">
               {tournamentType === 'king_of_court' ? '👑 Leaderboard' : 'Player Statistics'}
             </h3>
-            {((tournamentType === 'king_of_court' && gameFormat === 'teamed_doubles' && Object.keys(kotTeamStats).length === 0) ||
-              (tournamentType === 'king_of_court' && gameFormat !== 'teamed_doubles' && Object.keys(kotStats).length === 0) ||
-              (tournamentType === 'round_robin' && rounds.length === 0)) ? (
+            {((tournamentType === 'king_of_court' && kotUsesTeams && Object.keys(kotTeamStats).length === 0) ||
+              (tournamentType === 'king_of_court' && !kotUsesTeams && Object.keys(kotStats).length === 0) ||
+              (tournamentType !== 'king_of_court' && rounds.length === 0)) ? (
               <div className="py-8 text-center space-y-3">
                 <div className="text-4xl">📊</div>
                 <div className="font-bold text-brand-primary text-lg">No stats yet</div>
@@ -2754,7 +3837,7 @@ const PickleballTournamentManager = () => {
                   <thead className="bg-brand-white">
                     <tr className="text-left">
                       {tournamentType === 'king_of_court' && <th className="p-2">Rank</th>}
-                      <th className="p-2">{tournamentType === 'king_of_court' && gameFormat === 'teamed_doubles' ? 'Team' : 'Player'}</th>
+                      <th className="p-2">{tournamentType === 'king_of_court' && kotUsesTeams ? 'Team' : 'Player'}</th>
                       <th className="p-2">DUPR</th>
                       {tournamentType === 'king_of_court' ? (
                         <>
@@ -2823,21 +3906,29 @@ const PickleballTournamentManager = () => {
 
         {tab === 'schedule' && (
           <div className="space-y-3">
-            {/* ── Court Flow (Round Robin / KoC only) ── */}
-            {(tournamentType === 'round_robin' || tournamentType === 'king_of_court') && (
+            {/* ── Court Flow (Round Robin / KoC / River / Bracket / Pool Play) ── */}
+            {(tournamentType === 'round_robin' || tournamentType === 'king_of_court' || tournamentType === 'river' || isQueuedFormat) && (
               <div className="space-y-2">
 
                 {/* Generate Round button */}
                 {rounds.length === 0 && (
                   <button
-                    onClick={() => { generateNextRound(); setScheduleView('rounds'); }}
-                    disabled={presentPlayers.length < 4}
+                    onClick={() => { generateNextRound(); setScheduleView(tournamentType === 'bracket' ? 'bracket' : 'rounds'); }}
+                    disabled={isQueuedFormat ? queuedStart.disabled : presentPlayers.length < 4}
                     className="w-full h-14 rounded-2xl bg-brand-primary text-white text-base font-bold shadow-lg disabled:opacity-40 disabled:cursor-not-allowed active:scale-[0.98] transition-transform"
                   >
-                    🎾 Generate First Round
+                    {isQueuedFormat ? `🏆 ${queuedStart.label}` : '🎾 Generate First Round'}
                   </button>
                 )}
-                {courtStates.every(c => c.status === 'ready') && rounds.length > 0 && (
+                {tournamentType === 'pool_play' && poolsComplete && !bracket && (
+                  <button
+                    onClick={() => { generateNextRound(); setScheduleView('bracket'); }}
+                    className="w-full h-14 rounded-2xl bg-brand-primary text-white text-base font-bold shadow-lg active:scale-[0.98] transition-transform"
+                  >
+                    🏆 Start Playoffs (Top {advancePerPool} per pool)
+                  </button>
+                )}
+                {courtStates.every(c => c.status === 'ready') && rounds.length > 0 && !isQueuedFormat && (
                   <button
                     onClick={() => { generateNextRound(); setScheduleView('rounds'); }}
                     className="w-full h-14 rounded-2xl bg-brand-primary text-white text-base font-bold shadow-lg active:scale-[0.98] transition-transform"
@@ -2877,7 +3968,11 @@ const PickleballTournamentManager = () => {
                           {/* Header */}
                           <div className="w-full px-3 pt-2 pb-1 flex items-center justify-between">
                             <span className={`font-bold text-sm ${textColor}`}>Ct {court.courtNumber}</span>
-                            <span className={`text-xs font-semibold uppercase ${textColor} opacity-80`}>{court.status}</span>
+                            {isPlaying && cm?.startTime ? (
+                              <CourtTimer startTime={cm.startTime} className={`text-xs font-semibold ${textColor} opacity-80`} />
+                            ) : (
+                              <span className={`text-xs font-semibold uppercase ${textColor} opacity-80`}>{court.status}</span>
+                            )}
                           </div>
 
                           {/* Match summary + spread indicator */}
@@ -2920,9 +4015,12 @@ const PickleballTournamentManager = () => {
                             )}
                             {isCleaning && !cm && (
                               <button
-                                onClick={() => setCourtStates(prev => prev.map(c =>
-                                  c.courtNumber === court.courtNumber ? { ...c, status: 'ready', currentMatch: null } : c
-                                ))}
+                                onClick={() => {
+                                  logAction(`Court ${court.courtNumber} ready`);
+                                  setCourtStates(prev => prev.map(c =>
+                                    c.courtNumber === court.courtNumber ? { ...c, status: 'ready', currentMatch: null } : c
+                                  ));
+                                }}
                                 className="w-full rounded-xl bg-white/20 hover:bg-white/30 text-white text-xs font-bold py-1.5 active:scale-95 transition-transform"
                               >
                                 ✓ Ready
@@ -2935,19 +4033,15 @@ const PickleballTournamentManager = () => {
                   </div>
                 </div>
 
-                {/* Undo */}
-                {rounds.some(r => r.some(m => m.status === 'completed')) && (
-                  <button
-                    onClick={undoLastMatch}
-                    className="w-full h-9 rounded-xl border border-amber-300 bg-amber-50 text-amber-800 text-xs font-semibold"
-                  >
-                    ↩ Undo
-                  </button>
-                )}
+                {/* Scores reported by players from the check-in page */}
+                <ScoreDisputes rounds={rounds} onOpen={openReportedMatch} onDismiss={dismissReport} />
+
+                {/* Undo / redo and the list of actions to jump back to */}
+                <ActionHistory history={history} onUndo={undoActions} onRedo={redoActions} />
 
                 {/* ── Courts / Rounds sub-tabs ── */}
                 <div className="flex rounded-xl overflow-hidden border border-brand-gray bg-white shadow-sm mt-1">
-                  {[['courts', '🏟️ Courts'], ['rounds', '📋 Rounds']].map(([key, label]) => (
+                  {[['courts', '🏟️ Courts'], ['rounds', '📋 Rounds'], ...(isQueuedFormat ? [['bracket', '🏆 Bracket']] : []), ...(usesFullSchedule ? [['full', '📅 Full Schedule']] : []), ...(tournamentType === 'king_of_court' ? [['ladder', '👑 Ladder']] : [])].map(([key, label]) => (
                     <button
                       key={key}
                       onClick={() => setScheduleView(key)}
@@ -2961,6 +4055,100 @@ const PickleballTournamentManager = () => {
                   ))}
                 </div>
 
+                {/* Bracket view — elimination chart */}
+                {scheduleView === 'bracket' && isQueuedFormat && (
+                  <Card>
+                    {bracket ? (
+                      <BracketView bracket={bracket} courtStates={courtStates} />
+                    ) : tournamentType === 'pool_play' ? (
+                      <p className="text-sm text-brand-primary/70">
+                        The playoff bracket is seeded once every pool match is finished — the top {advancePerPool} from each pool cross over (A1 v B2, B1 v A2).
+                        {poolPlay && ` ${poolPlay.matches.length - poolPlay.matches.filter(m => m.scheduledMatchId).length} pool matches still to send out.`}
+                      </p>
+                    ) : (
+                      <p className="text-sm text-brand-primary/70">
+                        Tap <strong>Start Bracket</strong> to seed the {gameFormat === 'singles' ? 'present players' : 'teams from the Team Builder'} and send the opening matches to court.
+                      </p>
+                    )}
+                  </Card>
+                )}
+
+                {/* Full schedule view — whole round robin grid, printable */}
+                {scheduleView === 'full' && usesFullSchedule && (
+                  <Card>
+                    <div className="flex items-center justify-between mb-3">
+                      <h3 className="text-sm font-semibold text-brand-primary">Full Schedule</h3>
+                      {rounds.length === 0 && !rotatingFallback && (
+                        <button
+                          onClick={previewFullSchedule}
+                          className="px-3 py-1.5 rounded-lg bg-brand-secondary text-brand-primary text-xs font-semibold"
+                        >
+                          {fullSchedule ? '🔄 Regenerate' : '📅 Generate Preview'}
+                        </button>
+                      )}
+                    </div>
+                    {rotatingFallback ? (
+                      <p className="text-sm text-amber-800">
+                        ⚠️ There is no rotating-partner table for {presentPlayers.length} players — it needs a multiple of 4, or one more.
+                        Rounds use the usual partner pairing instead; the report below shows how close they get.
+                      </p>
+                    ) : fullSchedule ? (
+                      <FullScheduleGrid fullSchedule={fullSchedule} wavesPlayed={fullSchedule.nextWave || 0} title={tournamentName} />
+                    ) : (
+                      <p className="text-sm text-brand-primary/70">
+                        Generate a preview to see every round before play starts — {gameFormat === 'doubles' ? 'every present player partners every other player once' : `${gameFormat === 'singles' ? 'every present player' : 'every team from the Team Builder'} meets each other once`}.
+                      </p>
+                    )}
+                    {gameFormat === 'doubles' && (
+                      <div className="mt-3 space-y-2">
+                        {fullSchedule && !rotatingFallback && (
+                          <PartnerCoverage coverage={getPartnerCoverage(presentPlayers, fullSchedule.waves.map(w => w.matches))} title="Planned table" />
+                        )}
+                        {rounds.length > 0 && <PartnerCoverage coverage={partnerCoverage} title="Played so far" />}
+                      </div>
+                    )}
+                  </Card>
+                )}
+
+                {/* Ladder view — King of Court courts top to bottom with movement */}
+                {scheduleView === 'ladder' && tournamentType === 'king_of_court' && (
+                  <Card>
+                    <h3 className="text-sm font-semibold text-brand-primary mb-3">Court Ladder{rounds.length > 0 && ` · Round ${rounds.length}`}</h3>
+                    <KingOfCourtLadder
+                      matches={rounds[rounds.length - 1]}
+                      sittingOut={kotSittingOut}
+                      leaders={getPlayerStatsDisplay() || []}
+                    />
+                  </Card>
+                )}
+
+                {/* Courts view — build matches by hand (round robin: other formats decide who plays) */}
+                {scheduleView === 'courts' && tournamentType === 'round_robin' && !usesSwiss && (
+                  <Card>
+                    <button
+                      onClick={() => setCourtEditorOpen(o => !o)}
+                      aria-expanded={courtEditorOpen}
+                      className="w-full flex items-center justify-between text-sm font-semibold text-brand-primary"
+                    >
+                      <span>✋ Build matches by hand</span>
+                      <span>{courtEditorOpen ? '▴' : '▾'}</span>
+                    </button>
+                    {courtEditorOpen && (
+                      <div className="mt-3">
+                        <CourtEditor
+                          gameFormat={gameFormat}
+                          courts={courtStates}
+                          queue={getNextUpQueue}
+                          rounds={rounds}
+                          ratingOf={balanceRating === 'internal' ? internalRatingOf : (p) => Number(p.rating) || 0}
+                          onPlace={placeManualMatch}
+                          onSwap={swapCourtMatches}
+                        />
+                      </div>
+                    )}
+                  </Card>
+                )}
+
                 {/* Courts view — Next Up queue + cleaning controls */}
                 {scheduleView === 'courts' && (
                   <Card>
@@ -3080,6 +4268,11 @@ const PickleballTournamentManager = () => {
                         <Card key={m.id} className="relative bg-brand-white">
                           <div className="absolute right-3 top-3 flex items-center gap-2 text-[11px] sm:text-xs text-brand-primary/60 flex-wrap justify-end">
                             <span>Diff {m.diff?.toFixed?.(2) ?? '--'}</span>
+                            {m.timeCapped && (
+                              <span className="px-2 py-0.5 rounded text-xs font-semibold bg-amber-100 text-amber-800" title="Ended by the round clock — the side ahead won">
+                                ⏱ Time cap
+                              </span>
+                            )}
                             {m.teamGender && (
                               <span className={`px-2 py-0.5 rounded text-xs font-semibold ${m.teamGender === 'male_male' ? 'bg-blue-100 text-blue-700' :
                                 m.teamGender === 'female_female' ? 'bg-pink-100 text-pink-700' :
@@ -3113,6 +4306,7 @@ const PickleballTournamentManager = () => {
                           <div className="-mx-3 sm:-mx-4 -mt-3 sm:-mt-4 mb-3 px-4 py-2 bg-brand-primary rounded-t-2xl flex items-center justify-between">
                             <span className="text-white font-bold text-base tracking-wide">
                               Court {m.court}
+                              {(m.bracketLabel || m.poolLabel || m.scheduleLabel) && <span className="ml-2 text-xs font-semibold text-white/70">{m.bracketLabel || m.poolLabel || m.scheduleLabel}</span>}
                             </span>
                             {m.pointsForWin && (
                               <span className="text-brand-secondary font-bold text-sm">
@@ -3189,63 +4383,29 @@ const PickleballTournamentManager = () => {
                           })()}
 
                           <div className="mt-3 flex flex-col gap-2">
-                            {/* Best of 3 scoring */}
-                            {m.matchFormat === 'best_of_3' ? (
+                            {/* Multi-game scoring: a row per game */}
+                            {gamesOf(m).length > 1 ? (
                               <div className="space-y-2">
-                                <div className="flex items-center gap-2">
-                                  <span className="text-xs text-brand-primary/70 w-16">Game 1:</span>
-                                  <input
-                                    type="number"
-                                    min={0}
-                                    value={m.game1Score1 === '' ? '' : m.game1Score1 ?? ''}
-                                    onChange={(e) => updateScore(rIdx, i, 'game1Score1', e.target.value)}
-                                    className="w-16 h-9 rounded border border-brand-gray px-2 text-sm"
-                                  />
-                                  <span className="text-brand-primary">–</span>
-                                  <input
-                                    type="number"
-                                    min={0}
-                                    value={m.game1Score2 === '' ? '' : m.game1Score2 ?? ''}
-                                    onChange={(e) => updateScore(rIdx, i, 'game1Score2', e.target.value)}
-                                    className="w-16 h-9 rounded border border-brand-gray px-2 text-sm"
-                                  />
-                                </div>
-                                <div className="flex items-center gap-2">
-                                  <span className="text-xs text-brand-primary/70 w-16">Game 2:</span>
-                                  <input
-                                    type="number"
-                                    min={0}
-                                    value={m.game2Score1 === '' ? '' : m.game2Score1 ?? ''}
-                                    onChange={(e) => updateScore(rIdx, i, 'game2Score1', e.target.value)}
-                                    className="w-16 h-9 rounded border border-brand-gray px-2 text-sm"
-                                  />
-                                  <span className="text-brand-primary">–</span>
-                                  <input
-                                    type="number"
-                                    min={0}
-                                    value={m.game2Score2 === '' ? '' : m.game2Score2 ?? ''}
-                                    onChange={(e) => updateScore(rIdx, i, 'game2Score2', e.target.value)}
-                                    className="w-16 h-9 rounded border border-brand-gray px-2 text-sm"
-                                  />
-                                </div>
-                                <div className="flex items-center gap-2">
-                                  <span className="text-xs text-brand-primary/70 w-16">Game 3:</span>
-                                  <input
-                                    type="number"
-                                    min={0}
-                                    value={m.game3Score1 === '' ? '' : m.game3Score1 ?? ''}
-                                    onChange={(e) => updateScore(rIdx, i, 'game3Score1', e.target.value)}
-                                    className="w-16 h-9 rounded border border-brand-gray px-2 text-sm"
-                                  />
-                                  <span className="text-brand-primary">–</span>
-                                  <input
-                                    type="number"
-                                    min={0}
-                                    value={m.game3Score2 === '' ? '' : m.game3Score2 ?? ''}
-                                    onChange={(e) => updateScore(rIdx, i, 'game3Score2', e.target.value)}
-                                    className="w-16 h-9 rounded border border-brand-gray px-2 text-sm"
-                                  />
-                                </div>
+                                {gamesOf(m).map(([a, b], g) => (
+                                  <div key={g} className="flex items-center gap-2">
+                                    <span className="text-xs text-brand-primary/70 w-16">Game {g + 1}:</span>
+                                    <input
+                                      type="number"
+                                      min={0}
+                                      value={a}
+                                      onChange={(e) => updateGameScore(rIdx, i, g, 1, e.target.value)}
+                                      className="w-16 h-9 rounded border border-brand-gray px-2 text-sm"
+                                    />
+                                    <span className="text-brand-primary">–</span>
+                                    <input
+                                      type="number"
+                                      min={0}
+                                      value={b}
+                                      onChange={(e) => updateGameScore(rIdx, i, g, 2, e.target.value)}
+                                      className="w-16 h-9 rounded border border-brand-gray px-2 text-sm"
+                                    />
+                                  </div>
+                                ))}
                               </div>
                             ) : (
                               /* Single match scoring */
@@ -3284,13 +4444,13 @@ const PickleballTournamentManager = () => {
                                 ? getN(m.player2)
                                 : (m.team2 ? m.team2.map(getN).join(' & ') : 'Team 2');
                               // Score-aware highlighting
-                              const s1 = Number(m.score1); const s2 = Number(m.score2);
-                              const hasScores = m.score1 !== '' && m.score2 !== '' && !isNaN(s1) && !isNaN(s2) && (s1 > 0 || s2 > 0);
-                              const t1Winning = hasScores && s1 > s2;
-                              const t2Winning = hasScores && s2 > s1;
+                              const outcome = matchOutcome(m);
+                              const t1Winning = outcome.winner === 1;
+                              const t2Winning = outcome.winner === 2;
+                              const canDraw = allowsDraws(m.matchFormat);
                               return (
                                 <div className="flex flex-col gap-2">
-                                  <div className="grid grid-cols-2 gap-2">
+                                  <div className={`grid gap-2 ${canDraw ? 'grid-cols-3' : 'grid-cols-2'}`}>
                                     <Button
                                       className={`w-full text-xs font-bold transition-opacity ${t1Winning ? 'bg-green-500 text-white' : t2Winning ? 'bg-gray-100 text-gray-400 opacity-60' : 'bg-brand-secondary text-brand-primary hover:bg-brand-secondary/80'}`}
                                       onClick={() => quickWin(rIdx, i, 1)}
@@ -3303,6 +4463,14 @@ const PickleballTournamentManager = () => {
                                     >
                                       {t2Winning ? '🏆 ' : ''}{t2Label} win
                                     </Button>
+                                    {canDraw && (
+                                      <Button
+                                        className={`w-full text-xs font-bold transition-opacity ${outcome.draw ? 'bg-green-500 text-white' : outcome.winner ? 'bg-gray-100 text-gray-400 opacity-60' : 'bg-brand-secondary text-brand-primary hover:bg-brand-secondary/80'}`}
+                                        onClick={() => quickWin(rIdx, i, 0)}
+                                      >
+                                        Draw
+                                      </Button>
+                                    )}
                                   </div>
                                   {activeCourt && (
                                     <button
@@ -3318,7 +4486,7 @@ const PickleballTournamentManager = () => {
                               : (
                                 <div className="flex flex-col gap-1">
                                   <span className="text-xs px-2 py-1 rounded bg-brand-gray text-brand-primary">
-                                    Completed
+                                    Completed{m.draw ? ' · Draw' : ''}
                                   </span>
                                   {m.pointsForWin && (
                                     <span className="text-xs text-brand-primary/70">
@@ -3339,7 +4507,17 @@ const PickleballTournamentManager = () => {
         )}
       </div >
 
+      {profilePlayer && (
+        <PlayerProfile player={profilePlayer} signedIn={!!user} onClose={() => setProfilePlayer(null)} />
+      )}
 
+      {conflict && (
+        <SessionConflictDialog conflict={conflict} onResolve={resolveConflict} />
+      )}
+
+      {checkInUrl && (
+        <CheckInQRCode url={checkInUrl} onClose={() => setCheckInUrl(null)} />
+      )}
 
       {
         endOpen && (
@@ -3358,9 +4536,10 @@ const PickleballTournamentManager = () => {
                       players,
                       rounds,
                       {
-                        courts, sessionMinutes, minutesPerRound, tournamentType, separateBySkill, currentRound
+                        courts, sessionMinutes, minutesPerRound, tournamentType, separateBySkill, currentRound,
+                        scoringRules, scoring: describeScoringRules(scoringRules)
                       },
-                      tournamentType === 'king_of_court' ? (gameFormat === 'teamed_doubles' ? kotTeamStats : kotStats) : null
+                      tournamentType === 'king_of_court' ? (kotUsesTeams ? kotTeamStats : kotStats) : null
                     );
                     const csv = toCSV(results);
                     const filename = `smashboard-${tournamentType}-${new Date().toISOString().slice(0, 10)}.csv`;
@@ -3380,7 +4559,7 @@ const PickleballTournamentManager = () => {
                 </Button>
                 <Button
                   className="bg-brand-primary text-brand-white hover:bg-brand-primary/90 w-full"
-                  onClick={() => {
+                  onClick={async () => {
                     // If they haven't exported, warn them strongly
                     // If they have exported, still confirm but with a gentler message
                     const confirmMessage = !exportedThisSession
@@ -3388,35 +4567,18 @@ const PickleballTournamentManager = () => {
                       : 'Clear all data? This cannot be undone.';
 
                     if (window.confirm(confirmMessage)) {
-                      // 1. Raise guard so the autosave useEffect doesn't race
+                      // 0. Keep the results in the players' lifetime history
+                      if (!(await recordMatchHistory())) return;
+                      // 1. Move the session to the archive (an autosave still in flight for it
+                      //    is refused by the backend, so it can't reopen the session)
+                      if (!(await archiveSession())) return;
+                      // 2. Raise guard so the autosave useEffect doesn't race
                       isClearingSession.current = true;
-                      // 2. Nuke localStorage immediately before state resets trigger re-renders
+                      // 3. Nuke localStorage immediately before state resets trigger re-renders
                       localStorage.removeItem('pb_session');
                       localStorage.removeItem('pb_roster');
-                      // 3. Overwrite cloud with empty state immediately (don't just DELETE —
-                      //    PUT wins the race if the DELETE is slow, and the restore guard
-                      //    (rounds.length === 0) will skip it naturally on next load)
-                      saveSession({ rounds: [], players: [], teams: [], playerStats: {}, kotStats: {}, teamStats: {}, kotTeamStats: {}, courtStates: [], currentRound: 0 });
-                      clearSession();
                       // 4. Reset all React state
-                      setPlayers([]);
-                      setTeams([]);
-                      setKotAutoTeams([]);
-                      setRounds([]);
-                      setPlayerStats({});
-                      setTeamStats({});
-                      setKotStats({});
-                      setKotTeamStats({});
-                      setCurrentRound(0);
-                      setExportedThisSession(false);
-                      setLocked(false);
-                      setTeamBuilderSelected(null);
-                      const resetCourts = Array.from({ length: courts }, (_, i) => ({
-                        courtNumber: i + 1,
-                        status: 'ready',
-                        currentMatch: null
-                      }));
-                      setCourtStates(resetCourts);
+                      resetSessionState();
                       setEndOpen(false);
                       setTab('setup');
                       // 5. Lower guard after React flush settles
@@ -3440,6 +4602,7 @@ const PickleballTournamentManager = () => {
             { k: 'roster', label: 'Roster', icon: '👥' },
             { k: 'schedule', label: 'Schedule', icon: '📋' },
             { k: 'stats', label: tournamentType === 'king_of_court' ? 'Board' : 'Stats', icon: '📊' },
+            { k: 'archive', label: 'Archive', icon: '🗂️' },
           ].map(({ k, label, icon }) => (
             <button
               key={k}
@@ -3472,13 +4635,16 @@ const PickleballTournamentManager = () => {
       {/* Score Entry Modal - rendered via createPortal inside ScoreModal */}
       <ScoreModal
         scoreSheet={scoreSheet}
+        scoringRules={scoringRules}
         courtStates={courtStates}
         rounds={rounds}
         updateScore={updateScore}
+        updateGameScore={updateGameScore}
         quickWin={quickWin}
         completeCourtMatch={completeCourtMatch}
         setCourtStates={setCourtStates}
         onRemove={(rIdx, mIdx) => {
+          logAction(`Match removed — Court ${scoreSheet?.courtNumber}`);
           if (rIdx < 0) return;
           setRounds(prev => {
             const updated = prev.map(r => [...r]);
@@ -0,0 +1,26 @@
+import { isDatabaseId, renamePlayerId } from './utils/playerIds';
+
+describe('player ids', () => {
+    const local = '1760000000000-a1b2c3';
+
+    test('tells database ids from local ones', () => {
+        expect(isDatabaseId(42)).toBe(true);
+        expect(isDatabaseId('42')).toBe(true);
+        expect(isDatabaseId(local)).toBe(false);
+        expect(isDatabaseId('guest-9f8e')).toBe(false);
+    });
+
+    test('swaps a local id for the database one as a value and as a key', () => {
+        const session = {
+            players: [{ id: local, name: 'Ann' }, { id: 7, name: 'Bob' }],
+            rounds: [[{ id: 'm1', team1: [{ id: local, name: 'Ann' }], team2: [{ id: 7, name: 'Bob' }], report: { reportedBy: local } }]],
+            playerStats: { [local]: { roundsPlayed: 1, opponents: { 7: 1 } }, 7: { roundsPlayed: 1, opponents: { [local]: 1 } } }
+        };
+        expect(renamePlayerId(session, local, 12)).toEqual({
+            players: [{ id: 12, name: 'Ann' }, { id: 7, name: 'Bob' }],
+            rounds: [[{ id: 'm1', team1: [{ id: 12, name: 'Ann' }], team2: [{ id: 7, name: 'Bob' }], report: { reportedBy: 12 } }]],
+            playerStats: { 12: { roundsPlayed: 1, opponents: { 7: 1 } }, 7: { roundsPlayed: 1, opponents: { 12: 1 } } }
+        });
+        expect(renamePlayerId(null, local, 12)).toBeNull();
+    });
+});
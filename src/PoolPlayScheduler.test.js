@@ -0,0 +1,66 @@
+import { createPoolPlay, getNextPoolMatches, getPoolStandings, getPoolQualifiers } from './schedulers/poolPlayScheduler';
+
+const makeTeams = (n) => Array.from({ length: n }, (_, i) => ({
+    id: `t${i + 1}`,
+    player1: { id: `p${i * 2 + 1}`, name: `P${i * 2 + 1}`, rating: 4 },
+    player2: { id: `p${i * 2 + 2}`, name: `P${i * 2 + 2}`, rating: 4 },
+    gender: 'mixed',
+    avgRating: 5 - i * 0.1, // t1 is the top seed
+}));
+
+// Completed court match where entrant1 beats entrant2 11-(5+i)
+const result = (pm, i = 0) => ({
+    poolMatchId: pm.id,
+    team1Id: pm.entrant1Id,
+    team2Id: pm.entrant2Id,
+    gameFormat: 'teamed_doubles',
+    matchFormat: 'single_match',
+    score1: 11,
+    score2: 5 + (i % 5),
+    status: 'completed',
+    winner: 'team1',
+});
+
+describe('poolPlayScheduler', () => {
+    test('snake-seeds entrants across pools', () => {
+        const pp = createPoolPlay(makeTeams(8), { numPools: 2 });
+        expect(pp.pools[0].entrants.map(e => e.id)).toEqual(['t1', 't4', 't5', 't8']);
+        expect(pp.pools[1].entrants.map(e => e.id)).toEqual(['t2', 't3', 't6', 't7']);
+    });
+
+    test('every pair in a pool meets exactly once, odd pools included', () => {
+        const pp = createPoolPlay(makeTeams(7), { numPools: 2 });
+        pp.pools.forEach(pool => {
+            const n = pool.entrants.length;
+            const pairs = pp.matches
+                .filter(m => m.poolId === pool.id)
+                .map(m => [m.entrant1Id, m.entrant2Id].sort().join('|'));
+            expect(pairs).toHaveLength((n * (n - 1)) / 2);
+            expect(new Set(pairs).size).toBe(pairs.length);
+        });
+    });
+
+    test('never schedules an entrant on two courts at once', () => {
+        const pp = createPoolPlay(makeTeams(4), { numPools: 1 });
+        const next = getNextPoolMatches(pp, 4, new Set(['t1']));
+        const ids = next.flatMap(m => [m.entrant1Id, m.entrant2Id]);
+        expect(ids).not.toContain('t1');
+        expect(new Set(ids).size).toBe(ids.length);
+    });
+
+    test('ranks by wins then point differential and crosses pools for the playoffs', () => {
+        const pp = createPoolPlay(makeTeams(8), { numPools: 2 });
+        const rounds = [pp.matches.map((pm, i) => result(pm, i))];
+        const standings = getPoolStandings(pp, rounds);
+        standings.forEach(({ rows }) => {
+            for (let i = 1; i < rows.length; i++) {
+                const prev = rows[i - 1];
+                expect(prev.wins > rows[i].wins || (prev.wins === rows[i].wins && prev.diff >= rows[i].diff)).toBe(true);
+            }
+        });
+        const qualifiers = getPoolQualifiers(pp, rounds, 2);
+        expect(qualifiers.map(q => q.seedNote[1])).toEqual(['1', '1', '2', '2']);
+        // Same pool order in every tier, so seed 1 v seed 4 is a crossover match
+        expect(qualifiers[0].seedNote[0]).not.toBe(qualifiers[3].seedNote[0]);
+    });
+});
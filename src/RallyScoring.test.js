@@ -0,0 +1,50 @@
+import { callScore, newRallyGame, scoreRally, undoRally } from './utils/rallyScoring';
+import { nextGameIndex } from './utils/matchGames';
+
+const rules = { scoring: 'side_out', gameTo: 11, winBy: 2, cap: null, timeCap: false };
+const play = (game, winners, r = rules) => winners.reduce((g, w) => scoreRally(g, w, r), game);
+
+describe('rally scorekeeper', () => {
+    test('side-out doubles: starts at 0-0-2, second server, side outs and sides', () => {
+        let game = newRallyGame({ serving: 1, doubles: true, rules });
+        expect(callScore(game)).toBe('0-0-2');
+
+        game = play(game, [1]);
+        expect([callScore(game), game.side]).toEqual(['1-0-2', 'left']);
+        // Lost with the only server of the first turn: side out, the other team's server 1 from the right
+        game = play(game, [2]);
+        expect([callScore(game), game.serving, game.side]).toEqual(['0-1-1', 2, 'right']);
+        // Server 1 loses the rally: partner serves from the other side
+        game = play(game, [1]);
+        expect([callScore(game), game.side]).toEqual(['0-1-2', 'left']);
+        game = play(game, [2, 2]);
+        expect(callScore(game)).toBe('2-1-2');
+    });
+
+    test('ends the game under the rules and undoes rally by rally', () => {
+        let game = newRallyGame({ serving: 1, doubles: false, rules });
+        game = play(game, Array(10).fill(1));
+        expect([callScore(game), game.side, game.winner]).toEqual(['10-0', 'right', null]);
+        game = play(game, [1]);
+        expect(game.winner).toBe(1);
+        expect(play(game, [2]).score).toEqual([11, 0]); // finished games take no more rallies
+
+        game = undoRally(undoRally(game));
+        expect([game.score, game.winner, game.history.length]).toEqual([[9, 0], null, 9]);
+    });
+
+    test('rally scoring: the receiving side scores and takes the serve', () => {
+        const rally = { ...rules, scoring: 'rally', gameTo: 15 };
+        const game = play(newRallyGame({ serving: 1, doubles: true, rules: rally }), [2, 2, 1], rally);
+        expect([callScore(game), game.serving, game.side]).toEqual(['1-2', 1, 'left']);
+    });
+
+    test('writes into the next unplayed game of the match', () => {
+        expect(nextGameIndex({ matchFormat: 'single_match', score1: '', score2: '' })).toBe(0);
+        const bo3 = { matchFormat: 'best_of_3', game1Score1: 11, game1Score2: 6, game2Score1: '', game2Score2: '', game3Score1: '', game3Score2: '' };
+        expect(nextGameIndex(bo3)).toBe(1);
+        expect(nextGameIndex({ ...bo3, game2Score1: 11, game2Score2: 9 })).toBeNull();
+        expect(nextGameIndex({ ...bo3, game2Score1: 4, game2Score2: 11 })).toBe(2);
+        expect(nextGameIndex({ matchFormat: 'best_of_5', games: [[11, 6], [11, 9], [5, 11]] })).toBe(3);
+    });
+});
@@ -0,0 +1,61 @@
+import { rateRounds, expectedScore, K_PROVISIONAL, PROVISIONAL_MATCHES } from './utils/ratings';
+
+const player = (id, rating, extra = {}) => ({ id, name: id.toUpperCase(), rating, ...extra });
+
+const doubles = (id, team1, team2, score1, score2) => ({
+    id,
+    gameFormat: 'doubles',
+    matchFormat: 'single_match',
+    team1, team2,
+    score1, score2,
+    status: 'completed',
+    winner: score1 > score2 ? 'team1' : 'team2',
+});
+
+describe('rating engine', () => {
+    test('an upset moves ratings more than an expected win', () => {
+        expect(expectedScore(4, 3.5)).toBeGreaterThan(0.7);
+
+        const strong = [player('a', 4.5), player('b', 4.5)];
+        const weak = [player('c', 3.5), player('d', 3.5)];
+        const players = [...strong, ...weak];
+
+        const expected = rateRounds(players, [[doubles('m1', strong, weak, 11, 9)]]);
+        const upset = rateRounds(players, [[doubles('m1', strong, weak, 9, 11)]]);
+
+        expect(expected.ratings.a.rating).toBeGreaterThan(4.5);
+        expect(upset.ratings.c.rating - 3.5).toBeGreaterThan(expected.ratings.a.rating - 4.5);
+        // Both partners move by the same amount; the two sides mirror each other
+        expect(upset.ratings.c.rating).toBe(upset.ratings.d.rating);
+        expect(upset.ratings.a.rating - 4.5).toBeCloseTo(-(upset.ratings.c.rating - 3.5), 3);
+    });
+
+    test('starts from the internal rating and moves provisional players faster', () => {
+        const veteran = player('a', 3.5, { internalRating: 3.8, ratedMatches: PROVISIONAL_MATCHES });
+        const rookie = player('b', 3.8);
+        const match = {
+            id: 'm1', gameFormat: 'singles', matchFormat: 'single_match',
+            player1: veteran, player2: rookie, score1: 5, score2: 11, status: 'completed', winner: 'team2',
+        };
+        const { ratings, changes } = rateRounds([veteran, rookie], [[match]]);
+        const [vet, rook] = changes;
+        expect(vet.before).toBe(3.8);
+        expect(Math.abs(rook.delta)).toBeGreaterThan(Math.abs(vet.delta));
+        expect(rook.delta).toBeLessThanOrEqual(K_PROVISIONAL * 1.25);
+        expect(ratings.b.ratedMatches).toBe(1);
+    });
+
+    test('skips unfinished and already-rated matches', () => {
+        const players = ['a', 'b', 'c', 'd'].map(id => player(id, 3.5));
+        const [a, b, c, d] = players;
+        const rounds = [[
+            doubles('m1', [a, b], [c, d], 11, 3),
+            { ...doubles('m2', [a, c], [b, d], 0, 0), status: 'pending', winner: null },
+        ], [
+            doubles('m3', [a, d], [b, c], 11, 7),
+        ]];
+        const first = rateRounds(players, rounds, ['m1']);
+        expect(first.matchIds).toEqual(['m3']);
+        expect(first.changes).toHaveLength(4);
+    });
+});
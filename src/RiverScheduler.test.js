@@ -0,0 +1,54 @@
+import { generateRiverRound } from './schedulers/riverScheduler';
+
+const makePlayers = (n) => Array.from({ length: n }, (_, i) => ({ id: `p${i + 1}`, name: `P${i + 1}`, rating: 5 - i * 0.1, gender: 'male' }));
+
+// Team 1 wins every court
+const completeAll = (round) => round.map(m => ({ ...m, status: 'completed', winner: 'team1', score1: 11, score2: 5 }));
+const ids = (players) => players.map(p => p.id).sort();
+const onCourt = (round, court) => round.find(m => m.court === court);
+const courtIds = (round, court) => ids([...onCourt(round, court).team1, ...onCourt(round, court).team2]);
+
+describe('riverScheduler', () => {
+    test('seeds the first round by rating, strongest on court 1', () => {
+        const round = generateRiverRound(makePlayers(12), 3, []);
+        expect(round).toHaveLength(3);
+        expect(courtIds(round, 1)).toEqual(['p1', 'p2', 'p3', 'p4']);
+        expect(courtIds(round, 3)).toEqual(['p10', 'p11', 'p12', 'p9']);
+    });
+
+    test('winners move up, losers move down and arriving pairs are split', () => {
+        const players = makePlayers(12);
+        const round1 = completeAll(generateRiverRound(players, 3, []));
+        const round2 = generateRiverRound(players, 3, [round1]);
+
+        expect(courtIds(round2, 1)).toEqual(ids([...onCourt(round1, 1).team1, ...onCourt(round1, 2).team1]));
+        expect(courtIds(round2, 2)).toEqual(ids([...onCourt(round1, 1).team2, ...onCourt(round1, 3).team1]));
+        expect(courtIds(round2, 3)).toEqual(ids([...onCourt(round1, 2).team2, ...onCourt(round1, 3).team2]));
+
+        const lastPairs = new Set(round1.flatMap(m => [ids(m.team1).join('|'), ids(m.team2).join('|')]));
+        round2.forEach(m => {
+            expect(lastPairs.has(ids(m.team1).join('|'))).toBe(false);
+            expect(lastPairs.has(ids(m.team2).join('|'))).toBe(false);
+        });
+
+        // Deterministic: the same finished round gives the same next round
+        const again = generateRiverRound(players, 3, [round1]);
+        expect(again.map(m => [ids(m.team1), ids(m.team2)])).toEqual(round2.map(m => [ids(m.team1), ids(m.team2)]));
+    });
+
+    test('waiting players come in on the bottom court and bottom losers step off', () => {
+        const players = makePlayers(10);
+        const round1 = completeAll(generateRiverRound(players, 2, []));
+        expect(round1.flatMap(m => [...m.team1, ...m.team2]).map(p => p.id)).not.toContain('p9');
+
+        const round2 = generateRiverRound(players, 2, [round1]);
+        const bottom = courtIds(round2, 2);
+        expect(bottom).toEqual(expect.arrayContaining(['p9', 'p10']));
+        onCourt(round1, 2).team2.forEach(p => expect(bottom).not.toContain(p.id));
+    });
+
+    test('refuses to move players while a court is unfinished', () => {
+        const round1 = generateRiverRound(makePlayers(8), 2, []);
+        expect(() => generateRiverRound(makePlayers(8), 2, [round1])).toThrow(/Finish every court/);
+    });
+});
@@ -0,0 +1,46 @@
+import { generateRotatingPartnerSchedule, getPartnerCoverage, supportsRotatingPartners } from './schedulers/rotatingPartnerScheduler';
+
+const makePlayers = (n) => Array.from({ length: n }, (_, i) => ({ id: `p${i + 1}`, name: `P${i + 1}`, rating: 3 + (i % 5) * 0.25 }));
+const allMatches = (schedule) => schedule.waves.map(w => w.matches);
+
+describe('rotatingPartnerScheduler', () => {
+    test.each([8, 9, 12, 13, 16])('%i players: everyone partners everyone once and faces everyone twice', (n) => {
+        const players = makePlayers(n);
+        const schedule = generateRotatingPartnerSchedule(players, 8);
+        const coverage = getPartnerCoverage(players, allMatches(schedule));
+        expect(coverage.partnered).toBe(coverage.pairs);
+        expect(coverage.repeated).toBe(0);
+        expect(coverage.opponentMin).toBe(2);
+        expect(coverage.opponentMax).toBe(2);
+    });
+
+    test('4k+1 fields rest each player exactly once', () => {
+        const players = makePlayers(13);
+        const schedule = generateRotatingPartnerSchedule(players, 8);
+        const byes = schedule.waves.flatMap(w => w.byes);
+        expect(schedule.bergerRounds).toBe(13);
+        expect(new Set(byes).size).toBe(13);
+    });
+
+    test('splits rounds into waves that fit the courts', () => {
+        const schedule = generateRotatingPartnerSchedule(makePlayers(16), 3);
+        expect(schedule.waves).toHaveLength(15 * 2);
+        schedule.waves.forEach(w => {
+            expect(w.matches.length).toBeLessThanOrEqual(3);
+            const ids = w.matches.flatMap(m => [...m.team1, ...m.team2].map(p => p.id));
+            expect(new Set(ids).size).toBe(ids.length);
+        });
+    });
+
+    test('unsupported counts fall back, and coverage reports missing partners', () => {
+        expect(supportsRotatingPartners(10)).toBe(false);
+        expect(generateRotatingPartnerSchedule(makePlayers(10), 2)).toBeNull();
+
+        const [a, b, c, d] = makePlayers(4);
+        const coverage = getPartnerCoverage([a, b, c, d], [[{ team1: [a, b], team2: [c, d], status: 'completed' }]]);
+        expect(coverage.partnered).toBe(2);
+        expect(coverage.missing).toHaveLength(4);
+        expect(coverage.opponentMin).toBe(0);
+        expect(coverage.opponentMax).toBe(1);
+    });
+});
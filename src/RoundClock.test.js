@@ -0,0 +1,46 @@
+import { crossedWarnings, formatClock, parseWarnings, roundClockState, timeCapWinner } from './utils/roundClock';
+
+describe('round clock', () => {
+    test('counts the round down and into overtime', () => {
+        const startedAt = '2026-01-01T10:00:00Z';
+        const at = (min, sec = 0) => new Date(startedAt).getTime() + (min * 60 + sec) * 1000;
+
+        expect(roundClockState({ startedAt, minutesPerRound: 0, now: at(1) })).toBeNull();
+        expect(formatClock(roundClockState({ startedAt, minutesPerRound: 15, now: at(2, 26) }).remainingMs)).toBe('12:34');
+        const over = roundClockState({ startedAt, minutesPerRound: 15, now: at(16, 5) });
+        expect(over.overtime).toBe(true);
+        expect(formatClock(over.remainingMs)).toBe('+1:05');
+    });
+
+    test('warns once per threshold as the time left passes it', () => {
+        const warnings = parseWarnings('2, 5 x 5');
+        expect(warnings).toEqual([5, 2]);
+        expect(crossedWarnings(301000, 299000, warnings)).toEqual([5]);
+        expect(crossedWarnings(299000, 298000, warnings)).toEqual([]);
+        // A long gap (phone asleep) passes both
+        expect(crossedWarnings(400000, 60000, warnings)).toEqual([5, 2]);
+    });
+
+    test('time cap goes to the side ahead', () => {
+        expect(timeCapWinner({ matchFormat: 'single_match', score1: 9, score2: 7 })).toBe(1);
+        expect(timeCapWinner({ matchFormat: 'single_match', score1: '', score2: 3 })).toBe(2);
+        expect(timeCapWinner({ matchFormat: 'single_match', score1: 6, score2: 6 })).toBeNull();
+
+        const bo3 = { matchFormat: 'best_of_3', game1Score1: 11, game1Score2: 5, game2Score1: 4, game2Score2: 6, game3Score1: '', game3Score2: '' };
+        // Game 1 decided, game 2 in progress: the game already won counts first
+        expect(timeCapWinner(bo3)).toBe(1);
+        // One game each: the game being played decides
+        expect(timeCapWinner({ ...bo3, game2Score1: 8, game2Score2: 11, game3Score1: 3, game3Score2: 5 })).toBe(2);
+        expect(timeCapWinner({ ...bo3, game1Score1: '', game1Score2: '', game2Score1: '', game2Score2: '' })).toBeNull();
+
+        // One game each and game 3 not started: level, not a win for whoever took game 1
+        const split = { matchFormat: 'best_of_3', games: [[11, 5], [5, 11], ['', '']] };
+        expect(timeCapWinner(split)).toBeNull();
+        expect(timeCapWinner({ ...split, matchFormat: 'two_games', games: [[11, 5], [5, 11]] })).toBeNull();
+        // A game past 11 that is still going (no 2-point lead) is the one being played
+        expect(timeCapWinner({ ...split, games: [[11, 5], [12, 11]] })).toBe(1);
+        expect(timeCapWinner({ ...split, games: [[11, 5], [10, 12]] })).toBeNull();
+        // Rally to 15: 11–5 is a game still going
+        expect(timeCapWinner({ ...split, games: [[11, 5], [3, 11]] }, { gameTo: 15 })).toBe(1);
+    });
+});
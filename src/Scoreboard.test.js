@@ -0,0 +1,61 @@
+import { buildScoreboard, reportableMatch } from './utils/scoreboard';
+
+const players = ['a', 'b', 'c', 'd', 'e', 'f'].map(id => ({ id, name: id.toUpperCase(), present: id !== 'f' }));
+const [a, b, c, d, e] = players;
+
+const doubles = (id, team1, team2, score1, score2, extra = {}) => ({
+    id, court: 1, gameFormat: 'doubles', matchFormat: 'single_match',
+    team1, team2, score1, score2, status: 'completed', winner: score1 > score2 ? 'team1' : 'team2', ...extra,
+});
+
+describe('public scoreboard', () => {
+    test('queues present players off court, longest sat out first', () => {
+        const rounds = [
+            [doubles('m1', [a, b], [c, d], 11, 4, { endTime: '2026-01-01T10:10:00Z' })],
+            [doubles('m2', [a, e], [c, d], 8, 11, { endTime: '2026-01-01T10:30:00Z' })],
+            [{ ...doubles('m3', [a, b], [c, e], '', ''), status: 'in_progress', winner: null }],
+        ];
+        const courtStates = [
+            { courtNumber: 2, status: 'ready', currentMatch: null },
+            { courtNumber: 1, status: 'playing', currentMatch: rounds[2][0] },
+        ];
+        const board = buildScoreboard({
+            players, rounds, courtStates,
+            meta: { tournamentType: 'round_robin', gameFormat: 'doubles' },
+        });
+
+        expect(board.courts.map(ct => [ct.courtNumber, ct.match && ct.match.id])).toEqual([[1, 'm3'], [2, null]]);
+        // a, b, c and e are on court; f is absent
+        expect(board.nextUp.map(p => p.id)).toEqual(['d']);
+        expect(board.recent.map(m => m.id)).toEqual(['m2', 'm1']);
+        expect(board.standings[0]).toMatchObject({ id: 'b', wins: 1, losses: 0 });
+    });
+
+    test('ranks fixed teams for teamed doubles', () => {
+        const teams = [{ id: 't1', player1: a, player2: b }, { id: 't2', player1: c, player2: d }];
+        const match = { ...doubles('m1', [a, b], [c, d], 11, 9), team1Id: 't1', team2Id: 't2' };
+        const board = buildScoreboard({
+            players, teams, rounds: [[match]], courtStates: [],
+            meta: { tournamentType: 'round_robin', gameFormat: 'teamed_doubles' },
+        });
+        expect(board.byTeam).toBe(true);
+        expect(board.standings.map(row => row.id)).toEqual(['t1', 't2']);
+        expect(board.nextUp.map(t => t.id)).toEqual(['t1', 't2']);
+    });
+
+    test('finds the match a player reports or answers from their phone', () => {
+        const onCourt = { ...doubles('m2', [a, b], [c, d], '', ''), status: 'pending', winner: null };
+        const reported = { ...doubles('m3', [a, e], [c, d], '', ''), status: 'pending', winner: null, report: { status: 'reported', side: 2 } };
+        const session = {
+            rounds: [[doubles('m1', [a, b], [c, d], 11, 4)], [onCourt]],
+            courtStates: [{ courtNumber: 1, status: 'playing', currentMatch: onCourt }],
+        };
+        expect(reportableMatch(session, 'b').id).toBe('m2');
+        expect(reportableMatch(session, 'e')).toBeNull();
+
+        // A reported score waiting on an answer comes first
+        session.rounds.push([reported]);
+        expect(reportableMatch(session, 'a').id).toBe('m3');
+        expect(reportableMatch(session, 'b').id).toBe('m2');
+    });
+});
@@ -0,0 +1,40 @@
+import { describeScoringRules, gameScoreProblem, matchScoreProblem } from './utils/scoringRules';
+
+describe('scoring rules', () => {
+    const rules = { scoring: 'side_out', gameTo: 11, winBy: 2, cap: null, timeCap: false };
+
+    test('accepts finished games and rejects impossible ones with a reason', () => {
+        expect(gameScoreProblem(11, 9, rules)).toBeNull();
+        expect(gameScoreProblem(7, 11, rules)).toBeNull();
+        expect(gameScoreProblem(14, 12, rules)).toBeNull();
+
+        expect(gameScoreProblem(3, 2, rules)).toMatch(/winner needs at least 11/);
+        expect(gameScoreProblem(11, 10, rules)).toMatch(/lead by 2/);
+        expect(gameScoreProblem(15, 10, rules)).toMatch(/so 12–10/);
+        expect(gameScoreProblem(6, 6, rules)).toMatch(/tied/);
+        expect(gameScoreProblem(11.5, 3, rules)).toMatch(/whole numbers/);
+    });
+
+    test('caps, win by 1 and time-capped games', () => {
+        const capped = { ...rules, gameTo: 15, scoring: 'rally', cap: 17 };
+        expect(gameScoreProblem(17, 16, capped)).toBeNull();
+        expect(gameScoreProblem(17, 15, capped)).toBeNull();
+        expect(gameScoreProblem(18, 16, capped)).toMatch(/past the cap/);
+        expect(gameScoreProblem(11, 10, { ...rules, winBy: 1 })).toBeNull();
+        expect(gameScoreProblem(8, 6, { ...rules, timeCap: true })).toBeNull();
+        // Time called at game point or past it: any lead wins
+        expect(gameScoreProblem(11, 10, { ...rules, timeCap: true })).toBeNull();
+        expect(gameScoreProblem(12, 11, { ...rules, timeCap: true })).toBeNull();
+        expect(gameScoreProblem(11, 10, rules)).toMatch(/lead by 2/);
+        expect(describeScoringRules(capped)).toBe('Rally scoring · game to 15, win by 2, cap 17');
+    });
+
+    test('checks every entered game of a best of 3', () => {
+        const bo3 = { matchFormat: 'best_of_3', game1Score1: 11, game1Score2: 4, game2Score1: 9, game2Score2: 10, game3Score1: '', game3Score2: '' };
+        expect(matchScoreProblem(bo3, rules)).toMatch(/^Game 2/);
+        expect(matchScoreProblem({ ...bo3, game2Score2: 11 }, rules)).toBeNull();
+        // Ended by the round clock: the side ahead won, whatever the score
+        expect(matchScoreProblem({ matchFormat: 'single_match', score1: 4, score2: 2, timeCapped: true }, rules)).toBeNull();
+        expect(matchScoreProblem({ matchFormat: 'single_match', score1: 4, score2: '' }, rules)).toBeNull();
+    });
+});
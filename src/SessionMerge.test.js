@@ -0,0 +1,82 @@
+import { diffSessions, isUnchanged, mergeSessions, resolveConflicts } from './utils/sessionMerge';
+
+const match = (id, court, extra = {}) => ({ id, court, score1: '', score2: '', status: 'scheduled', ...extra });
+const court = (courtNumber, status, currentMatch = null) => ({ courtNumber, status, currentMatch });
+
+const base = {
+    id: 7,
+    players: [{ id: 'a', name: 'A' }, { id: 'b', name: 'B' }],
+    rounds: [[match('m1', 1), match('m2', 2)]],
+    courtStates: [court(1, 'playing'), court(2, 'playing')],
+    playerStats: { a: { roundsPlayed: 0 }, b: { roundsPlayed: 0 } },
+    meta: { courts: 2, ts: 1 },
+};
+
+describe('session merge', () => {
+    test('ignores the autosave stamp and reports changed matches and courts by id', () => {
+        expect(isUnchanged(diffSessions(base, { ...base, meta: { ts: 2, courts: 2 }, savedAt: 'now' }))).toBe(true);
+
+        const next = {
+            ...base,
+            rounds: [[match('m1', 1, { score1: 11, score2: 4 }), match('m2', 2)]],
+            courtStates: [court(1, 'ready'), court(2, 'playing')],
+        };
+        expect(diffSessions(base, next)).toEqual({ structural: [], entries: { rounds: ['m1'], courtStates: ['1'] } });
+
+        const newRound = { ...base, rounds: [...base.rounds, [match('m3', 1)]] };
+        expect(diffSessions(base, newRound).structural).toEqual(['rounds']);
+    });
+
+    test('combines score entry on different courts', () => {
+        const mine = {
+            ...base,
+            rounds: [[match('m1', 1, { score1: 11, score2: 4 }), match('m2', 2)]],
+            courtStates: [court(1, 'ready'), court(2, 'playing')],
+            playerStats: { ...base.playerStats, a: { roundsPlayed: 1 } },
+        };
+        const theirs = {
+            ...base,
+            revision: 3,
+            rounds: [[match('m1', 1), match('m2', 2, { score1: 8, score2: 11 })]],
+            courtStates: [court(1, 'playing'), court(2, 'ready')],
+            playerStats: { ...base.playerStats, b: { roundsPlayed: 1 } },
+        };
+        const { merged, conflicts } = mergeSessions(base, mine, theirs);
+        expect(conflicts).toEqual([]);
+        expect(merged.rounds[0].map(m => [m.score1, m.score2])).toEqual([[11, 4], [8, 11]]);
+        expect(merged.courtStates.map(c => c.status)).toEqual(['ready', 'ready']);
+        expect(merged.playerStats).toEqual({ a: { roundsPlayed: 1 }, b: { roundsPlayed: 1 } });
+        expect(merged.revision).toBe(3);
+    });
+
+    test('reports the same match scored differently, and keeps the server copy', () => {
+        const mine = { ...base, rounds: [[match('m1', 1, { score1: 11, score2: 4 }), match('m2', 2)]] };
+        const theirs = { ...base, rounds: [[match('m1', 1, { score1: 11, score2: 9 }), match('m2', 2)]] };
+        const { merged, conflicts } = mergeSessions(base, mine, theirs);
+        expect(conflicts).toEqual([{ key: 'rounds', id: 'm1' }]);
+        expect(merged.rounds[0][0].score2).toBe(9);
+
+        // A new round on the other device can't take a score for a match it replaced
+        const reshuffled = { ...base, rounds: [[match('m1', 1)], [match('m9', 2)]] };
+        expect(mergeSessions(base, mine, reshuffled).conflicts).toEqual([{ key: 'rounds' }]);
+    });
+
+    test('settles conflicts match by match', () => {
+        const mine = {
+            ...base,
+            rounds: [[match('m1', 1, { score1: 11, score2: 4 }), match('m2', 2, { score1: 11, score2: 0 })]],
+            players: [...base.players, { id: 'c', name: 'C' }],
+        };
+        const theirs = {
+            ...base,
+            rounds: [[match('m1', 1, { score1: 11, score2: 9 }), match('m2', 2, { score1: 2, score2: 11 })]],
+            players: [{ id: 'a', name: 'A' }],
+        };
+        const { merged, conflicts } = mergeSessions(base, mine, theirs);
+        expect(conflicts).toEqual([{ key: 'players' }, { key: 'rounds', id: 'm1' }, { key: 'rounds', id: 'm2' }]);
+
+        const resolved = resolveConflicts(merged, mine, conflicts, { 'rounds:m2': 'mine', players: 'mine' });
+        expect(resolved.rounds[0].map(m => m.score2)).toEqual([9, 0]);
+        expect(resolved.players).toHaveLength(3);
+    });
+});
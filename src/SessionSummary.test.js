@@ -0,0 +1,48 @@
+import { summarizeSession, compareSessions, formatLabel } from './utils/sessionSummary';
+
+const player = (id, name) => ({ id, name, rating: 3.5, present: true });
+
+const singles = (p1, p2, score1, score2) => ({
+    id: `${p1.id}-${p2.id}`,
+    gameFormat: 'singles',
+    matchFormat: 'single_match',
+    player1: p1, player2: p2,
+    score1, score2,
+    status: 'completed',
+    winner: score1 > score2 ? 'team1' : 'team2',
+});
+
+const session = (id, players, rounds, meta = {}) => ({
+    id,
+    tournament_name: `Night ${id}`,
+    tournament_type: 'round_robin',
+    num_courts: 2,
+    ended_at: '2026-03-01T20:00:00.000Z',
+    tournament_data: { players, rounds, meta: { gameFormat: 'singles', ...meta } },
+});
+
+describe('session archive summaries', () => {
+    test('summarizes the saved rounds of a finished session', () => {
+        const [ann, ben, cal] = [player(1, 'Ann'), player(2, 'Ben'), player(3, 'Cal')];
+        const pending = { ...singles(ben, cal, 0, 0), status: 'pending', winner: null };
+        const summary = summarizeSession(session(7, [ann, ben, cal], [[singles(ann, ben, 11, 5)], [singles(ann, cal, 11, 9), pending]]));
+
+        expect(summary).toMatchObject({
+            name: 'Night 7', format: 'Round Robin · Singles', courts: 2,
+            playerCount: 3, roundCount: 2, matchCount: 2, totalPoints: 36, avgMargin: 4,
+        });
+        expect(summary.standings[0].label).toBe('Ann');
+        expect(formatLabel('round_robin', { scheduleMode: 'swiss', gameFormat: 'singles' })).toBe('Round Robin (Swiss) · Singles');
+    });
+
+    test('compares two sessions and lines up the players who were in both by name', () => {
+        const first = summarizeSession(session(1, [player(1, 'Ann'), player(2, 'Ben')], [[singles(player(1, 'Ann'), player(2, 'Ben'), 11, 3)]]));
+        const second = summarizeSession(session(2, [player('x', 'ann'), player(3, 'Cal')], [[singles(player('x', 'ann'), player(3, 'Cal'), 8, 11)]]));
+
+        const { metrics, common } = compareSessions(first, second);
+        expect(metrics.find(m => m.label === 'Winner')).toEqual({ label: 'Winner', a: 'Ann', b: 'Cal' });
+        expect(common).toHaveLength(1);
+        expect(common[0].a.wins).toBe(1);
+        expect(common[0].b.losses).toBe(1);
+    });
+});
@@ -0,0 +1,73 @@
+import { computeStandings, DEFAULT_TIEBREAK_ORDER } from './utils/standings';
+
+const player = (id) => ({ id, name: id.toUpperCase(), rating: 3.5 });
+const players = ['a', 'b', 'c', 'd'].map(player);
+
+const singles = (p1, p2, score1, score2, extra = {}) => ({
+    id: `${p1}-${p2}`,
+    gameFormat: 'singles',
+    matchFormat: 'single_match',
+    player1: player(p1),
+    player2: player(p2),
+    score1, score2,
+    status: 'completed',
+    winner: score1 > score2 ? 'team1' : 'team2',
+    ...extra,
+});
+
+describe('standings engine', () => {
+    test('counts wins, losses, points and win percentage from completed matches only', () => {
+        const rounds = [[
+            singles('a', 'b', 11, 4),
+            singles('c', 'd', 11, 9),
+            { ...singles('a', 'c', 11, 0), status: 'pending', winner: null },
+        ]];
+        const rows = computeStandings(rounds, players);
+        const a = rows.find(r => r.id === 'a');
+        expect(a).toMatchObject({ played: 1, wins: 1, losses: 0, pointsFor: 11, pointsAgainst: 4, diff: 7, winPct: 1 });
+        expect(rows.map(r => r.id)).toEqual(['a', 'c', 'd', 'b']);
+    });
+
+    test('head-to-head separates entrants level on wins before point differential', () => {
+        // b beat a, but a has the bigger differential
+        const rounds = [[
+            singles('a', 'c', 11, 0),
+            singles('b', 'd', 11, 9),
+        ], [
+            singles('b', 'a', 11, 9),
+            singles('c', 'd', 9, 11),
+        ], [
+            singles('a', 'd', 11, 0),
+            singles('b', 'c', 9, 11),
+        ]];
+        expect(computeStandings(rounds, players).slice(0, 2).map(r => r.id)).toEqual(['b', 'a']);
+        expect(computeStandings(rounds, players, { tiebreakOrder: ['wins', 'diff'] }).slice(0, 2).map(r => r.id)).toEqual(['a', 'b']);
+    });
+
+    test('best-of-3 counts game totals and games won', () => {
+        const match = {
+            ...singles('a', 'b', '', ''),
+            matchFormat: 'best_of_3',
+            game1Score1: 11, game1Score2: 7,
+            game2Score1: 8, game2Score2: 11,
+            game3Score1: 11, game3Score2: 5,
+            winner: 'team1',
+        };
+        const [a, b] = computeStandings([[match]], players);
+        expect(a).toMatchObject({ id: 'a', pointsFor: 30, pointsAgainst: 23, gamesWon: 2, gamesLost: 1 });
+        expect(b).toMatchObject({ id: 'b', gamesWon: 1, gamesLost: 2 });
+    });
+
+    test('ranks fixed teams and shares a rank when entrants are level on everything', () => {
+        const teams = [
+            { id: 't1', player1: player('a'), player2: player('b') },
+            { id: 't2', player1: player('c'), player2: player('d') },
+            { id: 't3', player1: player('e'), player2: player('f') },
+            { id: 't4', player1: player('g'), player2: player('h') },
+        ];
+        const match = (t1, t2) => ({ team1Id: t1, team2Id: t2, gameFormat: 'teamed_doubles', matchFormat: 'single_match', score1: 11, score2: 5, status: 'completed', winner: 'team1' });
+        const rows = computeStandings([[match('t1', 't2'), match('t3', 't4')]], teams, { by: 'team', tiebreakOrder: DEFAULT_TIEBREAK_ORDER });
+        expect(rows[0].label).toBe('A / B');
+        expect(rows.map(r => r.rank)).toEqual([1, 1, 3, 3]);
+    });
+});
@@ -0,0 +1,100 @@
+import { pairSwissRound, takeSwissWave, getSwissStandings, isSwissRoundComplete } from './schedulers/swissScheduler';
+
+const makeTeams = (n) => Array.from({ length: n }, (_, i) => ({
+    id: `t${i + 1}`,
+    player1: { id: `p${i * 2 + 1}`, name: `P${i * 2 + 1}`, rating: 4.5 - i * 0.05 },
+    player2: { id: `p${i * 2 + 2}`, name: `P${i * 2 + 2}`, rating: 4.5 - i * 0.05 },
+    gender: 'male_male',
+    avgRating: 4.5 - i * 0.05,
+}));
+
+// Higher-seeded side (lower team number) wins 11–score2
+const playOut = (matches, score2 = 6) => matches.map(m => {
+    const [a, b] = [m.team1Id, m.team2Id].map(id => Number(id.slice(1)));
+    return { ...m, status: 'completed', winner: a < b ? 'team1' : 'team2', score1: a < b ? 11 : score2, score2: a < b ? score2 : 11 };
+});
+
+/** Pair and play one full Swiss round in waves of `courts` */
+const playSwissRound = (teams, rounds, swiss, courts) => {
+    let state = pairSwissRound(teams, rounds, swiss, { kind: 'team' });
+    const played = [...rounds];
+    for (;;) {
+        const wave = takeSwissWave(state, teams, played, courts);
+        if (wave.matches.length === 0) break;
+        state = wave.swiss;
+        played.push(playOut(wave.matches));
+    }
+    return { swiss: state, rounds: played };
+};
+
+const matchupKey = (m) => [m.team1Id, m.team2Id].sort().join('|');
+
+describe('swissScheduler', () => {
+    test('round 1 pairs top half against bottom half and gives the lowest seed the bye', () => {
+        const swiss = pairSwissRound(makeTeams(9), [], null, { kind: 'team' });
+        expect(swiss.round).toBe(1);
+        expect(swiss.byes).toEqual([{ round: 1, id: 't9' }]);
+        expect(swiss.pairings.map(p => [p.entrant1Id, p.entrant2Id])).toEqual([['t1', 't5'], ['t2', 't6'], ['t3', 't7'], ['t4', 't8']]);
+    });
+
+    test('pairings go out in waves no larger than the court count', () => {
+        const teams = makeTeams(10);
+        const swiss = pairSwissRound(teams, [], null, { kind: 'team' });
+        const first = takeSwissWave(swiss, teams, [], 3);
+        expect(first.matches.map(m => m.court)).toEqual([1, 2, 3]);
+        expect(first.matches[0].scheduleLabel).toBe('Swiss Rd 1 · Board 1');
+        const rounds = [playOut(first.matches)];
+        expect(isSwissRoundComplete(first.swiss, rounds)).toBe(false);
+
+        const second = takeSwissWave(first.swiss, teams, rounds, 3);
+        expect(second.matches).toHaveLength(2);
+        expect(isSwissRoundComplete(second.swiss, [...rounds, playOut(second.matches)])).toBe(true);
+        expect(takeSwissWave(second.swiss, teams, rounds, 3).matches).toHaveLength(0);
+    });
+
+    test('later rounds pair equal records without rematches and rotate the bye', () => {
+        const teams = makeTeams(9);
+        let swiss = null;
+        let rounds = [];
+        for (let r = 0; r < 4; r++) ({ swiss, rounds } = playSwissRound(teams, rounds, swiss, 4));
+
+        const seen = new Set();
+        rounds.flat().forEach(m => {
+            expect(seen.has(matchupKey(m))).toBe(false);
+            seen.add(matchupKey(m));
+        });
+        expect(new Set(swiss.byes.map(b => b.id)).size).toBe(4);
+
+        // Round 2: the 1–0 teams meet each other
+        const round2 = rounds.flat().filter(m => m.swissRound === 2);
+        const winnersOfRound1 = new Set(['t1', 't2', 't3', 't4']);
+        round2.forEach(m => {
+            const bothWon = winnersOfRound1.has(m.team1Id) && winnersOfRound1.has(m.team2Id);
+            const neitherWon = !winnersOfRound1.has(m.team1Id) && !winnersOfRound1.has(m.team2Id);
+            expect(bothWon || neitherWon || [m.team1Id, m.team2Id].includes('t9')).toBe(true);
+        });
+    });
+
+    test('avoids rematches recorded in the existing opponents maps', () => {
+        const teams = makeTeams(4);
+        const round1 = pairSwissRound(teams, [], null, { kind: 'team' });
+        const { swiss, matches } = takeSwissWave(round1, teams, [], 2);
+        const rounds = [playOut(matches)];
+        // t1 and t2 already met earlier in the evening
+        const round2 = pairSwissRound(teams, rounds, swiss, { kind: 'team', opponents: { t1: { t2: 1 }, t2: { t1: 1 } } });
+        round2.pairings.forEach(p => expect([p.entrant1Id, p.entrant2Id].sort()).not.toEqual(['t1', 't2']));
+    });
+
+    test('standings rank by points, then Buchholz, then point differential', () => {
+        const teams = makeTeams(4);
+        let swiss = null;
+        let rounds = [];
+        for (let r = 0; r < 2; r++) ({ swiss, rounds } = playSwissRound(teams, rounds, swiss, 2));
+        const rows = getSwissStandings(teams, rounds, swiss);
+        expect(rows[0].entrant.id).toBe('t1');
+        expect(rows[0]).toMatchObject({ wins: 2, losses: 0, points: 2, pointsFor: 22, pointsAgainst: 12, diff: 10 });
+        // t2 and t3 are both 1–1; t2 lost to the 2–0 team so has the higher Buchholz
+        expect(rows[1].points).toBe(rows[2].points);
+        expect(rows[1].buchholz).toBeGreaterThanOrEqual(rows[2].buchholz);
+    });
+});
@@ -0,0 +1,79 @@
+import React, { useState } from 'react';
+
+const timeOf = (at) => new Date(at).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+
+/**
+ * Undo / redo for the session's actions, with the list of actions so far — tap one to
+ * jump back (or forward) to just after it. Undone actions stay in the list, greyed,
+ * until something new is done. Shown on the Schedule tab.
+ *
+ * Props:
+ *  history – { past, future } from utils/actionHistory.js
+ *  onUndo  – (steps) => void
+ *  onRedo  – (steps) => void
+ */
+export default function ActionHistory({ history, onUndo, onRedo }) {
+    const [open, setOpen] = useState(false);
+    const { past, future } = history;
+
+    if (past.length === 0 && future.length === 0) return null;
+
+    // Points to jump to: the start, then just after each action (oldest first); we are at past.length
+    const entries = [...past, ...future];
+    const jumpTo = (position) => {
+        if (position < past.length) onUndo(past.length - position);
+        else if (position > past.length) onRedo(position - past.length);
+    };
+
+    return (
+        <div className="rounded-xl border border-amber-300 bg-amber-50 text-amber-900 text-xs">
+            <div className="flex gap-2 p-2">
+                <button
+                    onClick={() => onUndo(1)}
+                    disabled={past.length === 0}
+                    title={past.length ? `Undo: ${past[past.length - 1].label}` : undefined}
+                    className="flex-1 h-8 rounded-lg border border-amber-300 bg-white font-semibold disabled:opacity-40"
+                >
+                    ↶ Undo
+                </button>
+                <button
+                    onClick={() => onRedo(1)}
+                    disabled={future.length === 0}
+                    title={future.length ? `Redo: ${future[0].label}` : undefined}
+                    className="flex-1 h-8 rounded-lg border border-amber-300 bg-white font-semibold disabled:opacity-40"
+                >
+                    ↷ Redo
+                </button>
+                <button
+                    onClick={() => setOpen(o => !o)}
+                    aria-expanded={open}
+                    className="h-8 px-3 rounded-lg font-semibold hover:bg-amber-100"
+                >
+                    History ({entries.length}) {open ? '▴' : '▾'}
+                </button>
+            </div>
+
+            {open && (
+                <ol className="max-h-60 overflow-y-auto border-t border-amber-200 divide-y divide-amber-100">
+                    {[{ label: 'Start of history' }, ...entries].map((entry, position) => {
+                        const current = position === past.length;
+                        return (
+                            <li key={position}>
+                                <button
+                                    onClick={() => jumpTo(position)}
+                                    disabled={current}
+                                    className={`w-full flex items-center justify-between gap-2 px-3 py-1.5 text-left ${current ? 'bg-amber-100 font-semibold' : 'hover:bg-amber-100'} ${position > past.length ? 'text-amber-900/40 line-through' : ''}`}
+                                >
+                                    <span className="truncate">{entry.label}</span>
+                                    <span className="shrink-0 text-amber-900/60">
+                                        {current ? 'Now' : entry.at ? timeOf(entry.at) : ''}
+                                    </span>
+                                </button>
+                            </li>
+                        );
+                    })}
+                </ol>
+            )}
+        </div>
+    );
+}
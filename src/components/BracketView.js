@@ -0,0 +1,110 @@
+import React from 'react';
+import { BYE, BRACKET_FORMATS, getBracketColumns, getBracketEntrant } from '../schedulers/bracketScheduler';
+
+/**
+ * Read-only bracket chart for elimination events.
+ * Columns scroll horizontally: winners rounds, losers rounds, then the grand final.
+ *
+ * Props:
+ *  bracket      – bracket object from bracketScheduler (or null)
+ *  courtStates  – array of court objects (used to show which court a match is on)
+ */
+export default function BracketView({ bracket, courtStates }) {
+    if (!bracket) return null;
+
+    const columns = getBracketColumns(bracket);
+    const champion = getBracketEntrant(bracket, bracket.championId);
+
+    const courtFor = (bracketMatchId) =>
+        courtStates.find(c => c.currentMatch?.bracketMatchId === bracketMatchId)?.courtNumber;
+
+    const slotLabel = (entrantId) => {
+        if (entrantId === BYE) return { text: 'BYE', muted: true };
+        if (entrantId === null) return { text: 'TBD', muted: true };
+        const e = getBracketEntrant(bracket, entrantId);
+        return { text: e ? e.label : '?', seed: e?.seed, note: e?.note, muted: false };
+    };
+
+    return (
+        <div className="space-y-3">
+            <div className="flex items-center justify-between">
+                <h3 className="text-sm font-semibold text-brand-primary">
+                    {BRACKET_FORMATS[bracket.format]} Bracket
+                </h3>
+                <span className="text-xs text-brand-primary/60">
+                    {bracket.entrants.length} {bracket.kind === 'player' ? 'players' : 'teams'}
+                    {bracket.size > bracket.entrants.length && ` · ${bracket.size - bracket.entrants.length} byes`}
+                </span>
+            </div>
+
+            {champion && (
+                <div className="rounded-xl border-2 border-yellow-300 bg-yellow-50 px-4 py-3 text-center">
+                    <div className="text-2xl">🏆</div>
+                    <div className="font-bold text-brand-primary">{champion.label}</div>
+                    <div className="text-xs text-yellow-800">Champion · Seed {champion.seed}</div>
+                </div>
+            )}
+
+            {bracket.entrants.some(e => e.note) && (
+                <div>
+                    <div className="text-xs font-semibold text-brand-primary/70 uppercase tracking-wide mb-1">Qualified</div>
+                    <div className="flex flex-wrap gap-1">
+                        {bracket.entrants.map(e => (
+                            <span key={e.id} className="text-xs px-2 py-1 rounded-full bg-brand-secondary/20 text-brand-primary">
+                                <strong>{e.note}</strong> {e.label}
+                            </span>
+                        ))}
+                    </div>
+                </div>
+            )}
+
+            <div className="overflow-x-auto pb-2">
+                <div className="flex gap-3 min-w-max items-start">
+                    {columns.map(col => (
+                        <div key={col.key} className="w-52 flex-shrink-0 space-y-2">
+                            <div className={`text-xs font-bold uppercase tracking-wide px-1 ${col.side === 'L' ? 'text-orange-700' : col.side === 'GF' ? 'text-yellow-700' : 'text-brand-primary/70'}`}>
+                                {col.title}
+                            </div>
+                            {col.matches.map(m => {
+                                const court = courtFor(m.id);
+                                return (
+                                    <div
+                                        key={m.id}
+                                        className={`rounded-xl border bg-white text-xs overflow-hidden ${court ? 'border-green-400 ring-1 ring-green-300' : 'border-brand-gray'} ${m.status === 'bye' ? 'opacity-50' : ''}`}
+                                    >
+                                        {[m.entrant1Id, m.entrant2Id].map((entrantId, idx) => {
+                                            const slot = slotLabel(entrantId);
+                                            const won = m.winnerId !== null && m.winnerId === entrantId && entrantId !== BYE;
+                                            return (
+                                                <div
+                                                    key={idx}
+                                                    className={`flex items-center gap-2 px-2 py-1.5 ${idx === 0 ? 'border-b border-brand-gray/60' : ''} ${won ? 'bg-green-50 font-bold text-green-800' : slot.muted ? 'text-brand-primary/40 italic' : 'text-brand-primary'}`}
+                                                >
+                                                    {slot.seed && <span className="w-5 text-[10px] text-brand-primary/50">{slot.seed}</span>}
+                                                    <span className="truncate flex-1">{slot.text}</span>
+                                                    {slot.note && <span className="text-[10px] px-1 rounded bg-brand-gray/60 text-brand-primary/70">{slot.note}</span>}
+                                                    {won && <span>✓</span>}
+                                                </div>
+                                            );
+                                        })}
+                                        <div className="px-2 py-1 bg-brand-white text-[10px] text-brand-primary/60 flex justify-between">
+                                            <span>{m.id}</span>
+                                            <span>
+                                                {court ? `On Court ${court}`
+                                                    : m.status === 'completed' ? (m.score || 'Final')
+                                                        : m.status === 'ready' ? 'Waiting for court'
+                                                            : m.status === 'bye' ? 'Bye'
+                                                                : m.status === 'skipped' ? 'Not needed'
+                                                                    : 'Waiting'}
+                                            </span>
+                                        </div>
+                                    </div>
+                                );
+                            })}
+                        </div>
+                    ))}
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,248 @@
+import React, { useState } from 'react';
+import { usePublicScoreboard } from '../hooks/usePublicScoreboard';
+import { reportableMatch } from '../utils/scoreboard';
+import MatchReport from './MatchReport';
+
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000';
+
+// The player this phone checked in as, so coming back to the page is one tap, and the
+// key the server gave this phone for each player it checked in: { id, name, keys: { [id]: key } }
+const storageKey = (token) => `pb_checkin_${token}`;
+
+const remembered = (token) => {
+    try {
+        return JSON.parse(localStorage.getItem(storageKey(token)));
+    } catch (e) {
+        return null;
+    }
+};
+
+const REPORT_MESSAGES = {
+    reported: 'Score sent — an opponent confirms it from their phone.',
+    confirmed: 'Score confirmed. Thanks!',
+    disputed: 'Dispute sent — the organizer will settle the score.',
+};
+
+/**
+ * Player self check-in — the page behind the session QR code (/checkin/:token).
+ * Players pick their name and mark themselves present or leaving early; walk-ins
+ * add themselves as a guest and wait for the organizer's approval if the session
+ * asks for it. Once on court, players report and confirm their own match score here —
+ * only from the phone they checked in on, which keeps the key the server gave it.
+ * No login; the organizer's devices update live.
+ *
+ * Props:
+ *  token – check-in token from POST /api/session/:id/checkin-link (not the scoreboard's share token)
+ */
+export default function CheckIn({ token }) {
+    const { session, error, refresh } = usePublicScoreboard(token, 'checkin');
+    const [meId, setMeId] = useState(() => remembered(token)?.id ?? null);
+    const [query, setQuery] = useState('');
+    const [guestOpen, setGuestOpen] = useState(false);
+    const [guest, setGuest] = useState({ name: '', rating: '', gender: 'male' });
+    const [message, setMessage] = useState('');
+    const [failure, setFailure] = useState('');
+    const [loading, setLoading] = useState(false);
+
+    // Check-ins and score reports for a player carry the key this phone got for them
+    const keyFor = (playerId) => remembered(token)?.keys?.[playerId];
+
+    const post = async (path, body) => {
+        setFailure('');
+        setMessage('');
+        setLoading(true);
+        try {
+            const response = await fetch(`${API_URL}/api/public/${path}/${token}`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(body)
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Something went wrong — try again');
+            }
+            refresh();
+            return data;
+        } catch (err) {
+            setFailure(err.message);
+            return null;
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const send = async (body) => {
+        const data = await post('checkin', body.playerId ? { ...body, playerKey: keyFor(body.playerId) } : body);
+        if (!data) return;
+
+        const { player, playerKey } = data;
+        const keys = { ...remembered(token)?.keys, [player.id]: playerKey };
+        localStorage.setItem(storageKey(token), JSON.stringify({ id: player.id, name: player.name, keys }));
+        setMeId(player.id);
+        setGuestOpen(false);
+        setMessage(player.pendingApproval
+            ? `Thanks ${player.name} — the organizer will add you shortly.`
+            : player.present
+                ? `You're checked in, ${player.name}. Have fun!`
+                : `Thanks ${player.name} — you're off the rotation.`);
+    };
+
+    const report = async (body) => {
+        const data = await post('report', { ...body, playerKey: keyFor(body.playerId) });
+        if (data) setMessage(REPORT_MESSAGES[data.match.report.status]);
+    };
+
+    if (error && !session) {
+        return (
+            <div className="min-h-screen grid place-items-center bg-brand-white p-6 text-center text-brand-primary">
+                <p>This check-in link is not valid. Ask the organizer for the current QR code.</p>
+            </div>
+        );
+    }
+    if (!session) {
+        return <div className="min-h-screen grid place-items-center bg-brand-white text-brand-primary">Loading…</div>;
+    }
+    if (session.ended) {
+        return (
+            <div className="min-h-screen grid place-items-center bg-brand-white p-6 text-center text-brand-primary">
+                <p>{session.name} has finished. Thanks for playing!</p>
+            </div>
+        );
+    }
+
+    const players = session.players || [];
+    const me = players.find(p => String(p.id) === String(meId));
+    const myMatch = me ? reportableMatch(session, me.id) : null;
+    const matches = players
+        .filter(p => p.name.toLowerCase().includes(query.trim().toLowerCase()))
+        .sort((a, b) => a.name.localeCompare(b.name));
+
+    const statusOf = (p) => (p.pendingApproval ? 'Waiting for approval' : p.present ? 'Here' : '');
+
+    return (
+        <div className="min-h-screen bg-brand-white text-brand-primary">
+            <header className="sticky top-0 z-10 bg-brand-primary text-white px-4 py-3">
+                <h1 className="text-lg font-bold truncate">{session.name}</h1>
+                <div className="text-xs text-white/70">Check in for today's session</div>
+            </header>
+
+            <main className="mx-auto max-w-md p-4 space-y-4">
+                {message && <div className="rounded-xl border border-brand-secondary bg-brand-secondary/10 p-3 text-sm">{message}</div>}
+                {failure && <div className="rounded-xl border border-red-500 bg-red-50 p-3 text-sm text-red-600">{failure}</div>}
+
+                {me && (
+                    <section className="rounded-2xl border-2 border-brand-secondary p-4">
+                        <div className="text-xs uppercase tracking-wide text-brand-primary/60">You</div>
+                        <div className="text-xl font-bold">{me.name}</div>
+                        <div className="text-sm text-brand-primary/70">{statusOf(me) || 'Not checked in'}</div>
+                        <div className="mt-3 grid grid-cols-2 gap-2">
+                            <button
+                                disabled={loading || (me.present && keyFor(me.id)) || me.pendingApproval}
+                                onClick={() => send({ playerId: me.id, status: 'present' })}
+                                className="h-12 rounded-xl bg-brand-primary text-white font-semibold disabled:opacity-40"
+                            >
+                                I'm here
+                            </button>
+                            <button
+                                disabled={loading || (!me.present && !me.pendingApproval)}
+                                onClick={() => send({ playerId: me.id, status: 'leaving' })}
+                                className="h-12 rounded-xl border-2 border-brand-gray font-semibold disabled:opacity-40"
+                            >
+                                Leaving early
+                            </button>
+                        </div>
+                        <button onClick={() => setMeId(null)} className="mt-2 text-xs underline text-brand-primary/60">
+                            Not you?
+                        </button>
+                    </section>
+                )}
+
+                {myMatch && (
+                    <MatchReport key={myMatch.id} match={myMatch} playerId={me.id} loading={loading} onSend={report} />
+                )}
+
+                {!me && !guestOpen && (
+                    <section>
+                        <input
+                            value={query}
+                            onChange={(e) => setQuery(e.target.value)}
+                            placeholder="Find your name"
+                            className="w-full h-12 rounded-xl border-2 border-brand-gray px-3 text-base focus:outline-none focus:border-brand-secondary"
+                        />
+                        <div className="mt-2 space-y-1">
+                            {matches.map(p => (
+                                <button
+                                    key={p.id}
+                                    disabled={loading}
+                                    onClick={() => (p.pendingApproval ? setMeId(p.id) : send({ playerId: p.id, status: 'present' }))}
+                                    className="w-full flex items-center justify-between rounded-xl border border-brand-gray px-3 py-3 text-left"
+                                >
+                                    <span className="font-semibold">{p.name}</span>
+                                    <span className="text-xs text-brand-primary/60">{statusOf(p) || 'Tap to check in'}</span>
+                                </button>
+                            ))}
+                            {matches.length === 0 && <p className="text-sm text-brand-primary/60 px-1">No one by that name yet.</p>}
+                        </div>
+                        <button
+                            onClick={() => {
+                                setGuest(g => ({ ...g, name: query.trim() }));
+                                setGuestOpen(true);
+                            }}
+                            className="mt-3 w-full h-12 rounded-xl border-2 border-dashed border-brand-secondary font-semibold"
+                        >
+                            I'm not on the list
+                        </button>
+                    </section>
+                )}
+
+                {!me && guestOpen && (
+                    <form
+                        onSubmit={(e) => {
+                            e.preventDefault();
+                            send({ guest });
+                        }}
+                        className="space-y-3"
+                    >
+                        <h2 className="text-base font-semibold">Join as a guest</h2>
+                        <input
+                            value={guest.name}
+                            onChange={(e) => setGuest({ ...guest, name: e.target.value })}
+                            placeholder="Your name"
+                            required
+                            className="w-full h-12 rounded-xl border-2 border-brand-gray px-3 focus:outline-none focus:border-brand-secondary"
+                        />
+                        <input
+                            type="number"
+                            step="0.1"
+                            min="2.0"
+                            max="5.5"
+                            value={guest.rating}
+                            onChange={(e) => setGuest({ ...guest, rating: e.target.value })}
+                            placeholder="DUPR rating (2.0 – 5.5)"
+                            required
+                            className="w-full h-12 rounded-xl border-2 border-brand-gray px-3 focus:outline-none focus:border-brand-secondary"
+                        />
+                        <select
+                            value={guest.gender}
+                            onChange={(e) => setGuest({ ...guest, gender: e.target.value })}
+                            className="w-full h-12 rounded-xl border-2 border-brand-gray px-3 bg-white"
+                        >
+                            <option value="male">Male</option>
+                            <option value="female">Female</option>
+                        </select>
+                        <div className="grid grid-cols-2 gap-2">
+                            <button type="button" onClick={() => setGuestOpen(false)} className="h-12 rounded-xl border-2 border-brand-gray font-semibold">
+                                Back
+                            </button>
+                            <button type="submit" disabled={loading} className="h-12 rounded-xl bg-brand-primary text-white font-semibold disabled:opacity-40">
+                                Check in
+                            </button>
+                        </div>
+                    </form>
+                )}
+            </main>
+        </div>
+    );
+}
@@ -0,0 +1,44 @@
+import React, { useEffect, useState } from 'react';
+import QRCode from 'qrcode';
+
+/**
+ * Check-in QR code for the current session — show it on the desk tablet or print it
+ * for the entrance. Players scan it to reach /checkin/:token.
+ *
+ * Props:
+ *  url     – check-in page of the session
+ *  onClose – () => void
+ */
+export default function CheckInQRCode({ url, onClose }) {
+    const [image, setImage] = useState(null);
+
+    useEffect(() => {
+        QRCode.toDataURL(url, { width: 512, margin: 1 })
+            .then(setImage)
+            .catch(err => console.log('[Check-in] QR code failed:', err));
+    }, [url]);
+
+    return (
+        <div className="fixed inset-0 z-[100] flex items-end sm:items-center justify-center bg-black/50" onClick={onClose}>
+            <div
+                className="w-full sm:max-w-sm bg-brand-white rounded-t-2xl sm:rounded-2xl p-5 text-center"
+                onClick={(e) => e.stopPropagation()}
+            >
+                <h3 className="text-lg font-semibold text-brand-primary">Scan to check in</h3>
+                <p className="mt-1 text-sm text-brand-primary/70">Pick your name, or join as a guest.</p>
+                <div className="mt-3 mx-auto w-64 h-64 grid place-items-center rounded-xl border border-brand-gray bg-white">
+                    {image ? <img src={image} alt="Check-in QR code" className="w-full h-full" /> : <span className="text-sm text-brand-primary/60">Loading…</span>}
+                </div>
+                <div className="mt-2 text-[11px] text-brand-primary/60 break-all">{url}</div>
+                <div className="mt-4 grid grid-cols-2 gap-2">
+                    <button onClick={() => window.print()} className="h-11 rounded-xl border-2 border-brand-gray text-sm font-semibold text-brand-primary">
+                        Print
+                    </button>
+                    <button onClick={onClose} className="h-11 rounded-xl bg-brand-primary text-white text-sm font-semibold">
+                        Done
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
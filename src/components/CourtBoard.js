@@ -0,0 +1,139 @@
+import React, { useEffect, useState } from 'react';
+import { usePublicScoreboard } from '../hooks/usePublicScoreboard';
+import { buildScoreboard, entrantName } from '../utils/scoreboard';
+import { matchSideNames } from '../utils/sessionSummary';
+import { formatClock } from '../utils/roundClock';
+import { entered, gamesOf } from '../utils/matchGames';
+
+const PANEL_MS = 15000; // Next Up and standings take turns in the side panel
+
+// Columns for 1–16 courts on a 16:9 screen
+const columnsFor = (n) => (n <= 2 ? Math.max(n, 1) : n <= 4 ? 2 : n <= 9 ? 3 : 4);
+
+// Text sizes shrink as more tiles share the screen
+const SIZES = {
+    large: { court: 'text-4xl', names: 'text-4xl', score: 'text-7xl', meta: 'text-2xl' },
+    medium: { court: 'text-2xl', names: 'text-2xl', score: 'text-5xl', meta: 'text-xl' },
+    small: { court: 'text-xl', names: 'text-lg', score: 'text-3xl', meta: 'text-base' },
+};
+const sizeFor = (n) => (n <= 4 ? SIZES.large : n <= 9 ? SIZES.medium : SIZES.small);
+
+const elapsed = (startTime, now) => (startTime ? formatClock(Math.max(0, now - new Date(startTime).getTime())) : '');
+
+// Score while the match is being played: games so far for multi-game formats
+const liveScore = (m) => gamesOf(m)
+    .filter(([a, b]) => entered(a) || entered(b))
+    .map(([a, b]) => `${a || 0}–${b || 0}`)
+    .join('  ');
+
+/**
+ * TV court board — full-screen, dark, read-only display for a screen at the facility
+ * entrance (/board/:token, same share link as the live scoreboard). Every court is a
+ * tile with its players, match timer and score; Next Up and standings rotate beside
+ * them. No controls, so it can run unattended in a kiosk browser.
+ *
+ * Props:
+ *  token – share token from POST /api/session/:id/share
+ */
+export default function CourtBoard({ token }) {
+    const { session, error } = usePublicScoreboard(token);
+    const [now, setNow] = useState(Date.now());
+    const [panel, setPanel] = useState(0);
+
+    useEffect(() => {
+        const clock = setInterval(() => setNow(Date.now()), 1000);
+        const rotate = setInterval(() => setPanel(p => (p + 1) % 2), PANEL_MS);
+        return () => {
+            clearInterval(clock);
+            clearInterval(rotate);
+        };
+    }, []);
+
+    if (!session) {
+        return (
+            <div className="h-screen grid place-items-center bg-black text-white text-3xl">
+                {error ? 'This court board link is not valid.' : 'Loading courts…'}
+            </div>
+        );
+    }
+
+    const board = buildScoreboard(session);
+    const size = sizeFor(board.courts.length);
+    const showNextUp = panel === 0 && board.nextUp.length > 0;
+
+    return (
+        <div className="h-screen overflow-hidden bg-black text-white flex flex-col cursor-none select-none">
+            <header className="flex items-baseline justify-between px-6 py-3 border-b-4 border-lime">
+                <h1 className="text-4xl font-extrabold truncate">{session.name}</h1>
+                <span className="text-2xl text-white/70 whitespace-nowrap">
+                    {session.ended ? 'Final results' : `Round ${session.currentRound}`} · {new Date(now).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}
+                </span>
+            </header>
+
+            <div className="flex-1 min-h-0 flex gap-4 p-4">
+                <main
+                    className="flex-1 min-w-0 grid gap-4"
+                    style={{
+                        gridTemplateColumns: `repeat(${columnsFor(board.courts.length)}, minmax(0, 1fr))`,
+                        gridAutoRows: 'minmax(0, 1fr)',
+                    }}
+                >
+                    {board.courts.map(court => {
+                        const m = court.match;
+                        return (
+                            <div
+                                key={court.courtNumber}
+                                className={`rounded-2xl border-4 p-4 flex flex-col min-h-0 overflow-hidden ${m ? 'border-lime bg-neutral-900' : 'border-neutral-700 bg-neutral-950'}`}
+                            >
+                                <div className="flex items-baseline justify-between">
+                                    <span className={`${size.court} font-black text-lime`}>Court {court.courtNumber}</span>
+                                    {m && <span className={`${size.meta} font-mono text-white/80`}>{elapsed(m.startTime, now)}</span>}
+                                </div>
+                                {m ? (
+                                    <div className="flex-1 min-h-0 flex flex-col justify-center gap-1">
+                                        <div className={`${size.names} font-bold leading-tight truncate`}>{matchSideNames(m, 1)}</div>
+                                        <div className={`${size.score} font-black tabular-nums text-center`}>{liveScore(m) || 'vs'}</div>
+                                        <div className={`${size.names} font-bold leading-tight truncate text-right`}>{matchSideNames(m, 2)}</div>
+                                    </div>
+                                ) : (
+                                    <div className={`flex-1 grid place-items-center ${size.meta} text-white/40 uppercase tracking-widest`}>Open</div>
+                                )}
+                            </div>
+                        );
+                    })}
+                </main>
+
+                <aside className="w-1/4 min-w-0 rounded-2xl bg-neutral-900 p-4 overflow-hidden">
+                    {showNextUp ? (
+                        <>
+                            <h2 className="text-3xl font-extrabold text-lime mb-3">Next up</h2>
+                            <ol className="space-y-2 text-2xl">
+                                {board.nextUp.slice(0, 12).map((item, idx) => (
+                                    <li key={item.id} className="truncate">
+                                        <span className="font-black text-white/50 mr-2">{idx + 1}</span>{entrantName(item)}
+                                    </li>
+                                ))}
+                            </ol>
+                        </>
+                    ) : (
+                        <>
+                            <h2 className="text-3xl font-extrabold text-lime mb-3">Standings</h2>
+                            {board.standings.length === 0 && <p className="text-2xl text-white/50">No results yet.</p>}
+                            <table className="w-full text-2xl">
+                                <tbody>
+                                    {board.standings.slice(0, 12).map(row => (
+                                        <tr key={row.id} className="border-t border-neutral-700">
+                                            <td className="py-1 pr-2 font-black text-white/50">{row.rank}</td>
+                                            <td className="py-1 truncate max-w-0 w-full">{row.label}</td>
+                                            <td className="py-1 pl-2 text-right tabular-nums whitespace-nowrap">{row.wins}–{row.losses}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </>
+                    )}
+                </aside>
+            </div>
+        </div>
+    );
+}
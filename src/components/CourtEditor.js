@@ -0,0 +1,210 @@
+import React, { useState } from 'react';
+import { manualMatchWarnings } from '../utils/courtEditor';
+import { sidesOf } from '../utils/matchSides';
+import { entrantName } from '../utils/scoreboard';
+
+const playersOf = (entrant) => (entrant.player1 ? [entrant.player1, entrant.player2] : [entrant]);
+const sideNames = (side) => side.map(p => p?.name?.split(' ')[0]).join('/');
+
+/**
+ * Hand-built matches for the Schedule tab. Drag players (or teams) from the Next Up list
+ * into a free court's slots, or drag a match onto another court to swap them — on touch
+ * screens tap one, then tap where it goes. Before a match goes on court it is checked for
+ * a rating gap, repeat partners and a repeat matchup, and the organizer confirms.
+ *
+ * Props:
+ *  gameFormat – doubles (two players a side), singles or teamed_doubles (one entry a side)
+ *  courts     – court states [{ courtNumber, status, currentMatch }]
+ *  queue      – Next Up list (players, or teams for teamed doubles), first up first
+ *  rounds     – array of round arrays (for repeat partners and matchups)
+ *  ratingOf   – (player) => rating the session balances on
+ *  onPlace    – (courtNumber, [[ids], [ids]]) => void, put the match on the court
+ *  onSwap     – (fromCourt, toCourt) => void, swap (or move) the courts' matches (refused once either has a score)
+ */
+export default function CourtEditor({ gameFormat, courts, queue, rounds, ratingOf, onPlace, onSwap }) {
+    const [drafts, setDrafts] = useState({}); // courtNumber → [[id | null, …], [id | null, …]]
+    const [picked, setPicked] = useState(null); // { kind: 'entrant', id } | { kind: 'court', courtNumber } — tap to move
+
+    const perSide = gameFormat === 'doubles' ? 2 : 1;
+    const emptyDraft = () => [Array(perSide).fill(null), Array(perSide).fill(null)];
+    const byId = (id) => queue.find(e => String(e.id) === String(id));
+    // Drafts only hold entrants still off court
+    const draftOf = (courtNumber) => (drafts[courtNumber] || emptyDraft()).map(side => side.map(id => (id !== null && byId(id) ? id : null)));
+    const inDrafts = new Set(Object.keys(drafts).flatMap(c => draftOf(c).flat()).filter(id => id !== null).map(String));
+
+    const putEntrant = (courtNumber, side, slot, id) => {
+        setDrafts(prev => {
+            // Take it out of wherever it was first
+            const next = Object.fromEntries(Object.keys(prev).map(c => [c, prev[c].map(s => s.map(x => (String(x) === String(id) ? null : x)))]));
+            const draft = (next[courtNumber] || emptyDraft()).map(s => [...s]);
+            draft[side][slot] = id;
+            return { ...next, [courtNumber]: draft };
+        });
+        setPicked(null);
+    };
+
+    const clearSlot = (courtNumber, side, slot) => setDrafts(prev => {
+        const draft = (prev[courtNumber] || emptyDraft()).map(s => [...s]);
+        draft[side][slot] = null;
+        return { ...prev, [courtNumber]: draft };
+    });
+
+    const moveMatch = (from, to) => {
+        setPicked(null);
+        if (from !== to) onSwap(from, to);
+    };
+
+    const dragProps = (item) => ({
+        draggable: true,
+        onDragStart: (e) => e.dataTransfer.setData('text/plain', JSON.stringify(item))
+    });
+    const dropProps = (accept, onItem) => ({
+        onDragOver: (e) => e.preventDefault(),
+        onDrop: (e) => {
+            e.preventDefault();
+            try {
+                const item = JSON.parse(e.dataTransfer.getData('text/plain'));
+                if (item.kind === accept) onItem(item);
+            } catch (err) {
+                console.log('[CourtEditor] Ignored drop:', err.message);
+            }
+        }
+    });
+
+    const place = (courtNumber) => {
+        const draft = draftOf(courtNumber);
+        const sides = draft.map(side => side.flatMap(id => playersOf(byId(id))));
+        const warnings = manualMatchWarnings(sides, rounds, { ratingOf, fixedPartners: gameFormat === 'teamed_doubles' });
+        if (warnings.length > 0 && !window.confirm(`${warnings.join('\n')}\n\nPut this match on Court ${courtNumber} anyway?`)) return;
+        onPlace(courtNumber, draft);
+        setDrafts(prev => {
+            const next = { ...prev };
+            delete next[courtNumber];
+            return next;
+        });
+    };
+
+    const pool = queue.filter(e => !inDrafts.has(String(e.id)));
+
+    return (
+        <div className="space-y-3">
+            <p className="text-xs text-brand-primary/70">
+                Drag {gameFormat === 'teamed_doubles' ? 'teams' : 'players'} onto a free court, or drag a match onto another court to swap them. On a touch screen, tap one and then tap where it goes.
+            </p>
+
+            <div className="flex flex-wrap gap-1.5 min-h-[2rem]">
+                {pool.length === 0 && <span className="text-xs text-brand-primary/50">Everyone is on a court or in a match below.</span>}
+                {pool.map(entrant => {
+                    const isPicked = picked?.kind === 'entrant' && String(picked.id) === String(entrant.id);
+                    return (
+                        <button
+                            key={entrant.id}
+                            {...dragProps({ kind: 'entrant', id: entrant.id })}
+                            onClick={() => setPicked(isPicked ? null : { kind: 'entrant', id: entrant.id })}
+                            className={`rounded-full border px-3 py-1 text-xs font-semibold cursor-grab ${isPicked ? 'border-brand-primary bg-brand-primary text-white' : 'border-brand-gray bg-white text-brand-primary'}`}
+                        >
+                            {entrantName(entrant)}
+                            <span className="ml-1 opacity-60">{(playersOf(entrant).reduce((sum, p) => sum + ratingOf(p), 0) / playersOf(entrant).length).toFixed(2)}</span>
+                        </button>
+                    );
+                })}
+            </div>
+
+            <div className="grid gap-2 sm:grid-cols-2">
+                {courts.map(court => {
+                    const { courtNumber } = court;
+                    const cm = court.currentMatch;
+                    const courtPicked = picked?.kind === 'court';
+                    const dropMatch = dropProps('court', (item) => moveMatch(item.courtNumber, courtNumber));
+
+                    if (cm) {
+                        const isPicked = courtPicked && picked.courtNumber === courtNumber;
+                        return (
+                            <div
+                                key={courtNumber}
+                                {...dragProps({ kind: 'court', courtNumber })}
+                                {...dropMatch}
+                                className={`rounded-xl border-2 p-2 text-xs cursor-grab ${isPicked ? 'border-brand-primary bg-brand-primary/10' : 'border-green-300 bg-green-50'}`}
+                            >
+                                <div className="flex items-center justify-between font-semibold text-green-800">
+                                    <span>Court {courtNumber}</span>
+                                    <button
+                                        onClick={() => (courtPicked && !isPicked ? moveMatch(picked.courtNumber, courtNumber) : setPicked(isPicked ? null : { kind: 'court', courtNumber }))}
+                                        className="rounded-lg border border-green-300 bg-white px-2 py-0.5"
+                                    >
+                                        {courtPicked && !isPicked ? '⇄ Swap here' : isPicked ? 'Cancel' : '⇄ Move'}
+                                    </button>
+                                </div>
+                                <div className="mt-1 text-green-900">{(sidesOf(cm) || []).map(sideNames).join(' v ')}</div>
+                            </div>
+                        );
+                    }
+
+                    if (court.status !== 'ready') {
+                        return (
+                            <div key={courtNumber} className="rounded-xl border-2 border-orange-200 bg-orange-50 p-2 text-xs text-orange-800">
+                                <span className="font-semibold">Court {courtNumber}</span> · {court.status} — mark it ready to use it
+                            </div>
+                        );
+                    }
+
+                    const draft = draftOf(courtNumber);
+                    const full = draft.every(side => side.every(id => id !== null));
+                    const warnings = full
+                        ? manualMatchWarnings(draft.map(side => side.flatMap(id => playersOf(byId(id)))), rounds, { ratingOf, fixedPartners: gameFormat === 'teamed_doubles' })
+                        : [];
+
+                    return (
+                        <div key={courtNumber} {...dropMatch} className="rounded-xl border-2 border-dashed border-brand-gray bg-white p-2 text-xs space-y-2">
+                            <div className="flex items-center justify-between font-semibold text-brand-primary">
+                                <span>Court {courtNumber}</span>
+                                {courtPicked && (
+                                    <button onClick={() => moveMatch(picked.courtNumber, courtNumber)} className="rounded-lg border border-brand-gray px-2 py-0.5">
+                                        ⇄ Move here
+                                    </button>
+                                )}
+                            </div>
+                            <div className="flex items-center gap-2">
+                                {draft.map((side, s) => (
+                                    <React.Fragment key={s}>
+                                        {s === 1 && <span className="text-brand-primary/50 font-semibold">v</span>}
+                                        <div className="flex-1 space-y-1">
+                                            {side.map((id, slot) => {
+                                                const entrant = id !== null ? byId(id) : null;
+                                                return (
+                                                    <div
+                                                        key={slot}
+                                                        {...dropProps('entrant', (item) => putEntrant(courtNumber, s, slot, item.id))}
+                                                        {...(entrant ? dragProps({ kind: 'entrant', id: entrant.id }) : {})}
+                                                        onClick={() => {
+                                                            if (picked?.kind === 'entrant') putEntrant(courtNumber, s, slot, picked.id);
+                                                            else if (entrant) clearSlot(courtNumber, s, slot);
+                                                        }}
+                                                        className={`h-8 rounded-lg border px-2 flex items-center truncate cursor-pointer ${entrant ? 'border-brand-primary/40 bg-brand-primary/5 font-semibold text-brand-primary' : 'border-dashed border-brand-gray text-brand-primary/40'}`}
+                                                        title={entrant ? 'Tap to take out' : undefined}
+                                                    >
+                                                        {entrant ? entrantName(entrant) : picked?.kind === 'entrant' ? 'Tap to place' : 'Drop here'}
+                                                    </div>
+                                                );
+                                            })}
+                                        </div>
+                                    </React.Fragment>
+                                ))}
+                            </div>
+                            {warnings.map(w => (
+                                <div key={w} className="text-amber-800">⚠️ {w}</div>
+                            ))}
+                            <button
+                                onClick={() => place(courtNumber)}
+                                disabled={!full}
+                                className="w-full h-8 rounded-lg bg-brand-primary text-white font-bold disabled:opacity-40"
+                            >
+                                Put on Court {courtNumber}
+                            </button>
+                        </div>
+                    );
+                })}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,21 @@
+import React, { useEffect, useState } from 'react';
+import { formatClock } from '../utils/roundClock';
+
+/**
+ * Time a match has been on court (m:ss), ticking every second.
+ *
+ * Props:
+ *  startTime – ISO time the match started
+ *  className – text styles
+ */
+export default function CourtTimer({ startTime, className = '' }) {
+    const [now, setNow] = useState(() => Date.now());
+
+    useEffect(() => {
+        const timer = setInterval(() => setNow(Date.now()), 1000);
+        return () => clearInterval(timer);
+    }, []);
+
+    if (!startTime) return null;
+    return <span className={`font-mono ${className}`}>{formatClock(Math.max(0, now - new Date(startTime).getTime()))}</span>;
+}
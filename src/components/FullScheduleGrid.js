@@ -0,0 +1,108 @@
+import React from 'react';
+import { scheduleSideLabel } from '../schedulers/fullScheduleScheduler';
+
+/**
+ * Whole-event grid for a pre-generated round robin: one row per round/wave,
+ * one column per court, byes listed at the end of each row.
+ * "Print" opens a plain printable copy in a new window.
+ *
+ * Props:
+ *  fullSchedule – result of generateFullSchedule() / generateRotatingPartnerSchedule() (or null)
+ *  wavesPlayed  – number of waves already sent to court (those rows are dimmed)
+ *  title        – event name used in the printout header
+ */
+export default function FullScheduleGrid({ fullSchedule, wavesPlayed = 0, title }) {
+    if (!fullSchedule) return null;
+
+    const courtNumbers = Array.from({ length: fullSchedule.courts }, (_, i) => i + 1);
+    const hasByes = fullSchedule.waves.some(w => w.byes.length > 0);
+    const noun = fullSchedule.kind === 'team' ? 'teams' : 'players';
+    const byeHeader = fullSchedule.kind === 'rotating' ? 'Sitting out' : 'Bye';
+    const waveName = (w) => (w.waveCount > 1 ? `Round ${w.round} · Wave ${w.wave}` : `Round ${w.round}`);
+
+    const printSchedule = () => {
+        const escape = (text) => String(text ?? '').replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+        const rows = fullSchedule.waves.map(w => `
+            <tr>
+                <th>${escape(waveName(w))}</th>
+                ${courtNumbers.map(court => {
+                    const m = w.matches.find(x => x.court === court);
+                    return `<td>${m ? `${escape(scheduleSideLabel(m, 1))}<br><em>vs</em><br>${escape(scheduleSideLabel(m, 2))}` : ''}</td>`;
+                }).join('')}
+                ${hasByes ? `<td>${w.wave === 1 ? escape(w.byes.join(', ')) : ''}</td>` : ''}
+            </tr>`).join('');
+        const win = window.open('', '_blank');
+        if (!win) return alert('Allow pop-ups to print the schedule.');
+        win.document.write(`<!doctype html><html><head><title>${escape(title || 'Full Schedule')}</title>
+            <style>
+                body { font-family: sans-serif; margin: 24px; }
+                table { border-collapse: collapse; width: 100%; font-size: 12px; }
+                th, td { border: 1px solid #999; padding: 6px; text-align: center; vertical-align: middle; }
+                thead th { background: #eee; }
+                tbody th { text-align: left; white-space: nowrap; }
+                em { color: #777; font-size: 10px; }
+            </style></head><body>
+            <h2>${escape(title || 'Full Schedule')}</h2>
+            <p>${fullSchedule.entrantCount} ${noun} · ${fullSchedule.bergerRounds} rounds · ${fullSchedule.courts} courts</p>
+            <table>
+                <thead><tr><th></th>${courtNumbers.map(c => `<th>Court ${c}</th>`).join('')}${hasByes ? `<th>${byeHeader}</th>` : ''}</tr></thead>
+                <tbody>${rows}</tbody>
+            </table></body></html>`);
+        win.document.close();
+        win.focus();
+        win.print();
+    };
+
+    return (
+        <div className="space-y-2">
+            <div className="flex items-center justify-between gap-2">
+                <div className="text-xs text-brand-primary/70">
+                    {fullSchedule.entrantCount} {noun} · {fullSchedule.bergerRounds} rounds
+                    {fullSchedule.waves.length > fullSchedule.bergerRounds && ` · ${fullSchedule.waves.length} waves`}
+                    {' '}· {fullSchedule.kind === 'rotating' ? 'everyone partners everyone once' : 'everyone plays everyone once'}
+                </div>
+                <button
+                    onClick={printSchedule}
+                    className="px-3 py-1.5 rounded-lg border border-brand-primary text-brand-primary text-xs font-semibold hover:bg-brand-primary hover:text-white transition-colors"
+                >
+                    🖨️ Print
+                </button>
+            </div>
+            <div className="overflow-x-auto">
+                <table className="w-full text-xs">
+                    <thead className="bg-brand-white">
+                        <tr className="text-left">
+                            <th className="p-2" />
+                            {courtNumbers.map(c => <th key={c} className="p-2">Court {c}</th>)}
+                            {hasByes && <th className="p-2">{byeHeader}</th>}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {fullSchedule.waves.map((w, idx) => (
+                            <tr key={`${w.round}-${w.wave}`} className={`border-t border-brand-gray/60 ${idx < wavesPlayed ? 'opacity-50' : ''} ${idx === wavesPlayed ? 'bg-brand-secondary/10' : ''}`}>
+                                <td className="p-2 font-semibold whitespace-nowrap">
+                                    {idx < wavesPlayed ? '✓ ' : idx === wavesPlayed ? '▶ ' : ''}{waveName(w)}
+                                </td>
+                                {courtNumbers.map(court => {
+                                    const m = w.matches.find(x => x.court === court);
+                                    return (
+                                        <td key={court} className="p-2 align-top">
+                                            {m && (
+                                                <>
+                                                    <div className="font-medium">{scheduleSideLabel(m, 1)}</div>
+                                                    <div className="text-brand-primary/50">vs</div>
+                                                    <div className="font-medium">{scheduleSideLabel(m, 2)}</div>
+                                                </>
+                                            )}
+                                        </td>
+                                    );
+                                })}
+                                {hasByes && <td className="p-2 text-brand-primary/60 italic">{w.wave === 1 ? w.byes.join(', ') : ''}</td>}
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,79 @@
+import React from 'react';
+
+/**
+ * Live court ladder for King of Court: courts top (King) to bottom with the
+ * points each win is worth, who is on them now, and where each side moves next
+ * (winners up one court, losers down one; King winners and bottom losers stay).
+ *
+ * Props:
+ *  matches    – the current King of Court round
+ *  sittingOut – names of players / teams waiting this round
+ *  leaders    – leaderboard rows ({ id, label, totalPoints }), best first
+ */
+export default function KingOfCourtLadder({ matches, sittingOut = [], leaders = [] }) {
+    if (!matches || matches.length === 0) {
+        return <p className="text-sm text-brand-primary/70">The ladder appears once the first King of Court round is on court.</p>;
+    }
+
+    // Separate skill hierarchies each have their own King court
+    const ladders = [];
+    [...matches]
+        .filter(m => m.status !== 'removed')
+        .sort((a, b) => a.court - b.court)
+        .forEach(m => {
+            const key = m.skillLevel || 'All';
+            let ladder = ladders.find(l => l.key === key);
+            if (!ladder) { ladder = { key, matches: [] }; ladders.push(ladder); }
+            ladder.matches.push(m);
+        });
+
+    const sideLabel = (team) => team.map(p => p.name).join(' / ');
+    const points = Object.fromEntries(leaders.map(l => [l.id, l.totalPoints]));
+
+    return (
+        <div className="space-y-4">
+            {ladders.map(({ key, matches: ladderMatches }) => (
+                <div key={key} className="space-y-2">
+                    {ladders.length > 1 && <div className="text-xs font-bold uppercase tracking-wide text-brand-primary/70">{key}</div>}
+                    {ladderMatches.map((m, idx) => {
+                        const isTop = idx === 0;
+                        const isBottom = idx === ladderMatches.length - 1;
+                        const up = isTop ? 'Stays on King court' : `▲ Court ${ladderMatches[idx - 1].court}`;
+                        const down = isBottom ? 'Stays' : `▼ Court ${ladderMatches[idx + 1].court}`;
+                        return (
+                            <div key={m.id} className={`rounded-xl border overflow-hidden ${isTop ? 'border-yellow-300' : 'border-brand-gray'}`}>
+                                <div className={`flex items-center justify-between px-3 py-1.5 text-xs font-semibold ${isTop ? 'bg-yellow-50 text-yellow-800' : 'bg-brand-white text-brand-primary/80'}`}>
+                                    <span>{isTop ? '👑 King Court' : m.courtLevel} · Court {m.court}</span>
+                                    <span>{m.pointsForWin} pts/win</span>
+                                </div>
+                                {[['team1', m.team1, m.team1Id], ['team2', m.team2, m.team2Id]].map(([side, team, teamId]) => {
+                                    const decided = m.status === 'completed' && m.winner;
+                                    const won = decided && m.winner === side;
+                                    const ids = teamId ? [teamId] : team.map(p => p.id);
+                                    return (
+                                        <div key={side} className={`flex items-center justify-between px-3 py-2 text-sm border-t border-brand-gray/60 ${won ? 'bg-green-50' : ''}`}>
+                                            <span className={won ? 'font-bold text-green-800' : 'text-brand-primary'}>
+                                                {sideLabel(team)}
+                                                <span className="ml-2 text-xs text-brand-primary/50">
+                                                    {ids.map(id => points[id] ?? 0).join(' / ')} pts
+                                                </span>
+                                            </span>
+                                            <span className={`text-xs ${!decided ? 'text-brand-primary/50' : won ? 'text-green-700 font-semibold' : 'text-orange-700 font-semibold'}`}>
+                                                {!decided ? 'Playing' : won ? up : down}
+                                            </span>
+                                        </div>
+                                    );
+                                })}
+                            </div>
+                        );
+                    })}
+                </div>
+            ))}
+            {sittingOut.length > 0 && (
+                <div className="text-xs text-brand-primary/70">
+                    <strong>Sitting out:</strong> {sittingOut.join(', ')} — back in next round
+                </div>
+            )}
+        </div>
+    );
+}
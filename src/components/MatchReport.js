@@ -0,0 +1,105 @@
+import React, { useState } from 'react';
+import { matchSide } from '../utils/scoreboard';
+import { matchSideNames, reportScoreText } from '../utils/sessionSummary';
+import { matchFormatOf } from '../utils/matchGames';
+
+const scoreInput = 'w-16 h-12 rounded-xl border-2 border-brand-gray text-center text-xl font-bold focus:outline-none focus:border-brand-secondary';
+
+/**
+ * Score reporting for a player's own match on the check-in page. One side reports the
+ * score, someone on the other side confirms it (the match is then complete) or disputes
+ * it (the organizer settles it from the Schedule tab).
+ *
+ * Props:
+ *  match    – the player's match (reportableMatch)
+ *  playerId – the player on this phone
+ *  loading  – a request is in flight
+ *  onSend   – ({ action, matchId, playerId, ... }) => void, POST /api/public/report/:token
+ */
+export default function MatchReport({ match, playerId, loading, onSend }) {
+    const gameCount = matchFormatOf(match).games;
+    const multiGame = gameCount > 1;
+    const [score, setScore] = useState({ score1: '', score2: '' });
+    const [games, setGames] = useState(() => Array.from({ length: gameCount }, () => ['', '']));
+
+    const side = matchSide(match, playerId);
+    const report = match.report;
+    const send = (body) => onSend({ matchId: match.id, playerId, ...body });
+
+    const setGame = (g, i, value) => setGames(prev => prev.map((row, j) => (j === g ? row.map((v, k) => (k === i ? value : v)) : row)));
+
+    const submit = (e) => {
+        e.preventDefault();
+        send(multiGame
+            ? { action: 'report', games: games.filter(([a, b]) => a !== '' || b !== '') }
+            : { action: 'report', ...score });
+    };
+
+    return (
+        <section className="rounded-2xl border-2 border-brand-gray p-4">
+            <div className="text-xs uppercase tracking-wide text-brand-primary/60">
+                Your match{match.court ? ` · Court ${match.court}` : ''}
+            </div>
+            <div className="mt-1 text-sm">
+                <div className={`font-semibold ${side === 1 ? 'text-brand-primary' : 'text-brand-primary/70'}`}>{matchSideNames(match, 1)}</div>
+                <div className="text-xs text-brand-primary/50">vs</div>
+                <div className={`font-semibold ${side === 2 ? 'text-brand-primary' : 'text-brand-primary/70'}`}>{matchSideNames(match, 2)}</div>
+            </div>
+
+            {report?.status === 'reported' && (
+                <div className="mt-3">
+                    <div className="text-sm">
+                        Reported score: <span className="font-bold">{reportScoreText(report)}</span>
+                    </div>
+                    {report.side === side ? (
+                        <p className="mt-1 text-xs text-brand-primary/60">Waiting for an opponent to confirm.</p>
+                    ) : (
+                        <div className="mt-2 grid grid-cols-2 gap-2">
+                            <button
+                                disabled={loading}
+                                onClick={() => send({ action: 'confirm' })}
+                                className="h-12 rounded-xl bg-brand-primary text-white font-semibold disabled:opacity-40"
+                            >
+                                Confirm
+                            </button>
+                            <button
+                                disabled={loading}
+                                onClick={() => send({ action: 'dispute' })}
+                                className="h-12 rounded-xl border-2 border-red-400 text-red-600 font-semibold disabled:opacity-40"
+                            >
+                                Dispute
+                            </button>
+                        </div>
+                    )}
+                </div>
+            )}
+
+            {report?.status !== 'reported' && (
+                <form onSubmit={submit} className="mt-3 space-y-2">
+                    {report?.status === 'disputed' && (
+                        <p className="text-xs text-red-600">
+                            The reported score ({reportScoreText(report)}) was disputed — the organizer will settle it, or report the agreed score again.
+                        </p>
+                    )}
+                    {multiGame ? games.map(([a, b], g) => (
+                        <div key={g} className="flex items-center gap-2">
+                            <span className="w-16 text-xs text-brand-primary/60">Game {g + 1}</span>
+                            <input type="number" min={0} inputMode="numeric" value={a} onChange={(e) => setGame(g, 0, e.target.value)} className={scoreInput} />
+                            <span className="font-bold text-brand-primary/40">–</span>
+                            <input type="number" min={0} inputMode="numeric" value={b} onChange={(e) => setGame(g, 1, e.target.value)} className={scoreInput} />
+                        </div>
+                    )) : (
+                        <div className="flex items-center justify-center gap-3">
+                            <input type="number" min={0} inputMode="numeric" value={score.score1} onChange={(e) => setScore({ ...score, score1: e.target.value })} className={scoreInput} aria-label="Score 1" />
+                            <span className="font-bold text-brand-primary/40">–</span>
+                            <input type="number" min={0} inputMode="numeric" value={score.score2} onChange={(e) => setScore({ ...score, score2: e.target.value })} className={scoreInput} aria-label="Score 2" />
+                        </div>
+                    )}
+                    <button type="submit" disabled={loading} className="w-full h-12 rounded-xl bg-brand-primary text-white font-semibold disabled:opacity-40">
+                        Report score
+                    </button>
+                </form>
+            )}
+        </section>
+    );
+}
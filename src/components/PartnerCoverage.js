@@ -0,0 +1,38 @@
+import React from 'react';
+
+/**
+ * Partner / opponent coverage summary for rotating-partner doubles.
+ * Used both for a planned table (every pair should partner once) and for
+ * rounds played with the heuristic fallback (shows who never partnered yet).
+ *
+ * Props:
+ *  coverage – result of getPartnerCoverage()
+ *  title    – heading text
+ */
+export default function PartnerCoverage({ coverage, title }) {
+    if (!coverage || coverage.pairs === 0) return null;
+
+    const pct = Math.round((coverage.partnered / coverage.pairs) * 100);
+    const complete = coverage.partnered === coverage.pairs && coverage.repeated === 0;
+
+    return (
+        <div className="rounded-xl border border-brand-gray bg-brand-white p-3 space-y-2 text-xs">
+            <div className="flex items-center justify-between">
+                <span className="font-semibold text-brand-primary">{title}</span>
+                <span className={`px-2 py-0.5 rounded-full font-semibold ${complete ? 'bg-green-100 text-green-700' : 'bg-amber-100 text-amber-800'}`}>
+                    {coverage.partnered}/{coverage.pairs} partner pairs ({pct}%)
+                </span>
+            </div>
+            <div className="text-brand-primary/70">
+                Repeat partnerships: <strong>{coverage.repeated}</strong>
+                {' · '}Times facing each opponent: <strong>{coverage.opponentMin === coverage.opponentMax ? coverage.opponentMin : `${coverage.opponentMin}–${coverage.opponentMax}`}</strong>
+            </div>
+            {coverage.missing.length > 0 && (
+                <div className="text-brand-primary/70">
+                    Never partnered{coverage.missing.length > 12 ? ` (first 12 of ${coverage.missing.length})` : ''}:{' '}
+                    {coverage.missing.slice(0, 12).map(([a, b]) => `${a} & ${b}`).join(', ')}
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,160 @@
+import React, { useEffect, useState } from 'react';
+import { useAPI } from '../hooks/useAPI';
+
+const pct = (wins, played) => (played > 0 ? `${Math.round((wins / played) * 100)}%` : '–');
+const day = (date) => (date ? new Date(date).toLocaleDateString() : '');
+
+/**
+ * Player profile bottom-sheet — lifetime results recorded across every session.
+ * Loads GET /api/players/:id/stats, /history and /ratings when opened.
+ *
+ * Props:
+ *  player    – roster player ({ id, name, rating, internalRating?, ratedMatches? })
+ *  signedIn  – true when the roster is saved to an account (history lives in the backend)
+ *  onClose   – () => void
+ */
+export default function PlayerProfile({ player, signedIn, onClose }) {
+    const api = useAPI();
+    const [profile, setProfile] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+
+    // Only roster players saved in the database have an integer id
+    const savedPlayer = signedIn && Number.isInteger(Number(player.id));
+
+    useEffect(() => {
+        if (!savedPlayer) return;
+        let cancelled = false;
+        setLoading(true);
+        setError(null);
+        Promise.all([
+            api.players.getStats(player.id),
+            api.players.getHistory(player.id),
+            api.players.getRatingHistory(player.id),
+        ]).then(([stats, history, ratings]) => {
+            if (cancelled) return;
+            if (!stats.success || !history.success) {
+                setError(stats.error || history.error);
+                return;
+            }
+            setProfile({
+                stats: stats.data.stats,
+                matches: history.data.matches,
+                ratings: ratings.success ? ratings.data.history : [],
+            });
+        }).finally(() => {
+            if (!cancelled) setLoading(false);
+        });
+        return () => { cancelled = true; };
+    }, [player.id, savedPlayer]); // eslint-disable-line react-hooks/exhaustive-deps
+
+    const stats = profile?.stats;
+
+    return (
+        <div className="fixed inset-0 z-[100] flex items-end sm:items-center justify-center bg-black/50" onClick={onClose}>
+            <div
+                className="w-full sm:max-w-lg max-h-[90vh] overflow-y-auto bg-brand-white rounded-t-2xl sm:rounded-2xl p-4 sm:p-5"
+                onClick={(e) => e.stopPropagation()}
+            >
+                <div className="flex items-start justify-between gap-2">
+                    <div>
+                        <h3 className="text-base sm:text-lg font-semibold text-brand-primary">{player.name}</h3>
+                        <div className="text-xs text-brand-primary/70">
+                            DUPR {Number(player.rating).toFixed(1)}
+                            {player.internalRating !== undefined && ` · SB ${player.internalRating.toFixed(2)} after ${player.ratedMatches || 0} rated matches`}
+                        </div>
+                    </div>
+                    <button onClick={onClose} className="w-8 h-8 rounded-full hover:bg-brand-gray/40" aria-label="Close profile">✕</button>
+                </div>
+
+                {!savedPlayer && (
+                    <p className="mt-4 text-sm text-brand-primary/70">
+                        Match history is kept for roster players saved to your account. Sign in and save this player to start recording their results.
+                    </p>
+                )}
+                {loading && <p className="mt-4 text-sm text-brand-primary/70">Loading history…</p>}
+                {error && <p className="mt-4 text-sm text-red-600">Could not load history: {error}</p>}
+
+                {stats && stats.played === 0 && (
+                    <p className="mt-4 text-sm text-brand-primary/70">No recorded matches yet — results are saved when a session ends.</p>
+                )}
+
+                {stats && stats.played > 0 && (
+                    <div className="mt-4 space-y-4">
+                        <div className="grid grid-cols-4 gap-2 text-center">
+                            {[
+                                ['Sessions', stats.sessions],
+                                ['Played', stats.played],
+                                ['Record', `${stats.wins}–${stats.losses}`],
+                                ['Win %', pct(stats.wins, stats.played)],
+                            ].map(([label, value]) => (
+                                <div key={label} className="rounded-xl bg-brand-gray/30 p-2">
+                                    <div className="text-base font-bold text-brand-primary">{value}</div>
+                                    <div className="text-[10px] uppercase tracking-wide text-brand-primary/60">{label}</div>
+                                </div>
+                            ))}
+                        </div>
+                        <div className="text-xs text-brand-primary/70">
+                            Points {stats.points_for}–{stats.points_against} · Playing since {day(stats.first_played)}
+                        </div>
+
+                        {[['Partners', stats.partners], ['Opponents', stats.opponents]].map(([title, rows]) => rows.length > 0 && (
+                            <div key={title}>
+                                <h4 className="text-sm font-semibold text-brand-primary mb-1">{title}</h4>
+                                <table className="w-full text-sm">
+                                    <tbody>
+                                        {rows.slice(0, 5).map(row => (
+                                            <tr key={`${row.player_id}-${row.player_name}`} className="border-t border-brand-gray/60">
+                                                <td className="py-1 font-medium">{row.player_name}</td>
+                                                <td className="py-1 text-right">{row.played} played</td>
+                                                <td className="py-1 text-right w-20">
+                                                    {title === 'Partners' ? `${pct(row.wins, row.played)} won` : `${row.wins}–${row.played - row.wins}`}
+                                                </td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        ))}
+
+                        <div>
+                            <h4 className="text-sm font-semibold text-brand-primary mb-1">Attendance</h4>
+                            <div className="space-y-1 text-sm">
+                                {stats.attendance.slice(0, 5).map(s => (
+                                    <div key={s.session_uid} className="flex justify-between border-t border-brand-gray/60 py-1">
+                                        <span>{day(s.played_at)} · {s.tournament_name}</span>
+                                        <span className="text-brand-primary/70">{s.wins}–{s.played - s.wins}</span>
+                                    </div>
+                                ))}
+                            </div>
+                        </div>
+
+                        <div>
+                            <h4 className="text-sm font-semibold text-brand-primary mb-1">Recent matches</h4>
+                            <div className="space-y-1 text-sm">
+                                {profile.matches.slice(0, 10).map(m => (
+                                    <div key={m.id} className="flex items-center gap-2 border-t border-brand-gray/60 py-1">
+                                        <span className={`w-5 font-bold ${m.won ? 'text-green-700' : 'text-red-600'}`}>{m.won ? 'W' : 'L'}</span>
+                                        <span className="flex-1 min-w-0 truncate">
+                                            {m.partners.length > 0 && `w/ ${m.partners.join(' & ')} `}vs {m.opponents.join(' & ')}
+                                        </span>
+                                        <span className="font-semibold">{m.points_for}–{m.points_against}</span>
+                                    </div>
+                                ))}
+                            </div>
+                        </div>
+
+                        {profile.ratings.length > 0 && (
+                            <div>
+                                <h4 className="text-sm font-semibold text-brand-primary mb-1">Rating history</h4>
+                                <div className="text-xs text-brand-primary/80">
+                                    {[...profile.ratings].reverse().slice(-10).map(r => Number(r.rating_after).toFixed(2)).join(' → ')}
+                                </div>
+                            </div>
+                        )}
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
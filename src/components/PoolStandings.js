@@ -0,0 +1,67 @@
+import React from 'react';
+
+/**
+ * Per-pool standings tables for pool play (wins, then point differential).
+ * The top `advancePerPool` rows of each pool are marked as playoff qualifiers.
+ *
+ * Props:
+ *  standings      – result of getPoolStandings(): [{ pool, rows }]
+ *  advancePerPool – number of entrants per pool that reach the playoffs
+ *  playoffsStarted – true once the playoff bracket has been seeded
+ */
+export default function PoolStandings({ standings, advancePerPool, playoffsStarted }) {
+    if (!standings || standings.length === 0) return null;
+
+    return (
+        <div className="space-y-4">
+            {standings.map(({ pool, rows }) => (
+                <div key={pool.id}>
+                    <div className="flex items-center justify-between mb-1">
+                        <h4 className="text-sm font-bold text-brand-primary">{pool.name}</h4>
+                        <span className="text-xs text-brand-primary/60">Top {advancePerPool} advance</span>
+                    </div>
+                    <div className="overflow-x-auto">
+                        <table className="w-full text-sm">
+                            <thead className="bg-brand-white">
+                                <tr className="text-left">
+                                    <th className="p-2">#</th>
+                                    <th className="p-2">{rows[0]?.entrant.source.player1 ? 'Team' : 'Player'}</th>
+                                    <th className="p-2">W</th>
+                                    <th className="p-2">L</th>
+                                    <th className="p-2">PF</th>
+                                    <th className="p-2">PA</th>
+                                    <th className="p-2">Diff</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {rows.map((row, idx) => {
+                                    const qualifies = idx < advancePerPool;
+                                    return (
+                                        <tr key={row.entrant.id} className={`border-t border-brand-gray/60 ${qualifies ? 'bg-green-50' : ''}`}>
+                                            <td className="p-2 font-bold">{idx + 1}</td>
+                                            <td className="p-2 font-medium">
+                                                {row.entrant.label}
+                                                {qualifies && (
+                                                    <span className="ml-2 text-[10px] px-1.5 py-0.5 rounded-full bg-green-100 text-green-700 font-semibold">
+                                                        {playoffsStarted ? `Qualified ${pool.id}${idx + 1}` : `${pool.id}${idx + 1}`}
+                                                    </span>
+                                                )}
+                                            </td>
+                                            <td className="p-2">{row.wins}</td>
+                                            <td className="p-2">{row.losses}</td>
+                                            <td className="p-2">{row.pointsFor}</td>
+                                            <td className="p-2">{row.pointsAgainst}</td>
+                                            <td className={`p-2 font-semibold ${row.diff > 0 ? 'text-green-700' : row.diff < 0 ? 'text-red-600' : ''}`}>
+                                                {row.diff > 0 ? `+${row.diff}` : row.diff}
+                                            </td>
+                                        </tr>
+                                    );
+                                })}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            ))}
+        </div>
+    );
+}
@@ -0,0 +1,113 @@
+import React from 'react';
+import { usePublicScoreboard } from '../hooks/usePublicScoreboard';
+import { buildScoreboard, entrantName } from '../utils/scoreboard';
+import { matchSideNames, matchScoreText } from '../utils/sessionSummary';
+
+/**
+ * Public live scoreboard — what players and spectators see at /live/:token, on a
+ * phone or on a TV by the courts. No login (see usePublicScoreboard).
+ *
+ * Props:
+ *  token – share token from POST /api/session/:id/share
+ */
+export default function PublicScoreboard({ token }) {
+    const { session, error } = usePublicScoreboard(token);
+
+    if (error && !session) {
+        return (
+            <div className="min-h-screen grid place-items-center bg-brand-white p-6 text-center text-brand-primary">
+                <p>This scoreboard link is not valid. Ask the organizer for a new one.</p>
+            </div>
+        );
+    }
+    if (!session) {
+        return <div className="min-h-screen grid place-items-center bg-brand-white text-brand-primary">Loading scoreboard…</div>;
+    }
+
+    const board = buildScoreboard(session);
+
+    return (
+        <div className="min-h-screen bg-brand-white text-brand-primary">
+            <header className="sticky top-0 z-10 bg-brand-primary text-white px-4 py-3 flex items-baseline justify-between gap-2">
+                <h1 className="text-lg sm:text-2xl lg:text-4xl font-bold truncate">{session.name}</h1>
+                <span className="text-xs sm:text-sm lg:text-lg text-white/70 whitespace-nowrap">
+                    {session.ended ? 'Final results' : `Round ${session.currentRound} · updated ${new Date(session.updatedAt).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}`}
+                </span>
+            </header>
+
+            <main className="mx-auto max-w-7xl p-3 sm:p-4 grid gap-4 lg:grid-cols-3">
+                {!session.ended && (
+                    <section className="lg:col-span-2">
+                        <h2 className="text-sm lg:text-xl font-semibold uppercase tracking-wide mb-2">Courts</h2>
+                        <div className="grid gap-2 sm:grid-cols-2">
+                            {board.courts.map(court => (
+                                <div key={court.courtNumber} className={`rounded-xl border-2 p-3 ${court.currentMatch ? 'border-brand-secondary' : 'border-brand-gray'}`}>
+                                    <div className="flex items-center justify-between">
+                                        <span className="text-base lg:text-2xl font-bold">Court {court.courtNumber}</span>
+                                        <span className="text-xs lg:text-base text-brand-primary/60">{court.currentMatch ? 'Playing' : 'Open'}</span>
+                                    </div>
+                                    {court.currentMatch && (
+                                        <div className="mt-1 text-sm lg:text-xl leading-snug">
+                                            <div className="font-semibold">{matchSideNames(court.currentMatch, 1)}</div>
+                                            <div className="text-xs lg:text-base text-brand-primary/60">vs</div>
+                                            <div className="font-semibold">{matchSideNames(court.currentMatch, 2)}</div>
+                                        </div>
+                                    )}
+                                </div>
+                            ))}
+                        </div>
+
+                        <h2 className="text-sm lg:text-xl font-semibold uppercase tracking-wide mt-4 mb-2">Next up</h2>
+                        {board.nextUp.length === 0 ? (
+                            <p className="text-sm lg:text-lg text-brand-primary/60">Everyone is on court.</p>
+                        ) : (
+                            <ol className="flex flex-wrap gap-2">
+                                {board.nextUp.map((item, idx) => (
+                                    <li key={item.id} className="rounded-full bg-brand-gray/40 px-3 py-1 text-sm lg:text-lg">
+                                        <span className="font-bold mr-1">{idx + 1}.</span>{entrantName(item)}
+                                    </li>
+                                ))}
+                            </ol>
+                        )}
+                    </section>
+                )}
+
+                <section className={session.ended ? 'lg:col-span-3' : ''}>
+                    <h2 className="text-sm lg:text-xl font-semibold uppercase tracking-wide mb-2">Standings</h2>
+                    <table className="w-full text-sm lg:text-lg">
+                        <thead>
+                            <tr className="text-left text-brand-primary/60">
+                                <th className="p-1">#</th>
+                                <th className="p-1">{board.byTeam ? 'Team' : 'Player'}</th>
+                                <th className="p-1 text-right">W–L</th>
+                                <th className="p-1 text-right">Diff</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {board.standings.map(row => (
+                                <tr key={row.id} className="border-t border-brand-gray/60">
+                                    <td className="p-1">{row.rank}</td>
+                                    <td className="p-1 font-medium">{row.label}</td>
+                                    <td className="p-1 text-right">{row.wins}–{row.losses}</td>
+                                    <td className="p-1 text-right">{row.diff > 0 ? `+${row.diff}` : row.diff}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+
+                    <h2 className="text-sm lg:text-xl font-semibold uppercase tracking-wide mt-4 mb-2">Recent results</h2>
+                    <div className="space-y-1 text-sm lg:text-lg">
+                        {board.recent.length === 0 && <p className="text-brand-primary/60">No results yet.</p>}
+                        {board.recent.map(m => (
+                            <div key={m.id} className="flex items-center gap-2 border-t border-brand-gray/60 py-1">
+                                <span className={`flex-1 min-w-0 truncate ${m.winner === 'team1' ? 'font-semibold' : ''}`}>{matchSideNames(m, 1)}</span>
+                                <span className="text-xs lg:text-base whitespace-nowrap">{matchScoreText(m)}</span>
+                                <span className={`flex-1 min-w-0 truncate text-right ${m.winner === 'team2' ? 'font-semibold' : ''}`}>{matchSideNames(m, 2)}</span>
+                            </div>
+                        ))}
+                    </div>
+                </section>
+            </main>
+        </div>
+    );
+}
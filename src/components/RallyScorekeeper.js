@@ -0,0 +1,95 @@
+import React, { useState } from 'react';
+import { callScore, newRallyGame, scoreRally, undoRally } from '../utils/rallyScoring';
+import { describeScoringRules } from '../utils/scoringRules';
+
+/**
+ * Tap-per-rally scorekeeper for a featured match, opened from score entry. Tracks who is
+ * serving, the server number and the side, shows the call ("4-2-1"), undoes any number of
+ * rallies, and hands the game score back when the game ends.
+ *
+ * Props:
+ *  team1Label – names of side 1
+ *  team2Label – names of side 2
+ *  doubles    – two players a side (server numbers); false for singles
+ *  rules      – session scoring rules (utils/scoringRules.js)
+ *  gameLabel  – e.g. "Court 3 · Game 2", shown in the header
+ *  onGameEnd  – (score1, score2) => void, the finished game's score
+ *  onClose    – () => void
+ */
+export default function RallyScorekeeper({ team1Label, team2Label, doubles, rules, gameLabel, onGameEnd, onClose }) {
+    const [game, setGame] = useState(null); // null until the first server is picked
+
+    const labels = [team1Label, team2Label];
+    const rally = (side) => {
+        const next = scoreRally(game, side, rules);
+        setGame(next);
+        if (next.winner) onGameEnd(next.score[0], next.score[1]);
+    };
+
+    return (
+        <div className="fixed inset-0 z-[100000] flex flex-col bg-brand-primary text-white">
+            <div className="flex items-center justify-between px-4 py-3">
+                <div>
+                    <div className="text-sm font-semibold">{gameLabel}</div>
+                    <div className="text-[11px] text-white/60">{describeScoringRules(rules)}</div>
+                </div>
+                <button onClick={onClose} className="rounded-lg border border-white/30 px-3 py-1.5 text-sm font-semibold">
+                    {game?.winner ? 'Done' : 'Close'}
+                </button>
+            </div>
+
+            {!game ? (
+                <div className="flex-1 flex flex-col items-center justify-center gap-3 px-4">
+                    <div className="text-lg font-semibold">Who serves first?</div>
+                    {labels.map((label, i) => (
+                        <button
+                            key={label + i}
+                            onClick={() => setGame(newRallyGame({ serving: i + 1, doubles, rules }))}
+                            className="w-full max-w-sm h-14 rounded-2xl bg-white text-brand-primary text-base font-bold"
+                        >
+                            {label}
+                        </button>
+                    ))}
+                </div>
+            ) : (
+                <>
+                    <div className="text-center py-2">
+                        <div className="text-6xl font-black font-mono tracking-wider" aria-live="polite">
+                            {game.winner ? `${game.score[0]}–${game.score[1]}` : callScore(game)}
+                        </div>
+                        <div className="mt-1 text-sm text-white/70">
+                            {game.winner
+                                ? `${labels[game.winner - 1]} win the game`
+                                : `${labels[game.serving - 1]} serving${game.doubles && !game.rally ? ` · server ${game.server}` : ''} · from the ${game.side}`}
+                        </div>
+                    </div>
+
+                    <div className="flex-1 grid grid-cols-2 gap-3 p-3">
+                        {labels.map((label, i) => (
+                            <button
+                                key={label + i}
+                                disabled={!!game.winner}
+                                onClick={() => rally(i + 1)}
+                                className={`rounded-3xl p-3 flex flex-col items-center justify-center gap-2 font-bold disabled:opacity-40 active:scale-[0.98] transition-transform ${game.serving === i + 1 ? 'bg-brand-secondary text-brand-primary' : 'bg-white/10 text-white'}`}
+                            >
+                                <span className="text-5xl font-black">{game.score[i]}</span>
+                                <span className="text-sm leading-tight text-center">{label}</span>
+                                <span className="text-xs font-semibold opacity-70">{game.serving === i + 1 ? '🎾 Serving' : 'Receiving'} · won the rally</span>
+                            </button>
+                        ))}
+                    </div>
+
+                    <div className="px-3 pb-6">
+                        <button
+                            onClick={() => setGame(undoRally(game))}
+                            disabled={game.history.length === 0}
+                            className="w-full h-12 rounded-2xl border-2 border-white/30 text-base font-semibold disabled:opacity-30"
+                        >
+                            ↶ Undo rally
+                        </button>
+                    </div>
+                </>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,63 @@
+import React from 'react';
+
+/**
+ * Pending internal-rating changes for the session, with the button that saves them.
+ *
+ * Props:
+ *  rows         – [{ id, name, dupr, before, after, delta, matches }] one per player with new results
+ *  matchCount   – completed matches not yet rated
+ *  ratedCount   – matches of this session already saved
+ *  saving       – true while the save request is in flight
+ *  onSave       – saves the pending changes
+ */
+export default function RatingChanges({ rows, matchCount, ratedCount, saving, onSave }) {
+    if (matchCount === 0) {
+        return (
+            <p className="text-sm text-brand-primary/70">
+                {ratedCount > 0
+                    ? `All ${ratedCount} finished matches from this session are rated.`
+                    : 'Ratings update from finished matches — play some first.'}
+            </p>
+        );
+    }
+
+    const sorted = [...rows].sort((a, b) => b.delta - a.delta);
+
+    return (
+        <div className="space-y-3">
+            <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                    <thead className="bg-brand-white">
+                        <tr className="text-left">
+                            <th className="p-2">Player</th>
+                            <th className="p-2">DUPR</th>
+                            <th className="p-2">Rating</th>
+                            <th className="p-2">Change</th>
+                            <th className="p-2">Matches</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {sorted.map(row => (
+                            <tr key={row.id} className="border-t border-brand-gray/60">
+                                <td className="p-2 font-medium">{row.name}</td>
+                                <td className="p-2 text-brand-primary/60">{row.dupr}</td>
+                                <td className="p-2">{row.before.toFixed(2)} → <strong>{row.after.toFixed(2)}</strong></td>
+                                <td className={`p-2 font-semibold ${row.delta > 0 ? 'text-green-700' : row.delta < 0 ? 'text-red-600' : ''}`}>
+                                    {row.delta > 0 ? '+' : ''}{row.delta.toFixed(3)}
+                                </td>
+                                <td className="p-2">{row.matches}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+            <button
+                onClick={onSave}
+                disabled={saving}
+                className="w-full h-11 rounded-xl bg-brand-primary text-white text-sm font-semibold disabled:opacity-50"
+            >
+                {saving ? 'Saving…' : `📈 Save ratings from ${matchCount} match${matchCount === 1 ? '' : 'es'}`}
+            </button>
+        </div>
+    );
+}
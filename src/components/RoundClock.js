@@ -0,0 +1,63 @@
+import React, { useState } from 'react';
+import { useRoundClock } from '../hooks/useRoundClock';
+import { formatClock } from '../utils/roundClock';
+
+/**
+ * Round clock in the header — time left in the current round, amber from the first
+ * warning, red once time is up. Lives in the header so the horn sounds on every tab.
+ *
+ * Props:
+ *  startedAt       – ISO time the round started (null: no round running)
+ *  minutesPerRound – round length from Setup (0: no clock)
+ *  warnings        – minutes left to warn at, largest first
+ *  round           – current round number
+ *  autoEnd         – rounds end by themselves when time is up
+ *  onTimeUp        – () => void, the clock reached zero
+ *  onEndOnTime     – () => void, finish the round with time-capped scores
+ */
+export default function RoundClock({ startedAt, minutesPerRound, warnings, round, autoEnd, onTimeUp, onEndOnTime }) {
+    const { clock, enableAlerts } = useRoundClock({ startedAt, minutesPerRound, warnings, round, onTimeUp });
+    const [alertsOn, setAlertsOn] = useState(false);
+
+    if (!clock) return null;
+
+    const warning = warnings.length > 0 && clock.remainingMs <= warnings[0] * 60000;
+    const colors = clock.overtime
+        ? 'bg-red-600 text-white'
+        : warning
+            ? 'bg-amber-100 text-amber-800'
+            : 'bg-brand-gray text-brand-primary';
+
+    return (
+        <div className="flex items-center gap-1">
+            <span
+                className={`rounded-full px-2.5 py-0.5 text-xs font-bold font-mono ${colors}`}
+                title={`Round ${round} · ${minutesPerRound} min`}
+                role="timer"
+            >
+                {clock.overtime ? `Time! ${formatClock(clock.remainingMs)}` : `⏱ ${formatClock(clock.remainingMs)}`}
+            </span>
+            {!alertsOn && (
+                <button
+                    onClick={() => {
+                        enableAlerts();
+                        setAlertsOn(true);
+                    }}
+                    className="text-sm"
+                    aria-label="Turn on the horn and notifications"
+                    title="Turn on the horn and notifications"
+                >
+                    🔔
+                </button>
+            )}
+            {clock.overtime && !autoEnd && (
+                <button
+                    onClick={onEndOnTime}
+                    className="rounded-full bg-brand-primary text-white px-2.5 py-0.5 text-xs font-semibold"
+                >
+                    End on time
+                </button>
+            )}
+        </div>
+    );
+}
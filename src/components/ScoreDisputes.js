@@ -0,0 +1,57 @@
+import React from 'react';
+import { matchSideNames, reportScoreText } from '../utils/sessionSummary';
+
+// Name of a player in the match from their id
+const nameIn = (match, playerId) => {
+    const players = match.gameFormat === 'singles' ? [match.player1, match.player2] : [...(match.team1 || []), ...(match.team2 || [])];
+    return players.find(p => p && String(p.id) === String(playerId))?.name || 'A player';
+};
+
+/**
+ * Scores players reported from their phones that need the organizer — disputed ones,
+ * plus a count of reports still waiting for an opponent to confirm. Shown on the
+ * Schedule tab.
+ *
+ * Props:
+ *  rounds    – array of round arrays
+ *  onOpen    – (match) => void, open score entry for the match
+ *  onDismiss – (matchId) => void, drop the player report
+ */
+export default function ScoreDisputes({ rounds, onOpen, onDismiss }) {
+    const open = rounds.flatMap((round, rIdx) => round
+        .filter(m => m.report && m.status !== 'completed' && m.status !== 'removed')
+        .map(m => ({ ...m, roundNumber: rIdx + 1 })));
+    const disputed = open.filter(m => m.report.status === 'disputed');
+    const waiting = open.length - disputed.length;
+
+    if (open.length === 0) return null;
+
+    return (
+        <div className={`rounded-xl border p-3 space-y-2 ${disputed.length ? 'border-red-200 bg-red-50' : 'border-brand-gray bg-white'}`}>
+            {disputed.map(m => (
+                <div key={m.id} className="text-xs text-red-800">
+                    <div className="font-semibold">
+                        ⚠️ Score disputed — Round {m.roundNumber}{m.court ? ` · Court ${m.court}` : ''}
+                    </div>
+                    <div className="truncate">{matchSideNames(m, 1)} vs {matchSideNames(m, 2)}</div>
+                    <div>
+                        {nameIn(m, m.report.reportedBy)} reported {reportScoreText(m.report)}; {nameIn(m, m.report.disputedBy)} disputed it.
+                    </div>
+                    <div className="mt-1 flex gap-2">
+                        <button onClick={() => onOpen(m)} className="rounded-lg bg-red-600 text-white px-3 py-1 font-semibold">
+                            Enter score
+                        </button>
+                        <button onClick={() => onDismiss(m.id)} className="rounded-lg border border-red-300 px-3 py-1 font-semibold">
+                            Dismiss
+                        </button>
+                    </div>
+                </div>
+            ))}
+            {waiting > 0 && (
+                <div className="text-xs text-brand-primary/70">
+                    {waiting} reported score{waiting === 1 ? '' : 's'} waiting for the opponents to confirm.
+                </div>
+            )}
+        </div>
+    );
+}
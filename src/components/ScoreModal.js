@@ -1,5 +1,9 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { createPortal } from 'react-dom';
+import { reportScoreText } from '../utils/sessionSummary';
+import { describeScoringRules, matchScoreProblem } from '../utils/scoringRules';
+import { allowsDraws, gamesOf, matchOutcome, nextGameIndex } from '../utils/matchGames';
+import RallyScorekeeper from './RallyScorekeeper';
 
 /**
  * Score entry bottom-sheet modal.
@@ -7,25 +11,32 @@ import { createPortal } from 'react-dom';
  *
  * Props:
  *  scoreSheet   – { courtNumber } | null
+ *  scoringRules – session scoring rules; impossible scores are flagged and can't be saved
  *  courtStates  – array of court objects
  *  rounds       – array of round arrays
  *  updateScore  – (rIdx, mIdx, field, value) => void
- *  quickWin     – (rIdx, mIdx, side) => void
+ *  updateGameScore – (rIdx, mIdx, game, side, value) => void, one side of one game (0-based)
+ *  quickWin     – (rIdx, mIdx, side) => void; side 0 records a draw
  *  completeCourtMatch – (courtNumber) => void
  *  setCourtStates – setter
  *  onClose      – () => void
  */
 export default function ScoreModal({
     scoreSheet,
+    scoringRules,
     courtStates,
     rounds,
     updateScore,
+    updateGameScore,
     quickWin,
     completeCourtMatch,
     setCourtStates,
     onRemove,
     onClose,
 }) {
+    // Rally scorekeeper open on one game: { game, label }
+    const [rally, setRally] = useState(null);
+
     if (!scoreSheet) return null;
 
     const sc = courtStates.find(c => c.courtNumber === scoreSheet.courtNumber);
@@ -63,7 +74,7 @@ export default function ScoreModal({
 
     const liveMatch = rIdx >= 0 ? rounds[rIdx][mIdx] : cm;
     const isTeamed = !!(liveMatch.team1 && liveMatch.team2);
-    const isBo3 = liveMatch.matchFormat === 'best_of_3';
+    const games = gamesOf(liveMatch);
 
     const getName = p => (p && typeof p === 'object') ? (p.name || 'Player') : (p || 'Player');
     const team1Label = isTeamed
@@ -73,7 +84,22 @@ export default function ScoreModal({
         ? (liveMatch.team2 || []).map(getName).join(' & ')
         : [liveMatch.player3, liveMatch.player4].filter(Boolean).map(getName).join(' & ') || 'Team 2';
 
+    // Why the score entered so far can't be a final score under the session's rules
+    const problem = rIdx >= 0 ? matchScoreProblem(liveMatch, scoringRules) : null;
+
+    const rallyGame = rIdx >= 0 ? nextGameIndex(liveMatch) : null;
+    const openRally = () => setRally({
+        game: rallyGame,
+        label: games.length === 1 ? `Court ${scoreSheet.courtNumber}` : `Court ${scoreSheet.courtNumber} · Game ${rallyGame + 1}`,
+    });
+
+    // A player's report: { score1, score2 }, { games: [[a, b], …] } or older best-of-3 game fields
+    const applyReport = (fields) => Object.entries(fields).forEach(([field, value]) => (field === 'games'
+        ? value.forEach((pair, g) => pair.forEach((v, side) => updateGameScore(rIdx, mIdx, g, side + 1, String(v))))
+        : updateScore(rIdx, mIdx, field, String(value))));
+
     const handleSave = () => {
+        if (problem) return alert(`${problem}\n\nScoring: ${describeScoringRules(scoringRules)}`);
         if (rIdx >= 0) completeCourtMatch(scoreSheet.courtNumber);
         onClose();
     };
@@ -81,8 +107,7 @@ export default function ScoreModal({
     const handleRemoveCourt = () => {
         const confirmed = window.confirm(
             `Remove this match from Court ${scoreSheet.courtNumber} with no score?\n\n` +
-            `The teams will return to the bench. This cannot be undone automatically — ` +
-            `use "Undo Last" to restore it if needed.`
+            `The teams will return to the bench. Use ↶ Undo on the Schedule tab to put it back if needed.`
         );
         if (!confirmed) return;
 
@@ -110,6 +135,24 @@ export default function ScoreModal({
         onClose();
     };
 
+    if (rally) {
+        return createPortal(
+            <RallyScorekeeper
+                team1Label={team1Label}
+                team2Label={team2Label}
+                doubles={liveMatch.gameFormat !== 'singles'}
+                rules={scoringRules}
+                gameLabel={rally.label}
+                onGameEnd={(score1, score2) => {
+                    updateGameScore(rIdx, mIdx, rally.game, 1, String(score1));
+                    updateGameScore(rIdx, mIdx, rally.game, 2, String(score2));
+                }}
+                onClose={() => setRally(null)}
+            />,
+            document.body
+        );
+    }
+
     const modal = (
         <div
             style={{ position: 'fixed', inset: 0, zIndex: 99999, display: 'flex', alignItems: 'flex-end', backgroundColor: 'rgba(0,0,0,0.55)' }}
@@ -135,27 +178,49 @@ export default function ScoreModal({
                     <div style={{ fontWeight: 600, fontSize: 14, color: '#1e1e2e', textAlign: 'center', background: '#fff4e5', borderRadius: 12, padding: '8px 4px' }}>{team2Label}</div>
                 </div>
 
+                {/* Score the players reported from their phones */}
+                {rIdx >= 0 && liveMatch.report && liveMatch.report.status !== 'confirmed' && (
+                    <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 8, marginBottom: 16, padding: '8px 12px', borderRadius: 12, background: liveMatch.report.status === 'disputed' ? '#fef2f2' : '#f0fdf4', fontSize: 13, color: '#1e1e2e' }}>
+                        <span>
+                            Players reported <strong>{reportScoreText(liveMatch.report)}</strong>
+                            {liveMatch.report.status === 'disputed' ? ' (disputed)' : ' (not confirmed yet)'}
+                        </span>
+                        <button
+                            onClick={() => applyReport(liveMatch.report.fields)}
+                            style={{ flexShrink: 0, padding: '6px 10px', borderRadius: 10, border: 'none', background: '#1e1e2e', color: '#fff', fontWeight: 700, fontSize: 12, cursor: 'pointer' }}
+                        >
+                            Use it
+                        </button>
+                    </div>
+                )}
+
+                {/* Featured match: score it rally by rally */}
+                {rallyGame !== null && (
+                    <button
+                        onClick={openRally}
+                        style={{ width: '100%', height: 40, marginBottom: 12, borderRadius: 12, border: '1.5px solid #1e1e2e', background: 'transparent', color: '#1e1e2e', fontWeight: 700, fontSize: 13, cursor: 'pointer' }}
+                    >
+                        🎾 Keep score rally by rally{games.length === 1 ? '' : ` — Game ${rallyGame + 1}`}
+                    </button>
+                )}
+
                 {/* Score inputs */}
-                {isBo3 ? (
+                {games.length > 1 ? (
                     <div style={{ display: 'flex', flexDirection: 'column', gap: 12, marginBottom: 20 }}>
-                        {[
-                            { label: 'Game 1', f1: 'game1Score1', f2: 'game1Score2' },
-                            { label: 'Game 2', f1: 'game2Score1', f2: 'game2Score2' },
-                            { label: 'Game 3', f1: 'game3Score1', f2: 'game3Score2' },
-                        ].map(({ label, f1, f2 }) => (
-                            <div key={label} style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
-                                <span style={{ width: 56, fontSize: 12, color: '#888', flexShrink: 0 }}>{label}:</span>
+                        {games.map(([a, b], g) => (
+                            <div key={g} style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
+                                <span style={{ width: 56, fontSize: 12, color: '#888', flexShrink: 0 }}>Game {g + 1}:</span>
                                 <input
                                     type="number" min={0}
-                                    value={liveMatch[f1] === '' ? '' : (liveMatch[f1] ?? '')}
-                                    onChange={e => rIdx >= 0 && updateScore(rIdx, mIdx, f1, e.target.value)}
+                                    value={a}
+                                    onChange={e => rIdx >= 0 && updateGameScore(rIdx, mIdx, g, 1, e.target.value)}
                                     style={{ width: 60, height: 40, border: '1.5px solid #ddd', borderRadius: 10, textAlign: 'center', fontSize: 16, fontWeight: 700 }}
                                 />
                                 <span style={{ fontWeight: 700, color: '#bbb' }}>–</span>
                                 <input
                                     type="number" min={0}
-                                    value={liveMatch[f2] === '' ? '' : (liveMatch[f2] ?? '')}
-                                    onChange={e => rIdx >= 0 && updateScore(rIdx, mIdx, f2, e.target.value)}
+                                    value={b}
+                                    onChange={e => rIdx >= 0 && updateGameScore(rIdx, mIdx, g, 2, e.target.value)}
                                     style={{ width: 60, height: 40, border: '1.5px solid #ddd', borderRadius: 10, textAlign: 'center', fontSize: 16, fontWeight: 700 }}
                                 />
                             </div>
@@ -179,15 +244,21 @@ export default function ScoreModal({
                     </div>
                 )}
 
+                {/* Rules check — the winner buttons and Save refuse the score with this reason */}
+                {problem && (
+                    <div role="status" style={{ marginTop: -8, marginBottom: 16, padding: '8px 12px', borderRadius: 12, background: '#fffbeb', color: '#92400e', fontSize: 13 }}>
+                        Not a final score yet. {problem}
+                        <div style={{ marginTop: 2, fontSize: 11, opacity: 0.8 }}>{describeScoringRules(scoringRules)}</div>
+                    </div>
+                )}
+
                 {/* Quick Win buttons — score-aware */}
                 {rIdx >= 0 && (() => {
                     // Determine who is currently leading from the live score
-                    const s1 = Number(liveMatch.score1);
-                    const s2 = Number(liveMatch.score2);
-                    const hasScores = liveMatch.score1 !== '' && liveMatch.score2 !== '' &&
-                        !isNaN(s1) && !isNaN(s2) && (s1 > 0 || s2 > 0);
-                    const team1Winning = hasScores && s1 > s2;
-                    const team2Winning = hasScores && s2 > s1;
+                    const outcome = matchOutcome(liveMatch);
+                    const team1Winning = outcome.winner === 1;
+                    const team2Winning = outcome.winner === 2;
+                    const canDraw = allowsDraws(liveMatch.matchFormat);
 
                     const btnBase = { padding: '10px 8px', borderRadius: 12, border: 'none', fontWeight: 700, fontSize: 12, cursor: 'pointer', lineHeight: 1.3, transition: 'opacity 0.15s' };
                     const btn1Style = {
@@ -204,13 +275,21 @@ export default function ScoreModal({
                     };
 
                     return (
-                        <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 8, marginBottom: 20 }}>
+                        <div style={{ display: 'grid', gridTemplateColumns: canDraw ? '1fr 1fr 1fr' : '1fr 1fr', gap: 8, marginBottom: 20 }}>
                             <button onClick={() => quickWin(rIdx, mIdx, 1)} style={btn1Style}>
                                 {team1Winning ? '🏆 ' : ''}{team1Label} win
                             </button>
                             <button onClick={() => quickWin(rIdx, mIdx, 2)} style={btn2Style}>
                                 {team2Winning ? '🏆 ' : ''}{team2Label} win
                             </button>
+                            {canDraw && (
+                                <button
+                                    onClick={() => quickWin(rIdx, mIdx, 0)}
+                                    style={{ ...btnBase, background: outcome.draw ? '#22c55e' : '#f1f5f9', color: outcome.draw ? '#fff' : '#475569', opacity: outcome.winner ? 0.55 : 1 }}
+                                >
+                                    {outcome.draw ? '🤝 ' : ''}Draw
+                                </button>
+                            )}
                         </div>
                     );
                 })()}
@@ -0,0 +1,188 @@
+import React, { useEffect, useState } from 'react';
+import { useAPI } from '../hooks/useAPI';
+import StandingsTable from './StandingsTable';
+import { summarizeSession, compareSessions, formatLabel, matchSideNames, matchScoreText } from '../utils/sessionSummary';
+import { DEFAULT_TIEBREAK_ORDER } from '../utils/standings';
+import { MATCH_FORMATS } from '../utils/matchGames';
+
+const day = (date) => (date ? new Date(date).toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' }) : '');
+
+/**
+ * Archive tab — every finished session, with a read-only view, "duplicate" and a
+ * side-by-side comparison of two sessions. Loads GET /api/tournaments/archive, then
+ * GET /api/tournaments/:id for each session opened or compared.
+ *
+ * Props:
+ *  signedIn    – true when sessions are saved to an account
+ *  onDuplicate – (summary) => void, starts a new session from its settings and roster
+ */
+export default function SessionArchive({ signedIn, onDuplicate }) {
+    const api = useAPI();
+    const [sessions, setSessions] = useState(null);
+    const [error, setError] = useState(null);
+    const [summaries, setSummaries] = useState({}); // id → summarizeSession() result
+    const [openId, setOpenId] = useState(null);
+    const [compareIds, setCompareIds] = useState([]);
+
+    useEffect(() => {
+        if (!signedIn) return;
+        api.tournaments.getArchive().then(({ success, data, error: err }) => {
+            if (success) setSessions(data.tournaments);
+            else setError(err);
+        });
+    }, [signedIn]); // eslint-disable-line react-hooks/exhaustive-deps
+
+    // Full session rows are only fetched when needed, then kept for the visit
+    const loadSummary = async (id) => {
+        if (summaries[id]) return summaries[id];
+        const { success, data, error: err } = await api.tournaments.getOne(id);
+        if (!success) {
+            alert(`Could not open session: ${err}`);
+            return null;
+        }
+        const summary = summarizeSession(data.tournament);
+        setSummaries(prev => ({ ...prev, [id]: summary }));
+        return summary;
+    };
+
+    const toggleOpen = async (id) => {
+        if (openId === id) return setOpenId(null);
+        if (await loadSummary(id)) setOpenId(id);
+    };
+
+    const toggleCompare = async (id) => {
+        if (compareIds.includes(id)) return setCompareIds(prev => prev.filter(x => x !== id));
+        if (!(await loadSummary(id))) return;
+        // Keep the two most recently picked
+        setCompareIds(prev => [...prev, id].slice(-2));
+    };
+
+    const duplicate = async (id) => {
+        const summary = await loadSummary(id);
+        if (summary) onDuplicate(summary);
+    };
+
+    if (!signedIn) {
+        return <p className="text-sm text-brand-primary/70">Sign in to keep an archive of finished sessions.</p>;
+    }
+    if (error) return <p className="text-sm text-red-600">Could not load the archive: {error}</p>;
+    if (!sessions) return <p className="text-sm text-brand-primary/70">Loading archive…</p>;
+    if (sessions.length === 0) {
+        return <p className="text-sm text-brand-primary/70">Finished sessions appear here after you press 🏁 End → End & Clear.</p>;
+    }
+
+    const comparing = compareIds.length === 2 && summaries[compareIds[0]] && summaries[compareIds[1]]
+        ? compareSessions(summaries[compareIds[0]], summaries[compareIds[1]])
+        : null;
+    const [nameA, nameB] = compareIds.map(id => summaries[id]?.name);
+
+    return (
+        <div className="space-y-3">
+            {comparing && (
+                <div className="rounded-xl border-2 border-brand-secondary p-3 space-y-3">
+                    <div className="flex items-center justify-between">
+                        <h4 className="text-sm font-semibold text-brand-primary">Compare</h4>
+                        <button onClick={() => setCompareIds([])} className="text-xs text-brand-primary/70 underline">Clear</button>
+                    </div>
+                    <table className="w-full text-sm">
+                        <thead>
+                            <tr className="text-left">
+                                <th className="p-1" />
+                                <th className="p-1">{nameA}</th>
+                                <th className="p-1">{nameB}</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {comparing.metrics.map(row => (
+                                <tr key={row.label} className="border-t border-brand-gray/60">
+                                    <td className="p-1 text-brand-primary/70">{row.label}</td>
+                                    <td className="p-1 font-medium">{row.a}</td>
+                                    <td className="p-1 font-medium">{row.b}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                    {comparing.common.length > 0 && (
+                        <table className="w-full text-sm">
+                            <thead>
+                                <tr className="text-left">
+                                    <th className="p-1">In both</th>
+                                    <th className="p-1">{nameA}</th>
+                                    <th className="p-1">{nameB}</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {comparing.common.map(row => (
+                                    <tr key={row.label} className="border-t border-brand-gray/60">
+                                        <td className="p-1 font-medium">{row.label}</td>
+                                        <td className="p-1">#{row.a.rank} · {row.a.wins}–{row.a.losses}</td>
+                                        <td className="p-1">#{row.b.rank} · {row.b.wins}–{row.b.losses}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    )}
+                </div>
+            )}
+
+            {sessions.map(s => {
+                const summary = summaries[s.id];
+                const open = openId === s.id;
+                return (
+                    <div key={s.id} className={`rounded-xl border-2 px-3 py-2 ${compareIds.includes(s.id) ? 'border-brand-secondary' : 'border-brand-gray'}`}>
+                        <div className="flex items-start gap-3">
+                            <button onClick={() => toggleOpen(s.id)} className="flex-1 min-w-0 text-left">
+                                <div className="font-semibold text-brand-primary truncate">{s.tournament_name}</div>
+                                <div className="text-xs text-brand-primary/70">
+                                    {day(s.ended_at)} · {formatLabel(s.tournament_type, { gameFormat: s.game_format })}
+                                </div>
+                                <div className="text-xs text-brand-primary/60">
+                                    {s.num_courts} court{s.num_courts === 1 ? '' : 's'} · {s.player_count} players · {s.round_count} rounds
+                                </div>
+                            </button>
+                            <label className="flex items-center gap-1 text-xs text-brand-primary/70 pt-1">
+                                <input type="checkbox" checked={compareIds.includes(s.id)} onChange={() => toggleCompare(s.id)} />
+                                Compare
+                            </label>
+                        </div>
+
+                        {open && summary && (
+                            <div className="mt-3 space-y-3">
+                                <div className="text-xs text-brand-primary/70">
+                                    {summary.matchCount} matches · {summary.totalPoints} points · avg margin {summary.avgMargin}
+                                </div>
+                                <StandingsTable
+                                    rows={summary.standings}
+                                    noun={summary.byTeam ? 'Team' : 'Player'}
+                                    showGames={MATCH_FORMATS[summary.meta.matchFormat]?.games > 1}
+                                    tiebreakOrder={summary.meta.tiebreakOrder?.length ? summary.meta.tiebreakOrder : DEFAULT_TIEBREAK_ORDER}
+                                />
+                                {summary.rounds.map((round, rIdx) => (
+                                    <details key={rIdx} className="text-sm">
+                                        <summary className="cursor-pointer font-semibold text-brand-primary">Round {rIdx + 1}</summary>
+                                        <div className="mt-1 space-y-1">
+                                            {round.map((m, mIdx) => (
+                                                <div key={m.id || mIdx} className="flex items-center gap-2 border-t border-brand-gray/60 py-1">
+                                                    <span className="w-12 text-xs text-brand-primary/60">Court {m.court}</span>
+                                                    <span className={`flex-1 min-w-0 truncate ${m.winner === 'team1' ? 'font-semibold' : ''}`}>{matchSideNames(m, 1)}</span>
+                                                    <span className="text-xs">{matchScoreText(m)}</span>
+                                                    <span className={`flex-1 min-w-0 truncate text-right ${m.winner === 'team2' ? 'font-semibold' : ''}`}>{matchSideNames(m, 2)}</span>
+                                                </div>
+                                            ))}
+                                        </div>
+                                    </details>
+                                ))}
+                                <button
+                                    onClick={() => duplicate(s.id)}
+                                    className="w-full h-11 rounded-xl bg-brand-primary text-white text-sm font-semibold"
+                                >
+                                    📄 Start a new session with these settings and players
+                                </button>
+                            </div>
+                        )}
+                    </div>
+                );
+            })}
+        </div>
+    );
+}
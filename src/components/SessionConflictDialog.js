@@ -0,0 +1,143 @@
+import React, { useState } from 'react';
+import { conflictKey } from '../utils/sessionMerge';
+import { matchSideNames, matchScoreText } from '../utils/sessionSummary';
+import { gamesText } from '../utils/matchGames';
+
+const FIELD_LABELS = {
+    players: 'Roster',
+    teams: 'Teams',
+    rounds: 'Rounds (a round was added or removed)',
+    courtStates: 'Courts (a court was added or removed)',
+    currentRound: 'Current round',
+    meta: 'Settings',
+    tournamentName: 'Session name',
+    playerStats: 'Player stats',
+    teamStats: 'Team stats',
+    kotStats: 'King of Court points',
+    kotTeamStats: 'King of Court team points',
+    bracket: 'Bracket',
+    poolPlay: 'Pools',
+    fullSchedule: 'Full schedule',
+    swiss: 'Swiss pairings',
+    locked: 'Locked players',
+};
+
+const matchText = (m) => {
+    if (!m) return '—';
+    if (m.status === 'completed') return matchScoreText(m);
+    if (gamesText(m, '–')) return `${gamesText(m, '–')} (in progress)`;
+    return 'not played';
+};
+
+const courtText = (c) => {
+    if (!c) return '—';
+    if (!c.currentMatch) return c.status;
+    return `${c.status} · ${matchSideNames(c.currentMatch, 1)} vs ${matchSideNames(c.currentMatch, 2)}`;
+};
+
+// One row per conflicting match or court; everything else one row per field
+const rowsOf = ({ mine, theirs, conflicts }) => {
+    const rows = new Map();
+    conflicts.forEach(c => {
+        const key = conflictKey(c);
+        if (c.key === 'rounds' && c.id !== undefined) {
+            const roundIdx = (theirs.rounds || []).findIndex(r => r.some(m => String(m.id) === c.id));
+            const server = (theirs.rounds || []).flat().find(m => String(m.id) === c.id);
+            const local = (mine.rounds || []).flat().find(m => String(m.id) === c.id);
+            rows.set(key, {
+                label: `Round ${roundIdx + 1} · Court ${server?.court ?? '?'}`,
+                detail: server ? `${matchSideNames(server, 1)} vs ${matchSideNames(server, 2)}` : '',
+                mine: matchText(local),
+                theirs: matchText(server),
+                keys: [key],
+            });
+        } else if (c.key === 'courtStates' && c.id !== undefined) {
+            rows.set(key, {
+                label: `Court ${c.id}`,
+                detail: '',
+                mine: courtText((mine.courtStates || []).find(ct => String(ct.courtNumber) === c.id)),
+                theirs: courtText((theirs.courtStates || []).find(ct => String(ct.courtNumber) === c.id)),
+                keys: [key],
+            });
+        } else {
+            const row = rows.get(c.key) || { label: FIELD_LABELS[c.key] || c.key, detail: '', mine: 'this device', theirs: 'other device', keys: [] };
+            row.keys.push(key);
+            rows.set(c.key, row);
+        }
+    });
+    return [...rows.entries()].map(([key, row]) => ({ key, ...row }));
+};
+
+/**
+ * Save conflict dialog — another device saved the same matches (or the same part of
+ * the session) since this device last synced. Changes on different matches and courts
+ * are already combined; each row here was changed on both devices.
+ *
+ * Props:
+ *  conflict  – { mine, theirs, conflicts } from useSessionSync
+ *  onResolve – ('mine' | 'theirs' | 'merge', picks?) => void; picks is conflictKey → 'mine' | 'theirs'
+ */
+export default function SessionConflictDialog({ conflict, onResolve }) {
+    const rows = rowsOf(conflict);
+    const [picks, setPicks] = useState(() => Object.fromEntries(rows.map(r => [r.key, 'theirs'])));
+
+    const merge = () => {
+        const byConflict = {};
+        rows.forEach(row => row.keys.forEach(k => { byConflict[k] = picks[row.key]; }));
+        onResolve('merge', byConflict);
+    };
+
+    return (
+        <div className="fixed inset-0 z-[100] flex items-end sm:items-center justify-center bg-black/50">
+            <div className="w-full sm:max-w-lg max-h-[90vh] overflow-y-auto bg-brand-white rounded-t-2xl sm:rounded-2xl p-4 sm:p-5">
+                <h3 className="text-base sm:text-lg font-semibold text-brand-primary">Changed on another device</h3>
+                <p className="mt-1 text-sm text-brand-primary/70">
+                    Another device saved this session while you were editing it. Changes on different matches and courts were combined;
+                    {rows.length === 1 ? ' this was' : ` these ${rows.length} were`} changed on both devices.
+                </p>
+
+                <div className="mt-3 space-y-2">
+                    {rows.map(row => (
+                        <div key={row.key} className="rounded-xl border border-brand-gray p-2">
+                            <div className="text-sm font-semibold text-brand-primary">{row.label}</div>
+                            {row.detail && <div className="text-xs text-brand-primary/70 truncate">{row.detail}</div>}
+                            <div className="mt-2 grid grid-cols-2 gap-2">
+                                {[['mine', 'This device', row.mine], ['theirs', 'Server copy', row.theirs]].map(([side, title, text]) => (
+                                    <label
+                                        key={side}
+                                        className={`flex items-start gap-2 rounded-lg border-2 p-2 text-xs cursor-pointer ${picks[row.key] === side ? 'border-brand-secondary bg-brand-secondary/10' : 'border-brand-gray'}`}
+                                    >
+                                        <input
+                                            type="radio"
+                                            name={row.key}
+                                            checked={picks[row.key] === side}
+                                            onChange={() => setPicks(prev => ({ ...prev, [row.key]: side }))}
+                                        />
+                                        <span>
+                                            <span className="block font-semibold text-brand-primary">{title}</span>
+                                            <span className="text-brand-primary/80">{text}</span>
+                                        </span>
+                                    </label>
+                                ))}
+                            </div>
+                        </div>
+                    ))}
+                </div>
+
+                <div className="mt-4 grid gap-2">
+                    <button onClick={merge} className="h-11 rounded-xl bg-brand-primary text-white text-sm font-semibold">
+                        Save these picks
+                    </button>
+                    <div className="grid grid-cols-2 gap-2">
+                        <button onClick={() => onResolve('mine')} className="h-11 rounded-xl border-2 border-brand-gray text-sm font-semibold text-brand-primary">
+                            Keep all mine
+                        </button>
+                        <button onClick={() => onResolve('theirs')} className="h-11 rounded-xl border-2 border-brand-gray text-sm font-semibold text-brand-primary">
+                            Take server copy
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+}
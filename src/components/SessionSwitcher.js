@@ -0,0 +1,80 @@
+import React, { useState } from 'react';
+
+/**
+ * Header session switcher — the open sessions on this account (several can run at
+ * once, e.g. a clinic and a ladder on different courts) and "+ New session".
+ *
+ * Props:
+ *  sessions    – open sessions from GET /api/session [{ id, tournamentName, playerCount, roundCount }]
+ *  currentId   – id of the session on this device (null before its first save)
+ *  currentName – name shown for the current session
+ *  onOpen      – called when the list opens (refresh the sessions)
+ *  onSwitch    – (id) => void
+ *  onNew       – () => void
+ *  onShare     – () => void, shares the public live scoreboard of the current session
+ */
+export default function SessionSwitcher({ sessions, currentId, currentName, onOpen, onSwitch, onNew, onShare }) {
+    const [open, setOpen] = useState(false);
+
+    const toggle = () => {
+        if (!open) onOpen();
+        setOpen(!open);
+    };
+    const pick = (action) => {
+        setOpen(false);
+        action();
+    };
+
+    const others = sessions.filter(s => String(s.id) !== String(currentId));
+
+    return (
+        <div className="relative">
+            <button
+                onClick={toggle}
+                className="flex items-center gap-1 text-sm font-bold text-brand-primary leading-tight"
+                aria-expanded={open}
+                aria-label="Switch session"
+            >
+                <span className="truncate max-w-[11rem] sm:max-w-xs">{currentName}</span>
+                <span className="text-[10px] text-brand-primary/60">{others.length > 0 ? `+${others.length} ▾` : '▾'}</span>
+            </button>
+
+            {open && (
+                <div className="absolute left-0 top-full mt-2 w-64 rounded-xl border border-brand-gray bg-brand-white shadow-lg z-50 py-1">
+                    <div className="px-3 py-1 text-[10px] uppercase tracking-wide text-brand-primary/50">Open sessions</div>
+                    {sessions.length === 0 && (
+                        <div className="px-3 py-2 text-xs text-brand-primary/60">This session is saved once the first round starts.</div>
+                    )}
+                    {sessions.map(s => {
+                        const current = String(s.id) === String(currentId);
+                        return (
+                            <button
+                                key={s.id}
+                                onClick={() => pick(() => onSwitch(s.id))}
+                                disabled={current}
+                                className={`w-full text-left px-3 py-2 hover:bg-brand-gray/30 ${current ? 'bg-brand-secondary/10' : ''}`}
+                            >
+                                <div className="text-sm font-semibold text-brand-primary truncate">{current ? '✓ ' : ''}{s.tournamentName}</div>
+                                <div className="text-[11px] text-brand-primary/60">
+                                    {s.playerCount} players · {s.roundCount} rounds · {s.numCourts} courts
+                                </div>
+                            </button>
+                        );
+                    })}
+                    <button
+                        onClick={() => pick(onShare)}
+                        className="w-full text-left px-3 py-2 border-t border-brand-gray text-sm font-semibold text-brand-primary hover:bg-brand-gray/30"
+                    >
+                        🔗 Share live scoreboard
+                    </button>
+                    <button
+                        onClick={() => pick(onNew)}
+                        className="w-full text-left px-3 py-2 border-t border-brand-gray text-sm font-semibold text-brand-secondary hover:bg-brand-gray/30"
+                    >
+                        + New session
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+}
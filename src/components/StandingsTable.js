@@ -0,0 +1,130 @@
+import React, { useState } from 'react';
+import { STANDINGS_CRITERIA } from '../utils/standings';
+
+const COLUMNS = [
+    { key: 'rank', label: '#' },
+    { key: 'label', label: null },
+    { key: 'played', label: 'P' },
+    { key: 'wins', label: 'W' },
+    { key: 'losses', label: 'L' },
+    { key: 'draws', label: 'D', drawsOnly: true },
+    { key: 'winPct', label: 'Win %' },
+    { key: 'pointsFor', label: 'PF' },
+    { key: 'pointsAgainst', label: 'PA' },
+    { key: 'diff', label: 'Diff' },
+    { key: 'gamesWon', label: 'Games', gamesOnly: true },
+];
+
+/**
+ * Round robin standings with sortable columns and an editable tiebreak order.
+ * Rank always follows the tiebreak order; clicking a column only re-sorts the view.
+ *
+ * Props:
+ *  rows                  – result of computeStandings(), best first
+ *  noun                  – 'Player' or 'Team' column heading
+ *  showGames             – show the games won–lost column (multi-game match formats)
+ *  tiebreakOrder         – criteria keys, most important first
+ *  onTiebreakOrderChange – called with the new order; omit for a read-only table
+ */
+export default function StandingsTable({ rows, noun = 'Player', showGames = false, tiebreakOrder, onTiebreakOrderChange }) {
+    const [sort, setSort] = useState({ key: 'rank', dir: 1 });
+
+    if (!rows || rows.length === 0) {
+        return <p className="text-sm text-brand-primary/70">Standings appear once the first match has a result.</p>;
+    }
+
+    // Draws only happen in formats that play every game; the column shows once there is one
+    const showDraws = rows.some(r => r.draws > 0);
+    const columns = COLUMNS.filter(c => (showGames || !c.gamesOnly) && (showDraws || !c.drawsOnly));
+    const sorted = [...rows].sort((a, b) => {
+        const av = a[sort.key];
+        const bv = b[sort.key];
+        const cmp = typeof av === 'string' ? av.localeCompare(bv) : av - bv;
+        return cmp * sort.dir || a.rank - b.rank;
+    });
+    const toggleSort = (key) => setSort(prev => (prev.key === key
+        ? { key, dir: -prev.dir }
+        // Numbers read best-first, names and rank read top-down
+        : { key, dir: key === 'rank' || key === 'label' || key === 'losses' || key === 'pointsAgainst' ? 1 : -1 }));
+
+    const moveCriterion = (idx, delta) => {
+        const next = [...tiebreakOrder];
+        const [key] = next.splice(idx, 1);
+        next.splice(idx + delta, 0, key);
+        onTiebreakOrderChange(next);
+    };
+    const unused = Object.keys(STANDINGS_CRITERIA).filter(key => !tiebreakOrder.includes(key));
+
+    return (
+        <div className="space-y-3">
+            <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                    <thead className="bg-brand-white">
+                        <tr className="text-left">
+                            {columns.map(col => (
+                                <th key={col.key} className="p-2">
+                                    <button
+                                        onClick={() => toggleSort(col.key)}
+                                        className={`font-semibold ${sort.key === col.key ? 'text-brand-secondary' : ''}`}
+                                    >
+                                        {col.label || noun}
+                                        {sort.key === col.key && (sort.dir === 1 ? ' ▲' : ' ▼')}
+                                    </button>
+                                </th>
+                            ))}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {sorted.map(row => (
+                            <tr key={row.id} className="border-t border-brand-gray/60">
+                                <td className="p-2 font-bold">{row.rank === 1 ? '🥇' : row.rank === 2 ? '🥈' : row.rank === 3 ? '🥉' : row.rank}</td>
+                                <td className="p-2 font-medium">{row.label}</td>
+                                <td className="p-2">{row.played}</td>
+                                <td className="p-2">{row.wins}</td>
+                                <td className="p-2">{row.losses}</td>
+                                {showDraws && <td className="p-2">{row.draws}</td>}
+                                <td className="p-2">{Math.round(row.winPct * 100)}%</td>
+                                <td className="p-2">{row.pointsFor}</td>
+                                <td className="p-2">{row.pointsAgainst}</td>
+                                <td className={`p-2 font-semibold ${row.diff > 0 ? 'text-green-700' : row.diff < 0 ? 'text-red-600' : ''}`}>
+                                    {row.diff > 0 ? `+${row.diff}` : row.diff}
+                                </td>
+                                {showGames && <td className="p-2">{row.gamesWon}–{row.gamesLost}</td>}
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+
+            {onTiebreakOrderChange && (
+                <details className="text-xs text-brand-primary/80">
+                    <summary className="cursor-pointer font-semibold">Ranking order: {tiebreakOrder.map(k => STANDINGS_CRITERIA[k].label).join(' → ')}</summary>
+                    <div className="mt-2 space-y-1">
+                        {tiebreakOrder.map((key, idx) => (
+                            <div key={key} className="flex items-center gap-2">
+                                <span className="w-5 text-brand-primary/50">{idx + 1}.</span>
+                                <span className="flex-1">{STANDINGS_CRITERIA[key].label}</span>
+                                <button onClick={() => moveCriterion(idx, -1)} disabled={idx === 0} className="px-2 disabled:opacity-30" aria-label={`Move ${STANDINGS_CRITERIA[key].label} up`}>▲</button>
+                                <button onClick={() => moveCriterion(idx, 1)} disabled={idx === tiebreakOrder.length - 1} className="px-2 disabled:opacity-30" aria-label={`Move ${STANDINGS_CRITERIA[key].label} down`}>▼</button>
+                                <button onClick={() => onTiebreakOrderChange(tiebreakOrder.filter(k => k !== key))} disabled={tiebreakOrder.length === 1} className="px-2 text-red-600 disabled:opacity-30" aria-label={`Remove ${STANDINGS_CRITERIA[key].label}`}>✕</button>
+                            </div>
+                        ))}
+                        {unused.length > 0 && (
+                            <div className="flex flex-wrap gap-1 pt-1">
+                                {unused.map(key => (
+                                    <button
+                                        key={key}
+                                        onClick={() => onTiebreakOrderChange([...tiebreakOrder, key])}
+                                        className="px-2 py-0.5 rounded-full border border-brand-gray"
+                                    >
+                                        + {STANDINGS_CRITERIA[key].label}
+                                    </button>
+                                ))}
+                            </div>
+                        )}
+                    </div>
+                </details>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,66 @@
+import React from 'react';
+
+/**
+ * Swiss standings table: points (wins + byes), then the Buchholz and
+ * point-differential tiebreaks used to rank and pair the next round.
+ *
+ * Props:
+ *  rows  – result of getSwissStandings(), best first
+ *  swiss – current Swiss state (round number + byes), or null before round 1
+ *  noun  – 'Team' or 'Player' column heading
+ */
+export default function SwissStandings({ rows, swiss, noun = 'Team' }) {
+    const ranked = (rows || []).filter(r => r.played > 0 || r.byes > 0);
+    if (ranked.length === 0) {
+        return <p className="text-sm text-brand-primary/70">Standings appear once the first Swiss match is finished.</p>;
+    }
+
+    const byeThisRound = swiss?.byes.find(b => b.round === swiss.round);
+    const byeRow = byeThisRound && rows.find(r => r.entrant.id === byeThisRound.id);
+
+    return (
+        <div className="space-y-2">
+            <div className="flex items-center justify-between text-xs text-brand-primary/70">
+                <span>After Swiss round {swiss?.round || 0}</span>
+                {byeRow && <span>Bye this round: <strong>{byeRow.label}</strong></span>}
+            </div>
+            <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                    <thead className="bg-brand-white">
+                        <tr className="text-left">
+                            <th className="p-2">#</th>
+                            <th className="p-2">{noun}</th>
+                            <th className="p-2">W–L</th>
+                            <th className="p-2">Pts</th>
+                            <th className="p-2" title="Sum of opponents' points">Buchholz</th>
+                            <th className="p-2">Diff</th>
+                            <th className="p-2">PF</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {ranked.map((row, idx) => (
+                            <tr key={row.entrant.id} className="border-t border-brand-gray/60">
+                                <td className="p-2 font-bold">{idx + 1}</td>
+                                <td className="p-2 font-medium">
+                                    {row.label}
+                                    {row.byes > 0 && (
+                                        <span className="ml-2 text-[10px] px-1.5 py-0.5 rounded-full bg-brand-gray/60 text-brand-primary/70 font-semibold">
+                                            {row.byes > 1 ? `${row.byes} byes` : 'bye'}
+                                        </span>
+                                    )}
+                                </td>
+                                <td className="p-2">{row.wins}–{row.losses}</td>
+                                <td className="p-2 font-semibold">{row.points}</td>
+                                <td className="p-2">{row.buchholz}</td>
+                                <td className={`p-2 font-semibold ${row.diff > 0 ? 'text-green-700' : row.diff < 0 ? 'text-red-600' : ''}`}>
+                                    {row.diff > 0 ? `+${row.diff}` : row.diff}
+                                </td>
+                                <td className="p-2">{row.pointsFor}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+}
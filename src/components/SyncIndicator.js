@@ -0,0 +1,48 @@
+import React from 'react';
+
+/**
+ * Header sync status — whether this device is online and how many saves are waiting in
+ * the offline outbox. Quiet when everything is saved; a save that didn't go through shows
+ * as "Not saved" until the next one does (tap it for the reason).
+ *
+ * Props:
+ *  online  – the browser has a connection
+ *  pending – saves queued while offline (utils/outbox)
+ *  error   – why the last save didn't go through, or null
+ */
+export default function SyncIndicator({ online, pending, error = null }) {
+    if (error) {
+        return (
+            <button
+                onClick={() => alert(error)}
+                className="flex items-center gap-1 rounded-full px-2 py-0.5 text-[11px] font-semibold bg-red-100 text-red-700"
+                title={error}
+                role="alert"
+            >
+                <span className="h-2 w-2 rounded-full bg-red-500" />
+                Not saved{pending > 0 ? ` · ${pending} kept` : ''}
+            </button>
+        );
+    }
+
+    if (online && pending === 0) {
+        return (
+            <span className="flex items-center gap-1 text-[11px] text-brand-primary/50" title="All changes saved">
+                <span className="h-2 w-2 rounded-full bg-green-500" />
+                <span className="hidden sm:inline">Online</span>
+            </span>
+        );
+    }
+
+    const label = online ? `Syncing ${pending}…` : pending > 0 ? `Offline · ${pending} to sync` : 'Offline';
+    return (
+        <span
+            className={`flex items-center gap-1 rounded-full px-2 py-0.5 text-[11px] font-semibold ${online ? 'bg-amber-100 text-amber-800' : 'bg-red-100 text-red-700'}`}
+            title={online ? 'Sending changes made offline' : 'Changes are kept on this device and sent when the connection is back'}
+            role="status"
+        >
+            <span className={`h-2 w-2 rounded-full ${online ? 'bg-amber-500' : 'bg-red-500'}`} />
+            {label}
+        </span>
+    );
+}
@@ -1,4 +1,5 @@
 import React, { createContext, useState, useContext, useEffect } from 'react';
+import { clearOutbox } from '../utils/outbox';
 
 const AuthContext = createContext(null);
 
@@ -109,6 +110,11 @@ export const AuthProvider = ({ children }) => {
     localStorage.removeItem('pb_roster');
     localStorage.removeItem('pb_session');
     localStorage.removeItem('migration_completed');
+    // Saves still waiting to go out and the service worker's cached API reads belong to this login too
+    clearOutbox().catch(err => console.error('Failed to clear outbox:', err));
+    navigator.serviceWorker?.ready
+      .then(reg => reg.active?.postMessage({ type: 'clear-api-cache' }))
+      .catch(err => console.error('Failed to clear API cache:', err));
     setToken(null);
     setUser(null);
   };
@@ -1,4 +1,5 @@
 import { useAuth } from '../contexts/AuthContext';
+import { enqueue } from '../utils/outbox';
 
 const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000';
 
@@ -35,6 +36,15 @@ export const useAPI = () => {
 
       return { success: true, data };
     } catch (error) {
+      // Offline: roster changes wait in the outbox and are sent once the connection is back
+      // (bulk adds are queued one player at a time by the page, so each can be linked or dropped)
+      const method = options.method || 'GET';
+      if (error instanceof TypeError && method !== 'GET' && endpoint.startsWith('/api/players') && endpoint !== '/api/players/bulk') {
+        // Without the login token: the replay adds whichever one is current then
+        const { Authorization, ...unsigned } = headers;
+        await enqueue({ kind: 'request', key: options.outboxKey, url: `${API_URL}${endpoint}`, method, headers: unsigned, body: options.body });
+        return { success: false, queued: true, error: 'Offline — will sync when back online' };
+      }
       return { success: false, error: error.message };
     }
   };
@@ -42,6 +52,7 @@ export const useAPI = () => {
   // Tournament API calls
   const tournaments = {
     getAll: () => fetchAPI('/api/tournaments'),
+    getArchive: () => fetchAPI('/api/tournaments/archive'),
     getOne: (id) => fetchAPI(`/api/tournaments/${id}`),
     create: (tournamentData) => fetchAPI('/api/tournaments', {
       method: 'POST',
@@ -60,9 +71,11 @@ export const useAPI = () => {
   const players = {
     getAll: () => fetchAPI('/api/players'),
     getOne: (id) => fetchAPI(`/api/players/${id}`),
-    create: (playerData) => fetchAPI('/api/players', {
+    // localId: the id the page plays them under until the save reaches the database (offline)
+    create: (playerData, { localId } = {}) => fetchAPI('/api/players', {
       method: 'POST',
-      body: JSON.stringify(playerData)
+      body: JSON.stringify(playerData),
+      outboxKey: localId && `player:${localId}`
     }),
     bulkCreate: (playersArray) => fetchAPI('/api/players/bulk', {
       method: 'POST',
@@ -74,12 +87,28 @@ export const useAPI = () => {
     }),
     delete: (id) => fetchAPI(`/api/players/${id}`, {
       method: 'DELETE'
+    }),
+    updateRatings: (changes, tournamentName) => fetchAPI('/api/players/ratings', {
+      method: 'POST',
+      body: JSON.stringify({ changes, tournament_name: tournamentName })
+    }),
+    getRatingHistory: (id) => fetchAPI(`/api/players/${id}/ratings`),
+    getHistory: (id) => fetchAPI(`/api/players/${id}/history`),
+    getStats: (id) => fetchAPI(`/api/players/${id}/stats`)
+  };
+
+  // Match history API calls
+  const matches = {
+    record: (payload) => fetchAPI('/api/matches', {
+      method: 'POST',
+      body: JSON.stringify(payload)
     })
   };
 
   return {
     tournaments,
     players,
+    matches,
     fetchAPI
   };
 };
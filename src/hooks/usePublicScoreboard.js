@@ -0,0 +1,52 @@
+import { useCallback, useEffect, useState } from 'react';
+
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000';
+const REFRESH_MS = 10000; // Screens at the venue poll every 10 seconds
+
+/**
+ * usePublicScoreboard
+ * Shared session behind a public link (/live/:token, /board/:token, /checkin/:token) — no login.
+ * Polls GET /api/public/scoreboard/:token (or /api/public/checkin/:token for the check-in
+ * page, which has its own token) and keeps the last good copy when a refresh fails, so a
+ * screen never goes blank on a flaky venue connection.
+ *
+ * @param {string} token
+ * @param {'scoreboard'|'checkin'} [source='scoreboard'] – which kind of token it is
+ * @returns {{ session: Object|null, error: string|null, refresh: Function }}
+ */
+export function usePublicScoreboard(token, source = 'scoreboard') {
+    const [session, setSession] = useState(null);
+    const [error, setError] = useState(null);
+    const [reloads, setReloads] = useState(0);
+
+    useEffect(() => {
+        let cancelled = false;
+        const load = async () => {
+            try {
+                const res = await fetch(`${API_URL}/api/public/${source}/${token}`);
+                const data = await res.json();
+                if (cancelled) return;
+                if (!res.ok) {
+                    setError(data.error || 'Scoreboard not found');
+                    return;
+                }
+                setSession(data.scoreboard);
+                setError(null);
+            } catch (err) {
+                // Keep showing the last board; the next refresh tries again
+                console.warn('[Scoreboard] refresh failed:', err);
+            }
+        };
+        load();
+        const timer = setInterval(load, REFRESH_MS);
+        return () => {
+            cancelled = true;
+            clearInterval(timer);
+        };
+    }, [token, source, reloads]);
+
+    // Load again now (e.g. right after checking in) instead of at the next poll
+    const refresh = useCallback(() => setReloads(n => n + 1), []);
+
+    return { session, error, refresh };
+}
@@ -0,0 +1,106 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { crossedWarnings, roundClockState } from '../utils/roundClock';
+
+let audio = null; // one AudioContext for the page, unlocked by a tap (enableAlerts)
+
+const tone = (frequency, seconds, delay = 0) => {
+    if (!audio) return;
+    const osc = audio.createOscillator();
+    const gain = audio.createGain();
+    const start = audio.currentTime + delay;
+    osc.type = 'square';
+    osc.frequency.value = frequency;
+    gain.gain.setValueAtTime(0.2, start);
+    gain.gain.setValueAtTime(0, start + seconds);
+    osc.connect(gain).connect(audio.destination);
+    osc.start(start);
+    osc.stop(start + seconds);
+};
+
+const notify = (title, body) => {
+    if (typeof Notification === 'undefined' || Notification.permission !== 'granted') return;
+    // Phones only show notifications through the service worker
+    const viaWorker = navigator.serviceWorker?.ready.then(reg => reg.showNotification(title, { body, tag: 'round-clock', renotify: true }));
+    (viaWorker || Promise.reject(new Error('No service worker')))
+        .catch(() => {
+            try {
+                new Notification(title, { body, tag: 'round-clock' });
+            } catch (err) {
+                // Android Chrome has no Notification constructor ("Illegal constructor")
+                console.log('[RoundClock] Notification unavailable:', err);
+            }
+        });
+};
+
+const alertWarning = (minutes, round) => {
+    tone(880, 0.15);
+    tone(880, 0.15, 0.25);
+    navigator.vibrate?.(200);
+    notify(`${minutes} minute${minutes === 1 ? '' : 's'} left`, `Round ${round}`);
+};
+
+const alertTimeUp = (round) => {
+    tone(220, 1.5);
+    navigator.vibrate?.([600, 200, 600]);
+    notify('Time!', `Round ${round} is over`);
+};
+
+/**
+ * useRoundClock
+ * Counts the current round down from `startedAt` over `minutesPerRound`, re-rendering every
+ * second. Crossing a warning threshold beeps, vibrates and notifies; reaching zero sounds the
+ * horn and calls onTimeUp. Thresholds already passed when the clock is first seen (a reload
+ * mid-round) stay quiet.
+ *
+ * @returns {{ clock: { elapsedMs, remainingMs, overtime }|null, enableAlerts: Function }}
+ */
+export function useRoundClock({ startedAt, minutesPerRound, warnings, round, onTimeUp }) {
+    const [now, setNow] = useState(() => Date.now());
+    const last = useRef(null); // { startedAt, remainingMs } at the previous tick
+    const timeUp = useRef(onTimeUp);
+    timeUp.current = onTimeUp;
+
+    const clock = roundClockState({ startedAt, minutesPerRound, now });
+    const running = !!clock;
+
+    useEffect(() => {
+        if (!running) return undefined;
+        const timer = setInterval(() => setNow(Date.now()), 1000);
+        return () => clearInterval(timer);
+    }, [running]);
+
+    const remainingMs = clock?.remainingMs;
+    useEffect(() => {
+        if (remainingMs === undefined) {
+            last.current = null;
+            return;
+        }
+        const prev = last.current?.startedAt === startedAt ? last.current.remainingMs : null;
+        last.current = { startedAt, remainingMs };
+        if (prev === null) return;
+
+        const crossed = crossedWarnings(prev, remainingMs, warnings);
+        if (crossed.length) alertWarning(crossed[crossed.length - 1], round);
+        if (prev > 0 && remainingMs <= 0) {
+            alertTimeUp(round);
+            timeUp.current?.();
+        }
+    }, [remainingMs, startedAt]); // eslint-disable-line
+
+    // Browsers only play sound and ask for notifications after a tap
+    const enableAlerts = useCallback(() => {
+        try {
+            const Context = window.AudioContext || window.webkitAudioContext;
+            if (!audio && Context) audio = new Context();
+            audio?.resume();
+        } catch (err) {
+            console.log('[RoundClock] Sound unavailable:', err);
+        }
+        if (typeof Notification !== 'undefined' && Notification.permission === 'default') {
+            // Older Safari takes a callback and returns nothing
+            Promise.resolve(Notification.requestPermission()).catch(() => {});
+        }
+    }, []);
+
+    return { clock, enableAlerts };
+}
@@ -1,33 +1,131 @@
-import { useRef, useCallback } from 'react';
+import { useRef, useState, useCallback, useEffect } from 'react';
+import { diffSessions, isUnchanged, mergeSessions, resolveConflicts, conflictKey } from '../utils/sessionMerge';
+import { enqueue, discard, pendingCount, replayOutbox, subscribe } from '../utils/outbox';
 
 const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000';
 const DEBOUNCE_MS = 3000; // Save at most once every 3 seconds
+const LIVE_DEBOUNCE_MS = 500; // ...or every half second while the live channel is open
+const LIVE_RETRY_MS = 5000; // Reopen a closed live channel after this long
+const MAX_SAVE_ATTEMPTS = 3; // a save that keeps losing to other devices waits in the outbox
+const SESSION_ID_KEY = 'pb_session_id'; // Open session this device is on
+
+const SIGNED_OUT = 'Your login has expired, so this session is not being saved. Log out and back in to keep saving.';
+
+// Why the server turned a save down, for the header indicator
+const refusal = async (res) => {
+    const data = await res.json().catch(() => ({}));
+    return `The server did not save this session: ${data.error || `HTTP ${res.status}`}.`;
+};
 
 /**
  * useSessionSync
- * Provides three functions:
- *   loadSession()     → GET /api/session  → returns state blob or null
- *   saveSession(snap) → debounced PUT /api/session (fires at most every 3s)
- *   clearSession()    → DELETE /api/session
+ * Several sessions can be open at once; each is addressed by id. The id of the
+ * session this device is working on is kept in `sessionId` (and localStorage).
+ *
+ *   listSessions()      → GET /api/session          → open sessions, newest first
+ *   loadSession(id?)    → GET /api/session/:id      → state blob or null
+ *   createSession(snap) → POST /api/session         → new id (becomes the current session)
+ *   saveSession(snap)   → debounced PUT /api/session/:id (fires at most every 3s;
+ *                         creates the session first if it has no id yet)
+ *   flushSession()      → sends a pending debounced save now (before switching sessions)
+ *   endSession(snap)    → POST /api/session/:id/end → archives the final state, returns true on success
+ *   clearSession()      → DELETE /api/session/:id (discards without archiving)
+ *   shareSession()      → POST /api/session/:id/share → token of the public live scoreboard
+ *   checkInLink()       → POST /api/session/:id/checkin-link → token of the self check-in page
+ *                         (kept apart from the scoreboard token, which only reads)
+ *   setSessionId(id)    → switch the current session (null = a fresh, unsaved one)
+ *
+ * Live sync: while a session is open the hook listens on GET /api/session/:id/events,
+ * opened with a short-lived token from POST /api/session/:id/stream-token.
+ * Every save carries the revision this device last saw; when another device saved in
+ * between (409), or its save arrives on the live channel while a local change is
+ * waiting, the two are merged per match / court (utils/sessionMerge) and the result is
+ * handed to the page:
+ *   onRemoteChange(snapshot) – apply a snapshot saved (or merged) from another device
+ *   onRemoteEnd()            – the session was ended or discarded on another device
+ *
+ * When both devices changed the same match (or the same part of the session) the save
+ * waits for the operator: `conflict` is set to { mine, theirs, conflicts } and
+ *   resolveConflict('mine' | 'theirs' | 'merge', picks?) → settles it and saves the result
+ *   ('mine' keeps this device's side of every conflict, 'theirs' takes the server copy as-is,
+ *    'merge' goes conflict by conflict — see resolveConflicts)
+ *
+ * Offline: a save that can't reach the server is queued in the outbox (utils/outbox) and
+ * sent once the connection is back — on start-up, on the browser's `online` event, or when
+ * the service worker's Background Sync asks. A newer save of the same session replaces a
+ * queued one. `syncStatus` is { online, pending, error } for the header indicator; `error`
+ * says why the last save didn't go through (signed out, refused by the server, or lost to
+ * other devices too many times) until a save succeeds.
  *
  * Auth token is read from localStorage on each call so it always reflects
  * the current logged-in user (matches AuthContext pattern).
  */
-export function useSessionSync() {
+export function useSessionSync({ onRemoteChange, onRemoteEnd } = {}) {
     const debounceTimer = useRef(null);
+    const pendingSnapshot = useRef(null);
+    const creating = useRef(null); // in-flight createSession, so two saves never open two sessions
+    const saving = useRef(Promise.resolve()); // PUTs go out one at a time, each against the last revision
+    const base = useRef(null); // { id, snapshot, revision } — the server copy this device last saw
+    const liveSource = useRef(null);
+    const clientId = useRef(Math.random().toString(36).slice(2)); // tells this device's saves apart on the live channel
+    const handlers = useRef({});
+    handlers.current = { onRemoteChange, onRemoteEnd };
+    const [conflict, setConflict] = useState(null); // { mine, theirs, conflicts, merged, resolve } while the operator decides
+    const conflictRef = useRef(null);
+    const [sessionId, setSessionIdState] = useState(() => localStorage.getItem(SESSION_ID_KEY));
+    const sessionIdRef = useRef(sessionId);
+    const [online, setOnline] = useState(() => typeof navigator === 'undefined' || navigator.onLine !== false);
+    const [pending, setPending] = useState(0); // saves waiting in the outbox
+    const [saveError, setSaveError] = useState(null); // why the last save didn't go through
+    const replayRef = useRef(() => Promise.resolve(true));
 
     const getToken = () => localStorage.getItem('token');
 
-    const loadSession = useCallback(async () => {
+    const setSessionId = useCallback((id) => {
+        const value = id ? String(id) : null;
+        sessionIdRef.current = value;
+        if (base.current && String(base.current.id) !== value) base.current = null;
+        // A save waiting on a conflict dialog belongs to the session being left
+        if (conflictRef.current && String(conflictRef.current.id) !== value) {
+            conflictRef.current.resolve(conflictRef.current.theirs);
+            conflictRef.current = null;
+            setConflict(null);
+        }
+        if (value) localStorage.setItem(SESSION_ID_KEY, value);
+        else localStorage.removeItem(SESSION_ID_KEY);
+        setSessionIdState(value);
+    }, []);
+
+    const listSessions = useCallback(async () => {
         const token = getToken();
-        if (!token) return null;
+        if (!token) return [];
 
         try {
             const res = await fetch(`${API_URL}/api/session`, {
                 headers: { Authorization: `Bearer ${token}` }
             });
+            if (!res.ok) return [];
+            const data = await res.json();
+            return data.sessions || [];
+        } catch (err) {
+            console.warn('[SessionSync] listSessions failed:', err);
+            return [];
+        }
+    }, []);
+
+    const loadSession = useCallback(async (id = sessionIdRef.current) => {
+        const token = getToken();
+        if (!token || !id) return null;
+
+        try {
+            // Saves made offline go first, so the copy loaded includes them
+            await replayRef.current();
+            const res = await fetch(`${API_URL}/api/session/${id}`, {
+                headers: { Authorization: `Bearer ${token}` }
+            });
             if (!res.ok) return null;
             const data = await res.json();
+            if (data.session) base.current = { id: String(id), snapshot: data.session, revision: data.session.revision };
             return data.session || null;
         } catch (err) {
             console.warn('[SessionSync] loadSession failed:', err);
@@ -35,42 +133,399 @@ export function useSessionSync() {
         }
     }, []);
 
-    const saveSession = useCallback((snapshot) => {
-        // Debounce — cancel pending timer and restart
-        if (debounceTimer.current) clearTimeout(debounceTimer.current);
+    const createSession = useCallback(async (snapshot) => {
+        const token = getToken();
+        if (!token) return null;
 
-        debounceTimer.current = setTimeout(async () => {
-            const token = getToken();
-            if (!token) return;
+        try {
+            const res = await fetch(`${API_URL}/api/session`, {
+                method: 'POST',
+                headers: {
+                    Authorization: `Bearer ${token}`,
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(snapshot)
+            });
+            if (!res.ok) return null;
+            const data = await res.json();
+            setSessionId(data.id);
+            base.current = { id: String(data.id), snapshot, revision: data.revision || 0 };
+            discard('session:new');
+            console.log('[SessionSync] Session created:', data.id);
+            return String(data.id);
+        } catch (err) {
+            console.warn('[SessionSync] createSession failed:', err);
+            return null;
+        }
+    }, [setSessionId]);
 
-            try {
-                await fetch(`${API_URL}/api/session`, {
+    // Resolves true once the save is through (or no longer needed), false when it was queued
+    const sendSession = useCallback(async (snapshot) => {
+        const token = getToken();
+        if (!token) return true;
+
+        // First cloud save of a fresh session opens it
+        if (!sessionIdRef.current && creating.current) await creating.current;
+        if (!sessionIdRef.current) {
+            creating.current = createSession(snapshot);
+            const created = await creating.current;
+            creating.current = null;
+            if (created) return true;
+            // Started offline — opened once the connection is back
+            await enqueue({ key: 'session:new', kind: 'session', sessionId: null, snapshot });
+            return false;
+        }
+
+        const id = sessionIdRef.current;
+        let mine = snapshot;
+        // Kept for later (without the login token): the outbox sends it again with whatever login is current then
+        const queue = () => enqueue({
+            key: `session:${id}`,
+            kind: 'session',
+            sessionId: id,
+            snapshot: mine,
+            baseRevision: base.current?.revision ?? null,
+            baseSnapshot: base.current?.snapshot ?? null,
+            url: `${API_URL}/api/session/${id}`
+        });
+        // Shows the conflict dialog; resolves with the snapshot to save
+        const askOperator = (pending) => new Promise(resolve => {
+            conflictRef.current = { ...pending, resolve };
+            setConflict(conflictRef.current);
+        });
+        try {
+            for (let attempt = 0; attempt < MAX_SAVE_ATTEMPTS; attempt++) {
+                const seen = base.current;
+                // Nothing new since the server copy (e.g. it was just applied from another device)
+                if (seen && isUnchanged(diffSessions(seen.snapshot, mine))) return true;
+
+                const res = await fetch(`${API_URL}/api/session/${id}`, {
                     method: 'PUT',
                     headers: {
                         Authorization: `Bearer ${token}`,
                         'Content-Type': 'application/json'
                     },
-                    body: JSON.stringify(snapshot)
+                    body: JSON.stringify({ ...mine, baseRevision: seen?.revision, clientId: clientId.current })
                 });
+                if (sessionIdRef.current !== id) return true; // switched sessions while saving
+
+                if (res.status === 409) {
+                    // Another device saved first — merge onto its copy and try again
+                    const { session: theirs } = await res.json();
+                    const { merged, conflicts } = seen
+                        ? mergeSessions(seen.snapshot, mine, theirs)
+                        : { merged: theirs, conflicts: [] };
+                    base.current = { id, snapshot: theirs, revision: theirs.revision };
+                    console.log('[SessionSync] Merged with a save from another device:', conflicts.length, 'conflicts');
+                    // Changed on both devices — the operator picks, the save waits
+                    mine = conflicts.length ? await askOperator({ id, mine, theirs, merged, conflicts }) : merged;
+                    if (sessionIdRef.current !== id) return true;
+                    handlers.current.onRemoteChange?.(mine);
+                    continue;
+                }
+                if (res.status === 401) {
+                    await queue();
+                    setSaveError(SIGNED_OUT);
+                    return false;
+                }
+                if (res.status >= 500) throw new Error(`Server error ${res.status}`);
+                if (!res.ok) {
+                    setSaveError(await refusal(res));
+                    return true;
+                }
+
+                const data = await res.json();
+                base.current = { id, snapshot: mine, revision: data.revision };
+                discard(`session:${id}`);
+                setSaveError(null);
                 console.log('[SessionSync] Session saved to cloud.');
-            } catch (err) {
-                console.warn('[SessionSync] saveSession failed:', err);
+                return true;
             }
-        }, DEBOUNCE_MS);
-    }, []);
+            // Lost to other devices every time — kept until the next save or the next replay
+            await queue();
+            setSaveError('Another device kept saving this session at the same time. Your changes are kept on this device and go out with the next save.');
+            return false;
+        } catch (err) {
+            // Offline, or the server is down: keep the save until the connection is back
+            console.warn('[SessionSync] saveSession failed, queued for later:', err);
+            await queue();
+            return false;
+        }
+    }, [createSession]);
 
-    const clearSession = useCallback(async () => {
-        // Cancel any pending debounced save first
+    const resolveConflict = useCallback((choice, picks = {}) => {
+        if (!conflict) return;
+        const { mine, theirs, merged, conflicts, resolve } = conflict;
+        const all = (side) => Object.fromEntries(conflicts.map(c => [conflictKey(c), side]));
+        if (choice === 'theirs') resolve(theirs);
+        else resolve(resolveConflicts(merged, mine, conflicts, choice === 'mine' ? all('mine') : picks));
+        console.log('[SessionSync] Conflict resolved:', choice);
+        conflictRef.current = null;
+        setConflict(null);
+    }, [conflict]);
+
+    const putSession = useCallback((snapshot) => {
+        saving.current = saving.current.then(() => sendSession(snapshot));
+        return saving.current;
+    }, [sendSession]);
+
+    // Send a session save from the outbox; true once it is through
+    const replaySession = useCallback(async (entry) => {
+        if (!entry.sessionId) {
+            // Started offline; if this device has moved on to a saved session since, that one won
+            return sessionIdRef.current ? true : putSession(entry.snapshot);
+        }
+        if (String(entry.sessionId) === sessionIdRef.current) return putSession(entry.snapshot);
+
+        // A session this device has left since: its offline changes are merged onto the server
+        // copy like any other save; where both changed the same thing the server copy stays
+        let mine = entry.snapshot;
+        let seen = { snapshot: entry.baseSnapshot, revision: entry.baseRevision };
+        for (let attempt = 0; attempt < MAX_SAVE_ATTEMPTS; attempt++) {
+            const res = await fetch(entry.url, {
+                method: 'PUT',
+                headers: { Authorization: `Bearer ${getToken()}`, 'Content-Type': 'application/json' },
+                body: JSON.stringify({ ...mine, baseRevision: seen.revision ?? undefined, clientId: clientId.current })
+            });
+            if (res.status === 409) {
+                const { session: theirs } = await res.json();
+                const { merged, conflicts } = seen.snapshot
+                    ? mergeSessions(seen.snapshot, mine, theirs)
+                    : { merged: theirs, conflicts: [null] };
+                if (conflicts.length) {
+                    setSaveError(`Some changes made offline to "${theirs.tournamentName}" were also changed on another device — that device's version was kept.`);
+                }
+                if (isUnchanged(diffSessions(theirs, merged))) return true;
+                mine = merged;
+                seen = { snapshot: theirs, revision: theirs.revision };
+                continue;
+            }
+            if (res.status === 401) {
+                setSaveError(SIGNED_OUT);
+                return false;
+            }
+            if (res.status >= 500) return false;
+            if (!res.ok) setSaveError(await refusal(res));
+            return true;
+        }
+        return false;
+    }, [putSession]);
+
+    const replay = useCallback(() => {
+        if (!getToken()) return Promise.resolve(false);
+        return replayOutbox({ sendSession: replaySession, token: getToken() });
+    }, [replaySession]);
+    replayRef.current = replay;
+
+    // Outbox: replay on start-up, when the connection is back, and when the service worker asks
+    useEffect(() => {
+        const goOnline = () => {
+            setOnline(true);
+            replay();
+        };
+        const goOffline = () => setOnline(false);
+        const fromWorker = (e) => {
+            if (e.data?.type === 'outbox-replay') replay();
+        };
+        const unsubscribe = subscribe(setPending);
+        pendingCount().then(setPending);
+        replay();
+        window.addEventListener('online', goOnline);
+        window.addEventListener('offline', goOffline);
+        navigator.serviceWorker?.addEventListener('message', fromWorker);
+        return () => {
+            unsubscribe();
+            window.removeEventListener('online', goOnline);
+            window.removeEventListener('offline', goOffline);
+            navigator.serviceWorker?.removeEventListener('message', fromWorker);
+        };
+    }, [replay]);
+
+    const saveSession = useCallback((snapshot) => {
+        // Debounce — cancel pending timer and restart
+        if (debounceTimer.current) clearTimeout(debounceTimer.current);
+        pendingSnapshot.current = snapshot;
+
+        debounceTimer.current = setTimeout(() => {
+            debounceTimer.current = null;
+            // Read back: a save arriving on the live channel may have merged into it
+            const pending = pendingSnapshot.current;
+            pendingSnapshot.current = null;
+            putSession(pending);
+        }, liveSource.current ? LIVE_DEBOUNCE_MS : DEBOUNCE_MS);
+    }, [putSession]);
+
+    const flushSession = useCallback(async () => {
+        if (!debounceTimer.current) return;
+        clearTimeout(debounceTimer.current);
+        debounceTimer.current = null;
+        const snapshot = pendingSnapshot.current;
+        pendingSnapshot.current = null;
+        if (snapshot) await putSession(snapshot);
+    }, [putSession]);
+
+    // Drop a pending debounced save (its session is about to end or be discarded)
+    const cancelPendingSave = useCallback(() => {
         if (debounceTimer.current) {
             clearTimeout(debounceTimer.current);
             debounceTimer.current = null;
         }
+        pendingSnapshot.current = null;
+    }, []);
+
+    // Stop listening before this device ends the session itself
+    const closeLive = useCallback(() => {
+        if (liveSource.current) liveSource.current.close();
+        liveSource.current = null;
+    }, []);
+
+    // Live channel for the current session
+    useEffect(() => {
+        if (!sessionId || !getToken() || typeof EventSource === 'undefined') return;
 
+        let source = null;
+        let stopped = false;
+        let retry = null;
+        const onMessage = (e) => {
+            let event;
+            try {
+                event = JSON.parse(e.data);
+            } catch (err) {
+                return;
+            }
+
+            if (event.type === 'ended') {
+                closeLive();
+                cancelPendingSave();
+                setSessionId(null);
+                console.log('[SessionSync] Session ended on another device.');
+                handlers.current.onRemoteEnd?.();
+                return;
+            }
+
+            const theirs = event.session;
+            const seen = base.current;
+            if (!theirs || event.clientId === clientId.current) return;
+            // Left for the save waiting on the conflict dialog, which gets it as a 409
+            if (conflictRef.current) return;
+            if (seen && String(seen.id) === sessionId && theirs.revision <= seen.revision) return;
+
+            const pending = pendingSnapshot.current;
+            if (pending && seen) {
+                // A local change is waiting to be saved: fold the other device's save into it.
+                // Conflicting changes are left to the save, which gets the 409.
+                const { merged, conflicts } = mergeSessions(seen.snapshot, pending, theirs);
+                if (conflicts.length) return;
+                base.current = { id: sessionId, snapshot: theirs, revision: theirs.revision };
+                pendingSnapshot.current = merged;
+                handlers.current.onRemoteChange?.(merged);
+                return;
+            }
+            base.current = { id: sessionId, snapshot: theirs, revision: theirs.revision };
+            handlers.current.onRemoteChange?.(theirs);
+        };
+
+        // The channel opens with a one-minute stream token, not the login token (it goes in the URL).
+        // EventSource reconnects by itself after a dropped connection; once its token has expired
+        // the server refuses it and the stream closes, so a fresh token opens a new one.
+        const open = async () => {
+            const token = getToken();
+            if (stopped || !token) return;
+            try {
+                const res = await fetch(`${API_URL}/api/session/${sessionId}/stream-token`, {
+                    method: 'POST',
+                    headers: { Authorization: `Bearer ${token}` }
+                });
+                if (stopped) return;
+                if (res.status === 404) return; // ended — the next save finds out
+                if (!res.ok) throw new Error(`HTTP ${res.status}`);
+                const { token: streamToken } = await res.json();
+                if (stopped) return;
+                source = new EventSource(`${API_URL}/api/session/${sessionId}/events?token=${encodeURIComponent(streamToken)}`);
+                liveSource.current = source;
+                source.onmessage = onMessage;
+                source.onerror = () => {
+                    if (!stopped && source.readyState === EventSource.CLOSED) retry = setTimeout(open, LIVE_RETRY_MS);
+                };
+            } catch (err) {
+                console.warn('[SessionSync] Live channel unavailable, retrying:', err.message);
+                if (!stopped) retry = setTimeout(open, LIVE_RETRY_MS);
+            }
+        };
+        open();
+
+        return () => {
+            stopped = true;
+            clearTimeout(retry);
+            if (source) source.close();
+            if (liveSource.current === source) liveSource.current = null;
+        };
+    }, [sessionId, cancelPendingSave, closeLive, setSessionId]);
+
+    const endSession = useCallback(async (snapshot) => {
+        cancelPendingSave();
+        closeLive();
+
+        const token = getToken();
+        if (!token) return false;
+
+        try {
+            // Ended before its first autosave — open it so it can be archived
+            const id = sessionIdRef.current || await createSession(snapshot);
+            if (!id) return false;
+
+            const res = await fetch(`${API_URL}/api/session/${id}/end`, {
+                method: 'POST',
+                headers: {
+                    Authorization: `Bearer ${token}`,
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(snapshot)
+            });
+            if (!res.ok) return false;
+            setSessionId(null);
+            console.log('[SessionSync] Session archived.');
+            return true;
+        } catch (err) {
+            console.warn('[SessionSync] endSession failed:', err);
+            return false;
+        }
+    }, [cancelPendingSave, closeLive, createSession, setSessionId]);
+
+    // Token of one of the session's public links ('share' or 'checkin-link'), or null
+    const linkToken = useCallback(async (link) => {
         const token = getToken();
-        if (!token) return;
+        const id = sessionIdRef.current;
+        if (!token || !id) return null;
 
         try {
-            await fetch(`${API_URL}/api/session`, {
+            const res = await fetch(`${API_URL}/api/session/${id}/${link}`, {
+                method: 'POST',
+                headers: { Authorization: `Bearer ${token}` }
+            });
+            if (!res.ok) return null;
+            const data = await res.json();
+            return data.token;
+        } catch (err) {
+            console.warn(`[SessionSync] ${link} failed:`, err);
+            return null;
+        }
+    }, []);
+
+    const shareSession = useCallback(() => linkToken('share'), [linkToken]);
+    const checkInLink = useCallback(() => linkToken('checkin-link'), [linkToken]);
+
+    const clearSession = useCallback(async () => {
+        cancelPendingSave();
+        closeLive();
+
+        const token = getToken();
+        const id = sessionIdRef.current;
+        setSessionId(null);
+        if (!token || !id) return;
+
+        try {
+            await fetch(`${API_URL}/api/session/${id}`, {
                 method: 'DELETE',
                 headers: { Authorization: `Bearer ${token}` }
             });
@@ -78,7 +533,10 @@ export function useSessionSync() {
         } catch (err) {
             console.warn('[SessionSync] clearSession failed:', err);
         }
-    }, []);
+    }, [cancelPendingSave, closeLive, setSessionId]);
 
-    return { loadSession, saveSession, clearSession };
+    return {
+        sessionId, setSessionId, listSessions, loadSession, createSession, saveSession, flushSession, endSession, clearSession,
+        shareSession, checkInLink, conflict, resolveConflict, syncStatus: { online, pending, error: saveError }
+    };
 }
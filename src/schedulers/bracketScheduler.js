@@ -0,0 +1,358 @@
+/**
+ * bracketScheduler.js
+ * Fully self-contained scheduler for Single- and Double-Elimination brackets.
+ * ISOLATION RULE: Only imports from shared.js. Never imports from other schedulers.
+ * To apply a bug fix from here to another format, that must be a deliberate separate change.
+ *
+ * NOTE: the bracket is a plain object ({ matches: { [id]: match } }), NOT a class or Map,
+ * so it survives JSON.stringify/parse (localStorage / cloud session restore).
+ * Every public function returns a NEW bracket — callers keep the result in React state.
+ *
+ * Entrant slots hold an entrant id, null (not decided yet) or BYE (permanently empty).
+ * undefined is never used because JSON turns it into null inside arrays.
+ */
+
+import { uid } from './shared';
+
+export const BYE = '__bye__';
+
+export const BRACKET_FORMATS = {
+    single_elimination: 'Single Elimination',
+    double_elimination: 'Double Elimination',
+};
+
+/* ── Internal: deep copy (bracket is plain JSON) ── */
+const clone = (bracket) => JSON.parse(JSON.stringify(bracket));
+
+/* ── Internal: standard seed order, e.g. 8 → [1, 8, 4, 5, 2, 7, 3, 6] ── */
+const seedOrder = (size) => {
+    let order = [1];
+    while (order.length < size) {
+        const n = order.length * 2;
+        order = order.flatMap(seed => [seed, n + 1 - seed]);
+    }
+    return order;
+};
+
+const entrantRating = (p) => Number(p.avgRating ?? p.rating) || 0;
+const entrantLabel = (p) => (p.player1 && p.player2 ? `${p.player1.name} / ${p.player2.name}` : p.name);
+
+const roundTitle = (round, totalRounds) => {
+    const fromEnd = totalRounds - round;
+    if (fromEnd === 0) return 'Final';
+    if (fromEnd === 1) return 'Semifinals';
+    if (fromEnd === 2) return 'Quarterfinals';
+    return `Round ${round}`;
+};
+
+const makeMatch = (id, side, round, index, depth, label) => ({
+    id,
+    bracket: side,       // 'W' winners, 'L' losers, 'GF' grand final
+    round,
+    index,
+    depth,               // scheduling order — lower depth is played first
+    label,
+    entrant1Id: null,
+    entrant2Id: null,
+    winnerId: null,
+    loserId: null,
+    nextWin: null,       // { matchId, position }
+    nextLose: null,      // { matchId, position }
+    status: 'waiting',   // waiting | ready | completed | bye | skipped
+    scheduledMatchId: null,
+    score: null,
+});
+
+/* ── Internal: drop an entrant (or BYE) into the next match ── */
+const place = (bracket, target, entrantId) => {
+    if (!target) return;
+    const m = bracket.matches[target.matchId];
+    if (!m) return;
+    m[target.position === 1 ? 'entrant1Id' : 'entrant2Id'] = entrantId;
+};
+
+/* ── Internal: grand-final bookkeeping after GF1 / GF2 resolve ── */
+const resolveGrandFinal = (bracket, m) => {
+    if (m.id === 'GF1') {
+        const reset = bracket.matches.GF2;
+        if (m.winnerId === m.entrant1Id || m.entrant2Id === BYE) {
+            // Winners-bracket champion never lost — no reset needed
+            bracket.championId = m.winnerId;
+            if (reset) reset.status = 'skipped';
+        } else if (reset) {
+            reset.entrant1Id = m.entrant1Id;
+            reset.entrant2Id = m.entrant2Id;
+        }
+    } else if (m.id === 'GF2') {
+        bracket.championId = m.winnerId;
+    }
+};
+
+/* ── Internal: advance byes and mark playable matches until nothing changes ── */
+const settle = (bracket) => {
+    let changed = true;
+    while (changed) {
+        changed = false;
+        for (const m of Object.values(bracket.matches)) {
+            if (m.status !== 'waiting') continue;
+            const a = m.entrant1Id;
+            const b = m.entrant2Id;
+            if (a === null || b === null) continue;
+
+            if (a === BYE || b === BYE) {
+                m.status = 'bye';
+                m.winnerId = a === BYE ? b : a;
+                m.loserId = BYE;
+                place(bracket, m.nextWin, m.winnerId);
+                place(bracket, m.nextLose, BYE);
+                if (m.bracket === 'GF') resolveGrandFinal(bracket, m);
+                else if (!m.nextWin && m.winnerId !== BYE) bracket.championId = m.winnerId;
+            } else {
+                m.status = 'ready';
+            }
+            changed = true;
+        }
+    }
+    bracket.complete = bracket.championId !== null;
+    return bracket;
+};
+
+/* ── Internal: build the winners bracket (shared by both formats) ── */
+const buildWinnersBracket = (bracket, size, rounds) => {
+    for (let r = 1; r <= rounds; r++) {
+        const count = size / 2 ** r;
+        for (let i = 0; i < count; i++) {
+            const label = bracket.format === 'double_elimination'
+                ? `Winners ${roundTitle(r, rounds)}${count > 1 ? ` · M${i + 1}` : ''}`
+                : `${roundTitle(r, rounds)}${count > 1 ? ` · M${i + 1}` : ''}`;
+            bracket.matches[`W${r}-${i + 1}`] = makeMatch(`W${r}-${i + 1}`, 'W', r, i, r * 2 - 1, label);
+        }
+    }
+    for (let r = 1; r < rounds; r++) {
+        const count = size / 2 ** r;
+        for (let i = 0; i < count; i++) {
+            bracket.matches[`W${r}-${i + 1}`].nextWin = { matchId: `W${r + 1}-${Math.floor(i / 2) + 1}`, position: (i % 2) + 1 };
+        }
+    }
+};
+
+/* ── Internal: build losers bracket + grand final (double elimination only) ── */
+const buildLosersBracket = (bracket, size, rounds) => {
+    const loserRounds = 2 * (rounds - 1);
+    const winnersFinal = bracket.matches[`W${rounds}-1`];
+
+    bracket.matches.GF1 = makeMatch('GF1', 'GF', 1, 0, loserRounds + 2, 'Grand Final');
+    bracket.matches.GF2 = makeMatch('GF2', 'GF', 2, 0, loserRounds + 3, 'Grand Final (Reset)');
+    winnersFinal.nextWin = { matchId: 'GF1', position: 1 };
+
+    if (loserRounds === 0) {
+        // Two entrants: the loser of the only match goes straight to the grand final
+        winnersFinal.nextLose = { matchId: 'GF1', position: 2 };
+        return;
+    }
+
+    for (let j = 1; j <= loserRounds; j++) {
+        const count = size / 2 ** (Math.ceil(j / 2) + 1);
+        for (let i = 0; i < count; i++) {
+            const id = `L${j}-${i + 1}`;
+            const label = `Losers ${j === loserRounds ? 'Final' : `Round ${j}`}${count > 1 ? ` · M${i + 1}` : ''}`;
+            bracket.matches[id] = makeMatch(id, 'L', j, i, j + 1, label);
+        }
+    }
+
+    // Round 1 of the losers bracket: losers of winners round 1, paired in order
+    const w1Count = size / 2;
+    for (let i = 0; i < w1Count; i++) {
+        bracket.matches[`W1-${i + 1}`].nextLose = { matchId: `L1-${Math.floor(i / 2) + 1}`, position: (i % 2) + 1 };
+    }
+
+    for (let j = 1; j <= loserRounds; j++) {
+        const count = size / 2 ** (Math.ceil(j / 2) + 1);
+        for (let i = 0; i < count; i++) {
+            const m = bracket.matches[`L${j}-${i + 1}`];
+            if (j === loserRounds) {
+                m.nextWin = { matchId: 'GF1', position: 2 };
+            } else if (j % 2 === 1) {
+                // Odd round feeds a drop-in round with the same number of matches
+                m.nextWin = { matchId: `L${j + 1}-${i + 1}`, position: 1 };
+            } else {
+                m.nextWin = { matchId: `L${j + 1}-${Math.floor(i / 2) + 1}`, position: (i % 2) + 1 };
+            }
+        }
+        if (j % 2 === 0) {
+            // Drop-in round: losers of winners round (j/2 + 1) enter in reverse order
+            // to delay rematches from the winners bracket
+            const wRound = j / 2 + 1;
+            for (let i = 0; i < count; i++) {
+                bracket.matches[`W${wRound}-${i + 1}`].nextLose = { matchId: `L${j}-${count - i}`, position: 2 };
+            }
+        }
+    }
+};
+
+/* ══════════════════════════════════════════════════════════
+   PUBLIC API
+   ══════════════════════════════════════════════════════════ */
+
+/**
+ * createBracket
+ * Seeds teams (or singles players) into a power-of-two bracket. Top seeds receive
+ * byes when the field is not a power of two. seeding: 'rating' (avgRating / rating,
+ * highest first) or 'manual' (the order the participants were passed in).
+ */
+export const createBracket = (participants, { format = 'single_elimination', seeding = 'rating', kind = 'team' } = {}) => {
+    console.log(`\n=== [BRACKET SCHEDULER] CREATING ${format.toUpperCase()} BRACKET ===`);
+    if (!BRACKET_FORMATS[format]) throw new Error(`Unknown bracket format: ${format}`);
+    if (participants.length < 2) throw new Error('A bracket needs at least 2 teams or players.');
+
+    const ordered = seeding === 'rating'
+        ? [...participants].sort((a, b) => entrantRating(b) - entrantRating(a))
+        : [...participants];
+
+    const entrants = ordered.map((p, idx) => ({
+        id: p.id,
+        seed: idx + 1,
+        label: entrantLabel(p),
+        rating: entrantRating(p),
+        note: p.seedNote || null, // e.g. "A1" when seeded from pool play
+        kind,
+        source: p,
+    }));
+
+    let size = 2;
+    while (size < entrants.length) size *= 2;
+    const rounds = Math.log2(size);
+
+    const bracket = { format, seeding, kind, size, entrants, matches: {}, championId: null, complete: false };
+    buildWinnersBracket(bracket, size, rounds);
+    if (format === 'double_elimination') buildLosersBracket(bracket, size, rounds);
+
+    const order = seedOrder(size);
+    for (let i = 0; i < size / 2; i++) {
+        const m = bracket.matches[`W1-${i + 1}`];
+        const seedA = order[i * 2];
+        const seedB = order[i * 2 + 1];
+        m.entrant1Id = seedA <= entrants.length ? entrants[seedA - 1].id : BYE;
+        m.entrant2Id = seedB <= entrants.length ? entrants[seedB - 1].id : BYE;
+    }
+
+    console.log(`Entrants: ${entrants.length}, Bracket size: ${size}, Byes: ${size - entrants.length}`);
+    return settle(bracket);
+};
+
+/** Look up an entrant by id (returns undefined for BYE / undecided slots) */
+export const getBracketEntrant = (bracket, entrantId) =>
+    bracket?.entrants.find(e => e.id === entrantId);
+
+/** Matches whose two entrants are known and that are not on a court yet, in play order */
+export const getPlayableBracketMatches = (bracket) => {
+    if (!bracket) return [];
+    return Object.values(bracket.matches)
+        .filter(m => m.status === 'ready' && !m.scheduledMatchId)
+        .sort((a, b) => a.depth - b.depth || a.bracket.localeCompare(b.bracket) || a.index - b.index);
+};
+
+/** Record which court match is playing a bracket match */
+export const markBracketMatchScheduled = (bracket, bracketMatchId, matchId) => {
+    const next = clone(bracket);
+    if (next.matches[bracketMatchId]) next.matches[bracketMatchId].scheduledMatchId = matchId;
+    return next;
+};
+
+/** Release a bracket match (e.g. its court match was removed) so it can be placed again */
+export const unscheduleBracketMatch = (bracket, bracketMatchId) => {
+    const next = clone(bracket);
+    const m = next.matches[bracketMatchId];
+    if (m && m.status === 'ready') m.scheduledMatchId = null;
+    return next;
+};
+
+/**
+ * recordBracketResult
+ * winnerSide: 1 or 2 (entrant1 / entrant2). Advances the winner, drops the loser
+ * into the losers bracket (double elimination) and handles the grand-final reset.
+ */
+export const recordBracketResult = (bracket, bracketMatchId, winnerSide, score = null) => {
+    const next = clone(bracket);
+    const m = next.matches[bracketMatchId];
+    if (!m || m.status !== 'ready') return bracket;
+
+    m.winnerId = winnerSide === 1 ? m.entrant1Id : m.entrant2Id;
+    m.loserId = winnerSide === 1 ? m.entrant2Id : m.entrant1Id;
+    m.status = 'completed';
+    m.score = score;
+
+    console.log(`[BRACKET] ${m.label}: ${getBracketEntrant(next, m.winnerId)?.label} def. ${getBracketEntrant(next, m.loserId)?.label}`);
+
+    if (m.bracket === 'GF') {
+        resolveGrandFinal(next, m);
+    } else {
+        place(next, m.nextWin, m.winnerId);
+        place(next, m.nextLose, m.loserId);
+        if (!m.nextWin) next.championId = m.winnerId;
+    }
+
+    return settle(next);
+};
+
+/**
+ * buildBracketCourtMatch
+ * Turns a ready bracket match into a regular court match object (same shape the
+ * round-robin schedulers produce) tagged with bracketMatchId.
+ */
+export const buildBracketCourtMatch = (bracket, bracketMatchId, courtNumber, matchFormat = 'single_match') => {
+    const bm = bracket.matches[bracketMatchId];
+    const e1 = getBracketEntrant(bracket, bm.entrant1Id);
+    const e2 = getBracketEntrant(bracket, bm.entrant2Id);
+
+    const base = {
+        id: uid(),
+        court: courtNumber,
+        diff: Math.abs(e1.rating - e2.rating),
+        score1: '', score2: '',
+        game1Score1: '', game1Score2: '',
+        game2Score1: '', game2Score2: '',
+        game3Score1: '', game3Score2: '',
+        status: 'pending',
+        winner: null,
+        matchFormat,
+        startTime: new Date().toISOString(),
+        bracketMatchId,
+        bracketLabel: bm.label,
+    };
+
+    if (bracket.kind === 'player') {
+        return { ...base, player1: e1.source, player2: e2.source, gameFormat: 'singles' };
+    }
+
+    return {
+        ...base,
+        team1: [e1.source.player1, e1.source.player2],
+        team2: [e2.source.player1, e2.source.player2],
+        team1Id: e1.id,
+        team2Id: e2.id,
+        teamGender: e1.source.gender,
+        gameFormat: 'teamed_doubles',
+    };
+};
+
+/**
+ * getBracketColumns
+ * Groups matches into display columns: winners rounds, losers rounds, grand final.
+ */
+export const getBracketColumns = (bracket) => {
+    if (!bracket) return [];
+    const all = Object.values(bracket.matches);
+    const columns = [];
+    const add = (side, title) => {
+        const rounds = [...new Set(all.filter(m => m.bracket === side).map(m => m.round))].sort((a, b) => a - b);
+        rounds.forEach(round => {
+            const matches = all.filter(m => m.bracket === side && m.round === round).sort((a, b) => a.index - b.index);
+            columns.push({ key: `${side}${round}`, side, title: title(round, rounds.length, matches), matches });
+        });
+    };
+    add('W', (round, total) => (bracket.format === 'double_elimination' ? `Winners · ${roundTitle(round, total)}` : roundTitle(round, total)));
+    add('L', (round, total) => `Losers · ${round === total ? 'Final' : `Round ${round}`}`);
+    add('GF', (round) => (round === 1 ? 'Grand Final' : 'Reset'));
+    return columns.filter(col => !(col.side === 'GF' && col.matches.every(m => m.status === 'skipped')));
+};
@@ -0,0 +1,138 @@
+/**
+ * fullScheduleScheduler.js
+ * Fully self-contained scheduler for pre-generated "everyone plays everyone" round robins
+ * (teamed doubles or singles). Uses the circle (Berger) method to build all N-1 rounds
+ * up front, so every entrant meets every other entrant exactly once.
+ * ISOLATION RULE: Only imports from shared.js. Never imports from other schedulers.
+ * To apply a bug fix from here to another format, that must be a deliberate separate change.
+ *
+ * Odd fields get a bye slot each round. Rounds with more matches than courts are split
+ * into waves — each wave is played as one round on the Schedule tab.
+ */
+
+import { uid } from './shared';
+
+const entrantLabel = (p) => (p.player1 && p.player2 ? `${p.player1.name} / ${p.player2.name}` : p.name);
+const entrantRating = (p) => Number(p.avgRating ?? p.rating) || 0;
+
+/* ── Internal: Berger tables — last entrant fixed, the rest rotate one place per round ── */
+const bergerRounds = (ids) => {
+    const list = ids.length % 2 === 0 ? [...ids] : [...ids, null]; // null = bye
+    const n = list.length;
+    const fixed = list[n - 1];
+    let rotating = list.slice(0, n - 1);
+    const rounds = [];
+
+    for (let r = 0; r < n - 1; r++) {
+        // Alternate which side the fixed entrant is listed on so "home" is shared out
+        const pairs = [r % 2 === 0 ? [rotating[0], fixed] : [fixed, rotating[0]]];
+        for (let i = 1; i < n / 2; i++) {
+            pairs.push([rotating[i], rotating[n - 1 - i]]);
+        }
+        rounds.push({
+            pairs: pairs.filter(([a, b]) => a !== null && b !== null),
+            byes: pairs.filter(([a, b]) => a === null || b === null).map(([a, b]) => (a === null ? b : a)),
+        });
+        rotating = [rotating[n - 2], ...rotating.slice(0, n - 2)];
+    }
+    return rounds;
+};
+
+/* ── Internal: court match object in the same shape the round-by-round schedulers produce ── */
+const buildMatch = (e1, e2, court, kind, matchFormat) => {
+    const base = {
+        id: uid(),
+        court,
+        diff: Math.abs(entrantRating(e1) - entrantRating(e2)),
+        score1: '', score2: '',
+        game1Score1: '', game1Score2: '',
+        game2Score1: '', game2Score2: '',
+        game3Score1: '', game3Score2: '',
+        status: 'pending',
+        winner: null,
+        matchFormat,
+    };
+    if (kind === 'player') {
+        return { ...base, player1: e1, player2: e2, gameFormat: 'singles' };
+    }
+    return {
+        ...base,
+        team1: [e1.player1, e1.player2],
+        team2: [e2.player1, e2.player2],
+        team1Id: e1.id,
+        team2Id: e2.id,
+        teamGender: e1.gender === e2.gender ? e1.gender : 'mixed',
+        gameFormat: 'teamed_doubles',
+    };
+};
+
+/* ══════════════════════════════════════════════════════════
+   PUBLIC API
+   ══════════════════════════════════════════════════════════ */
+
+/**
+ * generateFullSchedule
+ * Builds every round of a complete round robin for the given teams / players
+ * (in the order given) and splits each round into waves of at most `courts` matches.
+ *
+ * Returns {
+ *   kind, courts, entrantCount, bergerRounds,
+ *   waves: [{ round, wave, waveCount, matches: [match], byes: [label] }]
+ * }
+ */
+export const generateFullSchedule = (participants, courts, { kind = 'team', matchFormat = 'single_match' } = {}) => {
+    console.log(`\n=== [FULL SCHEDULE] ${participants.length} ${kind === 'player' ? 'players' : 'teams'} on ${courts} courts ===`);
+    if (participants.length < 2) throw new Error(`Need at least 2 ${kind === 'player' ? 'players' : 'teams'} for a full schedule.`);
+    if (courts < 1) throw new Error('Need at least 1 court.');
+
+    const byId = {};
+    participants.forEach(p => { byId[p.id] = p; });
+
+    const waves = [];
+    const rounds = bergerRounds(participants.map(p => p.id));
+    rounds.forEach((round, rIdx) => {
+        const waveCount = Math.max(1, Math.ceil(round.pairs.length / courts));
+        for (let w = 0; w < waveCount; w++) {
+            const pairs = round.pairs.slice(w * courts, (w + 1) * courts);
+            waves.push({
+                round: rIdx + 1,
+                wave: w + 1,
+                waveCount,
+                matches: pairs.map(([a, b], idx) => buildMatch(byId[a], byId[b], idx + 1, kind, matchFormat)),
+                byes: round.byes.map(id => entrantLabel(byId[id])),
+            });
+        }
+        console.log(`Round ${rIdx + 1}: ${round.pairs.length} matches in ${waveCount} wave(s)${round.byes.length ? `, bye: ${round.byes.map(id => entrantLabel(byId[id])).join(', ')}` : ''}`);
+    });
+
+    return {
+        kind,
+        courts,
+        entrantCount: participants.length,
+        bergerRounds: rounds.length,
+        waves,
+    };
+};
+
+/**
+ * getScheduledWave
+ * Fresh copy of a pre-generated wave ready to go on court (new ids + start time,
+ * current match format), or null once every wave has been played.
+ */
+export const getScheduledWave = (fullSchedule, waveIndex, matchFormat) => {
+    const wave = fullSchedule?.waves[waveIndex];
+    if (!wave) return null;
+    const startTime = new Date().toISOString();
+    return wave.matches.map(m => ({
+        ...m,
+        id: uid(),
+        matchFormat: matchFormat || m.matchFormat,
+        startTime,
+        scheduleLabel: wave.waveCount > 1 ? `Rd ${wave.round} · Wave ${wave.wave}` : `Rd ${wave.round}`,
+    }));
+};
+
+/** Short "A / B" or "Name" label for one side of a scheduled match */
+export const scheduleSideLabel = (m, side) => (m.gameFormat === 'singles'
+    ? (side === 1 ? m.player1 : m.player2)?.name
+    : (side === 1 ? m.team1 : m.team2).map(p => p.name).join(' / '));
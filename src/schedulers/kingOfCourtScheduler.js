@@ -3,6 +3,10 @@
  * Fully self-contained scheduler for King of Court (individual players + teamed doubles variant).
  * ISOLATION RULE: Only imports from shared.js. Never imports from other schedulers.
  * To apply a bug fix from here to another format, that must be a deliberate separate change.
+ *
+ * Options (last argument of the round generators):
+ *   courtPoints – points per win by court level, King court first (e.g. [10, 6, 3]).
+ *                 Missing or blank levels fall back to 2 × levels-from-the-bottom.
  */
 
 import { uid, avg, separatePlayersBySkill } from './shared';
@@ -12,17 +16,29 @@ import { uid, avg, separatePlayersBySkill } from './shared';
    ════════════════════════════════════════════════════════════ */
 
 /** Points awarded based on court position in the hierarchy */
-const getCourtPoints = (courtIndexInHierarchy, courtsInHierarchy) =>
-    (courtsInHierarchy - courtIndexInHierarchy) * 2;
+const getCourtPoints = (courtIndexInHierarchy, courtsInHierarchy, courtPoints = null) => {
+    const configured = courtPoints?.[courtIndexInHierarchy];
+    if (configured !== undefined && configured !== null && configured !== '' && Number.isFinite(Number(configured))) {
+        return Number(configured);
+    }
+    return (courtsInHierarchy - courtIndexInHierarchy) * 2;
+};
 
-/** Find the best balanced team-split for a group of 4 players */
-const findBestTeamSplit = (group) => {
+/**
+ * Find the best balanced team-split for a group of 4 players.
+ * With lastPartners ({ [playerId]: partnerId }) splits that keep last round's partners
+ * together are skipped whenever another split is possible.
+ */
+const findBestTeamSplit = (group, lastPartners = null) => {
     const [p1, p2, p3, p4] = group;
-    const splits = [
+    const allSplits = [
         { team1: [p1, p2], team2: [p3, p4] },
         { team1: [p1, p3], team2: [p2, p4] },
         { team1: [p1, p4], team2: [p2, p3] },
     ];
+    const reunites = ({ team1, team2 }) => [team1, team2].some(([a, b]) => lastPartners?.[a.id] === b.id);
+    const fresh = allSplits.filter(split => !reunites(split));
+    const splits = fresh.length > 0 ? fresh : allSplits;
     return splits.reduce((best, split) => {
         const diff = Math.abs(avg(split.team1) - avg(split.team2));
         const bestDiff = Math.abs(avg(best.team1) - avg(best.team2));
@@ -30,6 +46,29 @@ const findBestTeamSplit = (group) => {
     });
 };
 
+/** Last round's partner of every player who played in it: { [playerId]: partnerId } */
+const getLastPartners = (previousRounds) => {
+    const partners = {};
+    const lastRound = previousRounds[previousRounds.length - 1] || [];
+    lastRound.forEach(match => {
+        [match.team1, match.team2].forEach(team => {
+            if (team?.length === 2) {
+                partners[team[0].id] = team[1].id;
+                partners[team[1].id] = team[0].id;
+            }
+        });
+    });
+    return partners;
+};
+
+/* ════════════════════════════════════════════════════════════
+   PUBLIC API — COURT POINTS
+   ════════════════════════════════════════════════════════════ */
+
+/** Points per win for each court level of a hierarchy, King court first */
+export const getCourtPointsTable = (courtsInHierarchy, courtPoints = null) =>
+    Array.from({ length: courtsInHierarchy }, (_, idx) => getCourtPoints(idx, courtsInHierarchy, courtPoints));
+
 /* ════════════════════════════════════════════════════════════
    INDIVIDUAL KOT — STATS
    ════════════════════════════════════════════════════════════ */
@@ -183,7 +222,7 @@ const assignPlayersToCourts = (groupPlayers, kotStats, previousRounds, roundInde
    INDIVIDUAL KOT — MATCH GENERATION
    ════════════════════════════════════════════════════════════ */
 
-const generateKOTMatchesForGroup = (groupPlayers, kotStats, numCourts, startingCourtIndex, roundIndex, previousRounds, groupLabel, courtsInHierarchy) => {
+const generateKOTMatchesForGroup = (groupPlayers, kotStats, numCourts, startingCourtIndex, roundIndex, previousRounds, groupLabel, courtsInHierarchy, courtPoints = null) => {
     const matches = [];
     const actualCourts = Math.min(numCourts, Math.floor(groupPlayers.length / 4));
     const maxPlayersThisRound = actualCourts * 4;
@@ -206,12 +245,15 @@ const generateKOTMatchesForGroup = (groupPlayers, kotStats, numCourts, startingC
         playerPool = assignPlayersToCourts(playersToAssign, kotStats, previousRounds, roundIndex, actualCourts, startingCourtIndex);
     }
 
+    // Winners moving up and losers moving down arrive in pairs — split them so partners rotate
+    const lastPartners = roundIndex > 0 ? getLastPartners(previousRounds) : null;
+
     for (let courtIdx = 0; courtIdx < actualCourts; courtIdx++) {
         const courtNumber = startingCourtIndex + courtIdx;
         const playersForCourt = playerPool.slice(courtIdx * 4, (courtIdx + 1) * 4);
         if (playersForCourt.length < 4) break;
 
-        const teamSplit = findBestTeamSplit(playersForCourt);
+        const teamSplit = findBestTeamSplit(playersForCourt, lastPartners);
         playersForCourt.forEach(p => {
             if (kotStats[p.id]) {
                 kotStats[p.id].currentCourt = courtNumber;
@@ -221,8 +263,8 @@ const generateKOTMatchesForGroup = (groupPlayers, kotStats, numCourts, startingC
             }
         });
 
-        const courtPoints = getCourtPoints(courtIdx, courtsInHierarchy);
-        console.log(`  Court ${courtNumber} (index ${courtIdx} in hierarchy): ${courtPoints} pts/win`);
+        const pointsForWin = getCourtPoints(courtIdx, courtsInHierarchy, courtPoints);
+        console.log(`  Court ${courtNumber} (index ${courtIdx} in hierarchy): ${pointsForWin} pts/win`);
 
         matches.push({
             id: uid(),
@@ -238,9 +280,10 @@ const generateKOTMatchesForGroup = (groupPlayers, kotStats, numCourts, startingC
             status: 'pending',
             winner: null,
             skillLevel: groupLabel,
-            pointsForWin: courtPoints,
+            pointsForWin,
             gameFormat: 'doubles',
             matchFormat: 'single_match',
+            startTime: new Date().toISOString(),
         });
     }
 
@@ -256,7 +299,7 @@ const generateKOTMatchesForGroup = (groupPlayers, kotStats, numCourts, startingC
    PUBLIC API — INDIVIDUAL KOT
    ════════════════════════════════════════════════════════════ */
 
-export const generateKingOfCourtRound = (presentPlayers, courts, kotStats, currentRoundIndex, previousRounds, separateBySkill) => {
+export const generateKingOfCourtRound = (presentPlayers, courts, kotStats, currentRoundIndex, previousRounds, separateBySkill, { courtPoints = null } = {}) => {
     console.log(`\n=== [KOT SCHEDULER] GENERATING INDIVIDUAL ROUND ${currentRoundIndex + 1} ===`);
 
     const updatedStats = initializeKingOfCourtStats(kotStats, presentPlayers);
@@ -274,7 +317,7 @@ export const generateKingOfCourtRound = (presentPlayers, courts, kotStats, curre
 
             if (actualCourts > 0) {
                 console.log(`\n${skillGroup.label}: ${skillGroup.players.length} players, ${actualCourts} courts (starting at Court ${globalCourtIndex})`);
-                const groupMatches = generateKOTMatchesForGroup(skillGroup.players, updatedStats, actualCourts, globalCourtIndex, currentRoundIndex, previousRounds, skillGroup.label, actualCourts);
+                const groupMatches = generateKOTMatchesForGroup(skillGroup.players, updatedStats, actualCourts, globalCourtIndex, currentRoundIndex, previousRounds, skillGroup.label, actualCourts, courtPoints);
                 matches.push(...groupMatches);
                 globalCourtIndex += groupMatches.length;
 
@@ -295,12 +338,12 @@ export const generateKingOfCourtRound = (presentPlayers, courts, kotStats, curre
         if (remainingCourts > 0 && allLeftovers.length >= 4) {
             const overflowCourts = Math.min(Math.floor(allLeftovers.length / 4), remainingCourts);
             if (overflowCourts > 0) {
-                const overflowMatches = generateKOTMatchesForGroup(allLeftovers, updatedStats, overflowCourts, globalCourtIndex, currentRoundIndex, previousRounds, 'Mixed (Overflow)', overflowCourts);
+                const overflowMatches = generateKOTMatchesForGroup(allLeftovers, updatedStats, overflowCourts, globalCourtIndex, currentRoundIndex, previousRounds, 'Mixed (Overflow)', overflowCourts, courtPoints);
                 matches.push(...overflowMatches);
             }
         }
     } else {
-        const groupMatches = generateKOTMatchesForGroup(presentPlayers, updatedStats, courts, 1, currentRoundIndex, previousRounds, 'Mixed', courts);
+        const groupMatches = generateKOTMatchesForGroup(presentPlayers, updatedStats, courts, 1, currentRoundIndex, previousRounds, 'Mixed', courts, courtPoints);
         matches.push(...groupMatches);
     }
 
@@ -447,7 +490,7 @@ const assignTeamsToCourts = (groupTeams, kotTeamStats, previousRounds, roundInde
    KOT TEAMED DOUBLES — MATCH GENERATION
    ════════════════════════════════════════════════════════════ */
 
-const generateKOTMatchesForTeamGroup = (groupTeams, kotTeamStats, numCourts, startingCourtIndex, roundIndex, previousRounds, groupLabel, courtsInHierarchy) => {
+const generateKOTMatchesForTeamGroup = (groupTeams, kotTeamStats, numCourts, startingCourtIndex, roundIndex, previousRounds, groupLabel, courtsInHierarchy, courtPoints = null) => {
     const matches = [];
     const actualCourts = Math.min(numCourts, Math.floor(groupTeams.length / 2));
     const maxTeamsThisRound = actualCourts * 2;
@@ -484,8 +527,8 @@ const generateKOTMatchesForTeamGroup = (groupTeams, kotTeamStats, numCourts, sta
             }
         });
 
-        const courtPoints = getCourtPoints(courtIdx, courtsInHierarchy);
-        console.log(`  Court ${courtNumber} (index ${courtIdx} in hierarchy): ${courtPoints} pts/win`);
+        const pointsForWin = getCourtPoints(courtIdx, courtsInHierarchy, courtPoints);
+        console.log(`  Court ${courtNumber} (index ${courtIdx} in hierarchy): ${pointsForWin} pts/win`);
 
         matches.push({
             id: uid(),
@@ -505,7 +548,8 @@ const generateKOTMatchesForTeamGroup = (groupTeams, kotTeamStats, numCourts, sta
             winner: null,
             gameFormat: 'teamed_doubles',
             matchFormat: 'single_match',
-            pointsForWin: courtPoints,
+            skillLevel: groupLabel,
+            pointsForWin,
             startTime: new Date().toISOString(),
         });
     }
@@ -522,7 +566,7 @@ const generateKOTMatchesForTeamGroup = (groupTeams, kotTeamStats, numCourts, sta
    PUBLIC API — KOT TEAMED DOUBLES
    ════════════════════════════════════════════════════════════ */
 
-export const generateKingOfCourtTeamedRound = (presentTeams, courts, kotTeamStats, currentRoundIndex, previousRounds, separateBySkill) => {
+export const generateKingOfCourtTeamedRound = (presentTeams, courts, kotTeamStats, currentRoundIndex, previousRounds, separateBySkill, { courtPoints = null } = {}) => {
     console.log(`\n=== [KOT SCHEDULER] GENERATING TEAMED ROUND ${currentRoundIndex + 1} ===`);
 
     const updatedStats = initializeKingOfCourtTeamStats(kotTeamStats, presentTeams);
@@ -542,14 +586,14 @@ export const generateKingOfCourtTeamedRound = (presentTeams, courts, kotTeamStat
                 const actualCourts = Math.min(groupCourts, courts - globalCourtIndex + 1);
                 if (actualCourts > 0) {
                     console.log(`\n${label}: ${teams.length} teams, ${actualCourts} courts (starting at Court ${globalCourtIndex})`);
-                    const groupMatches = generateKOTMatchesForTeamGroup(teams, updatedStats, actualCourts, globalCourtIndex, currentRoundIndex, previousRounds, label, actualCourts);
+                    const groupMatches = generateKOTMatchesForTeamGroup(teams, updatedStats, actualCourts, globalCourtIndex, currentRoundIndex, previousRounds, label, actualCourts, courtPoints);
                     matches.push(...groupMatches);
                     globalCourtIndex += groupMatches.length;
                 }
             }
         });
     } else {
-        const groupMatches = generateKOTMatchesForTeamGroup(presentTeams, updatedStats, courts, 1, currentRoundIndex, previousRounds, 'All Teams', courts);
+        const groupMatches = generateKOTMatchesForTeamGroup(presentTeams, updatedStats, courts, 1, currentRoundIndex, previousRounds, 'All Teams', courts, courtPoints);
         matches.push(...groupMatches);
     }
 
@@ -0,0 +1,265 @@
+/**
+ * poolPlayScheduler.js
+ * Fully self-contained scheduler for the pool stage of "Pools → Playoffs" events.
+ * Teams (teamed doubles) or players (singles) are snake-seeded into pools and every
+ * pool plays a complete round robin. Playoff seeding is handed back to the caller
+ * as an ordered list, which the component feeds into the bracket scheduler.
+ * ISOLATION RULE: Only imports from shared.js. Never imports from other schedulers.
+ * To apply a bug fix from here to another format, that must be a deliberate separate change.
+ *
+ * NOTE: pool state is a plain object so it survives JSON.stringify/parse.
+ * Every public function returns a NEW object — callers keep the result in React state.
+ * Standings are always derived from the completed matches in `rounds`, never stored.
+ */
+
+import { uid, matchPoints } from './shared';
+
+const POOL_NAMES = 'ABCDEFGHIJKLMNOP';
+
+/* ── Internal: deep copy (pool state is plain JSON) ── */
+const clone = (poolPlay) => JSON.parse(JSON.stringify(poolPlay));
+
+const entrantRating = (p) => Number(p.avgRating ?? p.rating) || 0;
+const entrantLabel = (p) => (p.player1 && p.player2 ? `${p.player1.name} / ${p.player2.name}` : p.name);
+
+/* ── Internal: circle method — every entrant meets every other entrant once ── */
+const circleRounds = (ids) => {
+    const list = ids.length % 2 === 0 ? [...ids] : [...ids, null]; // null = bye
+    const n = list.length;
+    const rounds = [];
+    for (let r = 0; r < n - 1; r++) {
+        const pairs = [];
+        for (let i = 0; i < n / 2; i++) {
+            const a = list[i];
+            const b = list[n - 1 - i];
+            if (a !== null && b !== null) pairs.push(r % 2 === 0 ? [a, b] : [b, a]);
+        }
+        rounds.push(pairs);
+        // Keep the first entrant fixed, rotate the rest clockwise
+        list.splice(1, 0, list.pop());
+    }
+    return rounds;
+};
+
+const sideIds = (m) => (m.gameFormat === 'singles'
+    ? [m.player1?.id, m.player2?.id]
+    : [m.team1Id, m.team2Id]);
+
+/* ══════════════════════════════════════════════════════════
+   PUBLIC API
+   ══════════════════════════════════════════════════════════ */
+
+/**
+ * createPoolPlay
+ * Snake-seeds participants into numPools pools by rating (1→A, 2→B, … then back)
+ * and builds the full round-robin match list for every pool.
+ * kind: 'team' (teamed doubles) or 'player' (singles).
+ */
+export const createPoolPlay = (participants, { numPools = 2, kind = 'team' } = {}) => {
+    console.log(`\n=== [POOL PLAY SCHEDULER] ${participants.length} entrants into ${numPools} pools ===`);
+    if (numPools < 1) throw new Error('Choose at least 1 pool.');
+    if (participants.length < numPools * 2) {
+        throw new Error(`Need at least ${numPools * 2} ${kind === 'player' ? 'players' : 'teams'} for ${numPools} pools (2 per pool).`);
+    }
+
+    const seeded = [...participants].sort((a, b) => entrantRating(b) - entrantRating(a));
+    const pools = Array.from({ length: numPools }, (_, i) => ({
+        id: POOL_NAMES[i],
+        name: `Pool ${POOL_NAMES[i]}`,
+        entrants: [],
+    }));
+
+    seeded.forEach((p, idx) => {
+        const lap = Math.floor(idx / numPools);
+        const pos = idx % numPools;
+        const poolIdx = lap % 2 === 0 ? pos : numPools - 1 - pos;
+        pools[poolIdx].entrants.push({
+            id: p.id,
+            seed: idx + 1,
+            label: entrantLabel(p),
+            rating: entrantRating(p),
+            source: p,
+        });
+    });
+
+    const matches = [];
+    pools.forEach(pool => {
+        circleRounds(pool.entrants.map(e => e.id)).forEach((pairs, roundIdx) => {
+            pairs.forEach(([a, b]) => {
+                matches.push({
+                    id: `${pool.id}${roundIdx + 1}-${matches.filter(m => m.poolId === pool.id && m.round === roundIdx + 1).length + 1}`,
+                    poolId: pool.id,
+                    round: roundIdx + 1,
+                    entrant1Id: a,
+                    entrant2Id: b,
+                    scheduledMatchId: null,
+                });
+            });
+        });
+        console.log(`${pool.name}: ${pool.entrants.map(e => e.label).join(', ')}`);
+    });
+
+    return { kind, pools, matches };
+};
+
+/** Look up a pool entrant (and its pool) by id */
+export const getPoolEntrant = (poolPlay, entrantId) => {
+    for (const pool of poolPlay?.pools || []) {
+        const entrant = pool.entrants.find(e => e.id === entrantId);
+        if (entrant) return { ...entrant, poolId: pool.id };
+    }
+    return undefined;
+};
+
+/**
+ * getNextPoolMatches
+ * Next unscheduled pool matches in round order, skipping any match where an entrant
+ * is already on a court (busyIds) or already picked for an earlier court this call.
+ */
+export const getNextPoolMatches = (poolPlay, count, busyIds = new Set()) => {
+    if (!poolPlay || count <= 0) return [];
+    const busy = new Set(busyIds);
+    const picked = [];
+    const pending = poolPlay.matches
+        .filter(m => !m.scheduledMatchId)
+        .sort((a, b) => a.round - b.round || a.poolId.localeCompare(b.poolId));
+    for (const m of pending) {
+        if (picked.length >= count) break;
+        if (busy.has(m.entrant1Id) || busy.has(m.entrant2Id)) continue;
+        picked.push(m);
+        busy.add(m.entrant1Id);
+        busy.add(m.entrant2Id);
+    }
+    return picked;
+};
+
+/** Record which court match is playing a pool match */
+export const markPoolMatchScheduled = (poolPlay, poolMatchId, matchId) => {
+    const next = clone(poolPlay);
+    const m = next.matches.find(pm => pm.id === poolMatchId);
+    if (m) m.scheduledMatchId = matchId;
+    return next;
+};
+
+/** Release a pool match (its court match was removed) so it can be placed again */
+export const unschedulePoolMatch = (poolPlay, poolMatchId) => {
+    const next = clone(poolPlay);
+    const m = next.matches.find(pm => pm.id === poolMatchId);
+    if (m) m.scheduledMatchId = null;
+    return next;
+};
+
+/**
+ * buildPoolCourtMatch
+ * Turns a pool match into a regular court match object tagged with poolMatchId / poolId.
+ */
+export const buildPoolCourtMatch = (poolPlay, poolMatchId, courtNumber, matchFormat = 'single_match') => {
+    const pm = poolPlay.matches.find(m => m.id === poolMatchId);
+    const e1 = getPoolEntrant(poolPlay, pm.entrant1Id);
+    const e2 = getPoolEntrant(poolPlay, pm.entrant2Id);
+    const pool = poolPlay.pools.find(p => p.id === pm.poolId);
+
+    const base = {
+        id: uid(),
+        court: courtNumber,
+        diff: Math.abs(e1.rating - e2.rating),
+        score1: '', score2: '',
+        game1Score1: '', game1Score2: '',
+        game2Score1: '', game2Score2: '',
+        game3Score1: '', game3Score2: '',
+        status: 'pending',
+        winner: null,
+        matchFormat,
+        startTime: new Date().toISOString(),
+        poolId: pm.poolId,
+        poolMatchId,
+        poolLabel: `${pool.name} · Rd ${pm.round}`,
+    };
+
+    if (poolPlay.kind === 'player') {
+        return { ...base, player1: e1.source, player2: e2.source, gameFormat: 'singles' };
+    }
+
+    return {
+        ...base,
+        team1: [e1.source.player1, e1.source.player2],
+        team2: [e2.source.player1, e2.source.player2],
+        team1Id: e1.id,
+        team2Id: e2.id,
+        teamGender: e1.source.gender,
+        gameFormat: 'teamed_doubles',
+    };
+};
+
+/**
+ * getPoolStandings
+ * Per-pool standings from completed pool matches in rounds.
+ * Ranked by wins, then point differential, then points for, then seed.
+ * Returns [{ pool, rows: [{ entrant, played, wins, losses, pointsFor, pointsAgainst, diff }] }]
+ */
+export const getPoolStandings = (poolPlay, rounds) => {
+    if (!poolPlay) return [];
+    const rows = {};
+    poolPlay.pools.forEach(pool => pool.entrants.forEach(e => {
+        rows[e.id] = { entrant: e, played: 0, wins: 0, losses: 0, pointsFor: 0, pointsAgainst: 0, diff: 0 };
+    }));
+
+    rounds.forEach(round => round.forEach(m => {
+        if (!m.poolMatchId || m.status !== 'completed' || !m.winner) return;
+        const [id1, id2] = sideIds(m);
+        const [p1, p2] = matchPoints(m);
+        const r1 = rows[id1];
+        const r2 = rows[id2];
+        if (!r1 || !r2) return;
+        r1.played++; r2.played++;
+        r1.pointsFor += p1; r1.pointsAgainst += p2;
+        r2.pointsFor += p2; r2.pointsAgainst += p1;
+        if (m.winner === 'team1') { r1.wins++; r2.losses++; } else { r2.wins++; r1.losses++; }
+    }));
+
+    return poolPlay.pools.map(pool => ({
+        pool,
+        rows: pool.entrants
+            .map(e => {
+                const r = rows[e.id];
+                return { ...r, diff: r.pointsFor - r.pointsAgainst };
+            })
+            .sort((a, b) => b.wins - a.wins || b.diff - a.diff || b.pointsFor - a.pointsFor || a.entrant.seed - b.entrant.seed),
+    }));
+};
+
+/** True once every pool match has been played to a result */
+export const isPoolPlayComplete = (poolPlay, rounds) => {
+    if (!poolPlay) return false;
+    const done = new Set();
+    rounds.forEach(round => round.forEach(m => {
+        if (m.poolMatchId && m.status === 'completed' && m.winner) done.add(m.poolMatchId);
+    }));
+    return poolPlay.matches.every(m => done.has(m.id));
+};
+
+/**
+ * getPoolQualifiers
+ * Top `advancePerPool` from each pool, ordered for crossover seeding:
+ * every pool winner first (best record first), then every runner-up in the same
+ * pool order, and so on. With standard bracket seeding this pairs A1 v B2, B1 v A2.
+ * Each qualifier is the original team/player with a seedNote like "A1".
+ */
+export const getPoolQualifiers = (poolPlay, rounds, advancePerPool = 2) => {
+    const standings = getPoolStandings(poolPlay, rounds);
+    const winners = standings
+        .map(s => ({ poolId: s.pool.id, row: s.rows[0] }))
+        .filter(w => w.row)
+        .sort((a, b) => b.row.wins - a.row.wins || b.row.diff - a.row.diff || b.row.pointsFor - a.row.pointsFor);
+    const poolOrder = winners.map(w => w.poolId);
+
+    const qualifiers = [];
+    for (let place = 0; place < advancePerPool; place++) {
+        poolOrder.forEach(poolId => {
+            const row = standings.find(s => s.pool.id === poolId).rows[place];
+            if (row) qualifiers.push({ ...row.entrant.source, seedNote: `${poolId}${place + 1}` });
+        });
+    }
+    console.log(`[POOL PLAY] Qualifiers: ${qualifiers.map(q => `${q.seedNote} ${entrantLabel(q)}`).join(', ')}`);
+    return qualifiers;
+};
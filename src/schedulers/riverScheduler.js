@@ -0,0 +1,148 @@
+/**
+ * riverScheduler.js
+ * Fully self-contained scheduler for "Up and Down the River" doubles.
+ * ISOLATION RULE: Only imports from shared.js. Never imports from other schedulers.
+ * To apply a bug fix from here to another format, that must be a deliberate separate change.
+ *
+ * Unlike King of Court there are no court points — only position on the ladder.
+ * After every round each court's winners move up one court and its losers move
+ * down one (top-court winners and bottom-court losers stay put). The two players
+ * who arrive together on a court are always split up, so nobody keeps a partner.
+ *
+ * Everything is deterministic: the same completed round and the same present
+ * players always produce the same next round.
+ */
+
+import { uid, avg } from './shared';
+
+/* ════════════════════════════════════════════════════════════
+   INTERNAL HELPERS
+   ════════════════════════════════════════════════════════════ */
+
+const byRating = (a, b) => (b.rating || 0) - (a.rating || 0) || String(a.name).localeCompare(String(b.name));
+
+const playerIdsOf = (match) => [...(match.team1 || []), ...(match.team2 || [])].map(p => p.id);
+
+/**
+ * Split a court's four players so that the pair who arrived together
+ * ([a1, a2] and [b1, b2]) never partner. Picks the more balanced of the two
+ * possible splits; ties keep the first.
+ */
+const splitArrivals = ([a1, a2, b1, b2]) => {
+    const options = [
+        { team1: [a1, b1], team2: [a2, b2] },
+        { team1: [a1, b2], team2: [a2, b1] },
+    ];
+    const diff = ({ team1, team2 }) => Math.abs(avg(team1) - avg(team2));
+    return diff(options[1]) < diff(options[0]) ? options[1] : options[0];
+};
+
+/**
+ * Ladder order after the movement: top court first, and on each court the pair
+ * coming down (or staying on top) ahead of the pair coming up (or staying at the bottom).
+ * Bottom-court losers therefore sit at the very end — they are first to step off
+ * when waiting players need a court.
+ */
+const moveAlongRiver = (lastRound) => {
+    const ladder = [...lastRound].sort((a, b) => a.court - b.court);
+    const winnersOf = (m) => (m.winner === 'team1' ? m.team1 : m.team2);
+    const losersOf = (m) => (m.winner === 'team1' ? m.team2 : m.team1);
+    const n = ladder.length;
+
+    if (n === 1) return [...winnersOf(ladder[0]), ...losersOf(ladder[0])];
+
+    const order = [];
+    ladder.forEach((_, idx) => {
+        if (idx === 0) {
+            order.push(...winnersOf(ladder[0]), ...winnersOf(ladder[1]));
+        } else if (idx === n - 1) {
+            order.push(...losersOf(ladder[n - 2]), ...losersOf(ladder[n - 1]));
+        } else {
+            order.push(...losersOf(ladder[idx - 1]), ...winnersOf(ladder[idx + 1]));
+        }
+    });
+    return order;
+};
+
+/** Rounds each player has sat out so far: { [playerId]: count } */
+const countSitOuts = (players, previousRounds) => {
+    const counts = {};
+    players.forEach(p => { counts[p.id] = 0; });
+    previousRounds.forEach(round => {
+        const played = new Set(round.flatMap(playerIdsOf));
+        players.forEach(p => { if (!played.has(p.id)) counts[p.id] += 1; });
+    });
+    return counts;
+};
+
+/* ════════════════════════════════════════════════════════════
+   PUBLIC API
+   ════════════════════════════════════════════════════════════ */
+
+/**
+ * Next round of Up and Down the River.
+ *
+ * Round 1 seeds the ladder by rating (strongest on court 1). Later rounds take
+ * the last round in previousRounds, move winners up and losers down, and refill
+ * courts top to bottom. Players who sat out (or just arrived) come in on the
+ * bottom court, longest-waiting first, replacing the bottom-court losers.
+ *
+ * @param {Array}  presentPlayers – players checked in right now
+ * @param {number} courts         – courts available
+ * @param {Array}  previousRounds – rounds played so far (last one must be finished)
+ * @returns {Array} matches, court 1 = top of the river
+ */
+export const generateRiverRound = (presentPlayers, courts, previousRounds = []) => {
+    const present = new Map(presentPlayers.map(p => [p.id, p]));
+    const courtsToFill = Math.min(courts, Math.floor(presentPlayers.length / 4));
+    if (courtsToFill < 1) return [];
+    const slots = courtsToFill * 4;
+
+    const lastRound = (previousRounds[previousRounds.length - 1] || []).filter(m => m.status !== 'removed');
+    if (lastRound.some(m => m.status !== 'completed' || !m.winner)) {
+        throw new Error('Finish every court before moving players up and down the river.');
+    }
+
+    // Stayers: last round's players in their new ladder order, minus anyone who left
+    const stayers = moveAlongRiver(lastRound)
+        .filter(p => present.has(p.id))
+        .map(p => present.get(p.id));
+    const onLadder = new Set(stayers.map(p => p.id));
+
+    // Waiting: everyone else present, longest-waiting first, then strongest
+    const sitOuts = countSitOuts(presentPlayers, previousRounds);
+    const waiting = presentPlayers
+        .filter(p => !onLadder.has(p.id))
+        .sort((a, b) => sitOuts[b.id] - sitOuts[a.id] || byRating(a, b));
+
+    // Waiting players get in first; the bottom of the ladder steps off to make room
+    const stepOff = Math.max(0, stayers.length + Math.min(waiting.length, slots) - slots);
+    const playing = [
+        ...stayers.slice(0, stayers.length - stepOff),
+        ...waiting,
+    ].slice(0, slots);
+
+    const matches = [];
+    for (let courtIdx = 0; courtIdx < courtsToFill; courtIdx++) {
+        const { team1, team2 } = splitArrivals(playing.slice(courtIdx * 4, courtIdx * 4 + 4));
+        matches.push({
+            id: uid(),
+            court: courtIdx + 1,
+            team1,
+            team2,
+            diff: Math.abs(avg(team1) - avg(team2)),
+            score1: '', score2: '',
+            game1Score1: '', game1Score2: '',
+            game2Score1: '', game2Score2: '',
+            game3Score1: '', game3Score2: '',
+            status: 'pending',
+            winner: null,
+            gameFormat: 'doubles',
+            matchFormat: 'single_match',
+            startTime: new Date().toISOString(),
+        });
+    }
+
+    console.log(`[River] Round ${previousRounds.length + 1}: ${matches.length} court(s), ${playing.length} playing, ${presentPlayers.length - playing.length} waiting`);
+    return matches;
+};
@@ -0,0 +1,399 @@
+/**
+ * rotatingPartnerScheduler.js
+ * Fully self-contained scheduler for "individual round robin" doubles (social mixer / whist):
+ * every player partners every other player exactly once, and opponents are spread as evenly
+ * as the search can manage (a perfect whist table has everyone opposing everyone exactly twice).
+ * ISOLATION RULE: Only imports from shared.js. Never imports from other schedulers.
+ * To apply a bug fix from here to another format, that must be a deliberate separate change.
+ *
+ * How it works: perfect tables are cyclic — one starting round whose partner and opponent
+ * differences are balanced, shifted round by round. Starting rounds for 4–28 players are built in
+ * (9 players uses the Z3×Z3 table, since no cyclic one exists), primes of the form 4k+1 use the
+ * primitive-root construction, and other counts get a short backtracking search. Failing that,
+ * partnerships come from a 1-factorisation (circle method), which still guarantees each pair
+ * partners once, and each round's teams are matched up so opponents repeat as little as possible.
+ *
+ * Supported counts are multiples of 4 (n-1 rounds, nobody sits) and one more than a multiple of 4
+ * (n rounds, one player sits out each round). Other counts fall back to the heuristic doubles
+ * scheduler; getPartnerCoverage() reports how close the played rounds got.
+ */
+
+import { uid, avg } from './shared';
+
+const MAX_ATTEMPTS = 40;
+// Runs on the UI thread, so the searches are kept short: counts without a built-in or prime
+// table (above 29) rarely find a perfect one, and the best fallback table so far is used
+const CYCLIC_SEARCH_MS = 250; // time for the perfect-table search (restarts with shuffled candidates)
+const SEARCH_MS = 500; // total time, fallback tables included (at least one is always built)
+const CYCLIC_SEARCH_BUDGET = 4000; // backtracking steps per restart before trying a new candidate order
+const EXHAUSTIVE_TEAM_LIMIT = 10; // up to 945 matchings per round; larger fields match greedily
+
+/* Known cyclic starting rounds: [[teamA, teamB], ...] over points 0..n-1 (4k+1, point 0 sits out)
+ * or 0..n-2 plus ∞ = n-1 (4k). Found offline by the same search as findCyclicStartRound(). */
+const KNOWN_START_ROUNDS = {
+    4: [[[3, 0], [1, 2]]],
+    5: [[[1, 4], [2, 3]]],
+    8: [[[7, 0], [1, 3]], [[2, 6], [4, 5]]],
+    12: [[[11, 0], [1, 3]], [[2, 9], [6, 7]], [[4, 10], [5, 8]]],
+    13: [[[1, 4], [2, 7]], [[3, 12], [6, 8]], [[5, 11], [9, 10]]],
+    16: [[[15, 0], [1, 2]], [[3, 6], [9, 11]], [[4, 13], [8, 12]], [[5, 10], [7, 14]]],
+    17: [[[1, 2], [3, 8]], [[4, 15], [10, 12]], [[5, 9], [6, 13]], [[7, 16], [11, 14]]],
+    20: [[[19, 0], [1, 2]], [[3, 5], [9, 15]], [[4, 14], [12, 17]], [[6, 18], [10, 13]], [[7, 11], [8, 16]]],
+    21: [[[1, 2], [3, 6]], [[4, 13], [12, 19]], [[5, 9], [14, 16]], [[7, 20], [11, 17]], [[8, 18], [10, 15]]],
+    24: [[[23, 8], [20, 1]], [[0, 11], [2, 19]], [[3, 10], [4, 13]], [[5, 18], [6, 9]], [[7, 15], [17, 12]], [[14, 16], [21, 22]]],
+    25: [[[1, 19], [7, 16]], [[2, 14], [18, 13]], [[3, 24], [23, 6]], [[4, 5], [11, 21]], [[8, 22], [10, 12]], [[9, 15], [20, 17]]],
+    28: [[[27, 20], [25, 6]], [[0, 14], [11, 10]], [[1, 23], [21, 4]], [[2, 9], [24, 8]], [[3, 26], [18, 12]], [[5, 17], [16, 7]], [[13, 15], [19, 22]]],
+};
+
+/* Whist table for 9 players over Z3×Z3 (player index = 3a + b): [sitOut, games] per round */
+const WHIST_9_ROUNDS = [
+    [0, [[[1, 2], [3, 6]], [[4, 8], [5, 7]]]],
+    [1, [[[2, 0], [4, 7]], [[5, 6], [3, 8]]]],
+    [2, [[[0, 1], [5, 8]], [[3, 7], [4, 6]]]],
+    [3, [[[4, 5], [6, 0]], [[7, 2], [8, 1]]]],
+    [4, [[[5, 3], [7, 1]], [[8, 0], [6, 2]]]],
+    [5, [[[3, 4], [8, 2]], [[6, 1], [7, 0]]]],
+    [6, [[[7, 8], [0, 3]], [[1, 5], [2, 4]]]],
+    [7, [[[8, 6], [1, 4]], [[2, 3], [0, 5]]]],
+    [8, [[[6, 7], [2, 5]], [[0, 4], [1, 3]]]],
+];
+
+const pairKey = (a, b) => (a < b ? `${a}|${b}` : `${b}|${a}`);
+
+/** True when a perfect rotating-partner table exists for this many players */
+export const supportsRotatingPartners = (count) => count >= 4 && (count % 4 === 0 || count % 4 === 1);
+
+const shuffle = (list) => {
+    const copy = [...list];
+    for (let i = copy.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [copy[i], copy[j]] = [copy[j], copy[i]];
+    }
+    return copy;
+};
+
+/* ── Internal: search for the starting round of a cyclic whist table ──
+ * 4k+1 players: points Z_n, point 0 sits out, rounds are the start round shifted by r (mod n).
+ * 4k players:   points Z_(n-1) plus a fixed point ∞ (index n-1), shifted mod n-1.
+ * Every partner difference class must appear once and every opponent class exactly twice.
+ * Gives up (null) after CYCLIC_SEARCH_BUDGET steps or at `deadline` (ms timestamp). */
+const findCyclicStartRound = (count, randomise = false, deadline = Infinity) => {
+    const withInfinity = count % 4 === 0;
+    const mod = withInfinity ? count - 1 : count;
+    const INF = withInfinity ? count - 1 : -1;
+    const cls = (a, b) => {
+        if (a === INF || b === INF) return null;
+        const d = ((a - b) % mod + mod) % mod;
+        return Math.min(d, mod - d);
+    };
+    const partnerUsed = {};
+    const oppUsed = {};
+    const used = new Set(withInfinity ? [] : [0]);
+    const games = [];
+    let steps = 0;
+
+    const addOpp = ([a1, a2], [b1, b2], delta) => {
+        let ok = true;
+        [[a1, b1], [a1, b2], [a2, b1], [a2, b2]].forEach(([x, y]) => {
+            const c = cls(x, y);
+            if (c === null) return;
+            oppUsed[c] = (oppUsed[c] || 0) + delta;
+            if (oppUsed[c] > 2) ok = false;
+        });
+        return ok;
+    };
+    const addTeam = ([a, b], delta) => {
+        const c = cls(a, b);
+        if (c === null) return true;
+        partnerUsed[c] = (partnerUsed[c] || 0) + delta;
+        return partnerUsed[c] <= 1;
+    };
+
+    const points = withInfinity ? [INF, ...Array.from({ length: mod }, (_, i) => i)] : Array.from({ length: mod }, (_, i) => i);
+    const solve = () => {
+        if (++steps > CYCLIC_SEARCH_BUDGET || Date.now() > deadline) return false;
+        const free = points.filter(p => !used.has(p));
+        if (free.length === 0) return true;
+        const [a, ...ordered] = free;
+        const rest = randomise ? shuffle(ordered) : ordered;
+        // Team 1 = a + b, Team 2 = c + d (c < d, both after b in the free list order)
+        for (let bi = 0; bi < rest.length; bi++) {
+            const team1 = [a, rest[bi]];
+            const ok1 = addTeam(team1, 1);
+            if (ok1) {
+                const others = rest.filter((_, i) => i !== bi);
+                for (let ci = 0; ci < others.length; ci++) {
+                    for (let di = ci + 1; di < others.length; di++) {
+                        const team2 = [others[ci], others[di]];
+                        const ok2 = addTeam(team2, 1);
+                        const ok3 = addOpp(team1, team2, 1);
+                        if (ok2 && ok3) {
+                            team1.concat(team2).forEach(p => used.add(p));
+                            games.push([team1, team2]);
+                            if (solve()) return true;
+                            games.pop();
+                            team1.concat(team2).forEach(p => used.delete(p));
+                        }
+                        addOpp(team1, team2, -1);
+                        addTeam(team2, -1);
+                        if (steps > CYCLIC_SEARCH_BUDGET) break;
+                    }
+                }
+            }
+            addTeam(team1, -1);
+        }
+        return false;
+    };
+
+    if (!solve()) return null;
+    return { games, mod, INF, sitOut: withInfinity ? null : 0 };
+};
+
+/* ── Internal: primitive-root construction for a prime p = 4k+1 ──
+ * With ω a primitive root and ε = ω^k (so ε² = -1), game i is ω^i·{1, -1} vs ω^i·{ε, -ε}. */
+const primeStartRound = (p) => {
+    if (p % 4 !== 1) return null;
+    for (let d = 2; d * d <= p; d++) if (p % d === 0) return null;
+    const pow = (b, e) => { let r = 1; for (let i = 0; i < e; i++) r = (r * b) % p; return r; };
+    const k = (p - 1) / 4;
+    const isPrimitive = (g) => {
+        let x = 1;
+        for (let e = 1; e < p - 1; e++) { x = (x * g) % p; if (x === 1) return false; }
+        return true;
+    };
+    let omega = 2;
+    while (!isPrimitive(omega)) omega++;
+    const eps = pow(omega, k);
+    const games = Array.from({ length: k }, (_, i) => {
+        const w = pow(omega, i);
+        return [[w, p - w], [(w * eps) % p, p - ((w * eps) % p)]];
+    });
+    return { games, mod: p, INF: -1, sitOut: 0 };
+};
+
+/* ── Internal: expand a cyclic starting round into the full list of rounds (indices → ids) ── */
+const developCyclic = (start, ids) => {
+    const shift = (p, r) => (p === start.INF ? p : (p + r) % start.mod);
+    return Array.from({ length: start.mod }, (_, r) => ({
+        games: start.games.map(game => game.map(team => team.map(p => ids[shift(p, r)]))),
+        sitOut: start.sitOut === null ? [] : [ids[shift(start.sitOut, r)]],
+    }));
+};
+
+/* ── Internal: circle-method 1-factorisation; null = the sit-out slot for odd counts ── */
+const partnerRounds = (ids) => {
+    const list = ids.length % 2 === 0 ? [...ids] : [...ids, null];
+    const n = list.length;
+    const fixed = list[n - 1];
+    let rotating = list.slice(0, n - 1);
+    const rounds = [];
+
+    for (let r = 0; r < n - 1; r++) {
+        const pairs = [[rotating[0], fixed]];
+        for (let i = 1; i < n / 2; i++) pairs.push([rotating[i], rotating[n - 1 - i]]);
+        rounds.push({
+            teams: pairs.filter(([a, b]) => a !== null && b !== null),
+            sitOut: pairs.filter(([a, b]) => a === null || b === null).map(([a, b]) => (a === null ? b : a)),
+        });
+        rotating = [rotating[n - 2], ...rotating.slice(0, n - 2)];
+    }
+    return rounds;
+};
+
+/* ── Internal: every way of splitting an even list of teams into head-to-head games ── */
+const allMatchings = (teams) => {
+    if (teams.length === 0) return [[]];
+    const [first, ...rest] = teams;
+    const result = [];
+    rest.forEach((other, idx) => {
+        const remaining = rest.filter((_, i) => i !== idx);
+        allMatchings(remaining).forEach(m => result.push([[first, other], ...m]));
+    });
+    return result;
+};
+
+/* ── Internal: cost of putting two teams on the same court, given opponent counts so far ── */
+const gameCost = ([a1, a2], [b1, b2], opp) =>
+    [[a1, b1], [a1, b2], [a2, b1], [a2, b2]].reduce((sum, [x, y]) => {
+        const c = opp[pairKey(x, y)] || 0;
+        return sum + c * c;
+    }, 0);
+
+const pickGames = (teams, opp) => {
+    if (teams.length <= EXHAUSTIVE_TEAM_LIMIT) {
+        let best = null;
+        let bestCost = Infinity;
+        allMatchings(teams).forEach(games => {
+            const cost = games.reduce((sum, [t1, t2]) => sum + gameCost(t1, t2, opp), 0);
+            if (cost < bestCost) { best = games; bestCost = cost; }
+        });
+        return best;
+    }
+    // Greedy: repeatedly pair the first open team with its cheapest opponent team
+    const open = [...teams];
+    const games = [];
+    while (open.length > 1) {
+        const t1 = open.shift();
+        let bestIdx = 0;
+        open.forEach((t2, idx) => {
+            if (gameCost(t1, t2, opp) < gameCost(t1, open[bestIdx], opp)) bestIdx = idx;
+        });
+        games.push([t1, open.splice(bestIdx, 1)[0]]);
+    }
+    return games;
+};
+
+/* ── Internal: one candidate table for a given player order ── */
+const buildTable = (ids) => {
+    const opp = {};
+    const rounds = partnerRounds(ids).map(round => {
+        const games = pickGames(round.teams, opp);
+        games.forEach(([[a1, a2], [b1, b2]]) => {
+            [[a1, b1], [a1, b2], [a2, b1], [a2, b2]].forEach(([x, y]) => {
+                const key = pairKey(x, y);
+                opp[key] = (opp[key] || 0) + 1;
+            });
+        });
+        return { games, sitOut: round.sitOut };
+    });
+
+    const counts = [];
+    for (let i = 0; i < ids.length; i++) {
+        for (let j = i + 1; j < ids.length; j++) counts.push(opp[pairKey(ids[i], ids[j])] || 0);
+    }
+    return { rounds, spread: Math.max(...counts) - Math.min(...counts) };
+};
+
+/* ══════════════════════════════════════════════════════════
+   PUBLIC API
+   ══════════════════════════════════════════════════════════ */
+
+/**
+ * generateRotatingPartnerSchedule
+ * Builds the whole rotating-partner event for the present players, split into waves of at most
+ * `courts` games. Returns null for unsupported player counts (use the heuristic instead).
+ *
+ * The result has the same shape as generateFullSchedule() so the Schedule tab can play and print it:
+ * { kind: 'rotating', courts, entrantCount, bergerRounds, waves: [{ round, wave, waveCount, matches, byes }] }
+ */
+export const generateRotatingPartnerSchedule = (players, courts, { matchFormat = 'single_match' } = {}) => {
+    console.log(`\n=== [ROTATING PARTNERS] ${players.length} players on ${courts} courts ===`);
+    if (!supportsRotatingPartners(players.length)) {
+        console.log(`${players.length} players has no rotating-partner table — falling back to heuristic pairing`);
+        return null;
+    }
+    if (courts < 1) throw new Error('Need at least 1 court.');
+
+    const byId = {};
+    players.forEach(p => { byId[p.id] = p; });
+
+    const ids = players.map(p => p.id);
+    const count = players.length;
+    const started = Date.now();
+    let best = null;
+    if (count === 9) {
+        best = { rounds: WHIST_9_ROUNDS.map(([sitOut, games]) => ({ games: games.map(g => g.map(t => t.map(i => ids[i]))), sitOut: [ids[sitOut]] })), spread: 0 };
+    } else {
+        let start = KNOWN_START_ROUNDS[count]
+            ? { games: KNOWN_START_ROUNDS[count], mod: count % 4 === 0 ? count - 1 : count, INF: count % 4 === 0 ? count - 1 : -1, sitOut: count % 4 === 0 ? null : 0 }
+            : primeStartRound(count);
+        for (let attempt = 0; !start && (attempt === 0 || Date.now() < started + CYCLIC_SEARCH_MS); attempt++) {
+            start = findCyclicStartRound(count, attempt > 0, started + CYCLIC_SEARCH_MS);
+        }
+        if (start) best = { rounds: developCyclic(start, ids), spread: 0 };
+    }
+    for (let attempt = 0; attempt < MAX_ATTEMPTS && (!best || (best.spread > 0 && Date.now() < started + SEARCH_MS)); attempt++) {
+        const table = buildTable(attempt === 0 ? ids : shuffle(ids));
+        if (!best || table.spread < best.spread) best = table;
+    }
+    console.log(`Best table after search: opponent counts spread ${best.spread}${best.spread === 0 ? ' (perfect whist table)' : ''}`);
+
+    const waves = [];
+    best.rounds.forEach((round, rIdx) => {
+        const waveCount = Math.max(1, Math.ceil(round.games.length / courts));
+        for (let w = 0; w < waveCount; w++) {
+            const games = round.games.slice(w * courts, (w + 1) * courts);
+            waves.push({
+                round: rIdx + 1,
+                wave: w + 1,
+                waveCount,
+                matches: games.map(([t1, t2], idx) => {
+                    const team1 = t1.map(id => byId[id]);
+                    const team2 = t2.map(id => byId[id]);
+                    return {
+                        id: uid(),
+                        court: idx + 1,
+                        team1,
+                        team2,
+                        diff: Math.abs(avg(team1) - avg(team2)),
+                        score1: '', score2: '',
+                        game1Score1: '', game1Score2: '',
+                        game2Score1: '', game2Score2: '',
+                        game3Score1: '', game3Score2: '',
+                        status: 'pending',
+                        winner: null,
+                        gameFormat: 'doubles',
+                        matchFormat,
+                    };
+                }),
+                byes: round.sitOut.map(id => byId[id].name),
+            });
+        }
+    });
+
+    return {
+        kind: 'rotating',
+        courts,
+        entrantCount: players.length,
+        bergerRounds: best.rounds.length,
+        opponentSpread: best.spread,
+        waves,
+    };
+};
+
+/**
+ * getPartnerCoverage
+ * How well the played doubles rounds cover partnerships among the given players.
+ * Works for any schedule (table or heuristic), so it doubles as the fallback coverage report.
+ *
+ * Returns { pairs, partnered, repeated, missing: [[nameA, nameB]], opponentMin, opponentMax }
+ */
+export const getPartnerCoverage = (players, rounds) => {
+    const partners = {};
+    const opponents = {};
+    const ids = new Set(players.map(p => p.id));
+    rounds.flat().forEach(m => {
+        if (m.status === 'removed' || !m.team1 || !m.team2) return;
+        [m.team1, m.team2].forEach(team => {
+            if (team.length === 2) partners[pairKey(team[0].id, team[1].id)] = (partners[pairKey(team[0].id, team[1].id)] || 0) + 1;
+        });
+        m.team1.forEach(a => m.team2.forEach(b => {
+            opponents[pairKey(a.id, b.id)] = (opponents[pairKey(a.id, b.id)] || 0) + 1;
+        }));
+    });
+
+    const list = players.filter(p => ids.has(p.id));
+    const missing = [];
+    const oppCounts = [];
+    let partnered = 0;
+    let repeated = 0;
+    for (let i = 0; i < list.length; i++) {
+        for (let j = i + 1; j < list.length; j++) {
+            const key = pairKey(list[i].id, list[j].id);
+            const times = partners[key] || 0;
+            if (times === 0) missing.push([list[i].name, list[j].name]);
+            if (times > 0) partnered++;
+            if (times > 1) repeated++;
+            oppCounts.push(opponents[key] || 0);
+        }
+    }
+
+    return {
+        pairs: oppCounts.length,
+        partnered,
+        repeated,
+        missing,
+        opponentMin: oppCounts.length ? Math.min(...oppCounts) : 0,
+        opponentMax: oppCounts.length ? Math.max(...oppCounts) : 0,
+    };
+};
@@ -4,6 +4,10 @@
  * Schedulers import ONLY from this file — never from each other.
  */
 
+// Points for/against a match, [side1, side2] — game totals for multi-game formats, read from the
+// games array or the old game1Score1…game3Score2 fields. One copy for the app and every scheduler.
+export { matchPoints } from '../utils/matchGames';
+
 export const uid = () => `${Date.now()}-${Math.random().toString(16).slice(2)}`;
 export const avg = (t) => (t[0].rating + t[1].rating) / 2;
 
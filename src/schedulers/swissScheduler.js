@@ -0,0 +1,253 @@
+/**
+ * swissScheduler.js
+ * Fully self-contained scheduler for Swiss-system events (singles or teamed doubles).
+ * Each Swiss round pairs entrants with equal (or nearest) records, never repeats a
+ * matchup while another pairing exists, and gives the odd entrant out a bye — the
+ * lowest-ranked entrant who has not had one yet. A Swiss round can be bigger than
+ * the number of courts, so its pairings go out in waves of `courts` matches.
+ * ISOLATION RULE: Only imports from shared.js. Never imports from other schedulers.
+ * To apply a bug fix from here to another format, that must be a deliberate separate change.
+ *
+ * NOTE: Swiss state is a plain object so it survives JSON.stringify/parse.
+ * Every public function returns a NEW object — callers keep the result in React state.
+ * Standings are always derived from the completed matches in `rounds`, never stored.
+ *
+ * Ranking: points (win = 1, bye = 1), then Buchholz (sum of opponents' points),
+ * then point differential, then points for, then rating.
+ */
+
+import { uid, matchPoints } from './shared';
+
+/** Backtracking budget before falling back to the fewest-rematches pairing */
+const MAX_PAIRING_STEPS = 50000;
+
+const entrantRating = (e) => Number(e.avgRating ?? e.rating) || 0;
+const entrantLabel = (e) => (e.player1 && e.player2 ? `${e.player1.name} / ${e.player2.name}` : e.name);
+
+const sideIds = (m) => (m.gameFormat === 'singles'
+    ? [m.player1?.id, m.player2?.id]
+    : [m.team1Id, m.team2Id]);
+
+/* ════════════════════════════════════════════════════════════
+   STANDINGS
+   ════════════════════════════════════════════════════════════ */
+
+/**
+ * getSwissStandings
+ * Returns rows best first:
+ *   [{ entrant, label, played, wins, losses, byes, points, buchholz, pointsFor, pointsAgainst, diff, opponents }]
+ * Only completed matches tagged with swissRound count.
+ */
+export const getSwissStandings = (entrants, rounds, swiss) => {
+    const rows = {};
+    entrants.forEach(e => {
+        rows[e.id] = { entrant: e, label: entrantLabel(e), played: 0, wins: 0, losses: 0, byes: 0, points: 0, buchholz: 0, pointsFor: 0, pointsAgainst: 0, diff: 0, opponents: [] };
+    });
+
+    rounds.forEach(round => round.forEach(m => {
+        if (!m.swissRound || m.status !== 'completed' || !m.winner) return;
+        const [id1, id2] = sideIds(m);
+        const r1 = rows[id1];
+        const r2 = rows[id2];
+        if (!r1 || !r2) return;
+        const [p1, p2] = matchPoints(m);
+        r1.played++; r2.played++;
+        r1.pointsFor += p1; r1.pointsAgainst += p2;
+        r2.pointsFor += p2; r2.pointsAgainst += p1;
+        r1.opponents.push(id2); r2.opponents.push(id1);
+        if (m.winner === 'team1') { r1.wins++; r2.losses++; } else { r2.wins++; r1.losses++; }
+    }));
+
+    (swiss?.byes || []).forEach(({ id }) => {
+        if (rows[id]) rows[id].byes++;
+    });
+
+    Object.values(rows).forEach(r => {
+        r.points = r.wins + r.byes;
+        r.diff = r.pointsFor - r.pointsAgainst;
+    });
+    Object.values(rows).forEach(r => {
+        r.buchholz = r.opponents.reduce((sum, id) => sum + (rows[id]?.points || 0), 0);
+    });
+
+    return Object.values(rows).sort((a, b) =>
+        b.points - a.points ||
+        b.buchholz - a.buchholz ||
+        b.diff - a.diff ||
+        b.pointsFor - a.pointsFor ||
+        entrantRating(b.entrant) - entrantRating(a.entrant));
+};
+
+/* ════════════════════════════════════════════════════════════
+   PAIRING
+   ════════════════════════════════════════════════════════════ */
+
+/**
+ * Pair a ranked list of ids top-down: each entrant takes the nearest-ranked
+ * opponent they have not met, backtracking when a choice strands someone.
+ * Returns null if no rematch-free pairing exists within the step budget.
+ */
+const pairWithoutRematches = (ranked, timesMet, points) => {
+    let steps = 0;
+    const solve = (remaining) => {
+        if (remaining.length === 0) return [];
+        if (++steps > MAX_PAIRING_STEPS) return null;
+        const [first, ...rest] = remaining;
+        const candidates = rest
+            .filter(id => timesMet(first, id) === 0)
+            .sort((a, b) => Math.abs(points[first] - points[a]) - Math.abs(points[first] - points[b]));
+        for (const candidate of candidates) {
+            const sub = solve(rest.filter(id => id !== candidate));
+            if (sub) return [[first, candidate], ...sub];
+            if (steps > MAX_PAIRING_STEPS) return null;
+        }
+        return null;
+    };
+    return solve(ranked);
+};
+
+/** Greedy fallback: fewest previous meetings first, then nearest record */
+const pairFewestRematches = (ranked, timesMet, points) => {
+    const remaining = [...ranked];
+    const pairs = [];
+    while (remaining.length > 1) {
+        const first = remaining.shift();
+        const best = [...remaining].sort((a, b) =>
+            timesMet(first, a) - timesMet(first, b) ||
+            Math.abs(points[first] - points[a]) - Math.abs(points[first] - points[b]))[0];
+        remaining.splice(remaining.indexOf(best), 1);
+        pairs.push([first, best]);
+    }
+    return pairs;
+};
+
+/**
+ * pairSwissRound
+ * Builds the next Swiss round from the standings so far.
+ *
+ * @param {Array}  entrants – teams (teamed doubles) or present players (singles)
+ * @param {Array}  rounds   – rounds played so far
+ * @param {Object} swiss    – current Swiss state (null before round 1)
+ * @param {Object} options
+ *   kind      – 'team' | 'player'
+ *   opponents – { [id]: { [opponentId]: count } } from teamStats / playerStats
+ * @returns new Swiss state { kind, round, pairings: [{ id, entrant1Id, entrant2Id, board, matchId }], byes }
+ *          or null with fewer than 2 entrants
+ */
+export const pairSwissRound = (entrants, rounds, swiss, { kind = 'team', opponents = {} } = {}) => {
+    if (entrants.length < 2) return null;
+    const roundNumber = (swiss?.round || 0) + 1;
+    const byes = [...(swiss?.byes || [])];
+
+    const standings = getSwissStandings(entrants, rounds, swiss);
+    const points = Object.fromEntries(standings.map(r => [r.entrant.id, r.points]));
+    const swissMet = {};
+    standings.forEach(r => r.opponents.forEach(id => {
+        swissMet[`${r.entrant.id}|${id}`] = (swissMet[`${r.entrant.id}|${id}`] || 0) + 1;
+    }));
+    const timesMet = (a, b) => Math.max(opponents[a]?.[b] || 0, swissMet[`${a}|${b}`] || 0);
+
+    // Round 1 seeds by rating; later rounds by the standings
+    const ranked = roundNumber === 1
+        ? [...entrants].sort((a, b) => entrantRating(b) - entrantRating(a)).map(e => e.id)
+        : standings.map(r => r.entrant.id);
+
+    // Odd entrant out: lowest-ranked without a bye (everyone has had one → lowest-ranked)
+    if (ranked.length % 2 === 1) {
+        const hadBye = new Set(byes.map(b => b.id));
+        const byeId = [...ranked].reverse().find(id => !hadBye.has(id)) || ranked[ranked.length - 1];
+        ranked.splice(ranked.indexOf(byeId), 1);
+        byes.push({ round: roundNumber, id: byeId });
+    }
+
+    let pairs;
+    if (roundNumber === 1) {
+        // Top half meets bottom half (1 v n/2+1, 2 v n/2+2, …)
+        const half = ranked.length / 2;
+        pairs = ranked.slice(0, half).map((id, i) => [id, ranked[half + i]]);
+    } else {
+        pairs = pairWithoutRematches(ranked, timesMet, points) || pairFewestRematches(ranked, timesMet, points);
+    }
+
+    return {
+        kind,
+        round: roundNumber,
+        pairings: pairs.map(([entrant1Id, entrant2Id], idx) => ({ id: uid(), entrant1Id, entrant2Id, board: idx + 1, matchId: null })),
+        byes,
+    };
+};
+
+/* ════════════════════════════════════════════════════════════
+   COURTS
+   ════════════════════════════════════════════════════════════ */
+
+/** True once every pairing of the current Swiss round has a result (or an entrant withdrew) */
+export const isSwissRoundComplete = (swiss, rounds) => {
+    if (!swiss) return true;
+    const done = new Set();
+    rounds.forEach(round => round.forEach(m => {
+        if (m.swissPairingId && m.status === 'completed' && m.winner) done.add(m.swissPairingId);
+    }));
+    return swiss.pairings.every(p => p.withdrawn || done.has(p.id));
+};
+
+/**
+ * takeSwissWave
+ * Sends the next (up to `courts`) unsent pairings of the current Swiss round to
+ * courts 1…k, top boards first. Pairings whose court match was removed go back
+ * in the queue; pairings with an entrant who is no longer entered are withdrawn.
+ * Returns { swiss, matches } — matches are tagged with swissRound / swissPairingId.
+ * An empty matches array means every pairing of the round is already out.
+ */
+export const takeSwissWave = (swiss, entrants, rounds, courts, matchFormat = 'single_match') => {
+    const byId = new Map(entrants.map(e => [e.id, e]));
+    const next = JSON.parse(JSON.stringify(swiss));
+
+    const removed = new Set();
+    rounds.forEach(round => round.forEach(m => {
+        if (m.swissPairingId && m.status === 'removed') removed.add(m.id);
+    }));
+    next.pairings.forEach(p => {
+        if (p.matchId && removed.has(p.matchId)) p.matchId = null;
+        if (!p.matchId && (!byId.has(p.entrant1Id) || !byId.has(p.entrant2Id))) p.withdrawn = true;
+    });
+
+    const waiting = next.pairings.filter(p => !p.matchId && !p.withdrawn).slice(0, courts);
+
+    const matches = waiting.map((pairing, idx) => {
+        const e1 = byId.get(pairing.entrant1Id);
+        const e2 = byId.get(pairing.entrant2Id);
+        const base = {
+            id: uid(),
+            court: idx + 1,
+            diff: Math.abs(entrantRating(e1) - entrantRating(e2)),
+            score1: '', score2: '',
+            game1Score1: '', game1Score2: '',
+            game2Score1: '', game2Score2: '',
+            game3Score1: '', game3Score2: '',
+            status: 'pending',
+            winner: null,
+            matchFormat,
+            startTime: new Date().toISOString(),
+            swissRound: next.round,
+            swissPairingId: pairing.id,
+            scheduleLabel: `Swiss Rd ${next.round} · Board ${pairing.board}`,
+        };
+        pairing.matchId = base.id;
+
+        if (next.kind === 'player') {
+            return { ...base, player1: e1, player2: e2, gameFormat: 'singles' };
+        }
+        return {
+            ...base,
+            team1: [e1.player1, e1.player2],
+            team2: [e2.player1, e2.player2],
+            team1Id: e1.id,
+            team2Id: e2.id,
+            teamGender: e1.gender,
+            gameFormat: 'teamed_doubles',
+        };
+    });
+
+    return { swiss: next, matches };
+};
@@ -0,0 +1,85 @@
+/**
+ * Action history — undo and redo for the organizer's session actions. Each action keeps
+ * the session snapshot from just before it, so undoing puts back rounds, courts and every
+ * stat built up along the way (teammate and opponent counts, sit-outs, King of Court
+ * points) exactly as they were. Lives in memory on this device only, up to MAX_HISTORY
+ * actions.
+ *
+ * The roster itself is not part of it: players are added, edited and deleted in the
+ * database straight away, so undo only moves who is present (see withPresenceFrom).
+ *
+ * history: { past: [{ label, at, key, before }], future: [{ label, at, after }] }
+ *   past is oldest first; future is the next action to redo first
+ */
+
+export const EMPTY_HISTORY = { past: [], future: [] };
+
+// Edits to the same thing (typing a score) this close together are one action
+const COALESCE_MS = 60000;
+
+// Oldest actions are dropped past this many — each one holds a copy of the session
+export const MAX_HISTORY = 100;
+
+/**
+ * History after an action. `before` is the snapshot from just before it, or a function
+ * returning it — only called when a new entry is pushed. A `key` merges repeated edits
+ * to the same thing into the action already on top.
+ */
+export const recordAction = (history, label, before, key = null, now = Date.now()) => {
+  const last = history.past[history.past.length - 1];
+  if (key && last?.key === key && history.future.length === 0 && now - last.at < COALESCE_MS) {
+    return { past: [...history.past.slice(0, -1), { ...last, at: now }], future: [] };
+  }
+  const entry = { label, at: now, key, before: typeof before === 'function' ? before() : before };
+  return { past: [...history.past, entry].slice(-MAX_HISTORY), future: [] };
+};
+
+// Check-in state that undo / redo moves; everything else about a player stays as it is now
+const PRESENCE_FIELDS = ['present', 'pendingApproval', 'checkedInAt', 'leftAt'];
+
+/**
+ * The roster as it is now, with each player's presence taken from a history snapshot.
+ * Players added since keep theirs, and players deleted since stay deleted.
+ */
+export const withPresenceFrom = (players, snapshotPlayers = []) => {
+  const then = new Map(snapshotPlayers.map(p => [String(p.id), p]));
+  return players.map(p => {
+    const old = then.get(String(p.id));
+    if (!old) return p;
+    const next = { ...p };
+    PRESENCE_FIELDS.forEach(field => {
+      if (old[field] === undefined) delete next[field];
+      else next[field] = old[field];
+    });
+    return next;
+  });
+};
+
+/**
+ * Undo the last `steps` actions. `current` is the session as it is now, kept so the
+ * actions can be redone. Returns { history, snapshot } — the snapshot to restore — or
+ * null when there is nothing to undo.
+ */
+export const undoAction = (history, current, steps = 1) => {
+  const n = Math.min(steps, history.past.length);
+  if (n <= 0) return null;
+  const undone = history.past.slice(-n);
+  // Redoing an action lands on the state just before the next one (the last lands on now)
+  const redo = undone.map((entry, i) => ({ label: entry.label, at: entry.at, after: i + 1 < n ? undone[i + 1].before : current }));
+  return {
+    history: { past: history.past.slice(0, -n), future: [...redo, ...history.future] },
+    snapshot: undone[0].before,
+  };
+};
+
+/** Redo the next `steps` undone actions — same shape as undoAction */
+export const redoAction = (history, current, steps = 1) => {
+  const n = Math.min(steps, history.future.length);
+  if (n <= 0) return null;
+  const redone = history.future.slice(0, n);
+  const back = redone.map((entry, i) => ({ label: entry.label, at: entry.at, key: null, before: i === 0 ? current : redone[i - 1].after }));
+  return {
+    history: { past: [...history.past, ...back], future: history.future.slice(n) },
+    snapshot: redone[n - 1].after,
+  };
+};
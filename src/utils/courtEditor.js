@@ -0,0 +1,59 @@
+/**
+ * Manual court editor checks — what to warn the organizer about before a hand-built match
+ * goes on court. Counts come from the rounds themselves (matches played or on court;
+ * removed ones don't count), like the scoreboard's derived stats.
+ */
+import { sidesOf } from './matchSides';
+
+// Side averages further apart than this get a warning
+export const RATING_GAP_WARNING = 0.5;
+
+const pairKey = (a, b) => [String(a), String(b)].sort().join('|');
+const sideKey = (side) => side.map(p => String(p.id)).sort().join('+');
+const times = (n) => `${n} time${n === 1 ? '' : 's'}`;
+const namesOf = (side) => side.map(p => p.name).join(' & ');
+
+/**
+ * How often pairs of players have partnered, and sides have met, this session:
+ *   { partners: { 'a|b': n }, matchups: { 'a+b|c+d': n } }
+ */
+export const pairingCounts = (rounds) => {
+  const partners = {};
+  const matchups = {};
+  rounds.flat().forEach(m => {
+    const sides = sidesOf(m);
+    if (m.status === 'removed' || !sides) return;
+    sides.forEach(side => side.forEach((p, i) => side.slice(i + 1).forEach(q => {
+      const key = pairKey(p.id, q.id);
+      partners[key] = (partners[key] || 0) + 1;
+    })));
+    const key = pairKey(sideKey(sides[0]), sideKey(sides[1]));
+    matchups[key] = (matchups[key] || 0) + 1;
+  });
+  return { partners, matchups };
+};
+
+/**
+ * Reasons to think twice about a hand-built match: a rating gap between the sides,
+ * partners who have already played together (not for fixed teams), or the same sides
+ * meeting again. `sides` are [[players], [players]]; `ratingOf` is the rating balanced on.
+ */
+export const manualMatchWarnings = (sides, rounds, { ratingOf = (p) => Number(p.rating) || 0, fixedPartners = false } = {}) => {
+  const warnings = [];
+  const average = (side) => side.reduce((sum, p) => sum + ratingOf(p), 0) / side.length;
+  const [a, b] = sides.map(average);
+  if (Math.abs(a - b) > RATING_GAP_WARNING) {
+    warnings.push(`Rating gap of ${Math.abs(a - b).toFixed(2)} between the sides (${a.toFixed(2)} vs ${b.toFixed(2)})`);
+  }
+
+  const { partners, matchups } = pairingCounts(rounds);
+  if (!fixedPartners) {
+    sides.forEach(side => side.forEach((p, i) => side.slice(i + 1).forEach(q => {
+      const n = partners[pairKey(p.id, q.id)];
+      if (n) warnings.push(`${p.name} and ${q.name} have already partnered ${times(n)}`);
+    })));
+  }
+  const met = matchups[pairKey(sideKey(sides[0]), sideKey(sides[1]))];
+  if (met) warnings.push(`${namesOf(sides[0])} have already played ${namesOf(sides[1])} ${times(met)}`);
+  return warnings;
+};
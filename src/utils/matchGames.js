@@ -0,0 +1,110 @@
+/**
+ * Match formats and game scores. A multi-game match carries its scores as
+ * `games: [[score1, score2], …]` (one pair per game, '' until entered); a single game
+ * keeps score1/score2. Matches saved before the games array read their
+ * game1Score1…game3Score2 fields, so old sessions and exports still add up.
+ *
+ * A draw ("play 2 games" split 1–1, or level on total points) is a completed match
+ * with `winner: null` and `draw: true`.
+ */
+
+export const MATCH_FORMATS = {
+  single_match: { label: '1 Match per Round', games: 1 },
+  best_of_3: { label: 'Best of 3', games: 3 },
+  best_of_5: { label: 'Best of 5', games: 5 },
+  // Every game is played and counts; level is a draw
+  two_games: { label: 'Play 2 games (draws allowed)', games: 2, playAll: true },
+  total_points: { label: 'Total points over 2 games', games: 2, playAll: true, byPoints: true },
+};
+
+export const matchFormatOf = (m) => MATCH_FORMATS[m?.matchFormat] || MATCH_FORMATS.single_match;
+
+/** Formats that can end level — only offered where nothing advances on a winner */
+export const allowsDraws = (matchFormat) => !!MATCH_FORMATS[matchFormat]?.playAll;
+
+export const entered = (v) => v !== '' && v !== undefined && v !== null;
+
+/** [[score1, score2], …] for every game of the format, '' where nothing is entered */
+export const gamesOf = (m) => {
+  const { games } = matchFormatOf(m);
+  if (games === 1) return [[m.score1 ?? '', m.score2 ?? '']];
+  return Array.from({ length: games }, (_, g) => {
+    const pair = Array.isArray(m.games) ? m.games[g] : [m[`game${g + 1}Score1`], m[`game${g + 1}Score2`]];
+    return [pair?.[0] ?? '', pair?.[1] ?? ''];
+  });
+};
+
+/** Games with both scores entered, as numbers, in order */
+export const playedGames = (m) => gamesOf(m)
+  .filter(([a, b]) => entered(a) && entered(b))
+  .map(([a, b]) => [Number(a) || 0, Number(b) || 0]);
+
+/** Points for each side — game totals for multi-game formats */
+export const matchPoints = (m) => playedGames(m).reduce((sum, [a, b]) => [sum[0] + a, sum[1] + b], [0, 0]);
+
+/**
+ * What the entered score says about the match:
+ *   { decided, winner: 1|2|null, draw, gamesWon: [n, n], points: [n, n] }
+ * Best of N is decided once a side wins a majority (later games are ignored);
+ * formats that play every game are decided when all of them are entered.
+ */
+export const matchOutcome = (m) => {
+  const format = matchFormatOf(m);
+  const played = playedGames(m);
+  const points = matchPoints(m);
+  const gamesWon = [0, 0];
+
+  if (!format.playAll) {
+    const needed = Math.ceil(format.games / 2);
+    for (const [a, b] of played) {
+      if (a !== b) gamesWon[a > b ? 0 : 1] += 1;
+      if (gamesWon[0] === needed || gamesWon[1] === needed) break;
+    }
+    const winner = gamesWon[0] === needed ? 1 : gamesWon[1] === needed ? 2 : null;
+    return { decided: !!winner, winner, draw: false, gamesWon, points };
+  }
+
+  played.forEach(([a, b]) => { if (a !== b) gamesWon[a > b ? 0 : 1] += 1; });
+  const decided = played.length === format.games;
+  const [a, b] = format.byPoints ? points : gamesWon;
+  return {
+    decided,
+    winner: decided && a !== b ? (a > b ? 1 : 2) : null,
+    draw: decided && a === b,
+    gamesWon,
+    points,
+  };
+};
+
+/** Why the entered score doesn't finish the match yet, or null when it does */
+export const unfinishedReason = (m) => {
+  const format = matchFormatOf(m);
+  if (matchOutcome(m).decided) return null;
+  if (format.games === 1) {
+    return entered(m.score1) && entered(m.score2) ? 'Scores cannot be tied. Please enter valid scores.' : 'Please enter scores before selecting a winner.';
+  }
+  if (format.playAll) return `Please enter the scores of all ${format.games} games — every game counts in this format.`;
+  const { gamesWon } = matchOutcome(m);
+  return `${format.label}: a side needs ${Math.ceil(format.games / 2)} game wins (games so far ${gamesWon[0]}–${gamesWon[1]}). Please enter the remaining games.`;
+};
+
+/** Index of the game to play next, or null once the match is decided or every game is entered */
+export const nextGameIndex = (m) => {
+  if (matchOutcome(m).decided) return null;
+  const index = gamesOf(m).findIndex(([a, b]) => !entered(a) || !entered(b));
+  return index < 0 ? null : index;
+};
+
+/** The match with side `side` (1 or 2) of game `g` (0-based) set to `value` */
+export const withGameScore = (m, g, side, value) => {
+  if (matchFormatOf(m).games === 1) return { ...m, [`score${side}`]: value };
+  const games = gamesOf(m).map(pair => [...pair]);
+  games[g][side - 1] = value;
+  return { ...m, games };
+};
+
+/** "11-7, 9-11, 11-5" — the games entered so far */
+export const gamesText = (m, dash = '-') => gamesOf(m)
+  .filter(([a, b]) => entered(a) && entered(b))
+  .map(([a, b]) => `${a}${dash}${b}`)
+  .join(', ');
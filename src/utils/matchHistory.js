@@ -0,0 +1,66 @@
+/**
+ * Match history payload — turns the session's completed matches into the rows the
+ * backend stores in `matches` / `match_players` (POST /api/matches) when a session ends.
+ * Match ids are kept as-is, so sending the same session twice records nothing new.
+ * Draws are left out: a stored match always has a winning side.
+ */
+import { playedGames } from './matchGames';
+import { sidesOf } from './matchSides';
+
+// A roster player saved in the database has an integer id; local-only players are kept by name
+const dbPlayerId = (p) => (Number.isInteger(Number(p.id)) ? Number(p.id) : null);
+
+/**
+ * Id the matches are grouped under: the cloud session's id. A session that never reached
+ * the cloud (no id yet) falls back to its first match's id, which is just as stable.
+ */
+export const sessionUidOf = (sessionId, rounds) => {
+  if (sessionId !== null && sessionId !== undefined && sessionId !== '') return String(sessionId);
+  const firstMatch = rounds.flat().find(m => m && m.id);
+  return firstMatch ? String(firstMatch.id) : null;
+};
+
+/**
+ * buildMatchHistoryPayload
+ * @param {Array} rounds  – rounds of matches
+ * @param {Object} meta   – { sessionId, tournamentName, tournamentType }
+ * @returns {{ session_uid, tournament_name, tournament_type, matches: Array }}
+ *   matches: [{ match_uid, round_number, court, game_format, match_format, score1, score2,
+ *               games, winner (1|2), played_at, players: [{ player_id, player_name, side }] }]
+ */
+export const buildMatchHistoryPayload = (rounds, { sessionId = null, tournamentName, tournamentType } = {}) => {
+  const matches = [];
+
+  rounds.forEach((round, rIdx) => round.forEach(m => {
+    if (m.status !== 'completed' || !m.winner) return;
+    const sides = sidesOf(m);
+    if (!sides) return;
+
+    const games = playedGames(m);
+    matches.push({
+      match_uid: String(m.id),
+      round_number: rIdx + 1,
+      court: Number(m.court) || null,
+      game_format: m.gameFormat,
+      match_format: m.matchFormat,
+      // Multi-game totals are summed across games, like the standings
+      score1: games.reduce((sum, [s1]) => sum + s1, 0),
+      score2: games.reduce((sum, [, s2]) => sum + s2, 0),
+      games,
+      winner: m.winner === 'team1' ? 1 : 2,
+      played_at: m.endTime || null,
+      players: sides.flatMap((side, sIdx) => side.map(p => ({
+        player_id: dbPlayerId(p),
+        player_name: p.name,
+        side: sIdx + 1,
+      }))),
+    });
+  }));
+
+  return {
+    session_uid: sessionUidOf(sessionId, rounds),
+    tournament_name: tournamentName || 'Session',
+    tournament_type: tournamentType || null,
+    matches,
+  };
+};
@@ -0,0 +1,10 @@
+/**
+ * Who is on each side of a match — shared by standings, ratings, match history and the
+ * court editor so every view agrees on how singles and doubles sides are read.
+ */
+
+/** [[player1], [player2]] for singles, [team1, team2] for doubles — null until both sides are set */
+export const sidesOf = (m) => {
+  if (m.gameFormat === 'singles') return m.player1 && m.player2 ? [[m.player1], [m.player2]] : null;
+  return m.team1?.length && m.team2?.length ? [m.team1, m.team2] : null;
+};
@@ -0,0 +1,152 @@
+/**
+ * Outbox — saves made while offline, kept in IndexedDB until they can be sent.
+ *
+ * Entries go out oldest first. Session saves are coalesced per session (`key`): a newer
+ * snapshot replaces the queued one, since each holds the whole session. Roster changes
+ * are replayed as the requests they were ({ kind: 'request', url, method, headers, body }).
+ * No entry keeps the login token — the replay adds the current one. Entries are cleared on
+ * logout with the rest of the organizer's local data (clearOutbox);
+ * a keyed one reports its response once it goes through (onRequestSynced), so the page can
+ * swap the local id of a player added offline for the database one.
+ *
+ * The page replays the queue on start-up and when the connection comes back; where the
+ * browser supports Background Sync, public/sw.js tells an open app when to replay it.
+ */
+
+const DB_NAME = 'smashboard-outbox';
+const STORE = 'requests';
+export const SYNC_TAG = 'smashboard-outbox';
+
+let memory = []; // fallback where IndexedDB is unavailable (private browsing, tests)
+let nextId = 1;
+const listeners = new Set();
+const syncedListeners = new Set();
+
+const hasIndexedDB = () => typeof indexedDB !== 'undefined';
+
+const openDb = () => new Promise((resolve, reject) => {
+  const req = indexedDB.open(DB_NAME, 1);
+  req.onupgradeneeded = () => req.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+  req.onsuccess = () => resolve(req.result);
+  req.onerror = () => reject(req.error);
+});
+
+// Runs fn(store) in one transaction and resolves with the result of the request it returns
+const withStore = async (mode, fn) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const req = fn(tx.objectStore(STORE));
+    tx.oncomplete = () => { db.close(); resolve(req?.result); };
+    tx.onerror = () => { db.close(); reject(tx.error); };
+  });
+};
+
+const allEntries = async () => (hasIndexedDB() ? withStore('readonly', store => store.getAll()) : [...memory]);
+
+const removeEntry = async (id) => {
+  if (hasIndexedDB()) await withStore('readwrite', store => store.delete(id));
+  else memory = memory.filter(e => e.id !== id);
+};
+
+const notify = async () => {
+  const count = (await allEntries()).length;
+  listeners.forEach(fn => fn(count));
+};
+
+// Ask the service worker to replay the queue once the connection is back
+const requestBackgroundSync = () => {
+  if (typeof navigator === 'undefined' || !navigator.serviceWorker) return;
+  navigator.serviceWorker.ready
+    .then(reg => reg.sync?.register(SYNC_TAG))
+    .catch(err => console.log('[Outbox] Background Sync unavailable:', err));
+};
+
+/** Queue a save. An entry with the same `key` as a queued one replaces it. */
+export const enqueue = async (entry) => {
+  const queued = { ...entry, queuedAt: new Date().toISOString() };
+  if (hasIndexedDB()) {
+    const stale = entry.key ? (await allEntries()).filter(e => e.key === entry.key) : [];
+    await withStore('readwrite', (store) => {
+      stale.forEach(e => store.delete(e.id));
+      return store.add(queued);
+    });
+  } else {
+    memory = [...memory.filter(e => !entry.key || e.key !== entry.key), { ...queued, id: nextId++ }];
+  }
+  console.log('[Outbox] Queued', entry.kind, entry.key || entry.url);
+  await notify();
+  requestBackgroundSync();
+};
+
+/** Drop a queued entry that a newer save has made obsolete */
+export const discard = async (key) => {
+  const stale = (await allEntries()).filter(e => e.key === key);
+  if (stale.length === 0) return;
+  for (const e of stale) await removeEntry(e.id);
+  await notify();
+};
+
+export const pendingCount = async () => (await allEntries()).length;
+
+/** Empty the queue — on logout, so one organizer's saves never go out under the next login */
+export const clearOutbox = async () => {
+  if (hasIndexedDB()) await withStore('readwrite', store => store.clear());
+  else memory = [];
+  await notify();
+};
+
+/** fn(count) after every change to the queue; returns the unsubscribe function */
+export const subscribe = (fn) => {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+};
+
+/** fn(key, responseBody) when a queued request with a `key` goes through; returns the unsubscribe function */
+export const onRequestSynced = (fn) => {
+  syncedListeners.add(fn);
+  return () => syncedListeners.delete(fn);
+};
+
+const drain = async ({ sendSession, token }) => {
+  // Re-read the head every time: a save that went through meanwhile may have discarded an entry
+  for (let [entry] = await allEntries(); entry; [entry] = await allEntries()) {
+    let done = false;
+    try {
+      if (entry.kind === 'session') {
+        done = await sendSession(entry);
+      } else {
+        const res = await fetch(entry.url, {
+          method: entry.method,
+          headers: { ...entry.headers, ...(token && { Authorization: `Bearer ${token}` }) },
+          body: entry.body
+        });
+        // A rejected change (e.g. the player was deleted meanwhile) won't go through on a retry either
+        done = res.ok || (res.status >= 400 && res.status < 500 && res.status !== 401);
+        if (res.ok && entry.key) {
+          const data = await res.json().catch(() => null);
+          syncedListeners.forEach(fn => fn(entry.key, data));
+        }
+      }
+    } catch (err) {
+      console.log('[Outbox] Still offline:', err.message);
+    }
+    // Stop at the first failure so later changes never overtake it
+    if (!done) return false;
+    await removeEntry(entry.id);
+    await notify();
+  }
+  return true;
+};
+
+let replaying = null;
+
+/**
+ * Send the queue in order. `sendSession(entry)` saves a queued session snapshot and
+ * resolves true once it is sent (false to keep it queued); `token` is the login token
+ * added to queued requests. Resolves true when the queue is empty.
+ */
+export const replayOutbox = (opts) => {
+  if (!replaying) replaying = drain(opts).finally(() => { replaying = null; });
+  return replaying;
+};
@@ -0,0 +1,20 @@
+/**
+ * Player ids — roster players saved in the database have its (integer) id; walk-ins and
+ * players added while offline or signed out have a local one. Once the roster save of a
+ * player added offline goes out, renamePlayerId swaps the local id for the database one.
+ */
+
+export const isDatabaseId = (id) => Number.isInteger(Number(id));
+
+/**
+ * `value` (any session state: roster, teams, rounds, stats maps keyed by player id, undo
+ * history) with every use of player id `from` — as a value or as a key — changed to `to`.
+ * Local ids are unique strings (see uid), so nothing else can match them.
+ */
+export const renamePlayerId = (value, from, to) => {
+  if (value === null || value === undefined) return value;
+  const local = JSON.stringify(String(from));
+  return JSON.parse(JSON.stringify(value)
+    .split(`${local}:`).join(`${JSON.stringify(String(to))}:`)
+    .split(local).join(JSON.stringify(to)));
+};
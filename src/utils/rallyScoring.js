@@ -0,0 +1,71 @@
+/**
+ * Rally-by-rally scorekeeping for one game. Traditional side-out scoring tracks the
+ * serving team, the server number (1/2, a game starts at 0-0-2) and the side the serve
+ * comes from; rally scoring and singles only need the serving side. Each rally keeps the
+ * state before it, so any number of rallies can be undone.
+ */
+import { gameScoreProblem } from './scoringRules';
+
+const snapshot = ({ history, ...game }) => game;
+const flip = (side) => (side === 'right' ? 'left' : 'right');
+// Singles and rally scoring: serve from the right on an even score, the left on an odd one
+const sideForScore = (points) => (points % 2 === 0 ? 'right' : 'left');
+
+/** A game with team `serving` (1 or 2) serving first */
+export const newRallyGame = ({ serving = 1, doubles = true, rules = {} } = {}) => {
+  const rally = rules.scoring === 'rally';
+  return {
+    score: [0, 0],
+    serving,
+    server: doubles && !rally ? 2 : 1, // side-out doubles: the first serving team only gets one server
+    side: 'right',
+    doubles,
+    rally,
+    winner: null,
+    history: []
+  };
+};
+
+// A finished game under the rules — a time cap never ends a game rally by rally
+const gameOver = ([a, b], rules) => (a !== b && gameScoreProblem(a, b, { ...rules, timeCap: false }) === null);
+
+/** The game after a rally won by team `wonBy` (1 or 2) */
+export const scoreRally = (game, wonBy, rules = {}) => {
+  if (game.winner) return game;
+  const next = { ...game, score: [...game.score], history: [...game.history, snapshot(game)] };
+  const servingWon = wonBy === game.serving;
+
+  if (game.rally) {
+    // Every rally scores; the receiving side takes the serve when it wins one
+    next.score[wonBy - 1] += 1;
+    next.serving = wonBy;
+  } else if (servingWon) {
+    next.score[wonBy - 1] += 1;
+    next.side = flip(game.side); // the server switches sides with their partner
+  } else if (game.doubles && game.server === 1) {
+    next.server = 2; // the partner serves from where they stand
+    next.side = flip(game.side);
+  } else {
+    // Side out: the other team's first server starts from the right
+    next.serving = wonBy;
+    next.server = 1;
+    next.side = 'right';
+  }
+  if (!game.doubles || game.rally) next.side = sideForScore(next.score[next.serving - 1]);
+
+  if (gameOver(next.score, rules)) next.winner = next.score[0] > next.score[1] ? 1 : 2;
+  return next;
+};
+
+/** The game before its last rally */
+export const undoRally = (game) => {
+  if (game.history.length === 0) return game;
+  return { ...game.history[game.history.length - 1], history: game.history.slice(0, -1) };
+};
+
+/** The score as the server calls it: "4-2-1" (side-out doubles) or "4-2" */
+export const callScore = (game) => {
+  const serving = game.score[game.serving - 1];
+  const receiving = game.score[2 - game.serving];
+  return game.doubles && !game.rally ? `${serving}-${receiving}-${game.server}` : `${serving}-${receiving}`;
+};
@@ -0,0 +1,81 @@
+/**
+ * Internal rating engine — Elo-style skill estimates learned from match results.
+ *
+ * Ratings live on the DUPR scale (a 0.5 gap ≈ 76% expected win) so the schedulers
+ * can balance on them exactly like an entered DUPR. Every player starts from their
+ * entered DUPR; the first PROVISIONAL_MATCHES results move them faster.
+ * Doubles: each side is rated as its average, and each player moves by their own K.
+ * A bigger winning margin moves ratings a little more (×0.75 for 1 point, ×1.25 for 11+).
+ * A draw scores as half a win for both sides.
+ */
+import { matchPoints } from './matchGames';
+import { sidesOf } from './matchSides';
+
+export const RATING_SCALE = 1;        // rating gap that makes one side 10× more likely to win
+export const K_FACTOR = 0.08;         // max move per match once established
+export const K_PROVISIONAL = 0.2;     // max move per match while provisional
+export const PROVISIONAL_MATCHES = 10;
+const MIN_RATING = 1;
+const MAX_RATING = 8;
+
+const round3 = (n) => Math.round(n * 1000) / 1000;
+
+/** Probability that a side rated `rating` beats a side rated `opponentRating` */
+export const expectedScore = (rating, opponentRating) => 1 / (1 + 10 ** ((opponentRating - rating) / RATING_SCALE));
+
+const marginFactor = (m) => {
+  const [p1, p2] = matchPoints(m);
+  const margin = Math.min(Math.abs(p1 - p2), 11);
+  return margin === 0 ? 1 : 0.75 + (0.5 * (margin - 1)) / 10;
+};
+
+/** Current internal rating for a roster player (entered DUPR until they have results) */
+export const internalRatingOf = (player) => Number(player.internalRating ?? player.rating) || 0;
+
+/**
+ * rateRounds
+ * Replays every completed match in `rounds` (in order) that is not already in
+ * `skipMatchIds`, starting from each player's current internal rating.
+ *
+ * @param {Array} players       – roster players ({ id, rating, internalRating?, ratedMatches? })
+ * @param {Array} rounds        – rounds of matches
+ * @param {Array} skipMatchIds  – match ids already rated (e.g. applied earlier this session)
+ * @returns {{ ratings: { [playerId]: { rating, ratedMatches } }, changes: Array, matchIds: Array }}
+ *   changes: [{ playerId, matchId, before, after, delta }] in the order they happened
+ */
+export const rateRounds = (players, rounds, skipMatchIds = []) => {
+  const skip = new Set(skipMatchIds);
+  const ratings = {};
+  players.forEach(p => {
+    ratings[p.id] = { rating: internalRatingOf(p), ratedMatches: Number(p.ratedMatches) || 0 };
+  });
+
+  const changes = [];
+  const matchIds = [];
+  rounds.forEach(round => round.forEach(m => {
+    if (m.status !== 'completed' || !(m.winner || m.draw) || skip.has(m.id)) return;
+    const sides = sidesOf(m);
+    if (!sides || sides.flat().some(p => !ratings[p.id])) return;
+
+    const sideRating = (side) => side.reduce((sum, p) => sum + ratings[p.id].rating, 0) / side.length;
+    const r1 = sideRating(sides[0]);
+    const r2 = sideRating(sides[1]);
+    const factor = marginFactor(m);
+
+    [[sides[0], r1, r2, m.winner === 'team1'], [sides[1], r2, r1, m.winner === 'team2']].forEach(([side, mine, theirs, won]) => {
+      const surprise = (m.draw ? 0.5 : won ? 1 : 0) - expectedScore(mine, theirs);
+      side.forEach(p => {
+        const entry = ratings[p.id];
+        const k = entry.ratedMatches < PROVISIONAL_MATCHES ? K_PROVISIONAL : K_FACTOR;
+        const before = entry.rating;
+        const after = round3(Math.min(MAX_RATING, Math.max(MIN_RATING, before + k * factor * surprise)));
+        entry.rating = after;
+        entry.ratedMatches += 1;
+        changes.push({ playerId: p.id, matchId: m.id, before: round3(before), after, delta: round3(after - before) });
+      });
+    });
+    matchIds.push(m.id);
+  }));
+
+  return { ratings, changes, matchIds };
+};
@@ -0,0 +1,59 @@
+/**
+ * Round clock — counts `minutesPerRound` down from the moment a round starts, for the
+ * warnings and horn on the Schedule tab, and decides time-capped results when a round
+ * is ended on time.
+ */
+import { matchFormatOf, matchOutcome, matchPoints, playedGames } from './matchGames';
+import { gameScoreProblem } from './scoringRules';
+
+// "5, 2" → [5, 2]: whole minutes left at which to warn, largest first
+export const parseWarnings = (text) => [...new Set(String(text || '')
+  .split(/[\s,]+/)
+  .map(Number)
+  .filter(n => Number.isFinite(n) && n > 0))]
+  .sort((a, b) => b - a);
+
+/** Time left in the round (negative once it is over) and time played, in ms */
+export const roundClockState = ({ startedAt, minutesPerRound, now = Date.now() }) => {
+  if (!startedAt || !(minutesPerRound > 0)) return null;
+  const elapsedMs = Math.max(0, now - new Date(startedAt).getTime());
+  const remainingMs = minutesPerRound * 60000 - elapsedMs;
+  return { elapsedMs, remainingMs, overtime: remainingMs <= 0 };
+};
+
+/** 754000 → "12:34"; negative times (overtime) get a leading "+" */
+export const formatClock = (ms) => {
+  const seconds = Math.floor(Math.abs(ms) / 1000);
+  const text = `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+  return ms < 0 && seconds > 0 ? `+${text}` : text;
+};
+
+/** Warning thresholds (minutes) passed between two readings of the time left */
+export const crossedWarnings = (beforeMs, afterMs, warnings) =>
+  warnings.filter(min => beforeMs > min * 60000 && afterMs <= min * 60000);
+
+const num = (v) => (v === '' || v == null ? 0 : Number(v) || 0);
+
+/**
+ * Side leading a match when time runs out (1 or 2), or null when it is level.
+ * Total-points formats go by the points so far; other multi-game formats by games already
+ * decided first, then the game being played — the last one with a score, if that score
+ * doesn't finish it under `rules`. Formats that play every game go by their result once
+ * all of them are in (null for a draw). A single game goes by the score so far.
+ */
+export const timeCapWinner = (m, rules) => {
+  const ahead = ([a, b]) => (a === b ? null : a > b ? 1 : 2);
+  const format = matchFormatOf(m);
+  if (format.games === 1) return ahead([num(m.score1), num(m.score2)]);
+  const games = playedGames(m);
+  if (games.length === 0) return null;
+  if (format.byPoints) return ahead(matchPoints(m));
+  const outcome = matchOutcome(m);
+  if (format.playAll && outcome.decided) return outcome.winner;
+
+  const last = games[games.length - 1];
+  const playing = !!gameScoreProblem(last[0], last[1], { ...rules, timeCap: false });
+  const done = playing ? games.slice(0, -1) : games;
+  const won = done.reduce((acc, [x, y]) => [acc[0] + (x > y), acc[1] + (y > x)], [0, 0]);
+  return ahead(won) || (playing ? ahead(last) : null);
+};
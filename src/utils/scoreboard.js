@@ -0,0 +1,225 @@
+/**
+ * Scoreboard — who is on which court, who is up next, recent results and standings,
+ * all derived from a session snapshot. The organizer's Courts view and the public
+ * live scoreboard (/live/:token) share the same fairness queue.
+ */
+import { computeStandings, DEFAULT_TIEBREAK_ORDER } from './standings';
+
+// Derive accurate player stats directly from rounds history
+// This is immune to double-counting bugs in the imperative playerStats accumulator
+export const derivePlayerStats = (rounds) => {
+  const stats = {};
+  // Count matches played per player — ONLY from completed matches
+  rounds.forEach(round => {
+    round.forEach(match => {
+      if (match.status !== 'completed') return; // skip pending / removed
+      const playerIds = [];
+      if (match.gameFormat === 'singles') {
+        if (match.player1) playerIds.push(match.player1.id);
+        if (match.player2) playerIds.push(match.player2.id);
+      } else {
+        match.team1?.forEach(p => playerIds.push(p.id));
+        match.team2?.forEach(p => playerIds.push(p.id));
+      }
+      playerIds.forEach(id => {
+        if (!stats[id]) stats[id] = { matchesPlayed: 0, roundsSatOut: 0 };
+        stats[id].matchesPlayed += 1;
+      });
+    });
+  });
+  // Derive sat-out: only for players who have played at least one completed match,
+  // and only for rounds that had at least one completed match (i.e. real rounds).
+  const everPlayedIds = new Set(Object.keys(stats));
+  rounds.forEach(round => {
+    const completedInRound = round.filter(m => m.status === 'completed');
+    if (completedInRound.length === 0) return; // skip purely pending/removed rounds
+    const playersInRound = new Set();
+    completedInRound.forEach(match => {
+      if (match.gameFormat === 'singles') {
+        if (match.player1) playersInRound.add(match.player1.id);
+        if (match.player2) playersInRound.add(match.player2.id);
+      } else {
+        match.team1?.forEach(p => playersInRound.add(p.id));
+        match.team2?.forEach(p => playersInRound.add(p.id));
+      }
+    });
+    everPlayedIds.forEach(id => {
+      if (!stats[id]) stats[id] = { matchesPlayed: 0, roundsSatOut: 0 };
+      if (!playersInRound.has(id)) {
+        stats[id].roundsSatOut += 1;
+      }
+    });
+  });
+  return stats;
+};
+
+// Derive accurate team stats from rounds history (ground-truth, like derivePlayerStats)
+export const deriveTeamStats = (rounds) => {
+  const stats = {};
+
+  // Pass 1: count matches played per team
+  const everPlayedTeamIds = new Set();
+  rounds.forEach(round => {
+    round.forEach(match => {
+      if (match.team1Id) {
+        if (!stats[match.team1Id]) stats[match.team1Id] = { matchesPlayed: 0, roundsSatOut: 0 };
+        stats[match.team1Id].matchesPlayed += 1;
+        everPlayedTeamIds.add(match.team1Id);
+      }
+      if (match.team2Id) {
+        if (!stats[match.team2Id]) stats[match.team2Id] = { matchesPlayed: 0, roundsSatOut: 0 };
+        stats[match.team2Id].matchesPlayed += 1;
+        everPlayedTeamIds.add(match.team2Id);
+      }
+    });
+  });
+
+  // Pass 2: count sat-out rounds for teams that have appeared at least once
+  rounds.forEach(round => {
+    if (round.length === 0) return;
+    const teamsInRound = new Set();
+    round.forEach(match => {
+      if (match.team1Id) teamsInRound.add(match.team1Id);
+      if (match.team2Id) teamsInRound.add(match.team2Id);
+    });
+    everPlayedTeamIds.forEach(id => {
+      if (!stats[id]) stats[id] = { matchesPlayed: 0, roundsSatOut: 0 };
+      if (!teamsInRound.has(id)) {
+        stats[id].roundsSatOut += 1;
+      }
+    });
+  });
+
+  return stats;
+};
+
+// Get next-up queue based on fairness: players (or teams) off court, longest sat out first
+export const nextUpQueue = ({ tournamentType, gameFormat, availablePlayers, availableTeams, derivedPlayerStats, derivedTeamStats, kotStats }) => {
+  if (tournamentType === 'round_robin' || tournamentType === 'river') {
+    if (gameFormat === 'singles') {
+      return availablePlayers
+        .map(p => {
+          const stats = derivedPlayerStats[p.id] || { matchesPlayed: 0, roundsSatOut: 0 };
+          return { ...p, roundsPlayed: stats.matchesPlayed, roundsSatOut: stats.roundsSatOut, priority: stats.roundsSatOut * 100 + (10 - stats.matchesPlayed) };
+        })
+        .sort((a, b) => b.priority - a.priority);
+    } else if (gameFormat === 'teamed_doubles') {
+      return availableTeams
+        .map(t => {
+          const stats = derivedTeamStats[t.id] || { matchesPlayed: 0, roundsSatOut: 0 };
+          return { ...t, roundsPlayed: stats.matchesPlayed, roundsSatOut: stats.roundsSatOut, priority: stats.roundsSatOut * 100 + (10 - stats.matchesPlayed) };
+        })
+        .sort((a, b) => b.priority - a.priority);
+    } else {
+      // Regular doubles: prioritize players by sat-out rounds, then fewer matches
+      return availablePlayers
+        .map(p => {
+          const stats = derivedPlayerStats[p.id] || { matchesPlayed: 0, roundsSatOut: 0 };
+          return { ...p, roundsPlayed: stats.matchesPlayed, roundsSatOut: stats.roundsSatOut, priority: stats.roundsSatOut * 100 + (10 - stats.matchesPlayed) };
+        })
+        .sort((a, b) => b.priority - a.priority);
+    }
+  } else if (tournamentType === 'king_of_court') {
+    return availablePlayers
+      .map(p => {
+        const stats = kotStats[p.id] || { roundsPlayed: 0, roundsSatOut: 0, totalPoints: 0 };
+        return { ...p, roundsPlayed: stats.roundsPlayed || 0, roundsSatOut: stats.roundsSatOut || 0 };
+      })
+      .sort((a, b) => b.roundsSatOut - a.roundsSatOut || a.roundsPlayed - b.roundsPlayed);
+  }
+  return [];
+};
+
+/** "Ann" for a player, "Ann & Ben" for a fixed team */
+export const entrantName = (item) => (
+  item.player1 ? [item.player1.name, item.player2?.name].filter(Boolean).join(' & ') : item.name
+);
+
+/** Side (1 or 2) a player is on in a match, or null */
+export const matchSide = (match, playerId) => {
+  const has = (list) => list.some(p => p && String(p.id) === String(playerId));
+  if (match.gameFormat === 'singles') {
+    return has([match.player1]) ? 1 : has([match.player2]) ? 2 : null;
+  }
+  return has(match.team1 || []) ? 1 : has(match.team2 || []) ? 2 : null;
+};
+
+/**
+ * The match a player can report or answer from their phone: one with a reported score
+ * waiting on a reply, else the one they are playing on a court right now.
+ */
+export const reportableMatch = (session, playerId) => {
+  const { rounds = [], courtStates = [] } = session;
+  const onCourtIds = new Set(courtStates.filter(c => c.currentMatch).map(c => c.currentMatch.id));
+  const open = rounds.flat().filter(m => m.status !== 'completed' && m.status !== 'removed' && matchSide(m, playerId));
+  return open.find(m => m.report) || open.find(m => onCourtIds.has(m.id)) || null;
+};
+
+// Ids of the players and teams on a court right now
+const onCourt = (courtStates = []) => {
+  const playerIds = new Set();
+  const teamIds = new Set();
+  courtStates.forEach(court => {
+    const match = court.currentMatch;
+    if (!match) return;
+    if (match.gameFormat === 'singles') {
+      if (match.player1) playerIds.add(match.player1.id);
+      if (match.player2) playerIds.add(match.player2.id);
+    } else {
+      match.team1?.forEach(p => playerIds.add(p.id));
+      match.team2?.forEach(p => playerIds.add(p.id));
+    }
+    if (match.team1Id) teamIds.add(match.team1Id);
+    if (match.team2Id) teamIds.add(match.team2Id);
+  });
+  return { playerIds, teamIds };
+};
+
+/**
+ * buildScoreboard
+ * @param {Object} session – { players, teams, rounds, courtStates, kotStats, meta } (GET /api/public/scoreboard/:token)
+ * @param {Object} opts    – { recentCount }
+ * @returns {{ courts: Array, nextUp: Array, recent: Array, standings: Array, byTeam: boolean }}
+ *   courts: courtStates in court order, each with `match` — its current match with the
+ *           latest scores from `rounds`; recent: completed matches, newest first
+ */
+export const buildScoreboard = (session, { recentCount = 8 } = {}) => {
+  const { players = [], teams = [], rounds = [], courtStates = [], kotStats = {}, meta = {} } = session;
+  const byTeam = meta.gameFormat === 'teamed_doubles' && teams.length > 0;
+  const { playerIds, teamIds } = onCourt(courtStates);
+
+  const nextUp = nextUpQueue({
+    tournamentType: meta.tournamentType,
+    gameFormat: meta.gameFormat,
+    availablePlayers: players.filter(p => p.present !== false && !playerIds.has(p.id)),
+    availableTeams: teams.filter(t => !teamIds.has(t.id)),
+    derivedPlayerStats: derivePlayerStats(rounds),
+    derivedTeamStats: deriveTeamStats(rounds),
+    kotStats,
+  });
+
+  const recent = rounds
+    .flatMap((round, roundIdx) => round.map(m => ({ ...m, roundNumber: roundIdx + 1 })))
+    .filter(m => m.status === 'completed' && (m.winner || m.draw))
+    .sort((a, b) => String(b.endTime || '').localeCompare(String(a.endTime || '')) || b.roundNumber - a.roundNumber)
+    .slice(0, recentCount);
+
+  const standings = computeStandings(rounds, byTeam ? teams : players, {
+    by: byTeam ? 'team' : 'player',
+    tiebreakOrder: meta.tiebreakOrder?.length ? meta.tiebreakOrder : DEFAULT_TIEBREAK_ORDER,
+  });
+
+  // Scores are entered on the match in rounds; the court keeps the copy it was started with
+  const matchesById = new Map(rounds.flat().map(m => [m.id, m]));
+  const courts = [...courtStates]
+    .sort((a, b) => a.courtNumber - b.courtNumber)
+    .map(c => ({ ...c, match: c.currentMatch ? matchesById.get(c.currentMatch.id) || c.currentMatch : null }));
+
+  return {
+    courts,
+    nextUp,
+    recent,
+    standings,
+    byTeam,
+  };
+};
@@ -0,0 +1,73 @@
+/**
+ * Scoring rules — how games are played in a session (side-out or rally scoring, game to
+ * 11/15/21, win by 2 or a point cap, games that may end at a time cap) and the check that
+ * an entered score could have happened under them. Saved in the session meta and in
+ * exports, so a 15–13 reads as a rally game to 15 later on.
+ */
+import { entered, gamesOf } from './matchGames';
+
+export const DEFAULT_SCORING_RULES = {
+  scoring: 'side_out', // 'side_out' (only the serving side scores) or 'rally'
+  gameTo: 11,
+  winBy: 2,
+  cap: null, // Points at which the game ends even without a 2-point lead (null: play on)
+  timeCap: false // Games may end when time is called — any lead wins
+};
+
+export const GAME_TO_OPTIONS = [11, 15, 21];
+
+// Saved rules with anything missing filled from the defaults (sessions from before rules)
+export const scoringRulesOf = (rules) => ({ ...DEFAULT_SCORING_RULES, ...(rules || {}) });
+
+/** "Rally scoring · game to 15, win by 2, cap 17" */
+export const describeScoringRules = (rules) => {
+  const r = scoringRulesOf(rules);
+  const parts = [`game to ${r.gameTo}`, `win by ${r.winBy}`];
+  if (r.cap) parts.push(`cap ${r.cap}`);
+  if (r.timeCap) parts.push('time-capped games');
+  return `${r.scoring === 'rally' ? 'Rally' : 'Side-out'} scoring · ${parts.join(', ')}`;
+};
+
+/**
+ * Why a finished game's score is impossible under the rules, or null when it is fine.
+ * `label` names the game in the message ("Game 2").
+ */
+export const gameScoreProblem = (a, b, rules, label = 'Score') => {
+  const r = scoringRulesOf(rules);
+  const s1 = Number(a);
+  const s2 = Number(b);
+  if (!Number.isInteger(s1) || !Number.isInteger(s2) || s1 < 0 || s2 < 0) return `${label}: scores must be whole numbers of 0 or more.`;
+  if (s1 === s2) return `${label} can't end tied (${s1}–${s2}).`;
+
+  const win = Math.max(s1, s2);
+  const lose = Math.min(s1, s2);
+  const score = `${win}–${lose}`;
+  if (r.cap && win > r.cap) return `${label}: ${score} is past the cap — games end at ${r.cap}.`;
+  // Reaching the cap ends the game on any lead
+  if (r.cap && win === r.cap && (win === r.gameTo || win - lose <= r.winBy)) return null;
+  if (win < r.gameTo) {
+    return r.timeCap ? null : `${label}: ${score} — games go to ${r.gameTo}, so the winner needs at least ${r.gameTo}.`;
+  }
+  if (win - lose < r.winBy) return r.timeCap ? null : `${label}: ${score} — the winner must lead by ${r.winBy}.`;
+  // Past game point the game ends the moment one side leads by the margin
+  if (win > r.gameTo && win - lose > r.winBy) {
+    return `${label}: ${score} — past ${r.gameTo} the game ends as soon as one side leads by ${r.winBy} (so ${Math.max(r.gameTo, lose + r.winBy)}–${lose}).`;
+  }
+  return null;
+};
+
+/**
+ * First impossible game in a match's entered score, or null. Multi-game formats check every
+ * game with both scores entered; a time-capped match (ended by the round clock) is not checked.
+ */
+export const matchScoreProblem = (m, rules) => {
+  if (m.timeCapped) return null;
+  const games = gamesOf(m);
+  for (let g = 0; g < games.length; g++) {
+    const [a, b] = games[g];
+    if (!entered(a) || !entered(b)) continue;
+    const problem = gameScoreProblem(a, b, rules, games.length > 1 ? `Game ${g + 1}` : 'Score');
+    if (problem) return problem;
+  }
+  return null;
+};
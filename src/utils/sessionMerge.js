@@ -0,0 +1,157 @@
+/**
+ * Session merge — lets two devices edit one open session at the same time.
+ *
+ * A save is made against the revision the device last saw. When another device saved
+ * in between, both versions are compared with that common base: scores and court
+ * changes on different matches / courts are combined, and anything both devices
+ * changed differently is reported as a conflict.
+ *
+ * Rounds, courtStates and the per-player / per-team stats maps are merged entry by
+ * entry (match id, court number, stats key) as long as neither side added or removed
+ * a round or court. Every other field is replaced as a whole.
+ */
+
+// Columns and bookkeeping added by the backend, never part of a change
+const IGNORED = ['id', 'savedAt', 'revision'];
+
+// Canonical JSON (sorted keys, undefined dropped) so key order never looks like a change
+const canon = (value) => JSON.stringify(value === undefined ? null : value, (key, val) => (
+  val && typeof val === 'object' && !Array.isArray(val)
+    ? Object.keys(val).sort().reduce((out, k) => { out[k] = val[k]; return out; }, {})
+    : val
+));
+const same = (a, b) => canon(a) === canon(b);
+
+// meta.ts is stamped on every autosave
+const fieldOf = (snap, key) => (key === 'meta' && snap?.meta ? { ...snap.meta, ts: undefined } : snap?.[key]);
+
+const mapField = {
+  entries: (obj) => new Map(Object.entries(obj || {})),
+  shape: () => '',
+  rebuild: (obj, changes) => {
+    const out = { ...(obj || {}) };
+    changes.forEach((entry, id) => {
+      if (entry === undefined) delete out[id];
+      else out[id] = entry;
+    });
+    return out;
+  }
+};
+
+const KEYED = {
+  rounds: {
+    entries: (rounds) => new Map((rounds || []).flat().filter(m => m && m.id != null).map(m => [String(m.id), m])),
+    shape: (rounds) => canon((rounds || []).map(round => round.map(m => m?.id))),
+    rebuild: (rounds, changes) => (rounds || []).map(round => round.map(m => (
+      changes.has(String(m?.id)) ? changes.get(String(m.id)) : m
+    )))
+  },
+  courtStates: {
+    entries: (courts) => new Map((courts || []).map(c => [String(c.courtNumber), c])),
+    shape: (courts) => canon((courts || []).map(c => c.courtNumber)),
+    rebuild: (courts, changes) => (courts || []).map(c => (
+      changes.has(String(c.courtNumber)) ? changes.get(String(c.courtNumber)) : c
+    ))
+  },
+  playerStats: mapField,
+  teamStats: mapField,
+  kotStats: mapField,
+  kotTeamStats: mapField
+};
+
+/**
+ * diffSessions
+ * @param {Object} base – snapshot both devices started from
+ * @param {Object} next – snapshot after local edits
+ * @returns {{ structural: string[], entries: Object }}
+ *   structural: fields replaced as a whole (or rounds / courts added or removed)
+ *   entries:    { rounds: [matchId], courtStates: [courtNumber], playerStats: [id], … }
+ */
+export const diffSessions = (base, next) => {
+  const delta = { structural: [], entries: {} };
+  const keys = new Set([...Object.keys(base || {}), ...Object.keys(next || {})]);
+
+  keys.forEach(key => {
+    if (IGNORED.includes(key)) return;
+    const before = fieldOf(base, key);
+    const after = fieldOf(next, key);
+    if (same(before, after)) return;
+
+    const field = KEYED[key];
+    if (!field || field.shape(before) !== field.shape(after)) {
+      delta.structural.push(key);
+      return;
+    }
+    const a = field.entries(before);
+    const b = field.entries(after);
+    delta.entries[key] = [...new Set([...a.keys(), ...b.keys()])].filter(id => !same(a.get(id), b.get(id)));
+  });
+  return delta;
+};
+
+/** True when a diff has nothing to save */
+export const isUnchanged = (delta) => delta.structural.length === 0 && Object.keys(delta.entries).length === 0;
+
+/**
+ * mergeSessions
+ * @param {Object} base   – snapshot both devices started from
+ * @param {Object} mine   – this device's snapshot
+ * @param {Object} theirs – the newer snapshot saved by another device
+ * @returns {{ merged: Object, conflicts: Array<{ key: string, id?: string }> }}
+ *   merged keeps the server copy wherever there is a conflict
+ */
+export const mergeSessions = (base, mine, theirs) => {
+  const ours = diffSessions(base, mine);
+  const their = diffSessions(base, theirs);
+  const merged = { ...theirs };
+  const conflicts = [];
+
+  ours.structural.forEach(key => {
+    const theyChanged = their.structural.includes(key) || their.entries[key];
+    if (!theyChanged) merged[key] = mine[key];
+    else if (!same(fieldOf(mine, key), fieldOf(theirs, key))) conflicts.push({ key });
+  });
+
+  Object.entries(ours.entries).forEach(([key, ids]) => {
+    if (their.structural.includes(key)) {
+      conflicts.push({ key });
+      return;
+    }
+    const field = KEYED[key];
+    const mineEntries = field.entries(mine[key]);
+    const theirEntries = field.entries(theirs[key]);
+    const theirIds = their.entries[key] || [];
+    const changes = new Map();
+    ids.forEach(id => {
+      if (theirIds.includes(id) && !same(mineEntries.get(id), theirEntries.get(id))) conflicts.push({ key, id });
+      else changes.set(id, mineEntries.get(id));
+    });
+    merged[key] = field.rebuild(theirs[key], changes);
+  });
+
+  return { merged, conflicts };
+};
+
+/** Key of one conflict in the picks passed to resolveConflicts: "rounds:m12", "players" */
+export const conflictKey = (conflict) => (conflict.id === undefined ? conflict.key : `${conflict.key}:${conflict.id}`);
+
+/**
+ * resolveConflicts — settles what mergeSessions() could not, one conflict at a time
+ * @param {Object} merged    – mergeSessions() result (server copy wherever they conflict)
+ * @param {Object} mine      – this device's snapshot
+ * @param {Array}  conflicts – mergeSessions() conflicts
+ * @param {Object} picks     – conflictKey → 'mine' | 'theirs' (anything not picked keeps the server copy)
+ * @returns {Object} snapshot to save
+ */
+export const resolveConflicts = (merged, mine, conflicts, picks = {}) => {
+  const resolved = { ...merged };
+  conflicts.filter(c => picks[conflictKey(c)] === 'mine').forEach(c => {
+    if (c.id === undefined) {
+      resolved[c.key] = mine[c.key];
+      return;
+    }
+    const field = KEYED[c.key];
+    resolved[c.key] = field.rebuild(resolved[c.key], new Map([[c.id, field.entries(mine[c.key]).get(c.id)]]));
+  });
+  return resolved;
+};
@@ -0,0 +1,122 @@
+/**
+ * Session summaries for the archive — headline numbers and standings of a finished
+ * session, read from the tournament row saved by POST /api/session/end.
+ * Like the live Stats tab, everything is derived from the saved `rounds`.
+ */
+import { computeStandings, DEFAULT_TIEBREAK_ORDER } from './standings';
+import { gamesText, matchFormatOf, matchPoints } from './matchGames';
+
+export const TOURNAMENT_TYPE_LABELS = {
+  round_robin: 'Round Robin',
+  bracket: 'Elimination Bracket',
+  pool_play: 'Pool Play → Playoffs',
+  king_of_court: 'King of Court',
+  river: 'Up & Down the River',
+};
+
+export const GAME_FORMAT_LABELS = {
+  doubles: 'Doubles',
+  teamed_doubles: 'Fixed-team doubles',
+  singles: 'Singles',
+};
+
+/** "Round Robin (Swiss) · Singles", plus the match format when it isn't one game ("· Best of 5") */
+export const formatLabel = (tournamentType, meta = {}) => {
+  const type = TOURNAMENT_TYPE_LABELS[tournamentType] || tournamentType || 'Session';
+  const mode = tournamentType === 'round_robin' && meta.scheduleMode === 'swiss' ? ' (Swiss)' : '';
+  const format = GAME_FORMAT_LABELS[meta.gameFormat];
+  const games = matchFormatOf(meta).games > 1 ? ` · ${matchFormatOf(meta).label}` : '';
+  return `${type}${mode}${format ? ` · ${format}` : ''}${games}`;
+};
+
+/** "Ann & Ben" — one side of a match */
+export const matchSideNames = (m, side) => {
+  if (m.gameFormat === 'singles') return (side === 1 ? m.player1 : m.player2)?.name || '?';
+  return ((side === 1 ? m.team1 : m.team2) || []).map(p => p.name).join(' & ') || '?';
+};
+
+/** "11–7" or "11–7, 9–11, 11–5"; "not played" until the match is completed */
+export const matchScoreText = (m) => {
+  if (m.status !== 'completed') return 'not played';
+  if (matchFormatOf(m).games > 1) return gamesText(m, '–');
+  return `${m.score1}–${m.score2}`;
+};
+
+/** Score a player reported from their phone (match.report, see POST /api/public/report/:token) */
+export const reportScoreText = (report) => {
+  const fields = report.fields || {};
+  if (Array.isArray(fields.games)) return fields.games.map(([a, b]) => `${a}–${b}`).join(', ');
+  // Reports from before the games array carried best-of-3 game fields
+  const matchFormat = fields.game1Score1 !== undefined ? 'best_of_3' : 'single_match';
+  return matchScoreText({ ...fields, matchFormat, status: 'completed' });
+};
+
+/**
+ * summarizeSession
+ * @param {Object} tournament – row from GET /api/tournaments/:id
+ * @returns {{ id, name, endedAt, tournamentType, format, courts, playerCount, roundCount,
+ *             matchCount, totalPoints, avgMargin, byTeam, standings, rounds, meta, data }}
+ */
+export const summarizeSession = (tournament) => {
+  const data = tournament.tournament_data || {};
+  const meta = data.meta || {};
+  const rounds = data.rounds || [];
+  const players = data.players || [];
+  const completed = rounds.flat().filter(m => m.status === 'completed' && (m.winner || m.draw));
+
+  const byTeam = meta.gameFormat === 'teamed_doubles' && (data.teams || []).length > 0;
+  const standings = computeStandings(rounds, byTeam ? data.teams : players, {
+    by: byTeam ? 'team' : 'player',
+    tiebreakOrder: meta.tiebreakOrder?.length ? meta.tiebreakOrder : DEFAULT_TIEBREAK_ORDER,
+  });
+
+  const points = completed.map(matchPoints);
+  const totalPoints = points.reduce((sum, [p1, p2]) => sum + p1 + p2, 0);
+  const totalMargin = points.reduce((sum, [p1, p2]) => sum + Math.abs(p1 - p2), 0);
+
+  return {
+    id: tournament.id,
+    name: tournament.tournament_name,
+    endedAt: tournament.ended_at || tournament.updated_at,
+    tournamentType: tournament.tournament_type,
+    format: formatLabel(tournament.tournament_type, meta),
+    courts: tournament.num_courts || meta.courts,
+    playerCount: players.filter(p => p.present !== false).length,
+    roundCount: rounds.length,
+    matchCount: completed.length,
+    totalPoints,
+    avgMargin: completed.length > 0 ? Math.round((totalMargin / completed.length) * 10) / 10 : 0,
+    byTeam,
+    standings,
+    rounds,
+    meta,
+    data,
+  };
+};
+
+/**
+ * compareSessions
+ * Side-by-side numbers for two summaries, plus how everyone who played in both did.
+ * Entrants are matched by name, so local-only players line up across sessions too.
+ * @returns {{ metrics: [{ label, a, b }], common: [{ label, a, b }] }} – a / b are standings rows in common
+ */
+export const compareSessions = (a, b) => {
+  const metrics = [
+    ['Format', s => s.format],
+    ['Courts', s => s.courts],
+    ['Players', s => s.playerCount],
+    ['Rounds', s => s.roundCount],
+    ['Matches played', s => s.matchCount],
+    ['Points played', s => s.totalPoints],
+    ['Avg winning margin', s => s.avgMargin],
+    ['Winner', s => s.standings[0]?.label || '–'],
+  ].map(([label, valueOf]) => ({ label, a: valueOf(a), b: valueOf(b) }));
+
+  const key = (row) => row.label.trim().toLowerCase();
+  const rowsB = new Map(b.standings.map(row => [key(row), row]));
+  const common = a.standings
+    .filter(row => rowsB.has(key(row)))
+    .map(row => ({ label: row.label, a: row, b: rowsB.get(key(row)) }));
+
+  return { metrics, common };
+};
@@ -0,0 +1,141 @@
+/**
+ * Standings engine — wins, losses, points and head-to-head derived from `rounds`.
+ * Like derivedPlayerStats, nothing here is stored: every call recomputes from the
+ * completed matches, so edited scores and undone results are always reflected.
+ */
+import { matchFormatOf, matchPoints, playedGames } from './matchGames';
+import { sidesOf } from './matchSides';
+
+/** Ranking criteria, in the order offered in the tiebreak editor */
+export const STANDINGS_CRITERIA = {
+  wins: { label: 'Wins', short: 'W' },
+  winPct: { label: 'Win %', short: 'Win %' },
+  headToHead: { label: 'Head-to-head', short: 'H2H' },
+  diff: { label: 'Point differential', short: 'Diff' },
+  pointsFor: { label: 'Points for', short: 'PF' },
+  gamesWon: { label: 'Games won', short: 'GW' },
+};
+
+export const DEFAULT_TIEBREAK_ORDER = ['wins', 'headToHead', 'diff', 'pointsFor', 'gamesWon'];
+
+// Points for/against (game totals for multi-game formats) and games won by each side
+const matchTotals = (m) => {
+  const [points1, points2] = matchPoints(m);
+  if (matchFormatOf(m).games > 1) {
+    const games = playedGames(m);
+    return {
+      points1, points2,
+      games1: games.filter(([a, b]) => a > b).length,
+      games2: games.filter(([a, b]) => b > a).length,
+    };
+  }
+  return {
+    points1, points2,
+    games1: m.winner === 'team1' ? 1 : 0,
+    games2: m.winner === 'team2' ? 1 : 0,
+  };
+};
+
+// Ids on each side of a match: players (singles / doubles) or fixed teams
+const sideIdsOf = (m, by) => {
+  if (by === 'team') return m.team1Id && m.team2Id ? [[m.team1Id], [m.team2Id]] : null;
+  return sidesOf(m)?.map(side => side.map(p => p.id)) || null;
+};
+
+const entrantLabel = (e) => (e.player1 && e.player2 ? `${e.player1.name} / ${e.player2.name}` : e.name);
+
+/**
+ * Order tied rows by the remaining criteria. Head-to-head is a mini-league among
+ * the rows still tied at that point, so it only ever separates entrants who met.
+ */
+const rankTied = (rows, criteria, h2h) => {
+  if (rows.length <= 1 || criteria.length === 0) {
+    return [...rows].sort((a, b) => a.label.localeCompare(b.label));
+  }
+  const [criterion, ...rest] = criteria;
+  const ids = new Set(rows.map(r => r.id));
+  const valueOf = (row) => (criterion === 'headToHead'
+    ? Object.entries(h2h[row.id] || {}).reduce((sum, [oppId, wins]) => sum + (ids.has(oppId) ? wins : 0), 0)
+    : row[criterion]);
+
+  const groups = new Map();
+  rows.forEach(row => {
+    const value = valueOf(row);
+    if (!groups.has(value)) groups.set(value, []);
+    groups.get(value).push(row);
+  });
+  return [...groups.keys()]
+    .sort((a, b) => b - a)
+    .flatMap(value => rankTied(groups.get(value), rest, h2h));
+};
+
+/**
+ * computeStandings
+ *
+ * @param {Array}  rounds   – rounds of matches (only completed matches with a winner or a draw count)
+ * @param {Array}  entrants – players or teams to rank; entrants who never finished a match are left out
+ * @param {Object} options
+ *   by           – 'player' (singles and random doubles) | 'team' (teamed doubles)
+ *   tiebreakOrder – criteria keys from STANDINGS_CRITERIA, most important first
+ * @returns rows best first:
+ *   [{ id, entrant, label, rank, played, wins, losses, draws, winPct, pointsFor, pointsAgainst, diff, gamesWon, gamesLost, headToHead }]
+ *   headToHead is { [opponentId]: wins against them }; a draw counts as half a win in winPct
+ */
+export const computeStandings = (rounds, entrants, { by = 'player', tiebreakOrder = DEFAULT_TIEBREAK_ORDER } = {}) => {
+  const rows = {};
+  entrants.forEach(e => {
+    rows[e.id] = {
+      id: e.id, entrant: e, label: entrantLabel(e),
+      played: 0, wins: 0, losses: 0, draws: 0, winPct: 0,
+      pointsFor: 0, pointsAgainst: 0, diff: 0, gamesWon: 0, gamesLost: 0,
+    };
+  });
+  const h2h = {};
+
+  rounds.forEach(round => round.forEach(m => {
+    if (m.status !== 'completed' || !(m.winner || m.draw)) return;
+    const sides = sideIdsOf(m, by);
+    if (!sides) return;
+    const totals = matchTotals(m);
+    const [ids1, ids2] = sides;
+
+    const record = (ids, oppIds, won, pf, pa, gw, gl) => ids.forEach(id => {
+      const row = rows[id];
+      if (!row) return;
+      row.played++;
+      if (won) row.wins++;
+      else if (m.draw) row.draws++;
+      else row.losses++;
+      row.pointsFor += pf;
+      row.pointsAgainst += pa;
+      row.gamesWon += gw;
+      row.gamesLost += gl;
+      if (won) {
+        h2h[id] = h2h[id] || {};
+        oppIds.forEach(oppId => { h2h[id][oppId] = (h2h[id][oppId] || 0) + 1; });
+      }
+    });
+    record(ids1, ids2, m.winner === 'team1', totals.points1, totals.points2, totals.games1, totals.games2);
+    record(ids2, ids1, m.winner === 'team2', totals.points2, totals.points1, totals.games2, totals.games1);
+  }));
+
+  const played = Object.values(rows).filter(r => r.played > 0);
+  played.forEach(r => {
+    r.diff = r.pointsFor - r.pointsAgainst;
+    r.winPct = (r.wins + r.draws / 2) / r.played;
+    r.headToHead = h2h[r.id] || {};
+  });
+
+  const valid = tiebreakOrder.filter(key => STANDINGS_CRITERIA[key]);
+  const criteria = valid.length > 0 ? valid : DEFAULT_TIEBREAK_ORDER;
+  const ranked = rankTied(played, criteria, h2h);
+
+  // Entrants level on every criterion share a rank
+  const level = (a, b) => criteria.every(key => (key === 'headToHead'
+    ? (a.headToHead[b.id] || 0) === (b.headToHead[a.id] || 0)
+    : a[key] === b[key]));
+  ranked.forEach((row, idx) => {
+    row.rank = idx > 0 && level(row, ranked[idx - 1]) ? ranked[idx - 1].rank : idx + 1;
+  });
+  return ranked;
+};